@@ -7,6 +7,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const jwTokenServices = require('./services/jwTokenServices');
+const { CONFIG_DIR } = require('./services/configPaths');
 
 /**
  * Handles a POST request to the `/api/login` endpoint. It expects a JSON body
@@ -45,7 +46,7 @@ async function handleLogin(req, res, config) {
             const { username, hashedPassword } = JSON.parse(body);
 
             // Define the path to the access control file.
-            const accessFilePath = path.join(__dirname, '..', 'config', 'access.json');
+            const accessFilePath = path.join(CONFIG_DIR, 'access.json');
             let accessData;
 
             try {
@@ -169,6 +169,7 @@ async function handleBootstrapSubmission(req, res) {
  * - Static assets (CSS, JS, images) from /public/
  * - Form submissions to /bootstrap
  * - Status checks to /bootstrap/status
+ * - Network scans for devices to /bootstrap/discovery/scan
  * - All other requests serve the bootstrap setup page
  * 
  * @async
@@ -199,6 +200,13 @@ async function route(req, res) {
             return res.end(JSON.stringify({ status: 'complete' }));
         }
 
+        // Handle network scans for the device list; there is no config yet, so
+        // nothing is reported as already configured
+        if (urlPath === '/bootstrap/discovery/scan' && req.method === 'POST') {
+            const discoveryController = require('./controllers/discoveryController');
+            return await discoveryController.route(req, res, {});
+        }
+
         // Handle all other requests - serve bootstrap page
         return await serveBootstrapPage(req, res);
         
@@ -0,0 +1,122 @@
+/**
+ * @file Alert Controller
+ *
+ * Handles API requests for listing alerts, acknowledging firing alerts and
+ * managing silences. Routes:
+ * - `GET /api/alerts`: active alerts, recent history and active silences
+ * - `POST /api/alerts/acknowledge`: acknowledge a firing alert (`{ "id": "..." }`)
+ * - `POST /api/alerts/silences`: create a silence
+ * - `DELETE /api/alerts/silences?id=`: remove a silence
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const alertService = require('../services/alertService');
+const { sendJson, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/alerts
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function listAlerts(req, res, config) {
+    sendJson(res, 200, {
+        success: true,
+        data: {
+            active: alertService.getActiveAlerts(config),
+            history: alertService.getRecentAlerts(),
+            silences: alertService.getSilences()
+        }
+    });
+}
+
+/**
+ * POST /api/alerts/acknowledge
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function acknowledgeAlert(req, res, config, body) {
+    if (!body.id) {
+        sendJson(res, 400, { success: false, message: 'id is required' });
+        return;
+    }
+    if (!(await alertService.acknowledge(body.id))) {
+        sendJson(res, 404, { success: false, message: `No firing alert with id '${body.id}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: 'Alert acknowledged' });
+}
+
+/**
+ * POST /api/alerts/silences
+ * Body: `{ instanceId?, rule?, duration_minutes | until, reason? }`. At least one of
+ * `instanceId` and `rule` is required, so the whole dashboard cannot be muted by mistake.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function createSilence(req, res, config, body) {
+    if (!body.instanceId && !body.rule) {
+        sendJson(res, 400, { success: false, message: 'instanceId and/or rule is required' });
+        return;
+    }
+
+    if (body.until === undefined && !(Number(body.duration_minutes) > 0)) {
+        sendJson(res, 400, { success: false, message: 'duration_minutes must be a positive number, or until must be given' });
+        return;
+    }
+
+    try {
+        const silence = await alertService.addSilence({
+            instanceId: body.instanceId,
+            rule: body.rule,
+            durationMinutes: body.duration_minutes,
+            until: body.until,
+            reason: body.reason
+        });
+        sendJson(res, 201, { success: true, data: silence });
+    } catch (error) {
+        sendJson(res, 400, { success: false, message: error.message });
+    }
+}
+
+/**
+ * DELETE /api/alerts/silences?id=
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function deleteSilence(req, res) {
+    const id = new URL(req.url, `http://${req.headers.host}`).searchParams.get('id');
+    if (!id) {
+        sendJson(res, 400, { success: false, message: 'id parameter is required' });
+        return;
+    }
+    if (!(await alertService.removeSilence(id))) {
+        sendJson(res, 404, { success: false, message: `No silence with id '${id}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: 'Silence removed' });
+}
+
+/**
+ * Routing table for the alert endpoints. `readsBody` handlers receive the parsed JSON body.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/alerts', method: 'GET', handler: listAlerts },
+    { path: '/api/alerts/acknowledge', method: 'POST', handler: acknowledgeAlert, readsBody: true },
+    { path: '/api/alerts/silences', method: 'POST', handler: createSilence, readsBody: true },
+    { path: '/api/alerts/silences', method: 'DELETE', handler: deleteSilence }
+];
+
+const route = createRouter(routes, 'alerts');
+
+module.exports = {
+    route
+};
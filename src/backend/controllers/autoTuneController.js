@@ -0,0 +1,114 @@
+/**
+ * @file Auto-Tune Controller
+ *
+ * Handles API requests for the frequency/voltage auto-tuner. Routes:
+ * - `GET /api/autotune`: the running or last job of every miner
+ * - `GET /api/autotune/status?instanceId=Bitaxe1`: the running or last job of one miner
+ * - `POST /api/autotune/start`: start tuning a miner (`{ "instanceId": "Bitaxe1", "options": { "settleSeconds": 90, "maxTemp": 65 } }`)
+ * - `POST /api/autotune/stop`: stop a job and restore the original settings (`{ "instanceId": "Bitaxe1" }`)
+ * - `POST /api/autotune/apply`: apply a point of the last report (`{ "instanceId": "Bitaxe1", "point": "efficiency" | "hashrate" }`)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const autoTuneService = require('../services/autoTuneService');
+const { sendJson, sendServiceError, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/autotune
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function listJobs(req, res) {
+    sendJson(res, 200, { success: true, data: await autoTuneService.getJobs() });
+}
+
+/**
+ * GET /api/autotune/status?instanceId=Bitaxe1
+ * Answers with `data: null` for a miner that was never tuned.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function getStatus(req, res) {
+    const instanceId = new URL(req.url, `http://${req.headers.host}`).searchParams.get('instanceId');
+    if (!instanceId) {
+        sendJson(res, 400, { success: false, message: 'instanceId is required' });
+        return;
+    }
+    sendJson(res, 200, { success: true, data: await autoTuneService.getJob(instanceId) });
+}
+
+/**
+ * POST /api/autotune/start
+ * Answers as soon as the job has started; follow it with GET /api/autotune/status.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function startJob(req, res, config, body) {
+    try {
+        const job = await autoTuneService.start(config, body.instanceId, body.options);
+        sendJson(res, 200, { success: true, message: job.message, data: job });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+}
+
+/**
+ * POST /api/autotune/stop
+ * Answers once the original settings have been restored.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function stopJob(req, res, config, body) {
+    try {
+        const job = await autoTuneService.stop(body.instanceId);
+        sendJson(res, 200, { success: true, message: job.message, data: job });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+}
+
+/**
+ * POST /api/autotune/apply
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function applyResult(req, res, config, body) {
+    try {
+        const settings = await autoTuneService.applyResult(config, body.instanceId, body.point);
+        sendJson(res, 200, {
+            success: true,
+            message: `${body.instanceId} set to ${settings.frequency} MHz / ${settings.coreVoltage} mV`,
+            data: settings
+        });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+}
+
+/**
+ * Routing table for the auto-tune endpoints. `readsBody` handlers receive the parsed JSON
+ * body; `changesSettings` handlers are refused when device settings are disabled.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/autotune', method: 'GET', handler: listJobs },
+    { path: '/api/autotune/status', method: 'GET', handler: getStatus },
+    { path: '/api/autotune/start', method: 'POST', handler: startJob, readsBody: true, changesSettings: true },
+    { path: '/api/autotune/stop', method: 'POST', handler: stopJob, readsBody: true, changesSettings: true },
+    { path: '/api/autotune/apply', method: 'POST', handler: applyResult, readsBody: true, changesSettings: true }
+];
+
+const route = createRouter(routes, 'auto-tune');
+
+module.exports = {
+    route
+};
@@ -0,0 +1,142 @@
+/**
+ * @file Controller Utilities - JSON responses, request bodies and routing shared by the
+ * API controllers.
+ *
+ * Each controller describes its endpoints in a routing table and exports the function
+ * built by `createRouter`. A route entry is `{ path, method, handler }` plus optional flags:
+ * - `readsBody`: the handler receives the parsed JSON body as its fourth argument
+ * - `changesConfig`: refused with 403 when `disable_configurations` is set
+ * - `changesSettings`: refused with 403 when `disable_settings` is set
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+/**
+ * Largest JSON request body accepted, in bytes.
+ * @constant {number}
+ */
+const MAX_JSON_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Sends a JSON response.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {number} statusCode The HTTP status code.
+ * @param {object} payload The response body.
+ */
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Reads and parses the JSON request body. A body past the size limit is read to the end
+ * but not kept, so the response can still be sent.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {number} [maxSize=MAX_JSON_BODY_SIZE] The largest body accepted, in bytes.
+ * @returns {Promise<object>} The parsed body, or an empty object when there is none.
+ * @throws {SyntaxError} If the body is not valid JSON.
+ * @throws {Error} With a `statusCode` of 400 if the body is not a JSON object, or 413 if
+ * it is larger than `maxSize`.
+ */
+async function readJsonBody(req, maxSize = MAX_JSON_BODY_SIZE) {
+    const body = await new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= maxSize) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            resolve(size <= maxSize ? Buffer.concat(chunks).toString('utf8') : null);
+        });
+        req.on('error', err => reject(err));
+    });
+    if (body === null) {
+        throw Object.assign(new Error(`The request body is larger than ${maxSize / 1024} KB`), { statusCode: 413 });
+    }
+    if (body.trim() === '') {
+        return {};
+    }
+    const parsed = JSON.parse(body);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw Object.assign(new Error('The request body must be a JSON object'), { statusCode: 400 });
+    }
+    return parsed;
+}
+
+/**
+ * Answers with the status code of an error thrown by a service, or rethrows it.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {Error} error The error.
+ * @param {Array<number>} [statusCodes=[400, 404, 409]] The status codes answered as they are.
+ */
+function sendServiceError(res, error, statusCodes = [400, 404, 409]) {
+    if (!statusCodes.includes(error.statusCode)) {
+        throw error;
+    }
+    sendJson(res, error.statusCode, { success: false, message: error.message });
+}
+
+/**
+ * Builds the function that dispatches requests to the handlers of a routing table.
+ * Unknown paths answer 404, known paths with another method 405, a body that is not a
+ * JSON object 400, a body that is too large 413, and handler errors 500.
+ * @param {Array<object>} routes The routing table.
+ * @param {string} name What the endpoints are about, used in error messages (e.g. 'profile').
+ * @returns {Function} `async (req, res, config)` for apiRouter.
+ */
+function createRouter(routes, name) {
+    return async function route(req, res, config) {
+        const pathname = new URL(req.url, `http://${req.headers.host}`).pathname.replace(/\/+$/, '');
+        const matches = routes.filter(candidate => candidate.path === pathname);
+
+        if (matches.length === 0) {
+            sendJson(res, 404, { success: false, message: `Unknown ${name} endpoint: ${pathname}` });
+            return;
+        }
+        const match = matches.find(candidate => candidate.method === req.method);
+        if (!match) {
+            sendJson(res, 405, { success: false, message: `Method ${req.method} not allowed for ${pathname}` });
+            return;
+        }
+        if (match.changesConfig && config.disable_configurations) {
+            sendJson(res, 403, { success: false, message: 'Configuration changes are disabled' });
+            return;
+        }
+        if (match.changesSettings && config.disable_settings) {
+            sendJson(res, 403, { success: false, message: 'Settings are disabled by configuration.' });
+            return;
+        }
+
+        try {
+            let body = {};
+            if (match.readsBody) {
+                try {
+                    body = await readJsonBody(req);
+                } catch (bodyError) {
+                    sendJson(res, bodyError.statusCode || 400, {
+                        success: false,
+                        message: bodyError.statusCode ? bodyError.message : `Invalid JSON in request body: ${bodyError.message}`
+                    });
+                    return;
+                }
+            }
+            await match.handler(req, res, config, body);
+        } catch (error) {
+            console.error(`Error handling ${req.method} ${pathname}:`, error);
+            sendJson(res, 500, { success: false, message: `Failed to process ${name} request` });
+        }
+    };
+}
+
+module.exports = {
+    MAX_JSON_BODY_SIZE,
+    sendJson,
+    readJsonBody,
+    sendServiceError,
+    createRouter
+};
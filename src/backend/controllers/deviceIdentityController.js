@@ -0,0 +1,82 @@
+/**
+ * @file Device Identity Controller
+ *
+ * Handles API requests for the MAC address bindings of the configured Bitaxe devices
+ * and the notices raised when a device shows up at a different address. Routes:
+ * - `GET /api/devices/identity`: bindings of the configured names and open notices
+ * - `POST /api/devices/identity/apply`: update a moved device's URL (`{ "name": "..." }`)
+ * - `POST /api/devices/identity/dismiss`: dismiss the notices for a name (`{ "name": "..." }`)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const deviceIdentityService = require('../services/deviceIdentityService');
+const { sendJson, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/devices/identity
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function listIdentities(req, res, config) {
+    sendJson(res, 200, { success: true, data: deviceIdentityService.getIdentities(config) });
+}
+
+/**
+ * POST /api/devices/identity/apply
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function applyChange(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    const change = await deviceIdentityService.applyChange(body.name);
+    if (!change) {
+        sendJson(res, 404, { success: false, message: `No address change for '${body.name}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: `Updated the URL of ${body.name} to ${change.newUrl}`, data: change });
+}
+
+/**
+ * POST /api/devices/identity/dismiss
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function dismissChange(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    if (!(await deviceIdentityService.dismissChange(body.name))) {
+        sendJson(res, 404, { success: false, message: `No notice for '${body.name}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: 'Notice dismissed' });
+}
+
+/**
+ * Routing table for the device identity endpoints. `readsBody` handlers receive the
+ * parsed JSON body; `changesConfig` handlers are refused when configurations are disabled.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/devices/identity', method: 'GET', handler: listIdentities },
+    { path: '/api/devices/identity/apply', method: 'POST', handler: applyChange, readsBody: true, changesConfig: true },
+    { path: '/api/devices/identity/dismiss', method: 'POST', handler: dismissChange, readsBody: true, changesConfig: true }
+];
+
+const route = createRouter(routes, 'device identity');
+
+module.exports = {
+    route
+};
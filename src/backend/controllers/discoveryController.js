@@ -0,0 +1,62 @@
+/**
+ * @file Discovery Controller
+ *
+ * Handles API requests for scanning the local network for AxeOS devices, so they can
+ * be added to `bitaxe_instances` without typing in their addresses. Routes:
+ * - `POST /api/discovery/scan`: scan a network range
+ * - `POST /bootstrap/discovery/scan`: the same scan for the bootstrap wizard, before
+ *   config.json exists
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const discoveryService = require('../services/discoveryService');
+const deviceIdentityService = require('../services/deviceIdentityService');
+const { sendJson, createRouter } = require('./controllerUtils');
+
+/**
+ * POST /api/discovery/scan
+ * Scans a network range for AxeOS devices. The optional JSON body
+ * (`{ "cidr": "192.168.1.0/24", "port": 80 }`) overrides the `discovery` settings.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function scan(req, res, config, body) {
+    if (body.cidr) {
+        try {
+            discoveryService.expandCidr(body.cidr);
+        } catch (error) {
+            sendJson(res, 400, { success: false, message: error.message });
+            return;
+        }
+    }
+
+    if (discoveryService.isScanning()) {
+        sendJson(res, 409, { success: false, message: 'A network scan is already running' });
+        return;
+    }
+
+    const result = await discoveryService.scan(config, { cidr: body.cidr, port: body.port });
+    // Devices known by their MAC address count as configured, even at a new address.
+    deviceIdentityService.checkDiscovered(config, result.devices);
+    sendJson(res, 200, { success: true, data: result });
+}
+
+/**
+ * Routing table for the discovery endpoints.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/discovery/scan', method: 'POST', handler: scan, readsBody: true, changesConfig: true },
+    { path: '/bootstrap/discovery/scan', method: 'POST', handler: scan, readsBody: true, changesConfig: true }
+];
+
+const route = createRouter(routes, 'discovery');
+
+module.exports = {
+    route
+};
@@ -0,0 +1,43 @@
+/**
+ * @file Energy Controller
+ *
+ * Handles API requests for the energy report. Routes:
+ * - `GET /api/energy?period=24h`: the efficiency, electricity cost and expected earnings of
+ *   every miner and of the fleet, with the energy used over the period (`24h`, `7d` or `30d`)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const energyService = require('../services/energyService');
+const { sendJson, sendServiceError, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/energy?period=24h
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function getReport(req, res, config) {
+    const period = new URL(req.url, `http://${req.headers.host}`).searchParams.get('period') || undefined;
+    try {
+        sendJson(res, 200, { success: true, data: await energyService.getReport(config, period) });
+    } catch (error) {
+        sendServiceError(res, error, [400]);
+    }
+}
+
+/**
+ * Routing table for the energy endpoints.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/energy', method: 'GET', handler: getReport }
+];
+
+const route = createRouter(routes, 'energy');
+
+module.exports = {
+    route
+};
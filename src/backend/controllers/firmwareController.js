@@ -0,0 +1,111 @@
+/**
+ * @file Firmware Controller
+ *
+ * Handles API requests for over-the-air firmware updates. Routes:
+ * - `GET /api/firmware`: the uploaded firmware files and the current or last update job
+ * - `POST /api/firmware/upload?type=esp-miner|www`: upload a file (raw `application/octet-stream` body)
+ * - `POST /api/firmware/update`: push a file to miners (`{ "type": "esp-miner", "instanceIds": [...] | "all", "stopOnFailure": true }`)
+ * - `GET /api/firmware/status`: the progress of the current or last update job
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const firmwareService = require('../services/firmwareService');
+const { sendJson, sendServiceError, createRouter } = require('./controllerUtils');
+
+/**
+ * Reads the raw request body, giving up once it grows past the largest firmware file.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @returns {Promise<Buffer|null>} The body, or null if it is too large.
+ */
+async function readFileBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= firmwareService.MAX_FIRMWARE_SIZE) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            resolve(size <= firmwareService.MAX_FIRMWARE_SIZE ? Buffer.concat(chunks) : null);
+        });
+        req.on('error', err => reject(err));
+    });
+}
+
+/**
+ * GET /api/firmware
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function getOverview(req, res) {
+    sendJson(res, 200, { success: true, data: { files: await firmwareService.getFiles(), job: firmwareService.getJob() } });
+}
+
+/**
+ * GET /api/firmware/status
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function getStatus(req, res) {
+    sendJson(res, 200, { success: true, data: firmwareService.getJob() });
+}
+
+/**
+ * POST /api/firmware/upload?type=esp-miner|www
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function uploadFile(req, res) {
+    const type = new URL(req.url, `http://${req.headers.host}`).searchParams.get('type');
+    const data = await readFileBody(req);
+    if (!data) {
+        sendJson(res, 413, { success: false, message: `The file is larger than ${firmwareService.MAX_FIRMWARE_SIZE / 1024 / 1024} MB` });
+        return;
+    }
+    try {
+        const file = await firmwareService.saveFile(type, data);
+        sendJson(res, 200, { success: true, message: `${file.fileName} uploaded`, data: file });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+}
+
+/**
+ * POST /api/firmware/update
+ * Answers as soon as the job has started; follow it with GET /api/firmware/status.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function startUpdate(req, res, config, body) {
+    try {
+        const job = await firmwareService.startUpdate(config, body);
+        sendJson(res, 200, { success: true, message: job.message, data: job });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+}
+
+/**
+ * Routing table for the firmware endpoints. `readsBody` handlers receive the parsed JSON
+ * body; `changesSettings` handlers are refused when device settings are disabled.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/firmware', method: 'GET', handler: getOverview },
+    { path: '/api/firmware/status', method: 'GET', handler: getStatus },
+    { path: '/api/firmware/upload', method: 'POST', handler: uploadFile, changesSettings: true },
+    { path: '/api/firmware/update', method: 'POST', handler: startUpdate, readsBody: true, changesSettings: true }
+];
+
+const route = createRouter(routes, 'firmware');
+
+module.exports = {
+    route
+};
@@ -0,0 +1,189 @@
+/**
+ * @file History Controller
+ *
+ * Handles API requests for querying the recorded telemetry history of a single
+ * Bitaxe instance, or of the whole fleet with `instanceId=all`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const historyService = require('../services/historyService');
+
+/**
+ * Range returned when no `from` parameter is given.
+ * @constant {number}
+ */
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of points aimed for when no `step` parameter is given.
+ * @constant {number}
+ */
+const TARGET_POINTS = 300;
+
+/**
+ * Upper bound on the number of points a single query may return.
+ * @constant {number}
+ */
+const MAX_POINTS = 5000;
+
+/**
+ * Step sizes (in seconds) chosen from when the step is picked automatically.
+ * @constant {Array<number>}
+ */
+const AUTO_STEPS = [15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 21600, 43200, 86400];
+
+/**
+ * Multipliers (in seconds) for the duration suffixes accepted by `step`.
+ * @constant {Object.<string, number>}
+ */
+const DURATION_UNITS = {
+    s: 1,
+    m: 60,
+    h: 3600,
+    d: 86400
+};
+
+/**
+ * Parses a timestamp given either in epoch milliseconds or as an ISO 8601 string.
+ * @param {string|null} value The query parameter value.
+ * @returns {number|null} The timestamp in milliseconds, or null if it cannot be parsed.
+ */
+function parseTimestamp(value) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Parses a step given in seconds ("300") or as a duration ("5m", "1h", "1d").
+ * @param {string} value The query parameter value.
+ * @returns {number|null} The step in milliseconds, or null if it cannot be parsed.
+ */
+function parseStep(value) {
+    const match = value.trim().match(/^(\d+)([smhd]?)$/);
+    if (!match) {
+        return null;
+    }
+    const stepMs = parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'] * 1000;
+    return stepMs > 0 ? stepMs : null;
+}
+
+/**
+ * Sends a JSON error response.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} message The error message.
+ */
+function sendError(res, statusCode, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        success: false,
+        message: message
+    }));
+}
+
+/**
+ * GET /api/history?instanceId=&metric=&from=&to=&step=&agg=
+ * Returns the recorded telemetry of an instance (or `all` for the fleet aggregate)
+ * between `from` and `to`, aggregated into `step`-sized buckets.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function getHistory(req, res, config) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const params = url.searchParams;
+    const instanceId = params.get('instanceId');
+
+    if (!instanceId) {
+        sendError(res, 400, 'instanceId parameter is required');
+        return;
+    }
+
+    const instanceNames = (config.bitaxe_instances || []).map(instance => Object.keys(instance)[0]);
+    if (instanceId !== 'all' && !instanceNames.includes(instanceId)) {
+        sendError(res, 404, `Instance '${instanceId}' not found in configuration`);
+        return;
+    }
+
+    // Metrics may be given as a comma-separated list and/or as repeated parameters.
+    const requestedMetrics = params.getAll('metric')
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+    const metrics = requestedMetrics.length > 0 ? requestedMetrics : historyService.HISTORY_METRICS;
+    const unknownMetrics = metrics.filter(metric => !historyService.HISTORY_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+        sendError(res, 400, `Unknown metric(s): ${unknownMetrics.join(', ')}. Available metrics: ${historyService.HISTORY_METRICS.join(', ')}`);
+        return;
+    }
+
+    const aggregation = params.get('agg') || 'avg';
+    if (!historyService.AGGREGATIONS.includes(aggregation)) {
+        sendError(res, 400, `Invalid agg '${aggregation}'. Use one of: ${historyService.AGGREGATIONS.join(', ')}`);
+        return;
+    }
+
+    const to = params.has('to') ? parseTimestamp(params.get('to')) : Date.now();
+    const from = params.has('from') ? parseTimestamp(params.get('from')) : to - DEFAULT_RANGE_MS;
+    if (from === null || to === null) {
+        sendError(res, 400, 'from and to must be epoch milliseconds or ISO 8601 dates');
+        return;
+    }
+    if (from >= to) {
+        sendError(res, 400, 'from must be earlier than to');
+        return;
+    }
+
+    let stepMs;
+    if (params.has('step')) {
+        stepMs = parseStep(params.get('step'));
+        if (stepMs === null) {
+            sendError(res, 400, 'step must be a number of seconds or a duration such as 30s, 5m, 1h or 1d');
+            return;
+        }
+    } else {
+        const minimumStep = (to - from) / TARGET_POINTS / 1000;
+        stepMs = (AUTO_STEPS.find(step => step >= minimumStep) || AUTO_STEPS[AUTO_STEPS.length - 1]) * 1000;
+    }
+    if ((to - from) / stepMs > MAX_POINTS) {
+        sendError(res, 400, `step is too small for the requested range (at most ${MAX_POINTS} points)`);
+        return;
+    }
+
+    try {
+        const result = historyService.query({
+            instanceId: instanceId,
+            metrics: metrics,
+            from: from,
+            to: to,
+            stepMs: stepMs,
+            aggregation: aggregation
+        }, config);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            instanceId: instanceId,
+            from: from,
+            to: to,
+            step: stepMs / 1000,
+            agg: aggregation,
+            metrics: metrics,
+            tier: result.tier,
+            data: result.series
+        }));
+    } catch (error) {
+        console.error(`Error querying history for ${instanceId}:`, error);
+        sendError(res, 500, 'Failed to query history');
+    }
+}
+
+module.exports = {
+    getHistory
+};
@@ -0,0 +1,75 @@
+/**
+ * @file Notification Controller
+ *
+ * Handles API requests for sending test notifications through the alert
+ * notification channels configured in config.json.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const notificationService = require('../services/notificationService');
+const { readJsonBody } = require('./controllerUtils');
+
+/**
+ * POST /api/notifications/test
+ * Sends a test notification to the channel named in the optional JSON body
+ * (`{ "channel": "name" }`), or to every enabled channel.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function sendTestNotification(req, res, config) {
+    try {
+        let channelName;
+        try {
+            channelName = (await readJsonBody(req)).channel;
+        } catch (bodyError) {
+            res.writeHead(bodyError.statusCode || 400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: false,
+                message: bodyError.statusCode ? bodyError.message : `Invalid JSON in request body: ${bodyError.message}`
+            }));
+            return;
+        }
+
+        let results;
+        try {
+            results = await notificationService.sendTest(config, channelName);
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: false,
+                message: error.message
+            }));
+            return;
+        }
+
+        if (results.length === 0) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: false,
+                message: 'No enabled notification channels are configured'
+            }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: results.every(result => result.success),
+            data: results
+        }));
+    } catch (error) {
+        console.error('Error sending test notification:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: false,
+            message: 'Failed to send test notification'
+        }));
+    }
+}
+
+module.exports = {
+    sendTestNotification
+};
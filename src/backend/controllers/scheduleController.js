@@ -0,0 +1,125 @@
+/**
+ * @file Schedule Controller
+ *
+ * Handles API requests for the scheduled actions in the `schedules` section of config.json
+ * and their run log. Routes:
+ * - `GET /api/schedules`: every schedule with its next and last run
+ * - `GET /api/schedules/runs`: the run log, newest first (`?name=...&limit=50`)
+ * - `POST /api/schedules/save`: add or replace a schedule (`{ "schedule": {...}, "originalName": "..." }`)
+ * - `POST /api/schedules/delete`: delete a schedule (`{ "name": "..." }`)
+ * - `POST /api/schedules/run`: run a schedule now (`{ "name": "..." }`)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const scheduleService = require('../services/scheduleService');
+const { sendJson, sendServiceError, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/schedules
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function listSchedules(req, res, config) {
+    sendJson(res, 200, { success: true, data: scheduleService.listSchedules(config) });
+}
+
+/**
+ * GET /api/schedules/runs
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function listRuns(req, res) {
+    const params = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    const limit = params.has('limit') ? Number(params.get('limit')) : 50;
+    if (!Number.isInteger(limit) || limit < 1) {
+        sendJson(res, 400, { success: false, message: 'limit must be a positive integer' });
+        return;
+    }
+    sendJson(res, 200, { success: true, data: scheduleService.getRuns({ name: params.get('name'), limit }) });
+}
+
+/**
+ * POST /api/schedules/save
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function saveSchedule(req, res, config, body) {
+    try {
+        const schedule = await scheduleService.saveSchedule(body.schedule, body.originalName);
+        sendJson(res, 200, { success: true, message: `Schedule '${schedule.name}' saved`, data: schedule });
+    } catch (error) {
+        sendServiceError(res, error, [400, 404]);
+    }
+}
+
+/**
+ * POST /api/schedules/delete
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function deleteSchedule(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    if (!(await scheduleService.deleteSchedule(body.name))) {
+        sendJson(res, 404, { success: false, message: `No schedule named '${body.name}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: `Schedule '${body.name}' deleted` });
+}
+
+/**
+ * POST /api/schedules/run
+ * Runs a schedule straight away, whether or not it is enabled, and answers with its run log entry.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function runSchedule(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    const schedule = (config.schedules || []).find(candidate => candidate.name === body.name);
+    if (!schedule) {
+        sendJson(res, 404, { success: false, message: `No schedule named '${body.name}'` });
+        return;
+    }
+    const problem = scheduleService.validateSchedule(schedule);
+    if (problem) {
+        sendJson(res, 400, { success: false, message: `Schedule '${body.name}' is invalid: ${problem}` });
+        return;
+    }
+    const run = await scheduleService.runSchedule(config, schedule, 'manual');
+    sendJson(res, 200, { success: true, message: run.message, data: run });
+}
+
+/**
+ * Routing table for the schedule endpoints. `readsBody` handlers receive the parsed JSON
+ * body; `changesConfig` handlers are refused when configurations are disabled, and
+ * `changesSettings` handlers when device settings are disabled.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/schedules', method: 'GET', handler: listSchedules },
+    { path: '/api/schedules/runs', method: 'GET', handler: listRuns },
+    { path: '/api/schedules/save', method: 'POST', handler: saveSchedule, readsBody: true, changesConfig: true },
+    { path: '/api/schedules/delete', method: 'POST', handler: deleteSchedule, readsBody: true, changesConfig: true },
+    { path: '/api/schedules/run', method: 'POST', handler: runSchedule, readsBody: true, changesSettings: true }
+];
+
+const route = createRouter(routes, 'schedule');
+
+module.exports = {
+    route
+};
@@ -0,0 +1,105 @@
+/**
+ * @file Settings Profile Controller
+ *
+ * Handles API requests for the named settings profiles. Routes:
+ * - `GET /api/profiles`: every saved profile
+ * - `POST /api/profiles/save`: create or replace a profile (`{ "name": "...", "settings": {...} }`)
+ * - `POST /api/profiles/delete`: delete a profile (`{ "name": "..." }`)
+ * - `POST /api/profiles/apply`: apply a profile to miners (`{ "name": "...", "instanceIds": [...] | "all" }`)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const settingsProfileService = require('../services/settingsProfileService');
+const instanceServices = require('../services/instanceServices');
+const { sendJson, sendServiceError, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/profiles
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function listProfiles(req, res) {
+    sendJson(res, 200, { success: true, data: await settingsProfileService.getProfiles() });
+}
+
+/**
+ * POST /api/profiles/save
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function saveProfile(req, res, config, body) {
+    try {
+        const profile = await settingsProfileService.saveProfile(body.name, body.settings);
+        sendJson(res, 200, { success: true, message: `Profile '${profile.name}' saved`, data: profile });
+    } catch (error) {
+        sendServiceError(res, error, [400]);
+    }
+}
+
+/**
+ * POST /api/profiles/delete
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function deleteProfile(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    if (!(await settingsProfileService.deleteProfile(body.name))) {
+        sendJson(res, 404, { success: false, message: `No profile named '${body.name}'` });
+        return;
+    }
+    sendJson(res, 200, { success: true, message: `Profile '${body.name}' deleted` });
+}
+
+/**
+ * POST /api/profiles/apply
+ * Answers with the per-device report of instanceServices.runBulkAction.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ * @param {object} body The parsed request body.
+ */
+async function applyProfile(req, res, config, body) {
+    if (!body.name) {
+        sendJson(res, 400, { success: false, message: 'name is required' });
+        return;
+    }
+    const profile = await settingsProfileService.getProfile(body.name);
+    if (!profile) {
+        sendJson(res, 404, { success: false, message: `No profile named '${body.name}'` });
+        return;
+    }
+    try {
+        const report = await instanceServices.runBulkAction(config, body.instanceIds, 'settings', profile.settings);
+        sendJson(res, 200, { success: true, data: { profile: profile.name, ...report } });
+    } catch (error) {
+        sendServiceError(res, error, [400]);
+    }
+}
+
+/**
+ * Routing table for the settings profile endpoints. `readsBody` handlers receive the
+ * parsed JSON body; `changesSettings` handlers are refused when device settings are disabled.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/profiles', method: 'GET', handler: listProfiles },
+    { path: '/api/profiles/save', method: 'POST', handler: saveProfile, readsBody: true, changesSettings: true },
+    { path: '/api/profiles/delete', method: 'POST', handler: deleteProfile, readsBody: true, changesSettings: true },
+    { path: '/api/profiles/apply', method: 'POST', handler: applyProfile, readsBody: true, changesSettings: true }
+];
+
+const route = createRouter(routes, 'profile');
+
+module.exports = {
+    route
+};
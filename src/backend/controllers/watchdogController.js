@@ -0,0 +1,47 @@
+/**
+ * @file Watchdog Controller
+ *
+ * Handles API requests for the watchdog that restarts hung miners. Routes:
+ * - `GET /api/watchdog?instanceId=&limit=`: the effective settings, the open incidents and
+ *   the history log (newest first), optionally for one miner and limited to the newest entries
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const watchdogService = require('../services/watchdogService');
+const { sendJson, createRouter } = require('./controllerUtils');
+
+/**
+ * GET /api/watchdog
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function getOverview(req, res, config) {
+    const params = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    const instanceId = params.get('instanceId') || undefined;
+    sendJson(res, 200, {
+        success: true,
+        data: {
+            settings: watchdogService.getSettings(config),
+            incidents: watchdogService.getIncidents().filter(incident => !instanceId || incident.instanceId === instanceId),
+            history: watchdogService.getHistory({ instanceId, limit: parseInt(params.get('limit'), 10) || undefined })
+        }
+    });
+}
+
+/**
+ * Routing table for the watchdog endpoints.
+ * @const {Array<object>}
+ */
+const routes = [
+    { path: '/api/watchdog', method: 'GET', handler: getOverview }
+];
+
+const route = createRouter(routes, 'watchdog');
+
+module.exports = {
+    route
+};
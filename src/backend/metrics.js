@@ -0,0 +1,313 @@
+/**
+ * @file This module provides the Prometheus `/metrics` endpoint.
+ * It exposes the latest snapshot of all Bitaxe, Mining Core and crypto node instances,
+ * as collected by the background polling service, in the Prometheus text exposition
+ * format so that the whole fleet can be scraped from a single target.
+ *
+ * The endpoint is off unless `metrics.enabled` is true, and does not use the dashboard
+ * login. When `metrics.token` is set in config.json, scrapers must send it as a bearer
+ * token (or as `?token=`). While the dashboard login is on, the endpoint is refused until
+ * a token is set, so enabling it never exposes the fleet (wallet balances, MAC addresses,
+ * pools) to anyone who can reach the dashboard.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const crypto = require('crypto');
+const pollingService = require('./services/pollingService');
+const { parseDifficulty } = require('./services/historyService');
+
+/**
+ * Content type of the Prometheus text exposition format.
+ * @constant {string}
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Defaults for the `metrics` section of config.json.
+ * @constant {object}
+ */
+const DEFAULT_METRICS_SETTINGS = {
+    enabled: false,
+    token: ''
+};
+
+/**
+ * Per-miner metrics. `value` reads the metric from the AxeOS /api/system/info data.
+ * Every series is labelled with `miner`, the configured instance name; the hostname and
+ * other descriptive labels are only on `bitaxe_info`, so series survive a device going offline.
+ * @constant {Array<object>}
+ */
+const MINER_METRICS = [
+    { name: 'bitaxe_hashrate_ghs', type: 'gauge', help: 'Current hashrate in GH/s.', value: data => data.hashRate },
+    { name: 'bitaxe_expected_hashrate_ghs', type: 'gauge', help: 'Expected hashrate in GH/s for the configured frequency.', value: data => data.expectedHashrate },
+    { name: 'bitaxe_temperature_celsius', type: 'gauge', help: 'ASIC temperature in degrees Celsius.', value: data => data.temp },
+    { name: 'bitaxe_vr_temperature_celsius', type: 'gauge', help: 'Voltage regulator temperature in degrees Celsius.', value: data => data.vrTemp },
+    { name: 'bitaxe_power_watts', type: 'gauge', help: 'Power consumption in watts.', value: data => data.power },
+    { name: 'bitaxe_input_voltage_volts', type: 'gauge', help: 'Input voltage in volts.', value: data => millisToUnits(data.voltage) },
+    { name: 'bitaxe_core_voltage_volts', type: 'gauge', help: 'Measured ASIC core voltage in volts.', value: data => millisToUnits(data.coreVoltageActual) },
+    { name: 'bitaxe_frequency_mhz', type: 'gauge', help: 'Configured ASIC frequency in MHz.', value: data => data.frequency },
+    { name: 'bitaxe_fan_speed_percent', type: 'gauge', help: 'Fan speed in percent.', value: data => data.fanspeed },
+    { name: 'bitaxe_fan_rpm', type: 'gauge', help: 'Fan speed in RPM.', value: data => data.fanrpm },
+    { name: 'bitaxe_uptime_seconds', type: 'gauge', help: 'Time since the device booted, in seconds.', value: data => data.uptimeSeconds },
+    { name: 'bitaxe_wifi_rssi_dbm', type: 'gauge', help: 'WiFi signal strength in dBm.', value: data => data.wifiRSSI },
+    { name: 'bitaxe_shares_accepted_total', type: 'counter', help: 'Shares accepted by the pool since the device booted.', value: data => data.sharesAccepted },
+    { name: 'bitaxe_shares_rejected_total', type: 'counter', help: 'Shares rejected by the pool since the device booted.', value: data => data.sharesRejected },
+    { name: 'bitaxe_best_difficulty', type: 'gauge', help: 'Best share difficulty ever found by the device.', value: data => parseDifficulty(data.bestDiff) },
+    { name: 'bitaxe_best_session_difficulty', type: 'gauge', help: 'Best share difficulty found since the device booted.', value: data => parseDifficulty(data.bestSessionDiff) },
+    { name: 'bitaxe_using_fallback_pool', type: 'gauge', help: '1 if the device is mining on its fallback pool.', value: data => data.isUsingFallbackStratum }
+];
+
+/**
+ * Per-pool Mining Core metrics, labelled with `mining_core`, `pool` and `coin`.
+ * @constant {Array<object>}
+ */
+const POOL_METRICS = [
+    { name: 'miningcore_pool_hashrate_hs', type: 'gauge', help: 'Pool hashrate in H/s.', value: pool => pool.poolStats && pool.poolStats.poolHashrate },
+    { name: 'miningcore_connected_miners', type: 'gauge', help: 'Number of miners connected to the pool.', value: pool => pool.poolStats && pool.poolStats.connectedMiners },
+    { name: 'miningcore_shares_per_second', type: 'gauge', help: 'Shares submitted to the pool per second.', value: pool => pool.poolStats && pool.poolStats.sharesPerSecond },
+    { name: 'miningcore_network_difficulty', type: 'gauge', help: 'Current network difficulty.', value: pool => pool.networkStats && pool.networkStats.networkDifficulty },
+    { name: 'miningcore_network_hashrate_hs', type: 'gauge', help: 'Estimated network hashrate in H/s.', value: pool => pool.networkStats && pool.networkStats.networkHashrate },
+    { name: 'miningcore_block_height', type: 'gauge', help: 'Current network block height.', value: pool => pool.networkStats && pool.networkStats.blockHeight },
+    { name: 'miningcore_connected_peers', type: 'gauge', help: 'Number of peers connected to the pool daemon.', value: pool => pool.networkStats && pool.networkStats.connectedPeers },
+    { name: 'miningcore_blocks_found_total', type: 'counter', help: 'Blocks found by the pool.', value: pool => pool.totalBlocks },
+    { name: 'miningcore_block_reward', type: 'gauge', help: 'Current block reward in coins.', value: pool => pool.blockReward }
+];
+
+/**
+ * Per-node crypto node metrics, labelled with `node` (the configured node name).
+ * @constant {Array<object>}
+ */
+const NODE_METRICS = [
+    { name: 'cryptonode_blocks', type: 'gauge', help: 'Number of blocks validated by the node.', value: node => node.blockchainInfo && node.blockchainInfo.blocks },
+    { name: 'cryptonode_headers', type: 'gauge', help: 'Number of block headers known to the node.', value: node => node.blockchainInfo && node.blockchainInfo.headers },
+    { name: 'cryptonode_verification_progress', type: 'gauge', help: 'Chain verification progress between 0 and 1.', value: node => node.blockchainInfo && node.blockchainInfo.verificationprogress },
+    { name: 'cryptonode_difficulty', type: 'gauge', help: 'Current network difficulty reported by the node.', value: node => node.blockchainInfo && node.blockchainInfo.difficulty },
+    { name: 'cryptonode_connections', type: 'gauge', help: 'Number of peer connections.', value: node => node.networkInfo && node.networkInfo.connections },
+    { name: 'cryptonode_balance', type: 'gauge', help: 'Wallet balance in coins.', value: node => node.balance },
+    { name: 'cryptonode_received_bytes_total', type: 'counter', help: 'Bytes received from peers.', value: node => node.networkTotals && node.networkTotals.totalbytesrecv },
+    { name: 'cryptonode_sent_bytes_total', type: 'counter', help: 'Bytes sent to peers.', value: node => node.networkTotals && node.networkTotals.totalbytessent }
+];
+
+/**
+ * Converts a value given in thousandths (e.g. millivolts) to units.
+ * @param {number} value The value in thousandths.
+ * @returns {number|undefined} The value in units.
+ */
+function millisToUnits(value) {
+    return typeof value === 'number' ? value / 1000 : undefined;
+}
+
+/**
+ * Returns the metrics settings with defaults applied.
+ * @param {object} config The application configuration object.
+ * @returns {object} The effective metrics settings.
+ */
+function getMetricsSettings(config) {
+    return { ...DEFAULT_METRICS_SETTINGS, ...((config && config.metrics) || {}) };
+}
+
+/**
+ * Escapes a label value as required by the exposition format.
+ * @param {*} value The label value.
+ * @returns {string} The escaped value.
+ */
+function escapeLabelValue(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set as `{name="value",...}`.
+ * @param {Object.<string, *>} labels The labels.
+ * @returns {string} The formatted label set, or an empty string when there are no labels.
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Converts a metric value to a sample value. Booleans become 1/0; anything that is
+ * not a finite number (missing fields, "N/A" strings) yields null and is skipped.
+ * @param {*} value The raw value.
+ * @returns {number|null} The sample value.
+ */
+function toSampleValue(value) {
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+    }
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Collects samples and renders them grouped by metric family, each family
+ * preceded by its HELP and TYPE lines.
+ */
+class MetricsWriter {
+    constructor() {
+        this.families = new Map();
+    }
+
+    /**
+     * Adds a sample. Samples without a numeric value are ignored.
+     * @param {{name: string, type: string, help: string}} metric The metric family.
+     * @param {Object.<string, *>} labels The sample labels.
+     * @param {*} value The sample value.
+     */
+    add(metric, labels, value) {
+        const sampleValue = toSampleValue(value);
+        if (sampleValue === null) {
+            return;
+        }
+        if (!this.families.has(metric.name)) {
+            this.families.set(metric.name, { metric: metric, samples: [] });
+        }
+        this.families.get(metric.name).samples.push(`${metric.name}${formatLabels(labels)} ${sampleValue}`);
+    }
+
+    /**
+     * Renders every family in the order it was first added.
+     * @returns {string} The exposition text.
+     */
+    toString() {
+        let output = '';
+        for (const { metric, samples } of this.families.values()) {
+            output += `# HELP ${metric.name} ${metric.help}\n`;
+            output += `# TYPE ${metric.name} ${metric.type}\n`;
+            output += `${samples.join('\n')}\n`;
+        }
+        return output;
+    }
+}
+
+/**
+ * Renders a polling snapshot in the Prometheus text exposition format.
+ * @param {{minerData: Array<object>, miningCoreData: Array<object>, cryptoNodeData: Array<object>}} snapshot
+ * The snapshot returned by pollingService.getSnapshot.
+ * @returns {string} The exposition text.
+ */
+function formatMetrics(snapshot) {
+    const writer = new MetricsWriter();
+    const upMetric = { name: 'bitaxe_up', type: 'gauge', help: '1 if the last poll of the device succeeded.' };
+    const staleMetric = { name: 'bitaxe_stale', type: 'gauge', help: '1 if the device has not answered for several poll intervals.' };
+    const infoMetric = { name: 'bitaxe_info', type: 'gauge', help: 'Device information; the value is always 1.' };
+
+    for (const miner of snapshot.minerData || []) {
+        const labels = { miner: miner.id };
+        const online = miner.status !== 'Error';
+        writer.add(upMetric, labels, online);
+        writer.add(staleMetric, labels, miner.stale === true);
+        if (!online) {
+            continue;
+        }
+        writer.add(infoMetric, {
+            ...labels,
+            hostname: miner.hostname || '',
+            asic_model: miner.ASICModel || '',
+            board_version: miner.boardVersion || '',
+            version: miner.axeOSVersion || miner.version || '',
+            mac: miner.macAddr || ''
+        }, 1);
+        MINER_METRICS.forEach(metric => writer.add(metric, labels, metric.value(miner)));
+    }
+
+    const poolUpMetric = { name: 'miningcore_up', type: 'gauge', help: '1 if the last poll of the Mining Core instance succeeded.' };
+    for (const instance of snapshot.miningCoreData || []) {
+        writer.add(poolUpMetric, { mining_core: instance.instanceName }, instance.status === 'OK');
+        for (const pool of instance.pools || []) {
+            const labels = { mining_core: instance.instanceName, pool: pool.id, coin: (pool.coin && pool.coin.symbol) || '' };
+            POOL_METRICS.forEach(metric => writer.add(metric, labels, metric.value(pool)));
+        }
+    }
+
+    const nodeUpMetric = { name: 'cryptonode_up', type: 'gauge', help: '1 if the last poll of the crypto node succeeded.' };
+    const nodeInfoMetric = { name: 'cryptonode_info', type: 'gauge', help: 'Crypto node information; the value is always 1.' };
+    for (const node of snapshot.cryptoNodeData || []) {
+        const online = node.status !== 'Error';
+        const labels = { node: node.id };
+        writer.add(nodeUpMetric, labels, online);
+        if (online) {
+            writer.add(nodeInfoMetric, {
+                ...labels,
+                node_type: node.nodeType || '',
+                chain: (node.blockchainInfo && node.blockchainInfo.chain) || '',
+                subversion: (node.networkInfo && node.networkInfo.subversion) || ''
+            }, 1);
+            NODE_METRICS.forEach(metric => writer.add(metric, labels, metric.value(node)));
+        }
+    }
+
+    return writer.toString();
+}
+
+/**
+ * Checks the request's token against the configured one, in constant time.
+ * The token is accepted from an `Authorization: Bearer` header or a `token` query parameter.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {string} expectedToken The configured token.
+ * @returns {boolean} True if the request carries the right token.
+ */
+function hasValidToken(req, expectedToken) {
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    const provided = bearer
+        ? bearer[1].trim()
+        : new URL(req.url, `http://${req.headers.host}`).searchParams.get('token') || '';
+
+    const expected = Buffer.from(String(expectedToken));
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Handles requests for the /metrics endpoint.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration object.
+ */
+async function display(req, res, config) {
+    const settings = getMetricsSettings(config);
+
+    if (settings.enabled !== true) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('404 Not Found - Metrics are disabled');
+        return;
+    }
+
+    if (!settings.token && !config.disable_authentication) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('403 Forbidden - Set metrics.token in config.json to serve metrics while authentication is enabled');
+        return;
+    }
+
+    if (settings.token && !hasValidToken(req, settings.token)) {
+        res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer realm="metrics"' });
+        res.end('401 Unauthorized');
+        return;
+    }
+
+    try {
+        const snapshot = await pollingService.getSnapshot(config);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+        res.end(formatMetrics(snapshot));
+    } catch (error) {
+        console.error('Server-side Error in metrics display:', error);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('500 Internal Server Error');
+        }
+    }
+}
+
+module.exports = {
+    display,
+    formatMetrics
+};
@@ -8,11 +8,23 @@
 // Import all of the various controller modules for internal API calls.
 const instanceInfo = require('../instanceInfo');
 const systemsInfo = require('../systemsInfo');
+const streamService = require('../services/streamService');
 const instanceServices = require('../services/instanceServices');
 const authController = require('../authController');
 const configurationServices = require('../services/configurationServices');
 const statisticsServices = require('../services/statisticsServices');
+const historyController = require('../controllers/historyController');
+const notificationController = require('../controllers/notificationController');
+const alertController = require('../controllers/alertController');
 const migrationController = require('../controllers/migrationController');
+const discoveryController = require('../controllers/discoveryController');
+const deviceIdentityController = require('../controllers/deviceIdentityController');
+const settingsProfileController = require('../controllers/settingsProfileController');
+const scheduleController = require('../controllers/scheduleController');
+const firmwareController = require('../controllers/firmwareController');
+const autoTuneController = require('../controllers/autoTuneController');
+const watchdogController = require('../controllers/watchdogController');
+const energyController = require('../controllers/energyController');
 
 /**
  * Defines the routing map for all internal API endpoints. Each route object specifies:
@@ -35,6 +47,12 @@ const routes = [
         handler: systemsInfo.display,
         exactMatch: true
     },
+    {
+        path: '/api/stream',
+        method: 'GET',
+        handler: streamService.handleStream,
+        exactMatch: true
+    },
     {
         path: '/api/instance/service',
         method: 'ANY',
@@ -65,6 +83,24 @@ const routes = [
         handler: statisticsServices.route,
         exactMatch: false
     },
+    {
+        path: '/api/history',
+        method: 'GET',
+        handler: historyController.getHistory,
+        exactMatch: false
+    },
+    {
+        path: '/api/notifications/test',
+        method: 'POST',
+        handler: notificationController.sendTestNotification,
+        exactMatch: true
+    },
+    {
+        path: '/api/alerts',
+        method: 'ANY',
+        handler: alertController.route,
+        exactMatch: false
+    },
     {
         path: '/api/migration/status',
         method: 'GET',
@@ -76,6 +112,54 @@ const routes = [
         method: 'POST',
         handler: migrationController.clearMigrationStatus,
         exactMatch: true
+    },
+    {
+        path: '/api/discovery/scan',
+        method: 'POST',
+        handler: discoveryController.route,
+        exactMatch: true
+    },
+    {
+        path: '/api/devices/identity',
+        method: 'ANY',
+        handler: deviceIdentityController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/profiles',
+        method: 'ANY',
+        handler: settingsProfileController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/schedules',
+        method: 'ANY',
+        handler: scheduleController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/firmware',
+        method: 'ANY',
+        handler: firmwareController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/autotune',
+        method: 'ANY',
+        handler: autoTuneController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/watchdog',
+        method: 'ANY',
+        handler: watchdogController.route,
+        exactMatch: false
+    },
+    {
+        path: '/api/energy',
+        method: 'ANY',
+        handler: energyController.route,
+        exactMatch: false
     }
     // Add more routes here as your application grows
 
@@ -0,0 +1,222 @@
+/**
+ * @file Demo API sub-router.
+ *
+ * When `demo_mode` is true, apiMapService prefixes every device path with `/demo`, so
+ * pointing `bitaxe_instances` and `mining_core_url` at the dashboard itself (e.g.
+ * `http://127.0.0.1:3000`) makes the dashboard poll this router instead of real hardware.
+ * It serves the fixtures in `src/demo-apis/`:
+ * - `GET /demo/api/system/info`: bitaxe-info.json, with a live uptime and any settings PATCHed since startup
+ * - `GET /demo/api/system/statistics/dashboard`: an hour of statistics generated around bitaxe-info.json
+ * - `POST /demo/api/system/restart`: restart-response.txt (resets the uptime)
+ * - `PATCH /demo/api/system`: merges known settings into the demo device
+ * - `GET /demo/api/pools`: mining-core.json
+ * - `GET /demo/api/pools/{id}/performance`, `/miners` and `/miners/{address}`: the Mining Core detail fixtures
+ *
+ * The demo device is kept in memory, so changes are lost when the dashboard restarts.
+ * All routes answer 404 unless demo_mode is true.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sendJson, readJsonBody } = require('../controllers/controllerUtils');
+
+/**
+ * Directory containing the demo fixtures.
+ * @constant {string}
+ */
+const DEMO_API_DIR = path.join(__dirname, '..', '..', 'demo-apis');
+
+/**
+ * Number of points in the generated statistics, one per minute.
+ * @constant {number}
+ */
+const STATISTICS_POINTS = 60;
+
+/**
+ * State of the demo device. `info` is loaded from bitaxe-info.json on first use.
+ * @type {{info: object|null, bootedAt: number}}
+ */
+const demoDevice = {
+    info: null,
+    bootedAt: Date.now()
+};
+
+/**
+ * Reads a fixture from the demo-apis directory.
+ * @param {string} fileName The fixture file name.
+ * @returns {Promise<string>} The file content.
+ */
+async function readFixture(fileName) {
+    return fs.readFile(path.join(DEMO_API_DIR, fileName), 'utf8');
+}
+
+/**
+ * Sends a JSON fixture unchanged.
+ * @param {string} fileName The fixture file name.
+ * @returns {Function} The route handler.
+ */
+function serveJsonFixture(fileName) {
+    return async (req, res) => {
+        const content = await readFixture(fileName);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(content);
+    };
+}
+
+/**
+ * Returns the demo device's system info, loading the fixture on first use.
+ * @returns {Promise<object>} The system info object (shared, not a copy).
+ */
+async function getDeviceInfo() {
+    if (!demoDevice.info) {
+        demoDevice.info = JSON.parse(await readFixture('bitaxe-info.json'));
+        // Count the uptime from the dashboard start on top of the fixture's uptime.
+        demoDevice.bootedAt = Date.now() - (Number(demoDevice.info.uptimeSeconds) || 0) * 1000;
+    }
+    return demoDevice.info;
+}
+
+/**
+ * GET /demo/api/system/info
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function getSystemInfo(req, res) {
+    const info = await getDeviceInfo();
+    sendJson(res, 200, {
+        ...info,
+        uptimeSeconds: Math.floor((Date.now() - demoDevice.bootedAt) / 1000)
+    });
+}
+
+/**
+ * GET /demo/api/system/statistics/dashboard
+ * Generates one point per minute for the last hour, in the AxeOS format
+ * `[hashRate, temp, power, millisecondsSinceBoot]`, varying gently around the
+ * demo device's current values.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function getStatisticsDashboard(req, res) {
+    const info = await getDeviceInfo();
+    const currentTimestamp = Date.now() - demoDevice.bootedAt;
+    const statistics = [];
+
+    for (let i = STATISTICS_POINTS - 1; i >= 0; i--) {
+        const timestamp = currentTimestamp - i * 60000;
+        if (timestamp < 0) {
+            continue; // Nothing recorded before the (demo) boot.
+        }
+        const wave = Math.sin(timestamp / 600000);
+        statistics.push([
+            Number((info.hashRate * (1 + 0.03 * wave)).toFixed(2)),
+            Number((info.temp + 1.5 * wave).toFixed(1)),
+            Number((info.power * (1 + 0.01 * wave)).toFixed(2)),
+            timestamp
+        ]);
+    }
+
+    sendJson(res, 200, { currentTimestamp: currentTimestamp, statistics: statistics });
+}
+
+/**
+ * POST /demo/api/system/restart
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function restartSystem(req, res) {
+    await getDeviceInfo();
+    demoDevice.bootedAt = Date.now();
+    const content = await readFixture('restart-response.txt');
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(content);
+}
+
+/**
+ * PATCH /demo/api/system
+ * Settings that are also system info keys (frequency, fanspeed, hostname, stratumURL, ...)
+ * are merged into the demo device. Others, such as passwords, are accepted and ignored.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ */
+async function updateSettings(req, res) {
+    let settings;
+    try {
+        settings = await readJsonBody(req);
+    } catch (bodyError) {
+        sendJson(res, bodyError.statusCode || 400, {
+            success: false,
+            message: bodyError.statusCode ? bodyError.message : `Invalid JSON in request body: ${bodyError.message}`
+        });
+        return;
+    }
+
+    const info = await getDeviceInfo();
+    Object.keys(settings)
+        .filter(key => Object.prototype.hasOwnProperty.call(info, key))
+        .forEach(key => {
+            info[key] = settings[key];
+        });
+
+    // AxeOS answers a successful PATCH with an empty 200 response.
+    res.writeHead(200);
+    res.end();
+}
+
+/**
+ * Routing table for the demo endpoints, matched against the request pathname.
+ * @const {Array<{pattern: RegExp, method: string, handler: Function}>}
+ */
+const routes = [
+    { pattern: /^\/demo\/api\/system\/info$/, method: 'GET', handler: getSystemInfo },
+    { pattern: /^\/demo\/api\/system\/statistics\/dashboard$/, method: 'GET', handler: getStatisticsDashboard },
+    { pattern: /^\/demo\/api\/system\/restart$/, method: 'POST', handler: restartSystem },
+    { pattern: /^\/demo\/api\/system$/, method: 'PATCH', handler: updateSettings },
+    { pattern: /^\/demo\/api\/pools$/, method: 'GET', handler: serveJsonFixture('mining-core.json') },
+    { pattern: /^\/demo\/api\/pools\/[^/]+\/performance$/, method: 'GET', handler: serveJsonFixture('pools-performance.json') },
+    { pattern: /^\/demo\/api\/pools\/[^/]+\/miners$/, method: 'GET', handler: serveJsonFixture('pool-miners.json') },
+    { pattern: /^\/demo\/api\/pools\/[^/]+\/miners\/[^/]+$/, method: 'GET', handler: serveJsonFixture('minger-performance.json') }
+];
+
+/**
+ * Dispatches a request under /demo/ to its handler.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {object} config The application configuration.
+ */
+async function route(req, res, config) {
+    const pathname = new URL(req.url, `http://${req.headers.host}`).pathname.replace(/\/+$/, '');
+
+    if (config.demo_mode !== true) {
+        sendJson(res, 404, { success: false, message: 'Demo API is only available when demo_mode is true' });
+        return;
+    }
+
+    const matches = routes.filter(candidate => candidate.pattern.test(pathname));
+    if (matches.length === 0) {
+        sendJson(res, 404, { success: false, message: `Unknown demo endpoint: ${pathname}` });
+        return;
+    }
+    const match = matches.find(candidate => candidate.method === req.method);
+    if (!match) {
+        sendJson(res, 405, { success: false, message: `Method ${req.method} not allowed for ${pathname}` });
+        return;
+    }
+
+    try {
+        await match.handler(req, res, config);
+    } catch (error) {
+        console.error(`Error handling demo request ${req.method} ${pathname}:`, error);
+        if (!res.headersSent) {
+            sendJson(res, 500, { success: false, message: 'Failed to serve demo data' });
+        }
+    }
+}
+
+module.exports = {
+    route
+};
@@ -23,8 +23,11 @@ const path = require('path');
 
 const dashboardPage = require('../dashboard');
 const loginPage = require('../loginPage');
+const metrics = require('../metrics');
 const apiRouter = require('./apiRouter');
+const demoRouter = require('./demoRouter');
 const jwTokenServices = require('../services/jwTokenServices');
+const { CONFIG_DIR } = require('../services/configPaths');
 
 
 /**
@@ -159,6 +162,22 @@ const routes = [
         requireJWT: true, // Requires a valid sessionToken for all sub-routes unless a more specific route overrides it.
         sendUserInfo: false //Don't Send the user json with request
     },
+    {
+        path: '/demo/',
+        method: 'ANY',
+        handler: demoRouter.route,
+        exactMatch: false,
+        requireJWT: false, // Polled by the dashboard itself in demo mode; answers 404 unless demo_mode is true
+        sendUserInfo: false //Don't Send the user json with request
+    },
+    {
+        path: '/metrics',
+        method: 'GET',
+        handler: metrics.display,
+        exactMatch: true,
+        requireJWT: false, // Scrapers cannot log in; protected by the optional metrics.token instead
+        sendUserInfo: false //Don't Send the user json with request
+    },
     {
         path: '/login',
         method: 'GET',
@@ -242,8 +261,7 @@ async function route(req, res, config) {
                             try {
                                 // Read current config
                                 const fs = require('fs').promises;
-                                const path = require('path');
-                                const configPath = path.join(__dirname, '..', '..', 'config', 'config.json');
+                                const configPath = path.join(CONFIG_DIR, 'config.json');
                                 const configContent = await fs.readFile(configPath, 'utf8');
                                 const currentConfig = JSON.parse(configContent);
                                 
@@ -0,0 +1,654 @@
+/**
+ * @file Alert Service - Evaluates the `alert_rules` from config.json against every poll.
+ *
+ * Rules are evaluated server-side on each background poll, so problems are noticed
+ * even when nobody has the dashboard open. Each rule is tracked per device and moves
+ * between `ok`, `pending` (condition met, waiting for `for_seconds`), `firing` and
+ * back to `ok` once it has resolved.
+ *
+ * Two rule types are supported:
+ * - `threshold`: compares a device field (or a derived metric) with a value, e.g.
+ *   "temp > 70 for 5 min". Hysteresis is provided by `clear_value` (the value the
+ *   metric has to pass back over before resolving) and `clear_for_seconds`.
+ * - `offline`: fires once a device has failed more than `polls` consecutive polls
+ *   ("offline for > 3 polls") and resolves after `clear_polls` consecutive successful polls.
+ *
+ * Derived miner metrics:
+ * - `hashRatePercentOfExpected`: hashRate as a percentage of expectedHashrate
+ * - `rejectedSharePercent`: sharesRejected as a percentage of all shares
+ *
+ * The service emits an `alert` event with `{ type: 'firing'|'resolved', alert }`
+ * on every state change.
+ *
+ * Firing alerts can be acknowledged, and silences can mute the alerts of a device
+ * and/or rule for a while (e.g. while a miner is being repasted). Silenced alerts
+ * are still tracked but flagged `silenced`, so no notifications are sent for them.
+ * Silences, acknowledgements and the resolved alert history are persisted in
+ * `config/alerts.json`, so an acknowledged alert that is still firing after a restart
+ * stays acknowledged.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const pollingService = require('./pollingService');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * File holding the persisted silences, acknowledgements and alert history.
+ * @constant {string}
+ */
+const ALERT_STATE_PATH = path.join(CONFIG_DIR, 'alerts.json');
+
+/**
+ * Device types a rule can target, mapped to the poll event field holding their data.
+ * @constant {Object.<string, string>}
+ */
+const TARGETS = {
+    miner: 'minerData',
+    mining_core: 'miningCoreData',
+    crypto_node: 'cryptoNodeData'
+};
+
+/**
+ * Supported comparison operators.
+ * @constant {Object.<string, Function>}
+ */
+const OPERATORS = {
+    '>': (actual, expected) => actual > expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '<=': (actual, expected) => actual <= expected,
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected
+};
+
+/**
+ * Supported severities, from the least to the most severe.
+ * @constant {Array<string>}
+ */
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Number of resolved alerts kept in memory for display.
+ * @constant {number}
+ */
+const MAX_RECENT_ALERTS = 200;
+
+/**
+ * Metrics computed from other miner fields.
+ * @constant {Object.<string, Function>}
+ */
+const DERIVED_METRICS = {
+    hashRatePercentOfExpected: data => (typeof data.hashRate === 'number' && data.expectedHashrate > 0)
+        ? data.hashRate / data.expectedHashrate * 100
+        : null,
+    rejectedSharePercent: data => {
+        const accepted = Number(data.sharesAccepted) || 0;
+        const rejected = Number(data.sharesRejected) || 0;
+        return accepted + rejected > 0 ? rejected / (accepted + rejected) * 100 : null;
+    }
+};
+
+/**
+ * Returns the identifier of a device entry from the poll event.
+ * @param {object} data The device data.
+ * @returns {string} The device identifier.
+ */
+function getDeviceId(data) {
+    return data.id || data.instanceName;
+}
+
+/**
+ * Reads a metric from device data. Dotted paths (e.g. `blockchainInfo.initialblockdownload`)
+ * reach into nested objects; derived metrics are computed on the fly.
+ * @param {object} data The device data.
+ * @param {string} metric The metric name or dotted path.
+ * @returns {*} The metric value, or null if it is not available.
+ */
+function readMetric(data, metric) {
+    if (DERIVED_METRICS[metric]) {
+        return DERIVED_METRICS[metric](data);
+    }
+    const value = metric.split('.').reduce((current, key) => (current !== null && current !== undefined) ? current[key] : undefined, data);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Compares a metric value using a rule operator. Booleans are compared as booleans
+ * so that `true` matches both `true` and `1`.
+ * @param {*} actual The metric value.
+ * @param {string} operator One of the OPERATORS keys.
+ * @param {*} expected The value from the rule.
+ * @returns {boolean} Whether the comparison holds.
+ */
+function compare(actual, operator, expected) {
+    if (typeof expected === 'boolean') {
+        return OPERATORS[operator](Boolean(actual), expected);
+    }
+    const number = Number(actual);
+    if (typeof expected === 'number' && !isNaN(number)) {
+        return OPERATORS[operator](number, expected);
+    }
+    return OPERATORS[operator](actual, expected);
+}
+
+/**
+ * Formats a metric value for alert messages.
+ * @param {*} value The metric value.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+    return typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+}
+
+/**
+ * Checks a rule definition and returns a description of the first problem found.
+ * Mirrors the `alert_rules` definition in config.schema.json.
+ * @param {object} rule The rule definition.
+ * @returns {string|null} The problem, or null if the rule is valid.
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return 'rule must be an object';
+    }
+    if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+        return 'name is required';
+    }
+    const type = rule.type || 'threshold';
+    if (!['threshold', 'offline'].includes(type)) {
+        return `unknown type "${rule.type}"`;
+    }
+    if (rule.target !== undefined && !TARGETS[rule.target]) {
+        return `unknown target "${rule.target}"`;
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+        return `unknown severity "${rule.severity}"`;
+    }
+    if (rule.instances !== undefined && !Array.isArray(rule.instances)) {
+        return 'instances must be an array of device names';
+    }
+    if (type === 'threshold') {
+        if (typeof rule.metric !== 'string' || rule.metric === '') {
+            return 'metric is required for threshold rules';
+        }
+        if (!OPERATORS[rule.operator]) {
+            return `operator must be one of ${Object.keys(OPERATORS).join(' ')}`;
+        }
+        if (rule.value === undefined) {
+            return 'value is required for threshold rules';
+        }
+    }
+    for (const key of ['for_seconds', 'clear_for_seconds', 'polls', 'clear_polls']) {
+        if (rule[key] !== undefined && !(Number(rule[key]) >= 0)) {
+            return `${key} must be a number of 0 or more`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Alert Service class - Singleton that evaluates alert rules against poll results.
+ *
+ * @class AlertService
+ * @extends EventEmitter
+ * @since 2.0.0
+ */
+class AlertService extends EventEmitter {
+    constructor() {
+        super();
+        // Per rule/device evaluation state, keyed by alert id.
+        this.states = new Map();
+        this.recentAlerts = [];
+        this.silences = [];
+        // Acknowledged alert ids mapped to the acknowledgement timestamp in milliseconds.
+        this.acknowledgements = new Map();
+        this.reportedInvalidRules = new Set();
+        this.statePath = ALERT_STATE_PATH;
+        this.writeQueue = Promise.resolve();
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Loads the persisted alert state, then subscribes to the polling service.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.load();
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+    }
+
+    /**
+     * Reads the persisted silences, acknowledgements and alert history. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            this.silences = Array.isArray(saved.silences) ? saved.silences : [];
+            this.recentAlerts = Array.isArray(saved.history) ? saved.history.slice(0, MAX_RECENT_ALERTS) : [];
+            this.acknowledgements = new Map((Array.isArray(saved.acknowledgements) ? saved.acknowledgements : [])
+                .map(acknowledgement => [acknowledgement.id, Date.parse(acknowledgement.acknowledgedAt)]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load alert state from ${this.statePath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Writes the silences, acknowledgements and alert history to disk, via a temporary file so a crash
+     * never leaves a truncated file behind. Writes are serialized.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const acknowledgements = Array.from(this.acknowledgements, ([id, acknowledgedAt]) => ({
+                    id: id,
+                    acknowledgedAt: new Date(acknowledgedAt).toISOString()
+                }));
+                const content = JSON.stringify({ silences: this.silences, acknowledgements: acknowledgements, history: this.recentAlerts }, null, 4);
+                await fs.writeFile(`${this.statePath}.tmp`, content, 'utf8');
+                await fs.rename(`${this.statePath}.tmp`, this.statePath);
+            })
+            .catch(error => console.error('Failed to save alert state:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Unsubscribes from the polling service.
+     */
+    stop() {
+        pollingService.off('poll', this.onPoll);
+    }
+
+    /**
+     * Handles the polling service's `poll` event.
+     * @param {object} event The poll event payload.
+     */
+    onPoll(event) {
+        try {
+            this.evaluate(event);
+        } catch (error) {
+            console.error('Error evaluating alert rules:', error);
+        }
+    }
+
+    /**
+     * Returns the valid, enabled rules from the configuration. Invalid rules are
+     * logged once and skipped.
+     * @param {object} config The application configuration object.
+     * @returns {Array<object>} The rules to evaluate.
+     */
+    getRules(config) {
+        const rules = Array.isArray(config && config.alert_rules) ? config.alert_rules : [];
+        return rules.filter(rule => {
+            const problem = validateRule(rule);
+            if (problem) {
+                const key = JSON.stringify(rule);
+                if (!this.reportedInvalidRules.has(key)) {
+                    this.reportedInvalidRules.add(key);
+                    console.warn(`Ignoring invalid alert rule ${rule && rule.name ? `"${rule.name}"` : JSON.stringify(rule)}: ${problem}`);
+                }
+                return false;
+            }
+            return rule.enabled !== false;
+        });
+    }
+
+    /**
+     * Evaluates every rule against the devices of a poll.
+     * @param {object} event The poll event `{ timestamp, config, minerData, miningCoreData, cryptoNodeData }`.
+     */
+    evaluate(event) {
+        const now = event.timestamp || Date.now();
+        const seen = new Set();
+
+        this.getRules(event.config).forEach(rule => {
+            const target = rule.target || 'miner';
+            const devices = event[TARGETS[target]] || [];
+
+            devices.forEach(data => {
+                const deviceId = getDeviceId(data);
+                if (Array.isArray(rule.instances) && rule.instances.length > 0 && !rule.instances.includes(deviceId)) {
+                    return;
+                }
+                const id = `${rule.name}|${target}|${deviceId}`;
+                seen.add(id);
+
+                if (!this.states.has(id)) {
+                    this.states.set(id, {
+                        id: id,
+                        rule: rule.name,
+                        target: target,
+                        instanceId: deviceId,
+                        state: 'ok',
+                        pendingSince: null,
+                        clearSince: null,
+                        failedPolls: 0,
+                        successfulPolls: 0,
+                        value: null,
+                        firedAt: null,
+                        acknowledgedAt: this.acknowledgements.get(id) || null
+                    });
+                }
+                const state = this.states.get(id);
+
+                if ((rule.type || 'threshold') === 'offline') {
+                    this.evaluateOffline(rule, state, data, now);
+                } else {
+                    this.evaluateThreshold(rule, state, data, now);
+                }
+            });
+        });
+
+        // Drop states for rules or devices that no longer exist in the configuration.
+        for (const id of this.states.keys()) {
+            if (!seen.has(id)) {
+                this.states.delete(id);
+            }
+        }
+
+        // An acknowledgement restored from disk is only kept while its alert can still be firing.
+        let acknowledgementsChanged = false;
+        for (const id of this.acknowledgements.keys()) {
+            const state = this.states.get(id);
+            if (!state || state.state === 'ok') {
+                this.acknowledgements.delete(id);
+                acknowledgementsChanged = true;
+            }
+        }
+        if (acknowledgementsChanged) {
+            this.save();
+        }
+    }
+
+    /**
+     * Advances the state of an `offline` rule for one device.
+     * @param {object} rule The rule definition.
+     * @param {object} state The evaluation state for this rule and device.
+     * @param {object} data The device data from the poll.
+     * @param {number} now The poll timestamp in milliseconds.
+     */
+    evaluateOffline(rule, state, data, now) {
+        const offline = data.status === 'Error';
+        const polls = rule.polls !== undefined ? Number(rule.polls) : 3;
+        const clearPolls = rule.clear_polls !== undefined ? Number(rule.clear_polls) : 1;
+
+        if (offline) {
+            state.failedPolls++;
+            state.successfulPolls = 0;
+            state.value = data.message || 'Unreachable';
+        } else {
+            state.successfulPolls++;
+            state.failedPolls = 0;
+        }
+
+        if (state.state !== 'firing') {
+            state.state = offline ? 'pending' : 'ok';
+            if (offline && state.failedPolls > polls) {
+                this.fire(rule, state, now, `${state.instanceId} has been offline for ${state.failedPolls} polls (${state.value})`);
+            }
+        } else if (!offline && state.successfulPolls >= clearPolls) {
+            this.resolve(rule, state, now, `${state.instanceId} is back online`);
+        }
+    }
+
+    /**
+     * Advances the state of a `threshold` rule for one device.
+     * @param {object} rule The rule definition.
+     * @param {object} state The evaluation state for this rule and device.
+     * @param {object} data The device data from the poll.
+     * @param {number} now The poll timestamp in milliseconds.
+     */
+    evaluateThreshold(rule, state, data, now) {
+        const value = data.status === 'Error' ? null : readMetric(data, rule.metric);
+
+        // Without a value (device offline or field not reported) nothing can be decided:
+        // a pending condition starts over and a firing alert stays firing.
+        if (value === null) {
+            state.pendingSince = null;
+            state.clearSince = null;
+            if (state.state === 'pending') {
+                state.state = 'ok';
+            }
+            return;
+        }
+        state.value = value;
+
+        const forMs = (Number(rule.for_seconds) || 0) * 1000;
+        const clearForMs = (Number(rule.clear_for_seconds) || 0) * 1000;
+        const clearValue = rule.clear_value !== undefined ? rule.clear_value : rule.value;
+        const description = `${rule.metric} ${rule.operator} ${rule.value}`;
+
+        if (state.state !== 'firing') {
+            if (!compare(value, rule.operator, rule.value)) {
+                state.state = 'ok';
+                state.pendingSince = null;
+                return;
+            }
+            if (state.pendingSince === null) {
+                state.pendingSince = now;
+            }
+            state.state = 'pending';
+            if (now - state.pendingSince >= forMs) {
+                this.fire(rule, state, now, `${state.instanceId}: ${rule.name} (${description}, current ${formatValue(value)})`);
+            }
+            return;
+        }
+
+        // Firing: only resolve once the metric is past the clear value for long enough.
+        if (compare(value, rule.operator, clearValue)) {
+            state.clearSince = null;
+            return;
+        }
+        if (state.clearSince === null) {
+            state.clearSince = now;
+        }
+        if (now - state.clearSince >= clearForMs) {
+            this.resolve(rule, state, now, `${state.instanceId}: ${rule.name} resolved (current ${formatValue(value)})`);
+        }
+    }
+
+    /**
+     * Moves a state to `firing` and emits the alert.
+     * @param {object} rule The rule definition.
+     * @param {object} state The evaluation state.
+     * @param {number} now The timestamp in milliseconds.
+     * @param {string} message A human-readable description.
+     */
+    fire(rule, state, now, message) {
+        state.state = 'firing';
+        state.firedAt = now;
+        state.pendingSince = null;
+        state.clearSince = null;
+        state.message = message;
+
+        const alert = this.toAlert(rule, state, null);
+        console.log(`ALERT FIRING [${alert.severity}]${alert.silenced ? ' (silenced)' : ''} ${message}`);
+        this.emit('alert', { type: 'firing', alert: alert });
+    }
+
+    /**
+     * Moves a state back to `ok`, records the resolved alert and emits it.
+     * @param {object} rule The rule definition.
+     * @param {object} state The evaluation state.
+     * @param {number} now The timestamp in milliseconds.
+     * @param {string} message A human-readable description.
+     */
+    resolve(rule, state, now, message) {
+        const alert = this.toAlert(rule, state, now);
+        alert.resolvedMessage = message;
+
+        state.state = 'ok';
+        state.firedAt = null;
+        state.acknowledgedAt = null;
+        state.clearSince = null;
+        state.pendingSince = null;
+        this.acknowledgements.delete(state.id);
+
+        this.recentAlerts.unshift(alert);
+        if (this.recentAlerts.length > MAX_RECENT_ALERTS) {
+            this.recentAlerts.length = MAX_RECENT_ALERTS;
+        }
+        this.save();
+        console.log(`ALERT RESOLVED${alert.silenced ? ' (silenced)' : ''} ${message}`);
+        this.emit('alert', { type: 'resolved', alert: alert });
+    }
+
+    /**
+     * Builds the public representation of an alert.
+     * @param {object} rule The rule definition.
+     * @param {object} state The evaluation state.
+     * @param {number|null} resolvedAt The resolution timestamp in milliseconds, if resolved.
+     * @returns {object} The alert.
+     */
+    toAlert(rule, state, resolvedAt) {
+        const silence = this.findSilence(rule.name, state.instanceId);
+        return {
+            id: state.id,
+            rule: rule.name,
+            severity: rule.severity || 'warning',
+            target: state.target,
+            instanceId: state.instanceId,
+            state: resolvedAt ? 'resolved' : 'firing',
+            message: state.message,
+            value: state.value,
+            firedAt: new Date(state.firedAt).toISOString(),
+            resolvedAt: resolvedAt ? new Date(resolvedAt).toISOString() : null,
+            acknowledgedAt: state.acknowledgedAt ? new Date(state.acknowledgedAt).toISOString() : null,
+            silenced: silence !== null,
+            silencedUntil: silence ? silence.until : null
+        };
+    }
+
+    /**
+     * Returns the currently firing alerts.
+     * @param {object} config The application configuration object.
+     * @returns {Array<object>} The firing alerts, most recent first.
+     */
+    getActiveAlerts(config) {
+        const rules = new Map(this.getRules(config).map(rule => [rule.name, rule]));
+        return Array.from(this.states.values())
+            .filter(state => state.state === 'firing' && rules.has(state.rule))
+            .map(state => this.toAlert(rules.get(state.rule), state, null))
+            .sort((a, b) => b.firedAt.localeCompare(a.firedAt));
+    }
+
+    /**
+     * Returns the most recently resolved alerts.
+     * @returns {Array<object>} The resolved alerts, most recent first.
+     */
+    getRecentAlerts() {
+        return this.recentAlerts.slice();
+    }
+
+    /**
+     * Acknowledges a firing alert. The acknowledgement is cleared when the alert resolves.
+     * @param {string} id The alert id.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {Promise<boolean>} False if no firing alert has this id.
+     */
+    async acknowledge(id, now = Date.now()) {
+        const state = this.states.get(id);
+        if (!state || state.state !== 'firing') {
+            return false;
+        }
+        state.acknowledgedAt = now;
+        this.acknowledgements.set(id, now);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Returns the silences that have not expired yet, dropping expired ones.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {Array<object>} The active silences.
+     */
+    getSilences(now = Date.now()) {
+        const active = this.silences.filter(silence => Date.parse(silence.until) > now);
+        if (active.length !== this.silences.length) {
+            this.silences = active;
+            this.save();
+        }
+        return active.slice();
+    }
+
+    /**
+     * Returns the first active silence covering a rule on a device.
+     * @param {string} ruleName The rule name.
+     * @param {string} instanceId The device name.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {object|null} The matching silence, or null.
+     */
+    findSilence(ruleName, instanceId, now = Date.now()) {
+        return this.silences.find(silence =>
+            Date.parse(silence.until) > now &&
+            (!silence.instanceId || silence.instanceId === instanceId) &&
+            (!silence.rule || silence.rule === ruleName)
+        ) || null;
+    }
+
+    /**
+     * Creates a silence. Leaving out `instanceId` silences the rule on every device,
+     * leaving out `rule` silences every rule on the device.
+     * @param {object} options The silence options.
+     * @param {string} [options.instanceId] The device to silence.
+     * @param {string} [options.rule] The rule to silence.
+     * @param {number} [options.durationMinutes] How long the silence lasts.
+     * @param {string} [options.until] Alternatively, when the silence ends (ISO 8601).
+     * @param {string} [options.reason] Why the alerts are silenced.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {Promise<object>} The created silence.
+     * @throws {Error} If the end of the silence is missing or not in the future.
+     */
+    async addSilence(options, now = Date.now()) {
+        const until = options.until !== undefined
+            ? Date.parse(options.until)
+            : now + Number(options.durationMinutes) * 60 * 1000;
+
+        if (isNaN(until) || until <= now) {
+            throw new Error('A silence needs a positive duration_minutes or an until date in the future');
+        }
+
+        const silence = {
+            id: crypto.randomUUID(),
+            instanceId: options.instanceId || null,
+            rule: options.rule || null,
+            reason: options.reason || '',
+            createdAt: new Date(now).toISOString(),
+            until: new Date(until).toISOString()
+        };
+        this.silences.push(silence);
+        await this.save();
+        return silence;
+    }
+
+    /**
+     * Removes a silence before it expires.
+     * @param {string} id The silence id.
+     * @returns {Promise<boolean>} False if no silence has this id.
+     */
+    async removeSilence(id) {
+        const count = this.silences.length;
+        this.silences = this.silences.filter(silence => silence.id !== id);
+        if (this.silences.length === count) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+}
+
+// Create and export a singleton instance
+const alertService = new AlertService();
+
+module.exports = alertService;
+module.exports.validateRule = validateRule;
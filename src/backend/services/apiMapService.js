@@ -17,6 +17,10 @@ const apiEndpointMap = {
     'instanceRestart': '/api/system/restart',
     'instanceSettings': '/api/system',
     'statisticsDashboard': '/api/system/statistics/dashboard',
+    'instanceAsic': '/api/system/asic',
+    'wifiScan': '/api/system/wifi/scan',
+    'firmwareUpdate': '/api/system/OTA',
+    'webInterfaceUpdate': '/api/system/OTAWWW',
 };
 
 /**
@@ -0,0 +1,522 @@
+/**
+ * @file Auto-Tune Service - Finds good frequency/core voltage pairs for a miner.
+ *
+ * An auto-tune job steps one miner through the frequency and voltage options of its ASIC
+ * (GET /api/system/asic), lowest frequency first. Every step is applied through
+ * instanceServices.updateInstanceSettings, the same code as the settings modal, left to
+ * settle and then measured over a number of polls of the polling service: average
+ * hashrate, power, ASIC and VR temperature, and the shares accepted and rejected.
+ *
+ * A step is stable when the hashrate reaches `minHashrateRatio` of the expected hashrate.
+ * At each frequency the voltages are tried from the lowest one that was stable at the
+ * previous frequency upwards; the first stable voltage ends the frequency. When no voltage
+ * is stable the higher frequencies are skipped. Every poll is checked against `maxTemp`,
+ * `maxVrTemp` and the miner's overheat protection, and the job is aborted as soon as one
+ * of them trips. Whatever the outcome, the frequency and voltage the miner had before the
+ * job are restored at the end.
+ *
+ * The report holds the most efficient (lowest J/TH) and the fastest stable step; either
+ * can then be applied with applyResult. The last report of every miner is persisted in
+ * `config/autotune.json`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { CONFIG_DIR } = require('./configPaths');
+const instanceServices = require('./instanceServices');
+const pollingService = require('./pollingService');
+
+/**
+ * File holding the last report of every miner.
+ * @constant {string}
+ */
+const RESULTS_PATH = path.join(CONFIG_DIR, 'autotune.json');
+
+/**
+ * Job options and their defaults. `frequencies` and `voltages` default to all of the
+ * ASIC's options.
+ * @constant {object}
+ */
+const DEFAULT_OPTIONS = {
+    settleSeconds: 90,
+    samplesPerStep: 5,
+    maxTemp: 65,
+    maxVrTemp: 85,
+    minHashrateRatio: 0.94
+};
+
+/**
+ * Allowed range of every numeric option.
+ * @constant {Object.<string, {min: number, max: number}>}
+ */
+const OPTION_LIMITS = {
+    settleSeconds: { min: 0, max: 3600 },
+    samplesPerStep: { min: 1, max: 100 },
+    maxTemp: { min: 30, max: 75 },
+    maxVrTemp: { min: 30, max: 105 },
+    minHashrateRatio: { min: 0.5, max: 1 }
+};
+
+/**
+ * Polls in a row a miner may fail to answer before the job gives up.
+ * @constant {number}
+ */
+const MAX_MISSED_POLLS = 3;
+
+/**
+ * The points of a report that can be applied.
+ * @constant {Array<string>}
+ */
+const RESULT_POINTS = ['efficiency', 'hashrate'];
+
+/**
+ * Builds an error carrying the HTTP status code the controller answers with.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} message The message.
+ * @returns {Error} The error.
+ */
+function fail(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Checks the options of a job against the ASIC and fills in the defaults.
+ * @param {object} options The requested options.
+ * @param {object} asicInfo The /api/system/asic response.
+ * @returns {object} The complete options, with the frequencies and voltages sorted.
+ * @throws {Error} If an option is invalid. The error has a `statusCode` of 400.
+ */
+function resolveOptions(options, asicInfo) {
+    const resolved = { ...DEFAULT_OPTIONS };
+    for (const [key, limits] of Object.entries(OPTION_LIMITS)) {
+        if (options[key] === undefined) {
+            continue;
+        }
+        const value = Number(options[key]);
+        if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+            throw fail(400, `${key} must be a number from ${limits.min} to ${limits.max}`);
+        }
+        resolved[key] = key === 'samplesPerStep' ? Math.round(value) : value;
+    }
+
+    const pickOptions = (key, available, unit) => {
+        const values = options[key] === undefined ? available : options[key];
+        if (!Array.isArray(values) || values.length === 0) {
+            throw fail(400, `${key} must be a non-empty list`);
+        }
+        const unsupported = values.filter(value => !available.includes(Number(value)));
+        if (unsupported.length > 0) {
+            throw fail(400, `${key} must be options of the ${asicInfo.ASICModel || 'ASIC'} (${available.join(', ')} ${unit}): ${unsupported.join(', ')}`);
+        }
+        return [...new Set(values.map(Number))].sort((a, b) => a - b);
+    };
+    resolved.frequencies = pickOptions('frequencies', asicInfo.frequencyOptions.map(Number), 'MHz');
+    resolved.voltages = pickOptions('voltages', asicInfo.voltageOptions.map(Number), 'mV');
+    return resolved;
+}
+
+/**
+ * Checks a poll of a miner against the limits of a job.
+ * @param {object} miner The miner's entry in the poll.
+ * @param {object} options The job options.
+ * @returns {string|null} The exceeded limit, or null if the miner is within its limits.
+ */
+function checkLimits(miner, options) {
+    if (Number(miner.overheat_mode) === 1) {
+        return 'the miner entered overheat protection';
+    }
+    if (Number(miner.temp) > options.maxTemp) {
+        return `ASIC temperature ${Number(miner.temp).toFixed(1)} °C is above the limit of ${options.maxTemp} °C`;
+    }
+    if (Number(miner.vrTemp) > options.maxVrTemp) {
+        return `VR temperature ${Number(miner.vrTemp).toFixed(1)} °C is above the limit of ${options.maxVrTemp} °C`;
+    }
+    return null;
+}
+
+/**
+ * Summarises the polls taken at one step.
+ * @param {number} frequency The frequency of the step in MHz.
+ * @param {number} coreVoltage The core voltage of the step in mV.
+ * @param {Array<object>} samples The miner's entries in the polls.
+ * @param {number} minHashrateRatio The share of the expected hashrate a stable step reaches.
+ * @returns {object} The step: averages, share counts, efficiency in J/TH and stability.
+ */
+function summariseStep(frequency, coreVoltage, samples, minHashrateRatio) {
+    const average = key => samples.reduce((sum, sample) => sum + (Number(sample[key]) || 0), 0) / samples.length;
+    const difference = key => Math.max(0, (Number(samples[samples.length - 1][key]) || 0) - (Number(samples[0][key]) || 0));
+    const round = (value, digits) => Number(value.toFixed(digits));
+
+    const hashRate = average('hashRate');
+    const power = average('power');
+    // Older firmware does not report the expected hashrate; it follows from the frequency.
+    const expectedHashrate = samples.every(sample => Number(sample.expectedHashrate) > 0)
+        ? average('expectedHashrate')
+        : frequency * (Number(samples[0].smallCoreCount) || 0) * (Number(samples[0].asicCount) || 1) / 1000;
+    const hashrateRatio = expectedHashrate > 0 ? hashRate / expectedHashrate : null;
+
+    return {
+        frequency: frequency,
+        coreVoltage: coreVoltage,
+        samples: samples.length,
+        hashRate: round(hashRate, 2),
+        expectedHashrate: round(expectedHashrate, 2),
+        hashrateRatio: hashrateRatio === null ? null : round(hashrateRatio, 3),
+        power: round(power, 2),
+        temp: round(average('temp'), 1),
+        vrTemp: round(average('vrTemp'), 1),
+        sharesAccepted: difference('sharesAccepted'),
+        sharesRejected: difference('sharesRejected'),
+        // Joules per terahash: watts divided by TH/s (hashRate is in GH/s).
+        efficiency: hashRate > 0 ? round(power / (hashRate / 1000), 2) : null,
+        stable: hashRate > 0 && (hashrateRatio === null || hashrateRatio >= minHashrateRatio)
+    };
+}
+
+/**
+ * Picks the most efficient and the fastest stable step.
+ * @param {Array<object>} steps The measured steps.
+ * @returns {{efficiency: object|null, hashrate: object|null}} The best steps.
+ */
+function findBest(steps) {
+    const stable = steps.filter(step => step.stable && step.efficiency !== null);
+    const pick = better => stable.reduce((best, step) => (best === null || better(step, best) ? step : best), null);
+    return {
+        efficiency: pick((step, best) => step.efficiency < best.efficiency),
+        hashrate: pick((step, best) => step.hashRate > best.hashRate)
+    };
+}
+
+/**
+ * Auto-Tune Service class - Singleton that runs auto-tune jobs, one per miner at a time.
+ *
+ * @class AutoTuneService
+ * @since 2.0.0
+ */
+class AutoTuneService {
+    constructor() {
+        // The running or last job of every miner, by instance name.
+        this.jobs = new Map();
+        // What a running job needs besides its report: { controller, missedPolls, collect, running }.
+        this.runners = new Map();
+        this.loading = null;
+        this.resultsPath = RESULTS_PATH;
+        this.writeQueue = Promise.resolve();
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Reads the saved reports the first time they are needed. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fs.readFile(this.resultsPath, 'utf8')
+                .then(content => {
+                    const saved = JSON.parse(content);
+                    (Array.isArray(saved.results) ? saved.results : [])
+                        .filter(job => !this.jobs.has(job.instanceId))
+                        .forEach(job => this.jobs.set(job.instanceId, job));
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Failed to load auto-tune results from ${this.resultsPath}:`, error.message);
+                    }
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Writes the finished reports, one write at a time.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const results = [...this.jobs.values()].filter(job => job.status !== 'running');
+                await fs.writeFile(`${this.resultsPath}.tmp`, JSON.stringify({ results }, null, 4), 'utf8');
+                await fs.rename(`${this.resultsPath}.tmp`, this.resultsPath);
+            })
+            .catch(error => console.error('Failed to save auto-tune results:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns the running or last job of every miner.
+     * @returns {Promise<Array<object>>} The jobs.
+     */
+    async getJobs() {
+        await this.load();
+        return [...this.jobs.values()];
+    }
+
+    /**
+     * Returns the running or last job of a miner.
+     * @param {string} instanceId The configured name of the instance.
+     * @returns {Promise<object|null>} The job, or null if the miner was never tuned.
+     */
+    async getJob(instanceId) {
+        await this.load();
+        return this.jobs.get(instanceId) || null;
+    }
+
+    /**
+     * Starts tuning a miner. The job runs in the background; follow it with getJob.
+     * @param {object} config The application configuration.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {object} [options] Overrides of DEFAULT_OPTIONS, plus `frequencies` and
+     * `voltages` to try only some of the ASIC's options.
+     * @returns {Promise<object>} The job.
+     * @throws {Error} With a `statusCode` of 400 if the options are invalid or the miner does
+     * not report its ASIC options, 404 if the instance is unknown and 409 if it is already
+     * being tuned.
+     */
+    async start(config, instanceId, options = {}) {
+        if (typeof instanceId !== 'string' || !(config.bitaxe_instances || []).some(instance => instance[instanceId])) {
+            throw fail(404, `Bitaxe instance "${instanceId}" not found in configuration.`);
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw fail(400, 'options must be an object');
+        }
+        await this.load();
+        if (this.runners.has(instanceId)) {
+            throw fail(409, `${instanceId} is already being tuned`);
+        }
+
+        const [asicInfo, info] = await Promise.all([
+            instanceServices.fetchAsicInfo(config, instanceId),
+            instanceServices.fetchInstanceJson(config, instanceId, 'instanceInfo')
+        ]);
+        if (!asicInfo) {
+            throw fail(400, `${instanceId} does not report its frequency and voltage options (GET /api/system/asic)`);
+        }
+        if (!info) {
+            throw fail(400, `${instanceId} did not answer with its current settings`);
+        }
+        const resolved = resolveOptions(options, asicInfo);
+
+        const job = {
+            instanceId: instanceId,
+            asicModel: asicInfo.ASICModel || null,
+            status: 'running',
+            message: `Tuning ${resolved.frequencies.length} frequencies`,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            options: resolved,
+            original: { frequency: Number(info.frequency), coreVoltage: Number(info.coreVoltage) },
+            current: null,
+            steps: [],
+            best: { efficiency: null, hashrate: null }
+        };
+        const runner = { controller: new AbortController(), missedPolls: 0, collect: null, running: null };
+        this.jobs.set(instanceId, job);
+        this.runners.set(instanceId, runner);
+
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+        runner.running = this.runJob(config, job, runner)
+            .catch(error => {
+                console.error(`Auto-tune of ${instanceId} failed:`, error);
+                job.status = 'error';
+                job.message = error.message;
+            })
+            .finally(() => this.finishJob(job));
+        return job;
+    }
+
+    /**
+     * Asks a running job to stop. The miner's original settings are restored.
+     * @param {string} instanceId The configured name of the instance.
+     * @returns {Promise<object>} The job; it finishes shortly after.
+     * @throws {Error} With a `statusCode` of 404 if the miner is not being tuned.
+     */
+    async stop(instanceId) {
+        const runner = this.runners.get(instanceId);
+        if (!runner) {
+            throw fail(404, `${instanceId} is not being tuned`);
+        }
+        runner.controller.abort(Object.assign(new Error('Stopped by the user'), { outcome: 'stopped' }));
+        await runner.running;
+        return this.jobs.get(instanceId);
+    }
+
+    /**
+     * Applies a point of a miner's last report.
+     * @param {object} config The application configuration.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {string} point `efficiency` for the lowest J/TH or `hashrate` for the fastest step.
+     * @returns {Promise<object>} The applied `{ frequency, coreVoltage }`.
+     * @throws {Error} With a `statusCode` of 400 for an unknown point, 404 if there is no
+     * such point in the report and 409 while the miner is being tuned.
+     */
+    async applyResult(config, instanceId, point) {
+        if (!RESULT_POINTS.includes(point)) {
+            throw fail(400, `point must be one of ${RESULT_POINTS.join(', ')}`);
+        }
+        if (this.runners.has(instanceId)) {
+            throw fail(409, `${instanceId} is still being tuned`);
+        }
+        const job = await this.getJob(instanceId);
+        const step = job && job.best[point];
+        if (!step) {
+            throw fail(404, `There is no ${point} result for ${instanceId}`);
+        }
+        const settings = { frequency: step.frequency, coreVoltage: step.coreVoltage };
+        await instanceServices.updateInstanceSettings(config, instanceId, settings);
+        return settings;
+    }
+
+    /**
+     * Runs a job: steps through the frequencies and voltages, then restores the original
+     * settings whether the job completed, was stopped or aborted.
+     * @param {object} config The application configuration.
+     * @param {object} job The job.
+     * @param {object} runner The job's runner.
+     * @returns {Promise<void>}
+     */
+    async runJob(config, job, runner) {
+        const { frequencies, voltages } = job.options;
+        try {
+            let voltageIndex = 0;
+            let unstableFrequency = null;
+            for (const frequency of frequencies) {
+                let stable = false;
+                for (; voltageIndex < voltages.length && !stable; voltageIndex++) {
+                    const step = await this.measureStep(config, job, runner, frequency, voltages[voltageIndex]);
+                    job.steps.push(step);
+                    job.best = findBest(job.steps);
+                    stable = step.stable;
+                }
+                if (!stable) {
+                    unstableFrequency = frequency;
+                    break;
+                }
+                // The same voltage is the lowest candidate at the next frequency.
+                voltageIndex--;
+            }
+            job.status = 'success';
+            job.message = `${job.steps.length} steps measured`;
+            if (unstableFrequency !== null) {
+                job.message += `; no voltage was stable at ${unstableFrequency} MHz, higher frequencies were skipped`;
+            }
+        } catch (error) {
+            const reason = runner.controller.signal.aborted ? runner.controller.signal.reason : error;
+            job.status = reason.outcome || 'error';
+            job.message = reason.message;
+        }
+        job.current = null;
+
+        try {
+            await instanceServices.updateInstanceSettings(config, job.instanceId, job.original);
+        } catch (error) {
+            job.message += `; restoring ${job.original.frequency} MHz / ${job.original.coreVoltage} mV failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Applies one frequency/voltage pair, waits for it to settle and measures it.
+     * @param {object} config The application configuration.
+     * @param {object} job The job.
+     * @param {object} runner The job's runner.
+     * @param {number} frequency The frequency in MHz.
+     * @param {number} coreVoltage The core voltage in mV.
+     * @returns {Promise<object>} The measured step (see summariseStep).
+     * @throws {Error} If the settings cannot be applied or the job is aborted.
+     */
+    async measureStep(config, job, runner, frequency, coreVoltage) {
+        const { signal } = runner.controller;
+        signal.throwIfAborted();
+        job.current = { frequency, coreVoltage, phase: 'settling', samples: 0 };
+        await instanceServices.updateInstanceSettings(config, job.instanceId, { frequency, coreVoltage });
+        await delay(job.options.settleSeconds * 1000, undefined, { signal });
+
+        job.current.phase = 'sampling';
+        const samples = await new Promise((resolve, reject) => {
+            const collected = [];
+            const onAbort = () => {
+                runner.collect = null;
+                reject(signal.reason);
+            };
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            runner.collect = (miner) => {
+                collected.push(miner);
+                job.current.samples = collected.length;
+                if (collected.length >= job.options.samplesPerStep) {
+                    signal.removeEventListener('abort', onAbort);
+                    runner.collect = null;
+                    resolve(collected);
+                }
+            };
+        });
+        return summariseStep(frequency, coreVoltage, samples, job.options.minHashrateRatio);
+    }
+
+    /**
+     * Checks every poll of a miner being tuned against its limits and hands it to the step
+     * being measured.
+     * @param {object} event The `poll` event of the polling service.
+     */
+    onPoll(event) {
+        try {
+            for (const [instanceId, runner] of this.runners) {
+                const job = this.jobs.get(instanceId);
+                const miner = (event.minerData || []).find(entry => entry.id === instanceId);
+                if (!miner || runner.controller.signal.aborted) {
+                    continue;
+                }
+                if (miner.status === 'Error') {
+                    runner.missedPolls++;
+                    if (runner.missedPolls >= MAX_MISSED_POLLS) {
+                        runner.controller.abort(Object.assign(new Error(`${instanceId} stopped answering: ${miner.message}`), { outcome: 'aborted' }));
+                    }
+                    continue;
+                }
+                runner.missedPolls = 0;
+                const exceeded = checkLimits(miner, job.options);
+                if (exceeded) {
+                    runner.controller.abort(Object.assign(new Error(`Aborted: ${exceeded}`), { outcome: 'aborted' }));
+                } else if (runner.collect) {
+                    runner.collect(miner);
+                }
+            }
+        } catch (error) {
+            console.error('Error checking a poll for auto-tune:', error);
+        }
+    }
+
+    /**
+     * Records the end of a job and stops listening to polls when no job is left.
+     * @param {object} job The job.
+     * @returns {Promise<void>}
+     */
+    finishJob(job) {
+        job.finishedAt = new Date().toISOString();
+        job.current = null;
+        job.best = findBest(job.steps);
+        this.runners.delete(job.instanceId);
+        if (this.runners.size === 0) {
+            pollingService.off('poll', this.onPoll);
+        }
+        return this.save();
+    }
+}
+
+// Create and export a singleton instance
+const autoTuneService = new AutoTuneService();
+
+module.exports = autoTuneService;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.resolveOptions = resolveOptions;
+module.exports.checkLimits = checkLimits;
+module.exports.summariseStep = summariseStep;
+module.exports.findBest = findBest;
@@ -23,12 +23,7 @@ const path = require('path');
 const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
-
-/**
- * Path to the configuration directory where files will be created.
- * @constant {string}
- */
-const CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+const { CONFIG_DIR } = require('./configPaths');
 
 /**
  * Path to the JSON template directory containing configuration templates.
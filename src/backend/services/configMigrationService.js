@@ -14,9 +14,10 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { CONFIG_DIR } = require('./configPaths');
 
-const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'config.json');
-const MIGRATION_STATUS_PATH = path.join(__dirname, '..', '..', 'config', '.migration_status.json');
+const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+const MIGRATION_STATUS_PATH = path.join(CONFIG_DIR, '.migration_status.json');
 
 /**
  * Checks if mining_core_url needs migration
@@ -0,0 +1,26 @@
+/**
+ * @file Config Paths - Location of the configuration directory.
+ *
+ * Configuration and runtime state (config.json, access.json, jsonWebTokenKey.json,
+ * rpcConfig.json, alerts.json, history/, ...) live in `src/config` by default. Set the
+ * `BITAXE_DASHBOARD_CONFIG_DIR` environment variable to use another directory, e.g. to
+ * run a second dashboard or the integration tests without touching your own config.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const path = require('path');
+
+/**
+ * Absolute path to the configuration directory.
+ * @constant {string}
+ */
+const CONFIG_DIR = process.env.BITAXE_DASHBOARD_CONFIG_DIR
+    ? path.resolve(process.env.BITAXE_DASHBOARD_CONFIG_DIR)
+    : path.join(__dirname, '..', '..', 'config');
+
+module.exports = {
+    CONFIG_DIR
+};
@@ -18,12 +18,13 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { CONFIG_DIR } = require('./configPaths');
 
 /**
  * Full absolute path to the main configuration file.
  * @constant {string}
  */
-const CONFIG_FILE_PATH = path.join(__dirname, '..', '..', 'config', 'config.json');
+const CONFIG_FILE_PATH = path.join(CONFIG_DIR, 'config.json');
 
 /**
  * Configuration Manager class - Singleton for dynamic configuration management.
@@ -7,8 +7,9 @@ const http = require('http'); // Used for JSDoc type definitions (req, res).
 const fs = require('fs').promises;
 const path = require('path');
 const configurationManager = require('./configurationManager');
+const { CONFIG_DIR } = require('./configPaths');
 
-const CONFIG_FILE_PATH = path.join(__dirname, '..', '..', 'config', 'config.json');
+const CONFIG_FILE_PATH = path.join(CONFIG_DIR, 'config.json');
 
 /**
  * Handles GET requests to retrieve the current configuration.
@@ -29,6 +30,47 @@ async function getConfiguration(req, res, config) {
     }
 }
 
+/**
+ * Merges top-level keys into config.json, writes it back and reloads the in-memory
+ * configuration. Shared by the PATCH handler and services that change the configuration
+ * on the user's behalf.
+ *
+ * @param {object} updates The top-level keys to replace.
+ * @returns {Promise<object>} The updated configuration.
+ * @throws {Error} If config.json cannot be read or written.
+ */
+async function applyConfigurationUpdates(updates) {
+    // Read current config from file to ensure we have the latest version
+    let currentConfig;
+    try {
+        const configContent = await fs.readFile(CONFIG_FILE_PATH, 'utf8');
+        currentConfig = JSON.parse(configContent);
+    } catch (error) {
+        throw new Error(`Failed to read configuration file: ${error.message}`);
+    }
+
+    // Update the configuration with the new values
+    const updatedConfig = { ...currentConfig, ...updates };
+
+    // Validate critical fields exist
+    if (!updatedConfig.bitaxe_dashboard_version) {
+        updatedConfig.bitaxe_dashboard_version = currentConfig.bitaxe_dashboard_version || 2.0;
+    }
+
+    // Write updated configuration back to file
+    try {
+        await fs.writeFile(CONFIG_FILE_PATH, JSON.stringify(updatedConfig, null, 4), 'utf8');
+        
+        // Reload the configuration in memory - no server restart needed!
+        await configurationManager.reloadConfig();
+        
+    } catch (error) {
+        throw new Error(`Failed to write configuration file: ${error.message}`);
+    }
+
+    return updatedConfig;
+}
+
 /**
  * Handles PATCH requests to update configuration settings. It reads the
  * settings payload from the request body and updates the config.json file.
@@ -65,33 +107,7 @@ async function updateConfiguration(req, res, config) {
             throw new Error(`Invalid JSON in request body: ${jsonError.message}`);
         }
 
-        // Read current config from file to ensure we have the latest version
-        let currentConfig;
-        try {
-            const configContent = await fs.readFile(CONFIG_FILE_PATH, 'utf8');
-            currentConfig = JSON.parse(configContent);
-        } catch (error) {
-            throw new Error(`Failed to read configuration file: ${error.message}`);
-        }
-
-        // Update the configuration with the new values
-        const updatedConfig = { ...currentConfig, ...updates };
-
-        // Validate critical fields exist
-        if (!updatedConfig.bitaxe_dashboard_version) {
-            updatedConfig.bitaxe_dashboard_version = currentConfig.bitaxe_dashboard_version || 2.0;
-        }
-
-        // Write updated configuration back to file
-        try {
-            await fs.writeFile(CONFIG_FILE_PATH, JSON.stringify(updatedConfig, null, 4), 'utf8');
-            
-            // Reload the configuration in memory - no server restart needed!
-            await configurationManager.reloadConfig();
-            
-        } catch (error) {
-            throw new Error(`Failed to write configuration file: ${error.message}`);
-        }
+        const updatedConfig = await applyConfigurationUpdates(updates);
 
         return { 
             status: 'success', 
@@ -154,5 +170,6 @@ async function route(req, res, config) {
 module.exports = {
     route,
     getConfiguration,
-    updateConfiguration
+    updateConfiguration,
+    applyConfigurationUpdates
 };
\ No newline at end of file
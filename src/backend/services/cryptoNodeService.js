@@ -106,6 +106,20 @@ async function fetchCryptoNodeData(nodeConfig) {
     }
 }
 
+/**
+ * Returns the configured crypto nodes. When several cryptoNodes entries hold a Nodes
+ * list, the last one is used.
+ * @param {object} config - Application configuration
+ * @returns {Array<object>} The node configurations
+ */
+function getConfiguredNodes(config) {
+    if (!config.cryptNodesEnabled || !Array.isArray(config.cryptoNodes)) {
+        return [];
+    }
+    const entries = config.cryptoNodes.filter(item => item.Nodes && Array.isArray(item.Nodes));
+    return entries.length > 0 ? entries[entries.length - 1].Nodes : [];
+}
+
 /**
  * Fetches data for all configured crypto nodes
  * @param {object} config - Application configuration
@@ -118,14 +132,11 @@ async function fetchAllCryptoNodes(config) {
     }
 
     // Parse the new configuration structure
-    let nodes = [];
+    const nodes = getConfiguredNodes(config);
     let displayFields = [];
 
-    // Find the Nodes and NodeDisplayFields in the cryptoNodes array
+    // Find the NodeDisplayFields in the cryptoNodes array
     config.cryptoNodes.forEach(item => {
-        if (item.Nodes && Array.isArray(item.Nodes)) {
-            nodes = item.Nodes;
-        }
         if (item.NodeDisplayFields && Array.isArray(item.NodeDisplayFields)) {
             displayFields = item.NodeDisplayFields;
         }
@@ -156,5 +167,6 @@ module.exports = {
     getBalance,
     getNetworkInfo,
     fetchCryptoNodeData,
-    fetchAllCryptoNodes
+    fetchAllCryptoNodes,
+    getConfiguredNodes
 };
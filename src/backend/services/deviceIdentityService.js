@@ -0,0 +1,491 @@
+/**
+ * @file Device Identity Service - Ties each configured Bitaxe name to the device's MAC address.
+ *
+ * `bitaxe_instances` maps a name to a URL, usually an IP address handed out by DHCP. The
+ * first time a name answers a poll, its `macAddr` from `/api/system/info` is bound to the
+ * name, so that a later change of address can be recognized instead of looking like one
+ * device going offline and another one showing up:
+ * - `moved`: the device bound to a name was found at a different URL, either at another
+ *   configured name's URL during polling or by a network scan. Applying the change
+ *   rewrites the name's URL, so history, alerts and MQTT topics carry on under the name.
+ * - `different_device`: a name's URL answers with a different MAC address, e.g. because
+ *   its IP was handed to another device. Dismissing the notice binds the name to the new
+ *   device (e.g. after replacing the hardware).
+ *
+ * With `rediscover_after_failed_polls` set (it is off by default) and a `discovery.cidr`
+ * configured, the network is scanned for a bound device that has missed that many polls in
+ * a row, at most every `rediscover_interval_minutes`. Without a configured range nothing is
+ * scanned, so the dashboard never sweeps a network nobody asked it to.
+ * With `auto_update_urls` set, moves are applied without asking.
+ *
+ * Bindings and open notices are persisted in `config/devices.json`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const pollingService = require('./pollingService');
+const discoveryService = require('./discoveryService');
+const configurationManager = require('./configurationManager');
+const configurationServices = require('./configurationServices');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * File holding the MAC address bindings and open notices.
+ * @constant {string}
+ */
+const DEVICE_STATE_PATH = path.join(CONFIG_DIR, 'devices.json');
+
+/**
+ * Defaults for the `device_identity` section of config.json.
+ * @constant {{auto_update_urls: boolean, rediscover_after_failed_polls: number, rediscover_interval_minutes: number}}
+ */
+const IDENTITY_DEFAULTS = {
+    auto_update_urls: false,
+    rediscover_after_failed_polls: 0,
+    rediscover_interval_minutes: 15
+};
+
+/**
+ * Normalizes a MAC address for comparison.
+ * @param {string} macAddr The MAC address.
+ * @returns {string|null} The upper-case MAC address, or null for placeholders such as
+ * the "XX:XX:XX:XX:XX:XX" of the demo data.
+ */
+function normalizeMac(macAddr) {
+    const normalized = String(macAddr || '').trim().toUpperCase();
+    return /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Returns whether two URLs point at the same host and port.
+ * @param {string} first The first URL.
+ * @param {string} second The second URL.
+ * @returns {boolean} True if they share host and port.
+ */
+function sameHost(first, second) {
+    try {
+        return new URL(first).host === new URL(second).host;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Returns the configured Bitaxe URLs by name.
+ * @param {object} config The application configuration object.
+ * @returns {Map<string, string>} The URL of every configured name.
+ */
+function getConfiguredUrls(config) {
+    const instances = Array.isArray(config && config.bitaxe_instances) ? config.bitaxe_instances : [];
+    return new Map(instances.map(instance => {
+        const name = Object.keys(instance)[0];
+        return [name, instance[name]];
+    }));
+}
+
+/**
+ * Device Identity Service class - Singleton that tracks MAC address bindings.
+ *
+ * @class DeviceIdentityService
+ * @since 2.0.0
+ */
+class DeviceIdentityService {
+    constructor() {
+        // Bindings keyed by configured name: { macAddr, hostname, url, boundAt, lastSeenAt }.
+        this.devices = {};
+        // Open notices: { type, name, ... , detectedAt }, at most one per type and name.
+        this.changes = [];
+        this.failedPolls = new Map();
+        this.lastRediscoveryAt = 0;
+        this.rediscovery = null;
+        this.statePath = DEVICE_STATE_PATH;
+        this.writeQueue = Promise.resolve();
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Loads the persisted bindings, then subscribes to the polling service.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.load();
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+    }
+
+    /**
+     * Unsubscribes from the polling service.
+     */
+    stop() {
+        pollingService.off('poll', this.onPoll);
+    }
+
+    /**
+     * Reads the persisted bindings and notices. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            this.devices = saved.devices && typeof saved.devices === 'object' ? saved.devices : {};
+            this.changes = Array.isArray(saved.changes) ? saved.changes : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load device identities from ${this.statePath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Writes the bindings and notices to disk, via a temporary file so a crash never
+     * leaves a truncated file behind. Writes are serialized.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const content = JSON.stringify({ devices: this.devices, changes: this.changes }, null, 4);
+                await fs.writeFile(`${this.statePath}.tmp`, content, 'utf8');
+                await fs.rename(`${this.statePath}.tmp`, this.statePath);
+            })
+            .catch(error => console.error('Failed to save device identities:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns the `device_identity` settings with defaults applied.
+     * @param {object} config The application configuration object.
+     * @returns {object} The settings.
+     */
+    getSettings(config) {
+        return { ...IDENTITY_DEFAULTS, ...(config && config.device_identity) };
+    }
+
+    /**
+     * Handles the polling service's `poll` event.
+     * @param {object} event The poll event payload.
+     */
+    onPoll(event) {
+        try {
+            this.check(event);
+        } catch (error) {
+            console.error('Error checking device identities:', error);
+        }
+    }
+
+    /**
+     * Compares the MAC address every configured name answered with against its binding.
+     * @param {object} event The poll event `{ timestamp, config, minerData }`.
+     */
+    check(event) {
+        const now = event.timestamp || Date.now();
+        const urls = getConfiguredUrls(event.config);
+        let changed = false;
+
+        (event.minerData || []).forEach(data => {
+            const name = data.id;
+            const url = urls.get(name);
+            if (!url) {
+                return;
+            }
+            if (data.status === 'Error') {
+                this.failedPolls.set(name, (this.failedPolls.get(name) || 0) + 1);
+                return;
+            }
+            this.failedPolls.delete(name);
+
+            const macAddr = normalizeMac(data.macAddr);
+            if (!macAddr) {
+                return;
+            }
+            const binding = this.devices[name];
+
+            if (!binding) {
+                changed = this.bind(name, macAddr, data.hostname, url, urls, now) || changed;
+                return;
+            }
+
+            if (binding.macAddr === macAddr) {
+                binding.url = url;
+                binding.hostname = data.hostname || binding.hostname;
+                binding.lastSeenAt = new Date(now).toISOString();
+                // The name reaches its own device again, e.g. after the URL was updated.
+                changed = this.removeChanges(change => change.name === name) || changed;
+                return;
+            }
+
+            changed = this.addChange({
+                type: 'different_device',
+                name: name,
+                url: url,
+                expectedMacAddr: binding.macAddr,
+                foundMacAddr: macAddr,
+                foundHostname: data.hostname || null,
+                source: 'poll'
+            }, event.config, now) || changed;
+
+            // The device at this URL may be another configured name's device that moved here.
+            const owner = this.findNameByMac(macAddr);
+            if (owner && owner !== name && urls.has(owner) && !sameHost(urls.get(owner), url)) {
+                changed = this.addChange({
+                    type: 'moved',
+                    name: owner,
+                    macAddr: macAddr,
+                    oldUrl: urls.get(owner),
+                    newUrl: url,
+                    source: 'poll'
+                }, event.config, now) || changed;
+            }
+        });
+
+        // Notices about names that are no longer configured are moot.
+        changed = this.removeChanges(change => !urls.has(change.name)) || changed;
+
+        if (changed) {
+            this.save();
+        }
+        this.maybeRediscover(event.config, urls, now);
+    }
+
+    /**
+     * Binds a name to a MAC address, dropping bindings of names that are no longer
+     * configured for the same device (e.g. after the instance was renamed).
+     * @param {string} name The configured name.
+     * @param {string} macAddr The normalized MAC address.
+     * @param {string} hostname The device hostname.
+     * @param {string} url The configured URL.
+     * @param {Map<string, string>} urls The configured URLs by name.
+     * @param {number} now The current time.
+     * @returns {boolean} True, the bindings changed.
+     */
+    bind(name, macAddr, hostname, url, urls, now) {
+        for (const [otherName, binding] of Object.entries(this.devices)) {
+            if (binding.macAddr === macAddr && !urls.has(otherName)) {
+                delete this.devices[otherName];
+            }
+        }
+        this.devices[name] = {
+            macAddr: macAddr,
+            hostname: hostname || null,
+            url: url,
+            boundAt: new Date(now).toISOString(),
+            lastSeenAt: new Date(now).toISOString()
+        };
+        return true;
+    }
+
+    /**
+     * Returns the configured name bound to a MAC address.
+     * @param {string} macAddr The normalized MAC address.
+     * @returns {string|null} The name, or null if the device is not bound.
+     */
+    findNameByMac(macAddr) {
+        const entry = Object.entries(this.devices).find(([, binding]) => binding.macAddr === macAddr);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Records a notice, replacing an older one of the same type for the same name.
+     * Moves are applied straight away when `auto_update_urls` is set.
+     * @param {object} change The notice without `detectedAt`.
+     * @param {object} config The application configuration object.
+     * @param {number} now The current time.
+     * @returns {boolean} Whether the notices changed.
+     */
+    addChange(change, config, now) {
+        const existing = this.changes.find(candidate => candidate.type === change.type && candidate.name === change.name);
+        if (existing && Object.keys(change).every(key => key === 'source' || existing[key] === change[key])) {
+            return false;
+        }
+        this.changes = this.changes.filter(candidate => candidate !== existing);
+        this.changes.push({ ...change, detectedAt: new Date(now).toISOString() });
+
+        if (change.type === 'moved') {
+            console.log(`Bitaxe "${change.name}" (${change.macAddr}) moved from ${change.oldUrl} to ${change.newUrl}`);
+            if (this.getSettings(config).auto_update_urls) {
+                this.applyChange(change.name).catch(error => console.error(`Failed to update the URL of "${change.name}":`, error.message));
+            }
+        } else {
+            console.warn(`Bitaxe "${change.name}" at ${change.url} answered with MAC ${change.foundMacAddr} instead of ${change.expectedMacAddr}`);
+        }
+        return true;
+    }
+
+    /**
+     * Removes the notices matching a predicate.
+     * @param {Function} predicate Returns true for the notices to remove.
+     * @returns {boolean} Whether any notice was removed.
+     */
+    removeChanges(predicate) {
+        const remaining = this.changes.filter(change => !predicate(change));
+        const removed = remaining.length !== this.changes.length;
+        this.changes = remaining;
+        return removed;
+    }
+
+    /**
+     * Starts a network scan when a bound device has been offline for a while, so a device
+     * that changed its address is found even if nobody opens the discovery dialog. Only
+     * done when enabled and a `discovery.cidr` is configured.
+     * @param {object} config The application configuration object.
+     * @param {Map<string, string>} urls The configured URLs by name.
+     * @param {number} now The current time.
+     */
+    maybeRediscover(config, urls, now) {
+        const settings = this.getSettings(config);
+        const threshold = Number(settings.rediscover_after_failed_polls);
+        if (!(threshold > 0) || !discoveryService.getSettings(config).cidr || this.rediscovery || discoveryService.isScanning()) {
+            return;
+        }
+        if (now - this.lastRediscoveryAt < Number(settings.rediscover_interval_minutes) * 60000) {
+            return;
+        }
+        const missing = [...this.failedPolls.entries()]
+            .filter(([name, failed]) => failed >= threshold && this.devices[name] && urls.has(name))
+            .map(([name]) => name);
+        if (missing.length === 0) {
+            return;
+        }
+
+        this.lastRediscoveryAt = now;
+        console.log(`Scanning the network for ${missing.join(', ')}, offline for ${threshold} polls or more`);
+        this.rediscovery = discoveryService.scan(config)
+            .then(result => this.checkDiscovered(config, result.devices))
+            .catch(error => console.error('Network scan for offline Bitaxe devices failed:', error.message))
+            .finally(() => {
+                this.rediscovery = null;
+            });
+    }
+
+    /**
+     * Matches the devices found by a network scan against the bindings. Devices bound to
+     * a configured name are marked as configured under that name, and a notice is
+     * recorded for those found at a different URL.
+     * @param {object} config The application configuration object.
+     * @param {Array<object>} devices The devices from discoveryService.scan.
+     * @returns {Array<object>} The same devices, with `urlChanged` set on the moved ones.
+     */
+    checkDiscovered(config, devices) {
+        const urls = getConfiguredUrls(config);
+        const now = Date.now();
+        let changed = false;
+
+        devices.forEach(device => {
+            const macAddr = normalizeMac(device.macAddr);
+            const owner = macAddr ? this.findNameByMac(macAddr) : null;
+            device.urlChanged = false;
+            if (!owner || !urls.has(owner)) {
+                return;
+            }
+            device.alreadyConfigured = true;
+            device.configuredName = owner;
+            if (!sameHost(urls.get(owner), device.url)) {
+                device.urlChanged = true;
+                changed = this.addChange({
+                    type: 'moved',
+                    name: owner,
+                    macAddr: macAddr,
+                    oldUrl: urls.get(owner),
+                    newUrl: device.url,
+                    source: 'discovery'
+                }, config, now) || changed;
+            }
+        });
+
+        if (changed) {
+            this.save();
+        }
+        return devices;
+    }
+
+    /**
+     * Returns the bindings of the configured names and the open notices.
+     * @param {object} config The application configuration object.
+     * @returns {{devices: Array<object>, changes: Array<object>}} The identities.
+     */
+    getIdentities(config) {
+        const urls = getConfiguredUrls(config);
+        return {
+            devices: [...urls.keys()].map(name => {
+                const binding = this.devices[name] || {};
+                return {
+                    name: name,
+                    url: urls.get(name),
+                    macAddr: binding.macAddr || null,
+                    hostname: binding.hostname || null,
+                    boundAt: binding.boundAt || null,
+                    lastSeenAt: binding.lastSeenAt || null
+                };
+            }),
+            changes: this.changes.filter(change => urls.has(change.name))
+        };
+    }
+
+    /**
+     * Applies a `moved` notice by pointing the name's `bitaxe_instances` entry at the new URL.
+     * @param {string} name The configured name.
+     * @returns {Promise<object|null>} The applied notice, or null if there is none for the name.
+     */
+    async applyChange(name) {
+        const change = this.changes.find(candidate => candidate.type === 'moved' && candidate.name === name);
+        if (!change) {
+            return null;
+        }
+
+        const current = configurationManager.getConfig();
+        const instances = (current.bitaxe_instances || []).map(instance =>
+            Object.keys(instance)[0] === name ? { [name]: change.newUrl } : instance);
+        await configurationServices.applyConfigurationUpdates({ bitaxe_instances: instances });
+
+        if (this.devices[name]) {
+            this.devices[name].url = change.newUrl;
+        }
+        this.failedPolls.delete(name);
+        // The device is where it belongs now; a name pointing at the new URL before is
+        // checked again on the next poll.
+        this.removeChanges(candidate => candidate.name === name ||
+            (candidate.type === 'different_device' && candidate.foundMacAddr === change.macAddr));
+        await this.save();
+        console.log(`Updated the URL of Bitaxe "${name}" to ${change.newUrl}`);
+        return change;
+    }
+
+    /**
+     * Dismisses the notices for a name. Dismissing a `different_device` notice binds the
+     * name to the device now answering at its URL.
+     * @param {string} name The configured name.
+     * @returns {Promise<boolean>} Whether there was a notice to dismiss.
+     */
+    async dismissChange(name) {
+        const changes = this.changes.filter(change => change.name === name);
+        if (changes.length === 0) {
+            return false;
+        }
+        const replaced = changes.find(change => change.type === 'different_device');
+        if (replaced && this.devices[name]) {
+            // The device belongs to this name now; any other name bound to it binds again
+            // to whatever answers at its own URL.
+            for (const [otherName, binding] of Object.entries(this.devices)) {
+                if (otherName !== name && binding.macAddr === replaced.foundMacAddr) {
+                    delete this.devices[otherName];
+                }
+            }
+            this.devices[name].macAddr = replaced.foundMacAddr;
+            this.devices[name].hostname = replaced.foundHostname;
+            this.devices[name].boundAt = new Date().toISOString();
+        }
+        this.removeChanges(change => change.name === name ||
+            (replaced && change.type === 'moved' && change.macAddr === replaced.foundMacAddr));
+        await this.save();
+        return true;
+    }
+}
+
+// Create and export a singleton instance
+const deviceIdentityService = new DeviceIdentityService();
+
+module.exports = deviceIdentityService;
@@ -0,0 +1,267 @@
+/**
+ * @file Discovery Service - Finds AxeOS devices (Bitaxe and friends) on the local network.
+ *
+ * Sweeps every address in a CIDR range, asking each one for `/api/system/info` with a
+ * short timeout and a bounded number of requests in flight. Anything that answers with
+ * AxeOS system info is reported with its hostname, ASIC model, firmware version and MAC
+ * address, and whether it is already in `bitaxe_instances`.
+ *
+ * The range comes from the request, then the `discovery.cidr` setting, then the /24
+ * network of the dashboard's own first IPv4 address.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const os = require('os');
+const net = require('net');
+
+/**
+ * Defaults for the `discovery` section of config.json.
+ * @constant {{cidr: string, port: number, concurrency: number, timeout_ms: number}}
+ */
+const DISCOVERY_DEFAULTS = {
+    cidr: '',
+    port: 80,
+    concurrency: 32,
+    timeout_ms: 1500
+};
+
+/**
+ * Smallest network prefix that may be scanned (a /22 has 1022 hosts).
+ * @constant {number}
+ */
+const MIN_PREFIX_LENGTH = 22;
+
+/**
+ * Upper limit for the number of requests in flight.
+ * @constant {number}
+ */
+const MAX_CONCURRENCY = 128;
+
+/**
+ * Whether a scan is running; only one runs at a time.
+ * @type {boolean}
+ */
+let scanInProgress = false;
+
+/**
+ * Converts a dotted IPv4 address to an unsigned 32-bit number.
+ * @param {string} address The address.
+ * @returns {number} The address as a number.
+ */
+function ipToNumber(address) {
+    return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Converts an unsigned 32-bit number to a dotted IPv4 address.
+ * @param {number} value The address as a number.
+ * @returns {string} The address.
+ */
+function numberToIp(value) {
+    return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Lists the host addresses of an IPv4 CIDR range, leaving out the network and
+ * broadcast addresses of ranges larger than a /31.
+ * @param {string} cidr The range, e.g. "192.168.1.0/24". A bare address is treated as /32.
+ * @returns {Array<string>} The host addresses.
+ * @throws {Error} If the range is not valid IPv4 CIDR notation or is larger than a /22.
+ */
+function expandCidr(cidr) {
+    const [address, prefixText = '32'] = String(cidr).trim().split('/');
+    const prefix = Number(prefixText);
+    if (!net.isIPv4(address) || !/^\d{1,2}$/.test(prefixText) || prefix > 32) {
+        throw new Error(`Invalid CIDR range "${cidr}", expected e.g. 192.168.1.0/24`);
+    }
+    if (prefix < MIN_PREFIX_LENGTH) {
+        throw new Error(`CIDR range "${cidr}" is too large to scan, use a /${MIN_PREFIX_LENGTH} or smaller`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    const network = Math.floor(ipToNumber(address) / size) * size;
+    const first = size > 2 ? network + 1 : network;
+    const last = size > 2 ? network + size - 2 : network + size - 1;
+
+    const hosts = [];
+    for (let value = first; value <= last; value++) {
+        hosts.push(numberToIp(value));
+    }
+    return hosts;
+}
+
+/**
+ * Returns the /24 network of the first non-internal IPv4 address of this machine.
+ * @returns {string|null} The range, or null if the machine has no IPv4 address.
+ */
+function getDefaultCidr() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        const ipv4 = (addresses || []).find(entry => entry.family === 'IPv4' && !entry.internal);
+        if (ipv4) {
+            return `${ipv4.address.split('.').slice(0, 3).join('.')}.0/24`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the discovery settings with defaults applied.
+ * @param {object} config The application configuration.
+ * @returns {{cidr: string, port: number, concurrency: number, timeout_ms: number}} The settings.
+ */
+function getSettings(config) {
+    return { ...DISCOVERY_DEFAULTS, ...(config && config.discovery) };
+}
+
+/**
+ * Normalizes a host name for comparison: lower case, without a trailing ".local".
+ * @param {string} name The host name.
+ * @returns {string} The normalized name.
+ */
+function normalizeHostname(name) {
+    return String(name || '').toLowerCase().replace(/\.local\.?$/, '');
+}
+
+/**
+ * Finds the configured Bitaxe instance that points at a discovered device, by address
+ * or by mDNS host name (e.g. http://bitaxe.local for a device with hostname "bitaxe").
+ * @param {object} config The application configuration.
+ * @param {string} deviceUrl The URL the device was found at.
+ * @param {string} hostname The device's hostname.
+ * @returns {string|null} The configured instance name, or null.
+ */
+function findConfiguredName(config, deviceUrl, hostname) {
+    const deviceHost = new URL(deviceUrl).host;
+    const instances = Array.isArray(config.bitaxe_instances) ? config.bitaxe_instances : [];
+
+    for (const instance of instances) {
+        const name = Object.keys(instance)[0];
+        let configuredUrl;
+        try {
+            configuredUrl = new URL(instance[name]);
+        } catch (error) {
+            continue; // Ignore malformed URLs in the config.
+        }
+        if (configuredUrl.host === deviceHost) {
+            return name;
+        }
+        if (hostname && !net.isIP(configuredUrl.hostname) && normalizeHostname(configuredUrl.hostname) === normalizeHostname(hostname)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Asks one address for AxeOS system info.
+ * @param {Function} fetch The fetch implementation.
+ * @param {string} deviceUrl The base URL to probe.
+ * @param {number} timeoutMs The time to wait for an answer.
+ * @returns {Promise<object|null>} The system info, or null if nothing AxeOS-like answered.
+ */
+async function probe(fetch, deviceUrl, timeoutMs) {
+    try {
+        const response = await fetch(`${deviceUrl}/api/system/info`, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+            return null;
+        }
+        const info = await response.json();
+        // Every AxeOS build reports its ASIC model and a firmware version.
+        if (info && typeof info === 'object' && info.ASICModel && (info.version || info.axeOSVersion)) {
+            return info;
+        }
+    } catch (error) {
+        // Timeouts, refused connections and non-JSON answers all mean "not a miner".
+    }
+    return null;
+}
+
+/**
+ * Returns whether a scan is running.
+ * @returns {boolean} True while a scan is running.
+ */
+function isScanning() {
+    return scanInProgress;
+}
+
+/**
+ * Scans a network range for AxeOS devices.
+ * @param {object} config The application configuration.
+ * @param {object} [options] Scan options, overriding the `discovery` settings.
+ * @param {string} [options.cidr] The range to scan.
+ * @param {number} [options.port] The HTTP port to probe.
+ * @param {number} [options.concurrency] The number of requests in flight.
+ * @param {number} [options.timeoutMs] The time to wait for each address.
+ * @returns {Promise<{cidr: string, scanned: number, durationMs: number, devices: Array<object>}>} The scan result.
+ * @throws {Error} If the range is invalid or a scan is already running.
+ */
+async function scan(config, options = {}) {
+    const settings = getSettings(config);
+    const cidr = options.cidr || settings.cidr || getDefaultCidr();
+    if (!cidr) {
+        throw new Error('No network range to scan; pass a cidr or set discovery.cidr in config.json');
+    }
+    const hosts = expandCidr(cidr);
+    const port = Number(options.port || settings.port) || DISCOVERY_DEFAULTS.port;
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Number(options.concurrency || settings.concurrency) || DISCOVERY_DEFAULTS.concurrency));
+    const timeoutMs = Math.max(100, Number(options.timeoutMs || settings.timeout_ms) || DISCOVERY_DEFAULTS.timeout_ms);
+
+    if (scanInProgress) {
+        throw new Error('A network scan is already running');
+    }
+    scanInProgress = true;
+
+    try {
+        // Use dynamic import for node-fetch 3.x compatibility
+        const { default: fetch } = await import('node-fetch');
+        const startedAt = Date.now();
+        const devices = [];
+        let next = 0;
+
+        // A fixed pool of workers takes the next address until none are left.
+        const worker = async () => {
+            while (next < hosts.length) {
+                const ip = hosts[next++];
+                const deviceUrl = port === 80 ? `http://${ip}` : `http://${ip}:${port}`;
+                const info = await probe(fetch, deviceUrl, timeoutMs);
+                if (info) {
+                    const configuredName = findConfiguredName(config, deviceUrl, info.hostname);
+                    devices.push({
+                        ip: ip,
+                        url: deviceUrl,
+                        hostname: info.hostname || null,
+                        ASICModel: info.ASICModel,
+                        version: info.version || info.axeOSVersion,
+                        macAddr: info.macAddr || null,
+                        alreadyConfigured: configuredName !== null,
+                        configuredName: configuredName
+                    });
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+
+        devices.sort((a, b) => ipToNumber(a.ip) - ipToNumber(b.ip));
+        return {
+            cidr: cidr,
+            scanned: hosts.length,
+            durationMs: Date.now() - startedAt,
+            devices: devices
+        };
+    } finally {
+        scanInProgress = false;
+    }
+}
+
+module.exports = {
+    scan,
+    isScanning,
+    getSettings,
+    expandCidr,
+    getDefaultCidr,
+    findConfiguredName,
+    DISCOVERY_DEFAULTS
+};
@@ -0,0 +1,439 @@
+/**
+ * @file Energy Service - Efficiency, electricity cost and expected earnings of the miners.
+ *
+ * Builds the energy report shown in the dashboard's Energy & Profitability section:
+ * - the efficiency (J/TH) of every miner and of the fleet, from the latest poll
+ * - the energy used over a period (kWh), from the stored history: every hour with data
+ *   counts at its average power
+ * - the electricity cost of that energy and the cost per day at the current power, priced
+ *   with the tariff in the `energy` section of config.json. `price_per_kwh` applies
+ *   unless one of the `tariff_bands` (time-of-use bands, in server local time) covers the
+ *   moment; a band whose end lies before its start runs past midnight
+ * - the expected earnings per day, from the network difficulty and block reward of a
+ *   Mining Core pool (`networkDifficulty`, `blockReward`) or the difficulty of a crypto
+ *   node with `block_reward` from config.json. With `coin_price` set, the earnings are
+ *   also given in the tariff currency together with the profit after electricity.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const pollingService = require('./pollingService');
+const historyService = require('./historyService');
+
+const { getHistorySettings } = historyService;
+
+/**
+ * Defaults for the `energy` section of config.json.
+ * @constant {object}
+ */
+const ENERGY_DEFAULTS = {
+    currency: 'USD',
+    price_per_kwh: 0,
+    tariff_bands: [],
+    coin_price: 0,
+    block_reward: 0,
+    earnings_source: ''
+};
+
+/**
+ * Periods the energy used can be reported for.
+ * @constant {object}
+ */
+const PERIODS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Day names accepted in the `days` of a tariff band, indexed by Date#getDay().
+ * @constant {Array<string>}
+ */
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * One hour in milliseconds, the step energy is integrated over.
+ * @constant {number}
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolution at which the tariff is read within an hour, fine enough for bands that
+ * start or end on a quarter hour.
+ * @constant {number}
+ */
+const PRICE_STEP_MS = 15 * 60 * 1000;
+
+/**
+ * Hashes needed on average to find a share of difficulty 1 (SHA-256).
+ * @constant {number}
+ */
+const HASHES_PER_DIFFICULTY = 2 ** 32;
+
+let reportedProblem = null;
+
+/**
+ * Parses a time of day.
+ * @param {string} text The time as "HH:MM".
+ * @returns {number|null} Minutes after midnight, or null if the text is not a valid time.
+ */
+function parseTime(text) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(typeof text === 'string' ? text : '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Checks the `energy` section of config.json.
+ * @param {object} [energy] The section; missing means the defaults.
+ * @returns {string|null} The first problem found, or null if the section is usable.
+ */
+function validateSettings(energy) {
+    if (energy === undefined) {
+        return null;
+    }
+    if (!energy || typeof energy !== 'object' || Array.isArray(energy)) {
+        return 'energy must be an object';
+    }
+    for (const key of ['price_per_kwh', 'coin_price', 'block_reward']) {
+        if (energy[key] !== undefined && !(typeof energy[key] === 'number' && energy[key] >= 0)) {
+            return `${key} must be a number of 0 or more`;
+        }
+    }
+    for (const key of ['currency', 'earnings_source']) {
+        if (energy[key] !== undefined && typeof energy[key] !== 'string') {
+            return `${key} must be a string`;
+        }
+    }
+    if (energy.tariff_bands === undefined) {
+        return null;
+    }
+    if (!Array.isArray(energy.tariff_bands)) {
+        return 'tariff_bands must be an array';
+    }
+    for (const [index, band] of energy.tariff_bands.entries()) {
+        const label = `tariff_bands[${index}]`;
+        if (!band || typeof band !== 'object') {
+            return `${label} must be an object`;
+        }
+        if (parseTime(band.start) === null || parseTime(band.end) === null) {
+            return `${label} needs a start and an end time as HH:MM`;
+        }
+        if (!(typeof band.price_per_kwh === 'number' && band.price_per_kwh >= 0)) {
+            return `${label}.price_per_kwh must be a number of 0 or more`;
+        }
+        if (band.days !== undefined && !(Array.isArray(band.days) && band.days.every(day => DAY_NAMES.includes(day)))) {
+            return `${label}.days must be an array of ${DAY_NAMES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the effective energy settings, falling back to the defaults (and warning once)
+ * when the section is invalid.
+ * @param {object} config The application configuration.
+ * @returns {object} The settings.
+ */
+function getSettings(config) {
+    const energy = config ? config.energy : undefined;
+    const problem = validateSettings(energy);
+    if (problem) {
+        if (reportedProblem !== problem) {
+            reportedProblem = problem;
+            console.warn(`Ignoring the energy section of config.json: ${problem}`);
+        }
+        return { ...ENERGY_DEFAULTS };
+    }
+    return { ...ENERGY_DEFAULTS, ...energy };
+}
+
+/**
+ * Returns the electricity price at a moment: that of the first tariff band covering it,
+ * or `price_per_kwh`. The part of a band after midnight belongs to the day it started.
+ * @param {object} settings The energy settings.
+ * @param {Date} date The moment, read in server local time.
+ * @returns {{price: number, band: string|null}} The price per kWh and the band name.
+ */
+function getPrice(settings, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    for (const band of settings.tariff_bands) {
+        const start = parseTime(band.start);
+        const end = parseTime(band.end);
+        let startDay = day;
+        let inBand;
+        if (start < end) {
+            inBand = minutes >= start && minutes < end;
+        } else if (start > end) {
+            inBand = minutes >= start || minutes < end;
+            if (minutes < end) {
+                startDay = (day + 6) % 7;
+            }
+        } else {
+            inBand = true;
+        }
+        if (inBand && (!band.days || band.days.includes(DAY_NAMES[startDay]))) {
+            return { price: band.price_per_kwh, band: band.name || `${band.start}-${band.end}` };
+        }
+    }
+    return { price: settings.price_per_kwh, band: null };
+}
+
+/**
+ * Returns the average electricity price over a time span.
+ * @param {object} settings The energy settings.
+ * @param {number} from The start in milliseconds.
+ * @param {number} to The end in milliseconds.
+ * @returns {number} The average price per kWh.
+ */
+function getAveragePrice(settings, from, to) {
+    let total = 0;
+    let count = 0;
+    for (let t = from; t < to; t += PRICE_STEP_MS) {
+        total += getPrice(settings, new Date(t)).price;
+        count++;
+    }
+    return count > 0 ? total / count : getPrice(settings, new Date(from)).price;
+}
+
+/**
+ * Returns the efficiency of a miner or of the fleet.
+ * @param {number} power The power in W.
+ * @param {number} hashRate The hashrate in GH/s.
+ * @returns {number|null} J/TH rounded to 2 decimals, or null without hashrate.
+ */
+function getEfficiency(power, hashRate) {
+    if (!(typeof power === 'number' && typeof hashRate === 'number' && hashRate > 0)) {
+        return null;
+    }
+    return round(power / (hashRate / 1000), 2);
+}
+
+/**
+ * Returns the coins a hashrate earns per day on average.
+ * @param {number} hashRate The hashrate in GH/s.
+ * @param {{networkDifficulty: number, blockReward: number}} source The earnings source.
+ * @returns {number} The expected coins per day.
+ */
+function getCoinsPerDay(hashRate, source) {
+    const blocksPerDay = hashRate * 1e9 * 86400 / (source.networkDifficulty * HASHES_PER_DIFFICULTY);
+    return blocksPerDay * source.blockReward;
+}
+
+/**
+ * Rounds a number.
+ * @param {number|null} value The number.
+ * @param {number} digits The decimals to keep.
+ * @returns {number|null} The rounded number, or null.
+ */
+function round(value, digits) {
+    if (typeof value !== 'number' || isNaN(value)) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Lists the places the expected earnings can be estimated from: every Mining Core pool
+ * with a network difficulty and a block reward (the pool's, or `block_reward` when the
+ * pool reports none), and every online crypto node with a difficulty when `block_reward`
+ * is set. Multi-algorithm nodes report the SHA-256 difficulty, the one Bitaxe miners mine.
+ * @param {{miningCoreData: Array<object>, cryptoNodeData: Array<object>}} snapshot The polling snapshot.
+ * @param {object} settings The energy settings.
+ * @returns {Array<object>} `{ id, type, coin, networkDifficulty, blockReward }`.
+ */
+function getEarningsSources(snapshot, settings) {
+    const sources = [];
+
+    (snapshot.miningCoreData || [])
+        .filter(instance => instance.status !== 'Error')
+        .forEach(instance => (instance.pools || []).forEach(pool => {
+            const networkDifficulty = pool.networkStats && pool.networkStats.networkDifficulty;
+            const blockReward = pool.blockReward > 0 ? pool.blockReward : settings.block_reward;
+            if (networkDifficulty > 0 && blockReward > 0) {
+                sources.push({
+                    id: `${instance.instanceName}/${pool.id}`,
+                    type: 'mining_core',
+                    coin: (pool.coin && pool.coin.symbol) || '',
+                    networkDifficulty: networkDifficulty,
+                    blockReward: blockReward
+                });
+            }
+        }));
+
+    (snapshot.cryptoNodeData || [])
+        .filter(node => node.status !== 'Error' && node.blockchainInfo)
+        .forEach(node => {
+            const info = node.blockchainInfo;
+            const networkDifficulty = typeof info.difficulty === 'number' ? info.difficulty : (info.difficulties && info.difficulties.sha256d);
+            if (networkDifficulty > 0 && settings.block_reward > 0) {
+                sources.push({
+                    id: node.id,
+                    type: 'crypto_node',
+                    coin: node.nodeType || '',
+                    networkDifficulty: networkDifficulty,
+                    blockReward: settings.block_reward
+                });
+            }
+        });
+
+    return sources;
+}
+
+/**
+ * Adds up the energy used and its cost from the stored history, per miner and per
+ * local calendar day.
+ * @param {object} config The application configuration.
+ * @param {object} settings The energy settings.
+ * @param {number} from The start of the period in milliseconds.
+ * @param {number} to The end of the period in milliseconds.
+ * @returns {{byInstance: Map<string, {kwh: number, cost: number}>, daily: Array<object>}|null}
+ * The totals, or null when history is disabled.
+ */
+function getConsumption(config, settings, from, to) {
+    if (!getHistorySettings(config).enabled) {
+        return null;
+    }
+    const instanceIds = (config.bitaxe_instances || []).map(instance => Object.keys(instance)[0]);
+    const prices = new Map();
+    const byInstance = new Map();
+    const days = new Map();
+
+    instanceIds.forEach(instanceId => {
+        const totals = { kwh: 0, cost: 0 };
+        const { series } = historyService.query({ instanceId, metrics: ['power'], from, to, stepMs: HOUR_MS }, config, to);
+
+        series.forEach(step => {
+            if (typeof step.power !== 'number') return;
+            const start = Math.max(step.t, from);
+            const end = Math.min(step.t + HOUR_MS, to);
+            if (end <= start) return;
+            if (!prices.has(start)) {
+                prices.set(start, getAveragePrice(settings, start, end));
+            }
+            const kwh = step.power * (end - start) / HOUR_MS / 1000;
+            const cost = kwh * prices.get(start);
+            totals.kwh += kwh;
+            totals.cost += cost;
+
+            const date = new Date(step.t);
+            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            const day = days.get(key) || { date: key, kwh: 0, cost: 0 };
+            day.kwh += kwh;
+            day.cost += cost;
+            days.set(key, day);
+        });
+        byInstance.set(instanceId, totals);
+    });
+
+    const daily = [...days.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({ date: day.date, kwh: round(day.kwh, 3), cost: round(day.cost, 4) }));
+    return { byInstance, daily };
+}
+
+/**
+ * Builds the energy report of every miner and of the fleet.
+ * @param {object} config The application configuration.
+ * @param {string} [period='24h'] The period of the energy used: one of PERIODS.
+ * @param {number} [now] The current time in milliseconds.
+ * @returns {Promise<object>} `{ currency, period, from, to, tariff, earnings, devices, fleet, daily }`;
+ * `kwh`, `cost` and `daily` are null when history is disabled.
+ * @throws {Error} With `statusCode` 400 for an unknown period.
+ */
+async function getReport(config, period = '24h', now = Date.now()) {
+    if (!PERIODS[period]) {
+        const error = new Error(`period must be one of ${Object.keys(PERIODS).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    const settings = getSettings(config);
+    const from = now - PERIODS[period];
+    const snapshot = await pollingService.getSnapshot(config);
+    const consumption = getConsumption(config, settings, from, now);
+    const sources = getEarningsSources(snapshot, settings);
+    const source = sources.find(candidate => candidate.id === settings.earnings_source) || sources[0] || null;
+    const current = getPrice(settings, new Date(now));
+    // The cost of running for the next 24 hours, so every band of the day is included.
+    const pricePerDay = getAveragePrice(settings, now, now + PERIODS['24h']) * 24;
+
+    const estimate = (hashRate, power) => {
+        const costPerDay = power / 1000 * pricePerDay;
+        const coinsPerDay = source ? getCoinsPerDay(hashRate, source) : null;
+        const revenuePerDay = coinsPerDay !== null && settings.coin_price > 0 ? coinsPerDay * settings.coin_price : null;
+        return {
+            costPerDay: round(costPerDay, 4),
+            coinsPerDay: coinsPerDay,
+            revenuePerDay: round(revenuePerDay, 4),
+            profitPerDay: revenuePerDay !== null ? round(revenuePerDay - costPerDay, 4) : null
+        };
+    };
+
+    const devices = snapshot.minerData.map(miner => {
+        const used = consumption ? consumption.byInstance.get(miner.id) : null;
+        const totals = {
+            kwh: used ? round(used.kwh, 3) : null,
+            cost: used ? round(used.cost, 4) : null
+        };
+        if (miner.status === 'Error') {
+            return { id: miner.id, online: false, message: miner.message, ...totals };
+        }
+        const hashRate = typeof miner.hashRate === 'number' ? miner.hashRate : 0;
+        const power = typeof miner.power === 'number' ? miner.power : 0;
+        return {
+            id: miner.id,
+            online: true,
+            hashRate: hashRate,
+            power: power,
+            efficiency: getEfficiency(power, hashRate),
+            ...estimate(hashRate, power),
+            ...totals
+        };
+    });
+
+    const online = devices.filter(device => device.online);
+    const fleetHashRate = online.reduce((total, device) => total + device.hashRate, 0);
+    const fleetPower = online.reduce((total, device) => total + device.power, 0);
+    const usedTotals = consumption ? [...consumption.byInstance.values()] : null;
+
+    return {
+        currency: settings.currency,
+        period: period,
+        from: new Date(from).toISOString(),
+        to: new Date(now).toISOString(),
+        tariff: { pricePerKwh: current.price, band: current.band },
+        earnings: {
+            source: source ? source.id : null,
+            coin: source ? source.coin : null,
+            coinPrice: settings.coin_price > 0 ? settings.coin_price : null,
+            sources: sources
+        },
+        devices: devices,
+        fleet: {
+            online: online.length,
+            total: devices.length,
+            hashRate: fleetHashRate,
+            power: fleetPower,
+            efficiency: getEfficiency(fleetPower, fleetHashRate),
+            ...estimate(fleetHashRate, fleetPower),
+            kwh: usedTotals ? round(usedTotals.reduce((total, used) => total + used.kwh, 0), 3) : null,
+            cost: usedTotals ? round(usedTotals.reduce((total, used) => total + used.cost, 0), 4) : null
+        },
+        daily: consumption ? consumption.daily : null
+    };
+}
+
+module.exports = {
+    getReport,
+    getSettings,
+    validateSettings,
+    getPrice,
+    getEfficiency,
+    getCoinsPerDay,
+    getEarningsSources,
+    PERIODS
+};
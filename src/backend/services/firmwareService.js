@@ -0,0 +1,462 @@
+/**
+ * @file Firmware Service - Over-the-air firmware updates of AxeOS miners.
+ *
+ * A firmware file is uploaded to the dashboard once and kept in `config/firmware/`:
+ * `esp-miner.bin` (the firmware, sent to POST /api/system/OTA) and `www.bin` (the web
+ * interface, sent to POST /api/system/OTAWWW). An update job then pushes one of them to
+ * the selected miners one after the other. For every miner the job uploads the file,
+ * waits until the miner answers /api/system/info again and, for the firmware, which
+ * restarts the miner, checks that `axeOSVersion` changed. With `stopOnFailure` the job
+ * skips the remaining miners after the first failure.
+ *
+ * One job runs at a time; its per-device progress is kept in memory until the next job.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const { CONFIG_DIR } = require('./configPaths');
+const apiMapService = require('./apiMapService');
+
+/**
+ * Directory holding the uploaded firmware files.
+ * @constant {string}
+ */
+const FIRMWARE_DIR = path.join(CONFIG_DIR, 'firmware');
+
+/**
+ * The firmware files that can be uploaded, by type: the file name they are kept under,
+ * the logical AxeOS endpoint (see apiMapService) they are pushed to and whether AxeOS
+ * restarts into a new version after installing them.
+ * @constant {Object.<string, object>}
+ */
+const FIRMWARE_TYPES = {
+    'esp-miner': { fileName: 'esp-miner.bin', endpoint: 'firmwareUpdate', restarts: true },
+    'www': { fileName: 'www.bin', endpoint: 'webInterfaceUpdate', restarts: false }
+};
+
+/**
+ * Largest file accepted, in bytes. The OTA partitions of a Bitaxe are smaller than this.
+ * @constant {number}
+ */
+const MAX_FIRMWARE_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Size of the pieces the file is sent in, which sets the granularity of the upload progress.
+ * @constant {number}
+ */
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Reads the app description that follows the 24 byte image header and the 8 byte header
+ * of the first segment of an ESP32 application image.
+ * @param {Buffer} image The image, or at least its first 112 bytes.
+ * @returns {{version: string, projectName: string}|null} The description, or null if the
+ * data is not an application image (e.g. www.bin or a factory image).
+ */
+function readAppDescription(image) {
+    if (image.length < 112 || image[0] !== 0xE9 || image.readUInt32LE(32) !== 0xABCD5432) {
+        return null;
+    }
+    const text = (start, length) => image.toString('latin1', start, start + length).replace(/\0[\s\S]*$/, '');
+    return { version: text(48, 32), projectName: text(80, 32) };
+}
+
+/**
+ * Checks an uploaded file before it is stored.
+ * @param {string} type One of the FIRMWARE_TYPES keys.
+ * @param {Buffer} data The file.
+ * @returns {string|null} The problem, or null if the file can be stored.
+ */
+function validateFirmware(type, data) {
+    if (!Object.prototype.hasOwnProperty.call(FIRMWARE_TYPES, type)) {
+        return `type must be one of ${Object.keys(FIRMWARE_TYPES).join(', ')}`;
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+        return 'The file is empty';
+    }
+    if (data.length > MAX_FIRMWARE_SIZE) {
+        return `The file is larger than ${MAX_FIRMWARE_SIZE / 1024 / 1024} MB`;
+    }
+    const description = readAppDescription(data);
+    if (type === 'esp-miner' && !description) {
+        return 'esp-miner.bin must be an ESP32 application image (factory images and www.bin cannot be used here)';
+    }
+    if (type === 'www' && description) {
+        return 'This is a firmware image; upload it as esp-miner.bin';
+    }
+    return null;
+}
+
+/**
+ * Waits for a while.
+ * @param {number} ms The time to wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Looks up the base URL of a configured instance.
+ * @param {object} config The application configuration.
+ * @param {string} instanceId The configured name of the instance.
+ * @returns {string|null} The base URL, or null if there is no such instance.
+ */
+function findInstanceUrl(config, instanceId) {
+    const instance = (config.bitaxe_instances || []).find(item => item[instanceId]);
+    return instance ? instance[instanceId] : null;
+}
+
+/**
+ * Firmware Service class - Singleton that stores the firmware files and runs update jobs.
+ *
+ * @class FirmwareService
+ * @since 2.0.0
+ */
+class FirmwareService {
+    constructor() {
+        this.firmwareDir = FIRMWARE_DIR;
+        this.job = null;
+        this.running = null;
+        this.nextJobId = 1;
+        // How often a rebooting miner is polled, how long it may take to come back and how
+        // long a single request, and the upload of the file, may take.
+        this.pollIntervalMs = 5000;
+        this.rebootTimeoutMs = 3 * 60 * 1000;
+        this.requestTimeoutMs = 5000;
+        this.uploadTimeoutMs = 2 * 60 * 1000;
+    }
+
+    /**
+     * Returns the path a firmware file is stored under.
+     * @param {string} type One of the FIRMWARE_TYPES keys.
+     * @returns {string} The path.
+     */
+    getFilePath(type) {
+        return path.join(this.firmwareDir, FIRMWARE_TYPES[type].fileName);
+    }
+
+    /**
+     * Stores an uploaded firmware file, replacing the previous one of the same type.
+     * @param {string} type One of the FIRMWARE_TYPES keys.
+     * @param {Buffer} data The file.
+     * @returns {Promise<object>} The stored file, as listed by getFiles().
+     * @throws {Error} With a `statusCode` of 400 if the type or the file is invalid and 409 if
+     * a job is pushing the file being replaced.
+     */
+    async saveFile(type, data) {
+        const problem = validateFirmware(type, data);
+        if (problem) {
+            throw Object.assign(new Error(problem), { statusCode: 400 });
+        }
+        if (this.job && this.job.status === 'running' && this.job.type === type) {
+            throw Object.assign(new Error(`${FIRMWARE_TYPES[type].fileName} is being pushed to miners`), { statusCode: 409 });
+        }
+        const filePath = this.getFilePath(type);
+        await fs.mkdir(this.firmwareDir, { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, data);
+        await fs.rename(`${filePath}.tmp`, filePath);
+        return this.getFile(type);
+    }
+
+    /**
+     * Describes a stored firmware file.
+     * @param {string} type One of the FIRMWARE_TYPES keys.
+     * @returns {Promise<object|null>} `{ type, fileName, size, uploadedAt, version }`, or null
+     * if no file of this type was uploaded. `version` is null for www.bin.
+     */
+    async getFile(type) {
+        const filePath = this.getFilePath(type);
+        let handle;
+        try {
+            handle = await fs.open(filePath, 'r');
+            const stats = await handle.stat();
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(112), 0, 112, 0);
+            const description = readAppDescription(buffer.subarray(0, bytesRead));
+            return {
+                type: type,
+                fileName: FIRMWARE_TYPES[type].fileName,
+                size: stats.size,
+                uploadedAt: stats.mtime.toISOString(),
+                version: description ? description.version : null
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        } finally {
+            if (handle) {
+                await handle.close();
+            }
+        }
+    }
+
+    /**
+     * Describes every stored firmware file.
+     * @returns {Promise<Array<object>>} The files, see getFile().
+     */
+    async getFiles() {
+        const files = await Promise.all(Object.keys(FIRMWARE_TYPES).map(type => this.getFile(type)));
+        return files.filter(Boolean);
+    }
+
+    /**
+     * Returns the current or last update job.
+     * @returns {object|null} The job, or null if none ran since the dashboard started.
+     */
+    getJob() {
+        return this.job;
+    }
+
+    /**
+     * Starts pushing a stored firmware file to miners, one after the other. The job runs
+     * in the background; follow it with getJob().
+     * @param {object} config The application configuration.
+     * @param {object} options The job options.
+     * @param {string} options.type One of the FIRMWARE_TYPES keys.
+     * @param {Array<string>|string} options.instanceIds The configured names, or `'all'`.
+     * @param {boolean} [options.stopOnFailure=false] Skip the remaining miners after a failure.
+     * @returns {Promise<object>} The new job.
+     * @throws {Error} With a `statusCode` of 400 if the request is invalid, 404 if the file
+     * was not uploaded and 409 if a job is already running.
+     */
+    async startUpdate(config, { type, instanceIds, stopOnFailure = false }) {
+        const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+        if (!Object.prototype.hasOwnProperty.call(FIRMWARE_TYPES, type)) {
+            throw fail(400, `type must be one of ${Object.keys(FIRMWARE_TYPES).join(', ')}`);
+        }
+        const ids = instanceIds === 'all'
+            ? (config.bitaxe_instances || []).map(instance => Object.keys(instance)[0])
+            : instanceIds;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+            throw fail(400, 'instanceIds must be "all" or a non-empty list of instance names');
+        }
+        const unknown = ids.filter(id => !findInstanceUrl(config, id));
+        if (unknown.length > 0) {
+            throw fail(400, `Unknown instances: ${unknown.join(', ')}`);
+        }
+        if (this.job && this.job.status === 'running') {
+            throw fail(409, 'A firmware update is already running');
+        }
+        const file = await this.getFile(type);
+        if (!file) {
+            throw fail(404, `Upload ${FIRMWARE_TYPES[type].fileName} first`);
+        }
+
+        const job = {
+            id: this.nextJobId++,
+            type: type,
+            fileName: file.fileName,
+            version: file.version,
+            stopOnFailure: stopOnFailure === true,
+            status: 'running',
+            message: `Updating ${ids.length} device(s)`,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            devices: [...new Set(ids)].map(instanceId => ({
+                instanceId: instanceId,
+                status: 'pending',
+                progress: 0,
+                previousVersion: null,
+                version: null,
+                message: null
+            }))
+        };
+        this.job = job;
+        this.running = this.runJob(config, job)
+            .catch(error => {
+                console.error('Firmware update job failed:', error);
+                job.status = 'error';
+                job.message = error.message;
+                job.finishedAt = new Date().toISOString();
+            });
+        return job;
+    }
+
+    /**
+     * Runs an update job to the end.
+     * @param {object} config The application configuration.
+     * @param {object} job The job.
+     * @returns {Promise<void>}
+     */
+    async runJob(config, job) {
+        const data = await fs.readFile(this.getFilePath(job.type));
+
+        for (const device of job.devices) {
+            const failed = job.devices.find(candidate => candidate.status === 'failed');
+            if (failed && job.stopOnFailure) {
+                device.status = 'skipped';
+                device.message = `Stopped after ${failed.instanceId} failed`;
+                continue;
+            }
+            try {
+                await this.updateDevice(config, job, device, data);
+            } catch (error) {
+                device.status = 'failed';
+                device.message = error.message;
+                console.error(`Firmware update of ${device.instanceId} failed:`, error.message);
+            }
+        }
+
+        const count = status => job.devices.filter(device => device.status === status).length;
+        const updated = count('success');
+        job.status = updated + count('current') === job.devices.length ? 'success' : 'error';
+        job.message = `${job.fileName} installed on ${updated} of ${job.devices.length} devices`;
+        if (count('skipped') > 0) {
+            job.message += `, ${count('skipped')} skipped after a failure`;
+        }
+        job.finishedAt = new Date().toISOString();
+    }
+
+    /**
+     * Pushes the file of a job to one miner and verifies the result. Updates `device` as it
+     * goes: uploading, rebooting (firmware) or verifying (web interface), then success,
+     * current (already ran the version) or failed.
+     * @param {object} config The application configuration.
+     * @param {object} job The job.
+     * @param {object} device The job's entry for the miner.
+     * @param {Buffer} data The file.
+     * @returns {Promise<void>}
+     * @throws {Error} If the upload fails or the miner does not come back as expected.
+     */
+    async updateDevice(config, job, device, data) {
+        const firmwareType = FIRMWARE_TYPES[job.type];
+        const baseUrl = findInstanceUrl(config, device.instanceId);
+        if (!baseUrl) {
+            throw new Error(`Bitaxe instance "${device.instanceId}" not found in configuration.`);
+        }
+        const infoUrl = `${baseUrl}${await apiMapService.getApiPath(config, 'instanceInfo')}`;
+        const updateUrl = `${baseUrl}${await apiMapService.getApiPath(config, firmwareType.endpoint)}`;
+
+        const before = await this.fetchInfo(infoUrl);
+        if (!before) {
+            throw new Error('The device is not reachable');
+        }
+        device.previousVersion = before.axeOSVersion || before.version || null;
+        if (firmwareType.restarts && job.version && device.previousVersion === job.version) {
+            device.status = 'current';
+            device.version = device.previousVersion;
+            device.message = `Already runs ${job.version}`;
+            return;
+        }
+
+        device.status = 'uploading';
+        await this.upload(updateUrl, data, progress => { device.progress = progress; });
+
+        device.status = firmwareType.restarts ? 'rebooting' : 'verifying';
+        const after = await this.waitForDevice(infoUrl, firmwareType.restarts ? before : null);
+        device.version = after.axeOSVersion || after.version || null;
+
+        if (firmwareType.restarts) {
+            if (device.version === device.previousVersion) {
+                throw new Error(`The device came back still running ${device.previousVersion}`);
+            }
+            if (job.version && device.version !== job.version) {
+                throw new Error(`The device came back running ${device.version} instead of ${job.version}`);
+            }
+            device.message = `Updated from ${device.previousVersion} to ${device.version}`;
+        } else {
+            device.message = `${job.fileName} installed, running ${device.version}`;
+        }
+        device.status = 'success';
+    }
+
+    /**
+     * Sends a file to an AxeOS OTA endpoint.
+     * @param {string} url The endpoint.
+     * @param {Buffer} data The file.
+     * @param {Function} onProgress Called with the percentage sent so far.
+     * @returns {Promise<void>}
+     * @throws {Error} If the device refuses the file or does not answer in time.
+     */
+    async upload(url, data, onProgress) {
+        const { default: fetch } = await import('node-fetch');
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.uploadTimeoutMs);
+
+        async function* chunks() {
+            for (let offset = 0; offset < data.length; offset += UPLOAD_CHUNK_SIZE) {
+                yield data.subarray(offset, offset + UPLOAD_CHUNK_SIZE);
+                onProgress(Math.round(Math.min(offset + UPLOAD_CHUNK_SIZE, data.length) / data.length * 100));
+            }
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Length': String(data.length)
+                },
+                body: Readable.from(chunks()),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`The device refused the file: HTTP ${response.status} ${(await response.text()).trim()}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`The upload did not finish within ${Math.round(this.uploadTimeoutMs / 1000)} s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Fetches /api/system/info.
+     * @param {string} url The info URL of the miner.
+     * @returns {Promise<object|null>} The system info, or null if the miner does not answer.
+     */
+    async fetchInfo(url) {
+        const { default: fetch } = await import('node-fetch');
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Polls /api/system/info until the miner answers. With `before`, waits for the miner to
+     * be back from the restart that follows a firmware update, i.e. to answer with a
+     * different version or a lower uptime than before.
+     * @param {string} url The info URL of the miner.
+     * @param {object|null} before The system info from before the update.
+     * @returns {Promise<object>} The system info after the update.
+     * @throws {Error} If the miner does not come back in time.
+     */
+    async waitForDevice(url, before) {
+        const deadline = Date.now() + this.rebootTimeoutMs;
+        while (Date.now() < deadline) {
+            await delay(this.pollIntervalMs);
+            const info = await this.fetchInfo(url);
+            if (info && (!before || info.axeOSVersion !== before.axeOSVersion || info.uptimeSeconds < before.uptimeSeconds)) {
+                return info;
+            }
+        }
+        throw new Error(`The device did not come back within ${Math.round(this.rebootTimeoutMs / 1000)} s`);
+    }
+}
+
+// Create and export a singleton instance
+const firmwareService = new FirmwareService();
+
+module.exports = firmwareService;
+module.exports.FIRMWARE_TYPES = FIRMWARE_TYPES;
+module.exports.MAX_FIRMWARE_SIZE = MAX_FIRMWARE_SIZE;
+module.exports.readAppDescription = readAppDescription;
+module.exports.validateFirmware = validateFirmware;
@@ -0,0 +1,618 @@
+/**
+ * @file History Service - Persistent time-series store for miner telemetry.
+ *
+ * This module records the telemetry of every configured Bitaxe instance on each
+ * background poll and keeps it in append-only JSONL files under `config/history/`,
+ * so that charts survive miner reboots and are not limited to the short window
+ * AxeOS keeps in `/api/system/statistics/dashboard`.
+ *
+ * Data is kept in three tiers:
+ * - `raw`: every poll, kept for `history.raw_retention_hours` (default 24h)
+ * - `5m`: 5-minute averages, kept for `history.five_minute_retention_days` (default 30d)
+ * - `1h`: hourly averages, kept for `history.hourly_retention_days` (default 0 = forever)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const pollingService = require('./pollingService');
+const configurationManager = require('./configurationManager');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * Directory holding the history JSONL files.
+ * @constant {string}
+ */
+const HISTORY_DIR = path.join(CONFIG_DIR, 'history');
+
+/**
+ * Telemetry fields recorded for every Bitaxe instance at each poll.
+ * @constant {Array<string>}
+ */
+const HISTORY_METRICS = [
+    'hashRate',
+    'temp',
+    'vrTemp',
+    'power',
+    'fanspeed',
+    'fanrpm',
+    'coreVoltageActual',
+    'voltage',
+    'sharesAccepted',
+    'sharesRejected',
+    'bestDiff'
+];
+
+/**
+ * Storage tiers, from the finest to the coarsest resolution.
+ * `bucketMs` is the averaging window; 0 means every sample is kept as-is.
+ * @constant {Array<{name: string, file: string, bucketMs: number}>}
+ */
+const TIERS = [
+    { name: 'raw', file: 'raw.jsonl', bucketMs: 0 },
+    { name: '5m', file: '5m.jsonl', bucketMs: 5 * 60 * 1000 },
+    { name: '1h', file: '1h.jsonl', bucketMs: 60 * 60 * 1000 }
+];
+
+/**
+ * Default retention settings, used for any value missing from `config.history`.
+ * A retention of 0 keeps the data forever.
+ * @constant {object}
+ */
+const DEFAULT_HISTORY_SETTINGS = {
+    enabled: true,
+    raw_retention_hours: 24,
+    five_minute_retention_days: 30,
+    hourly_retention_days: 0
+};
+
+/**
+ * Metrics that are summed across instances for the fleet (`all`) aggregate.
+ * `bestDiff` takes the fleet maximum and every other metric the fleet average.
+ * @constant {Array<string>}
+ */
+const FLEET_SUM_METRICS = ['hashRate', 'power', 'sharesAccepted', 'sharesRejected'];
+
+/**
+ * Aggregation functions supported by history queries.
+ * @constant {Array<string>}
+ */
+const AGGREGATIONS = ['avg', 'min', 'max', 'last'];
+
+/**
+ * How often downsampling and retention pruning run.
+ * @constant {number}
+ */
+const MAINTENANCE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Multipliers for the suffixes AxeOS uses on difficulty strings (e.g. "3.00G").
+ * @constant {Object.<string, number>}
+ */
+const DIFFICULTY_SUFFIXES = {
+    k: 1e3,
+    K: 1e3,
+    M: 1e6,
+    G: 1e9,
+    T: 1e12,
+    P: 1e15,
+    E: 1e18
+};
+
+/**
+ * Converts an AxeOS difficulty value such as "142.80M" into a plain number.
+ * @param {string|number} value The difficulty as reported by the device.
+ * @returns {number|null} The numeric difficulty, or null if it cannot be parsed.
+ */
+function parseDifficulty(value) {
+    if (typeof value === 'number') {
+        return isNaN(value) ? null : value;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = value.trim().match(/^([0-9]*\.?[0-9]+)\s*([kKMGTPE]?)$/);
+    if (!match) {
+        return null;
+    }
+    return parseFloat(match[1]) * (DIFFICULTY_SUFFIXES[match[2]] || 1);
+}
+
+/**
+ * Returns the history settings with defaults applied.
+ * @param {object} config The application configuration object.
+ * @returns {object} The effective history settings.
+ */
+function getHistorySettings(config) {
+    return { ...DEFAULT_HISTORY_SETTINGS, ...((config && config.history) || {}) };
+}
+
+/**
+ * Returns the retention period of a tier in milliseconds (0 = keep forever).
+ * @param {string} tierName The tier name ('raw', '5m' or '1h').
+ * @param {object} settings The effective history settings.
+ * @returns {number} The retention in milliseconds.
+ */
+function getRetentionMs(tierName, settings) {
+    switch (tierName) {
+        case 'raw':
+            return Number(settings.raw_retention_hours) * 60 * 60 * 1000;
+        case '5m':
+            return Number(settings.five_minute_retention_days) * 24 * 60 * 60 * 1000;
+        case '1h':
+            return Number(settings.hourly_retention_days) * 24 * 60 * 60 * 1000;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Averages a group of samples into a single bucket record. Samples from an
+ * already aggregated tier are weighted by their sample count `n`.
+ * @param {string} id The instance identifier.
+ * @param {number} bucketStart The bucket start timestamp in milliseconds.
+ * @param {Array<object>} samples The samples falling into the bucket.
+ * @returns {object} The aggregated record.
+ */
+function aggregateBucket(id, bucketStart, samples) {
+    const record = { t: bucketStart, id: id, n: 0 };
+    const sums = {};
+    const weights = {};
+
+    samples.forEach(sample => {
+        const weight = sample.n || 1;
+        record.n += weight;
+        HISTORY_METRICS.forEach(metric => {
+            if (typeof sample[metric] === 'number') {
+                sums[metric] = (sums[metric] || 0) + sample[metric] * weight;
+                weights[metric] = (weights[metric] || 0) + weight;
+            }
+        });
+    });
+
+    HISTORY_METRICS.forEach(metric => {
+        record[metric] = weights[metric] ? sums[metric] / weights[metric] : null;
+    });
+    return record;
+}
+
+/**
+ * Reduces the samples of one instance within one step to a single value per metric.
+ * @param {Array<object>} samples The samples in chronological order.
+ * @param {Array<string>} metrics The metrics to compute.
+ * @param {string} aggregation One of AGGREGATIONS.
+ * @returns {object} Map of metric name to aggregated value (null when no data).
+ */
+function aggregateStep(samples, metrics, aggregation) {
+    const values = {};
+    metrics.forEach(metric => {
+        let sum = 0;
+        let weight = 0;
+        let min = null;
+        let max = null;
+        let last = null;
+
+        samples.forEach(sample => {
+            const value = sample[metric];
+            if (typeof value !== 'number') return;
+            const n = sample.n || 1;
+            sum += value * n;
+            weight += n;
+            min = min === null ? value : Math.min(min, value);
+            max = max === null ? value : Math.max(max, value);
+            last = value;
+        });
+
+        switch (aggregation) {
+            case 'min':
+                values[metric] = min;
+                break;
+            case 'max':
+                values[metric] = max;
+                break;
+            case 'last':
+                values[metric] = last;
+                break;
+            default:
+                values[metric] = weight ? sum / weight : null;
+        }
+    });
+    return values;
+}
+
+/**
+ * Combines the per-instance values of one step into a fleet value per metric.
+ * @param {Array<object>} instanceValues The aggregated values of each instance.
+ * @param {Array<string>} metrics The metrics to combine.
+ * @returns {object} Map of metric name to fleet value (null when no data).
+ */
+function combineFleet(instanceValues, metrics) {
+    const values = {};
+    metrics.forEach(metric => {
+        const numbers = instanceValues
+            .map(item => item[metric])
+            .filter(value => typeof value === 'number');
+
+        if (numbers.length === 0) {
+            values[metric] = null;
+        } else if (FLEET_SUM_METRICS.includes(metric)) {
+            values[metric] = numbers.reduce((total, value) => total + value, 0);
+        } else if (metric === 'bestDiff') {
+            values[metric] = Math.max(...numbers);
+        } else {
+            values[metric] = numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        }
+    });
+    return values;
+}
+
+/**
+ * History Service class - Singleton that records, downsamples and prunes telemetry.
+ *
+ * @class HistoryService
+ * @since 2.0.0
+ */
+class HistoryService {
+    constructor() {
+        this.historyDir = HISTORY_DIR;
+        this.tiers = new Map(TIERS.map(tier => [tier.name, []]));
+        this.writeQueue = Promise.resolve();
+        this.maintenanceTimer = null;
+        this.loaded = false;
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Loads existing history from disk, subscribes to the polling service and
+     * schedules periodic downsampling and pruning.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.loaded) {
+            await this.load();
+        }
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+
+        // Catch up on any downsampling missed while the application was stopped.
+        await this.runMaintenance().catch(error => console.error('Error during history maintenance:', error));
+
+        if (!this.maintenanceTimer) {
+            this.maintenanceTimer = setInterval(() => {
+                this.runMaintenance().catch(error => console.error('Error during history maintenance:', error));
+            }, MAINTENANCE_INTERVAL_MS);
+            this.maintenanceTimer.unref();
+        }
+    }
+
+    /**
+     * Stops recording and periodic maintenance.
+     */
+    stop() {
+        pollingService.off('poll', this.onPoll);
+        if (this.maintenanceTimer) {
+            clearInterval(this.maintenanceTimer);
+            this.maintenanceTimer = null;
+        }
+    }
+
+    /**
+     * Reads every tier file into memory. Unparseable lines (e.g. a write
+     * interrupted by a crash) are skipped.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        await fs.mkdir(this.historyDir, { recursive: true });
+
+        for (const tier of TIERS) {
+            const records = [];
+            try {
+                const content = await fs.readFile(path.join(this.historyDir, tier.file), 'utf8');
+                content.split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    try {
+                        records.push(JSON.parse(line));
+                    } catch (error) {
+                        console.warn(`Skipping corrupt history line in ${tier.file}`);
+                    }
+                });
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            records.sort((a, b) => a.t - b.t);
+            this.tiers.set(tier.name, records);
+        }
+
+        this.loaded = true;
+        console.log(`History loaded: ${TIERS.map(tier => `${this.tiers.get(tier.name).length} ${tier.name}`).join(', ')} records`);
+    }
+
+    /**
+     * Queues a file operation so appends and rewrites never interleave.
+     * @param {Function} operation An async function performing the file operation.
+     * @returns {Promise<void>}
+     */
+    enqueueWrite(operation) {
+        this.writeQueue = this.writeQueue
+            .then(operation)
+            .catch(error => console.error('Error writing history file:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Appends records to a tier, in memory and on disk.
+     * @param {string} tierName The tier name.
+     * @param {Array<object>} records The records to append.
+     * @returns {Promise<void>}
+     */
+    append(tierName, records) {
+        if (records.length === 0) {
+            return this.writeQueue;
+        }
+        const tier = TIERS.find(item => item.name === tierName);
+        this.tiers.get(tierName).push(...records);
+        const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        return this.enqueueWrite(() => fs.appendFile(path.join(this.historyDir, tier.file), lines, 'utf8'));
+    }
+
+    /**
+     * Rewrites a tier file from its in-memory records, via a temporary file so a
+     * crash never leaves a truncated history behind.
+     * @param {string} tierName The tier name.
+     * @returns {Promise<void>}
+     */
+    rewrite(tierName) {
+        const tier = TIERS.find(item => item.name === tierName);
+        return this.enqueueWrite(async () => {
+            const records = this.tiers.get(tierName);
+            const filePath = path.join(this.historyDir, tier.file);
+            const content = records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+            await fs.writeFile(`${filePath}.tmp`, content, 'utf8');
+            await fs.rename(`${filePath}.tmp`, filePath);
+        });
+    }
+
+    /**
+     * Handles the polling service's `poll` event.
+     * @param {object} event The poll event payload.
+     */
+    onPoll(event) {
+        this.recordPoll(event.timestamp, event.minerData, event.config)
+            .catch(error => console.error('Error recording history:', error));
+    }
+
+    /**
+     * Records one raw sample for every reachable miner in a poll.
+     * @param {number} timestamp The poll timestamp in milliseconds.
+     * @param {Array<object>} minerData The miner data from the poll.
+     * @param {object} config The application configuration object.
+     * @returns {Promise<void>}
+     */
+    async recordPoll(timestamp, minerData, config) {
+        if (!getHistorySettings(config).enabled || !Array.isArray(minerData)) {
+            return;
+        }
+
+        const samples = minerData
+            .filter(miner => miner && miner.status !== 'Error')
+            .map(miner => {
+                const sample = { t: timestamp, id: miner.id };
+                HISTORY_METRICS.forEach(metric => {
+                    const value = metric === 'bestDiff' ? parseDifficulty(miner[metric]) : miner[metric];
+                    sample[metric] = typeof value === 'number' && !isNaN(value) ? value : null;
+                });
+                return sample;
+            });
+
+        await this.append('raw', samples);
+    }
+
+    /**
+     * Averages all completed buckets of `sourceName` that are not yet present in
+     * `targetName` and appends them to the target tier.
+     * @param {string} sourceName The finer tier to read from.
+     * @param {string} targetName The coarser tier to write to.
+     * @param {number} now The current timestamp in milliseconds.
+     * @returns {Promise<void>}
+     */
+    rollup(sourceName, targetName, now) {
+        const bucketMs = TIERS.find(tier => tier.name === targetName).bucketMs;
+        const source = this.tiers.get(sourceName);
+        const target = this.tiers.get(targetName);
+
+        if (source.length === 0) {
+            return this.writeQueue;
+        }
+
+        // Only complete buckets are rolled up; the current one is still filling.
+        const end = Math.floor(now / bucketMs) * bucketMs;
+        const start = target.length > 0
+            ? target[target.length - 1].t + bucketMs
+            : Math.floor(source[0].t / bucketMs) * bucketMs;
+
+        const groups = new Map();
+        source.forEach(sample => {
+            if (sample.t < start || sample.t >= end) return;
+            const bucketStart = Math.floor(sample.t / bucketMs) * bucketMs;
+            const key = `${bucketStart}|${sample.id}`;
+            if (!groups.has(key)) {
+                groups.set(key, { id: sample.id, bucketStart: bucketStart, samples: [] });
+            }
+            groups.get(key).samples.push(sample);
+        });
+
+        const records = Array.from(groups.values())
+            .map(group => aggregateBucket(group.id, group.bucketStart, group.samples))
+            .sort((a, b) => a.t - b.t);
+
+        return this.append(targetName, records);
+    }
+
+    /**
+     * Drops records older than each tier's retention period.
+     * @param {object} settings The effective history settings.
+     * @param {number} now The current timestamp in milliseconds.
+     * @returns {Promise<void>}
+     */
+    prune(settings, now) {
+        const rewrites = TIERS.map(tier => {
+            const retentionMs = getRetentionMs(tier.name, settings);
+            const records = this.tiers.get(tier.name);
+            if (!(retentionMs > 0) || records.length === 0 || records[0].t >= now - retentionMs) {
+                return null;
+            }
+            this.tiers.set(tier.name, records.filter(record => record.t >= now - retentionMs));
+            return this.rewrite(tier.name);
+        });
+        return Promise.all(rewrites);
+    }
+
+    /**
+     * Runs downsampling (raw → 5m → 1h) followed by retention pruning.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {Promise<void>}
+     */
+    async runMaintenance(now = Date.now()) {
+        const settings = getHistorySettings(configurationManager.getConfig());
+        await this.rollup('raw', '5m', now);
+        await this.rollup('5m', '1h', now);
+        await this.prune(settings, now);
+    }
+
+    /**
+     * Returns the in-memory records of a tier, optionally filtered.
+     * @param {string} tierName The tier name ('raw', '5m' or '1h').
+     * @param {object} [filter] Optional filter.
+     * @param {string} [filter.instanceId] Only return records for this instance.
+     * @param {number} [filter.from] Inclusive start timestamp in milliseconds.
+     * @param {number} [filter.to] Inclusive end timestamp in milliseconds.
+     * @returns {Array<object>} The matching records in chronological order.
+     */
+    getRecords(tierName, filter = {}) {
+        const records = this.tiers.get(tierName) || [];
+        return records.filter(record =>
+            (filter.instanceId === undefined || record.id === filter.instanceId) &&
+            (filter.from === undefined || record.t >= filter.from) &&
+            (filter.to === undefined || record.t <= filter.to)
+        );
+    }
+
+    /**
+     * Picks the tier a query should read from: the coarsest tier that is still
+     * finer than the requested step, falling back to coarser tiers when the
+     * requested start lies beyond a tier's retention.
+     * @param {number} from The query start timestamp in milliseconds.
+     * @param {number} stepMs The requested step in milliseconds.
+     * @param {object} settings The effective history settings.
+     * @param {number} now The current timestamp in milliseconds.
+     * @returns {number} The index of the tier in TIERS.
+     */
+    selectTier(from, stepMs, settings, now) {
+        let index = 0;
+        while (index < TIERS.length - 1 && TIERS[index + 1].bucketMs <= stepMs) {
+            index++;
+        }
+        while (index < TIERS.length - 1) {
+            const retentionMs = getRetentionMs(TIERS[index].name, settings);
+            if (!(retentionMs > 0) || from >= now - retentionMs) break;
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Collects the records of a tier and fills in the period it has not been
+     * downsampled to yet from the finer tiers, so the newest data is never missing.
+     * @param {number} tierIndex The index of the tier in TIERS.
+     * @param {object} filter The record filter (see getRecords).
+     * @returns {Array<object>} The records in chronological order.
+     */
+    collectRecords(tierIndex, filter) {
+        const records = [];
+        let coveredUntil = -Infinity;
+
+        for (let index = tierIndex; index >= 0; index--) {
+            const tier = TIERS[index];
+            records.push(...this.getRecords(tier.name, filter).filter(record => record.t >= coveredUntil));
+
+            const all = this.tiers.get(tier.name);
+            if (all.length > 0) {
+                coveredUntil = Math.max(coveredUntil, all[all.length - 1].t + tier.bucketMs);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Queries the history of one instance, or of the whole fleet with `instanceId`
+     * set to `all`, aggregated into fixed steps.
+     * @param {object} options The query options.
+     * @param {string} options.instanceId The instance name, or 'all' for the fleet aggregate.
+     * @param {Array<string>} options.metrics The metrics to return (see HISTORY_METRICS).
+     * @param {number} options.from Start timestamp in milliseconds.
+     * @param {number} options.to End timestamp in milliseconds.
+     * @param {number} options.stepMs The step size in milliseconds.
+     * @param {string} [options.aggregation='avg'] One of 'avg', 'min', 'max' or 'last'.
+     * @param {object} [config] The application configuration object.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {{tier: string, series: Array<object>}} The tier read and one entry
+     * `{ t, ...metrics }` per step that has data.
+     */
+    query(options, config = configurationManager.getConfig(), now = Date.now()) {
+        const { instanceId, metrics, from, to, stepMs } = options;
+        const aggregation = options.aggregation || 'avg';
+        const tierIndex = this.selectTier(from, stepMs, getHistorySettings(config), now);
+        const isFleet = instanceId === 'all';
+
+        let records = this.collectRecords(tierIndex, {
+            instanceId: isFleet ? undefined : instanceId,
+            from: from,
+            to: to
+        });
+
+        // The fleet only includes instances that are still configured.
+        if (isFleet) {
+            const configured = ((config && config.bitaxe_instances) || []).map(instance => Object.keys(instance)[0]);
+            records = records.filter(record => configured.includes(record.id));
+        }
+
+        // Group by step, then by instance.
+        const steps = new Map();
+        records.forEach(record => {
+            const stepStart = Math.floor(record.t / stepMs) * stepMs;
+            if (!steps.has(stepStart)) {
+                steps.set(stepStart, new Map());
+            }
+            const instances = steps.get(stepStart);
+            if (!instances.has(record.id)) {
+                instances.set(record.id, []);
+            }
+            instances.get(record.id).push(record);
+        });
+
+        const series = Array.from(steps.keys())
+            .sort((a, b) => a - b)
+            .map(stepStart => {
+                const instanceValues = Array.from(steps.get(stepStart).values())
+                    .map(samples => aggregateStep(samples, metrics, aggregation));
+                const values = isFleet ? combineFleet(instanceValues, metrics) : instanceValues[0];
+                return { t: stepStart, ...values };
+            });
+
+        return { tier: TIERS[tierIndex].name, series: series };
+    }
+}
+
+// Create and export a singleton instance
+const historyService = new HistoryService();
+
+module.exports = historyService;
+module.exports.parseDifficulty = parseDifficulty;
+module.exports.getHistorySettings = getHistorySettings;
+module.exports.HISTORY_METRICS = HISTORY_METRICS;
+module.exports.AGGREGATIONS = AGGREGATIONS;
@@ -8,43 +8,50 @@
 const http = require('http'); // Used for JSDoc type definitions (req, res).
 // Dynamic import for node-fetch 3.x will be used inline
 const apiMapService = require('./apiMapService');
+const { readJsonBody } = require('../controllers/controllerUtils');
 
 
 
 /**
- * Sends a restart command to a specific Bitaxe miner instance. It reads the `instanceId`
- * from the request's query parameters to identify the target device.
+ * Looks up the base URL of a configured Bitaxe instance.
  *
- * @param {http.IncomingMessage} req The HTTP request object, containing the URL with query parameters.
- * @param {http.ServerResponse} res The HTTP response object (not directly used, but part of handler signature).
- * @param {object} config - The application's configuration object, which contains the `bitaxe_instances` array.
- * @returns {Promise<object>} A promise that resolves to an object indicating success, e.g., `{ status: 'success', message: '...' }`.
- * @throws {Error} If the instance is not found, or if the fetch request fails or returns a non-OK status.
+ * @param {object} config The application's configuration object, which contains the `bitaxe_instances` array.
+ * @param {string} instanceId The configured name of the instance.
+ * @returns {string} The base URL of the instance.
+ * @throws {Error} If the instance is not found in the configuration.
  */
-async function instanceRestart(req, res, config) {
-  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
-  const instanceId = requestUrl.searchParams.get('instanceId');
-  // Find the specific Bitaxe instance configuration from the array.
-  const instance = config.bitaxe_instances.find(item => item[instanceId]);
+function getInstanceUrl(config, instanceId) {
+    // Find the specific Bitaxe instance configuration from the array.
+    const instance = (config.bitaxe_instances || []).find(item => item[instanceId]);
 
     // If the instance is not found in the configuration, throw an error.
     if (!instance) {
         throw new Error(`Bitaxe instance "${instanceId}" not found in configuration.`);
     }
+    return instance[instanceId];
+}
 
+/**
+ * Sends a restart command to a Bitaxe miner instance. Used by the HTTP endpoint and
+ * by other subsystems (such as MQTT commands) that act on a device.
+ *
+ * @param {object} config The application's configuration object.
+ * @param {string} instanceId The configured name of the instance.
+ * @param {number} [timeoutMs=REQUEST_TIMEOUT_MS] The time to wait for the miner to answer.
+ * @returns {Promise<object>} A promise that resolves to `{ status: 'success', message: '...' }`.
+ * @throws {Error} If the instance is not found, or if the fetch request fails, times out or returns a non-OK status.
+ */
+async function restartInstance(config, instanceId, timeoutMs = REQUEST_TIMEOUT_MS) {
     // Construct the full URL for the restart API endpoint.
-    const baseUrl = instance[instanceId];
+    const baseUrl = getInstanceUrl(config, instanceId);
     const apiPath = await apiMapService.getApiPath(config,'instanceRestart');
     const restartUrl = `${baseUrl}${apiPath}`;
 
     try {
-        // Use dynamic import for node-fetch 3.x compatibility
-        const { default: fetch } = await import('node-fetch');
-        
         // Send a POST request to the Bitaxe's restart endpoint.
-        const response = await fetch(restartUrl, {
+        const response = await fetchInstance(instanceId, restartUrl, {
             method: 'POST',
-        });
+        }, timeoutMs);
 
         // Check if the HTTP response status is not OK (e.g., 4xx or 5xx).
         if (!response.ok) {
@@ -62,61 +69,161 @@ async function instanceRestart(req, res, config) {
 }
 
 /**
- * Handles updating the settings for a specific Bitaxe miner instance. It reads the
- * `instanceId` from the request's query parameters and the settings payload from the
- * request body.
+ * Limits for frequency and core voltage that apply whatever the ASIC, e.g. when a miner
+ * does not report its options (firmware without /api/system/asic) or has overclocking
+ * enabled. The highest option of the ASIC raises the maximum.
+ * @const {Object.<string, {min: number, max: number, unit: string, options: string}>}
+ */
+const TUNING_LIMITS = {
+    frequency: { min: 1, max: 1000, unit: 'MHz', options: 'frequencyOptions' },
+    coreVoltage: { min: 1, max: 1300, unit: 'mV', options: 'voltageOptions' }
+};
+
+/**
+ * Maximum time in milliseconds to wait for a miner to answer a JSON request.
+ * @const {number}
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Maximum time in milliseconds to wait for a WiFi scan; the miner listens on every
+ * channel before it answers.
+ * @const {number}
+ */
+const WIFI_SCAN_TIMEOUT_MS = 30000;
+
+/**
+ * Sends a request to a Bitaxe miner instance and gives up when it does not answer in time.
  *
- * @param {http.IncomingMessage} req The HTTP request object, containing the URL and the JSON payload.
- * @param {http.ServerResponse} res The HTTP response object (not directly used, but part of handler signature).
- * @param {object} config The application's configuration object, containing `bitaxe_instances`.
- * @returns {Promise<object>} A promise that resolves to an object indicating success, e.g., `{ status: 'success', message: '...' }`.
- * @throws {Error} If the instance is not found, the request body is empty or invalid JSON,
- * or if the fetch request fails or returns a non-OK status.
+ * @param {string} instanceId The configured name of the instance, used in the timeout error.
+ * @param {string} url The full URL of the request.
+ * @param {object} [options] The node-fetch options (method, headers, body).
+ * @param {number} [timeoutMs=REQUEST_TIMEOUT_MS] The time to wait for the miner to answer.
+ * @returns {Promise<object>} The node-fetch response.
+ * @throws {Error} If the miner cannot be reached or does not answer in time.
  */
-async function handleSetting(req, res, config) {
-    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
-    const instanceId = requestUrl.searchParams.get('instanceId');
-    // Find the specific Bitaxe instance configuration from the array.
-    const instance = config.bitaxe_instances.find(item => item[instanceId]);
+async function fetchInstance(instanceId, url, options = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+    // Use dynamic import for node-fetch 3.x compatibility
+    const { default: fetch } = await import('node-fetch');
+    try {
+        return await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`${instanceId} did not answer within ${timeoutMs} ms`);
+        }
+        throw error;
+    }
+}
 
-    // If the instance is not found in the configuration, throw an error.
-    if (!instance) {
-        throw new Error(`Bitaxe instance "${instanceId}" not found in configuration.`);
+/**
+ * Fetches a JSON document from a Bitaxe miner instance.
+ *
+ * @param {object} config The application's configuration object.
+ * @param {string} instanceId The configured name of the instance.
+ * @param {string} endpoint The logical endpoint name (see apiMapService).
+ * @param {number} [timeoutMs=REQUEST_TIMEOUT_MS] The time to wait for the miner to answer.
+ * @returns {Promise<object|null>} The document, or null if the miner answers with an error status.
+ * @throws {Error} If the instance is not found, cannot be reached or does not answer in time.
+ */
+async function fetchInstanceJson(config, instanceId, endpoint, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const baseUrl = getInstanceUrl(config, instanceId);
+    const apiPath = await apiMapService.getApiPath(config, endpoint);
+    const response = await fetchInstance(instanceId, `${baseUrl}${apiPath}`, {}, timeoutMs);
+    return response.ok ? response.json() : null;
+}
+
+/**
+ * Fetches the ASIC description of a Bitaxe miner instance: the chip model with its
+ * default and selectable frequencies and core voltages.
+ *
+ * @param {object} config The application's configuration object.
+ * @param {string} instanceId The configured name of the instance.
+ * @returns {Promise<object|null>} The /api/system/asic response, or null if the firmware
+ * does not provide it.
+ * @throws {Error} If the instance is not found or cannot be reached.
+ */
+async function fetchAsicInfo(config, instanceId) {
+    const asicInfo = await fetchInstanceJson(config, instanceId, 'instanceAsic');
+    const hasOptions = key => asicInfo && Array.isArray(asicInfo[key]) && asicInfo[key].length > 0;
+    return hasOptions('frequencyOptions') && hasOptions('voltageOptions') ? asicInfo : null;
+}
+
+/**
+ * Checks the frequency and core voltage of a settings PATCH. Like AxeOS, only the range
+ * of the ASIC's options (lowest to highest) is allowed unless overclocking is enabled,
+ * which allows any value within TUNING_LIMITS.
+ *
+ * @param {object} settings The settings to PATCH.
+ * @param {object|null} asicInfo The /api/system/asic response, or null if unknown.
+ * @param {boolean} [overclockEnabled=false] Whether custom values are allowed.
+ * @returns {string|null} The problem, or null if the settings are within range.
+ */
+function validateTuningSettings(settings, asicInfo, overclockEnabled = false) {
+    for (const [key, limits] of Object.entries(TUNING_LIMITS)) {
+        if (settings[key] === undefined) {
+            continue;
+        }
+        const value = settings[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `${key} must be a number`;
+        }
+        const options = asicInfo ? asicInfo[limits.options] : [];
+        if (asicInfo && !overclockEnabled) {
+            const min = Math.min(...options);
+            const max = Math.max(...options);
+            if (value < min || value > max) {
+                return `${key} ${value} ${limits.unit} is outside the range of the ${asicInfo.ASICModel || 'ASIC'} (${min}-${max} ${limits.unit}); enable overclocking for custom values`;
+            }
+        } else {
+            const max = Math.max(limits.max, ...options);
+            if (value < limits.min || value > max) {
+                return `${key} must be between ${limits.min} and ${max} ${limits.unit}`;
+            }
+        }
     }
+    return null;
+}
 
+/**
+ * Sends new settings to a Bitaxe miner instance. Used by the HTTP endpoint and by
+ * other subsystems (such as MQTT commands) that act on a device. A frequency or core
+ * voltage outside the range of the miner's ASIC is refused before it reaches the miner
+ * (see validateTuningSettings).
+ *
+ * @param {object} config The application's configuration object.
+ * @param {string} instanceId The configured name of the instance.
+ * @param {object} settings The settings to PATCH, e.g. `{ frequency: 525 }`.
+ * @param {number} [timeoutMs=REQUEST_TIMEOUT_MS] The time to wait for the miner to answer the PATCH.
+ * @returns {Promise<object>} A promise that resolves to `{ status: 'success', message: '...' }`.
+ * @throws {Error} If the instance is not found, or if the fetch request fails, times out or returns a non-OK status.
+ * An out-of-range frequency or core voltage throws an error with a `statusCode` of 400.
+ */
+async function updateInstanceSettings(config, instanceId, settings, timeoutMs = REQUEST_TIMEOUT_MS) {
     // Construct the full URL for the settings API endpoint.
-    const baseUrl = instance[instanceId];
+    const baseUrl = getInstanceUrl(config, instanceId);
+    if (settings.frequency !== undefined || settings.coreVoltage !== undefined) {
+        const asicInfo = await fetchAsicInfo(config, instanceId);
+        // Without overclockEnabled in the PATCH, the miner's current mode applies.
+        const overclockEnabled = settings.overclockEnabled !== undefined
+            ? Number(settings.overclockEnabled) === 1
+            : Number(((await fetchInstanceJson(config, instanceId, 'instanceInfo')) || {}).overclockEnabled) === 1;
+        const problem = validateTuningSettings(settings, asicInfo, overclockEnabled);
+        if (problem) {
+            throw Object.assign(new Error(problem), { statusCode: 400 });
+        }
+    }
     const apiPath = await apiMapService.getApiPath(config, 'instanceSettings');
     const settingsUrl = `${baseUrl}${apiPath}`;
 
     try {
-        const body = await new Promise((resolve, reject) => {
-            let data = '';
-            req.on('data', (chunk) => {
-                data += chunk.toString();
-            });
-            req.on('end', () => {
-                resolve(data);
-            });
-            req.on('error', err => reject(err));
-        });
-
-        if (!body) {
-            throw new Error('Request body cannot be empty.');
-        }
-        JSON.parse(body); // Validate that the body is valid JSON.
-
-        // Use dynamic import for node-fetch 3.x compatibility
-        const { default: fetch } = await import('node-fetch');
-        
         // Send a PATCH request to the Bitaxe's settings endpoint.
-        const response = await fetch(settingsUrl, {
+        const response = await fetchInstance(instanceId, settingsUrl, {
             method: 'PATCH',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: body,
-        });
+            body: JSON.stringify(settings),
+        }, timeoutMs);
 
         // Check if the HTTP response status is not OK (e.g., 4xx or 5xx).
         if (!response.ok) {
@@ -131,6 +238,316 @@ async function handleSetting(req, res, config) {
     }
 }
 
+/**
+ * Scans for WiFi networks from a Bitaxe miner instance, so a new network can be picked
+ * from the ones the miner actually hears. Hidden networks are left out, and a network
+ * heard from several access points is listed once, with its strongest signal.
+ *
+ * @param {object} config The application's configuration object.
+ * @param {string} instanceId The configured name of the instance.
+ * @param {number} [timeoutMs=WIFI_SCAN_TIMEOUT_MS] The time to wait for the scan.
+ * @returns {Promise<Array<{ssid: string, rssi: number, authmode: number}>>} The networks,
+ * strongest first.
+ * @throws {Error} If the instance is not found, cannot be reached, does not answer in
+ * time or the scan fails.
+ */
+async function scanWifiNetworks(config, instanceId, timeoutMs = WIFI_SCAN_TIMEOUT_MS) {
+    const scan = await fetchInstanceJson(config, instanceId, 'wifiScan', timeoutMs);
+    if (!scan || !Array.isArray(scan.networks)) {
+        throw new Error(`WiFi scan failed on ${instanceId}`);
+    }
+    const strongest = new Map();
+    scan.networks
+        .filter(network => typeof network.ssid === 'string' && network.ssid !== '')
+        .forEach(network => {
+            const known = strongest.get(network.ssid);
+            if (!known || network.rssi > known.rssi) {
+                strongest.set(network.ssid, { ssid: network.ssid, rssi: network.rssi, authmode: network.authmode });
+            }
+        });
+    return Array.from(strongest.values()).sort((a, b) => b.rssi - a.rssi);
+}
+
+/**
+ * Maximum number of devices a bulk action talks to at the same time.
+ * @const {number}
+ */
+const BULK_CONCURRENCY = 4;
+
+/**
+ * Settings keys accepted by the bulk `pool` action.
+ * @const {Array<string>}
+ */
+const POOL_KEYS = [
+    'stratumURL', 'stratumPort', 'stratumUser', 'stratumPassword',
+    'stratumSuggestedDifficulty', 'stratumExtranonceSubscribe',
+    'fallbackStratumURL', 'fallbackStratumPort', 'fallbackStratumUser', 'fallbackStratumPassword',
+    'fallbackStratumSuggestedDifficulty', 'fallbackStratumExtranonceSubscribe'
+];
+
+/**
+ * Replaces `{name}` in the string values of a settings payload with the instance name,
+ * so that e.g. `"stratumUser": "wallet.{name}"` gives every miner its own worker name.
+ *
+ * @param {object} payload The settings payload.
+ * @param {string} instanceId The configured name of the instance.
+ * @returns {object} The settings for this instance.
+ */
+function personalizeSettings(payload, instanceId) {
+    const settings = {};
+    for (const [key, value] of Object.entries(payload)) {
+        settings[key] = typeof value === 'string' ? value.split('{name}').join(instanceId) : value;
+    }
+    return settings;
+}
+
+/**
+ * The actions a bulk request can run. Each one validates the payload once, then runs
+ * per instance and resolves to a success message.
+ * @const {Object.<string, {validate: Function, run: Function}>}
+ */
+const BULK_ACTIONS = {
+    restart: {
+        validate: () => null,
+        run: async (config, instanceId) => (await restartInstance(config, instanceId)).message
+    },
+    settings: {
+        validate: (payload) => Object.keys(payload).length === 0 ? 'payload must contain the settings to apply' : null,
+        run: async (config, instanceId, payload) => (await updateInstanceSettings(config, instanceId, personalizeSettings(payload, instanceId))).message
+    },
+    pool: {
+        validate: (payload) => {
+            const keys = Object.keys(payload).filter(key => key !== 'restart');
+            const unknown = keys.filter(key => !POOL_KEYS.includes(key));
+            if (unknown.length > 0) {
+                return `pool payload only takes stratum settings, not ${unknown.join(', ')}`;
+            }
+            return keys.length === 0 ? 'payload must contain the pool settings to apply' : null;
+        },
+        // AxeOS connects to a new pool after a restart, so restart unless asked not to.
+        run: async (config, instanceId, payload) => {
+            const { restart, ...poolSettings } = payload;
+            await updateInstanceSettings(config, instanceId, personalizeSettings(poolSettings, instanceId));
+            if (restart === false) {
+                return `Pool settings updated for ${instanceId}, active after the next restart`;
+            }
+            await restartInstance(config, instanceId);
+            return `Pool settings updated for ${instanceId}, restarting`;
+        }
+    }
+};
+
+/**
+ * Checks the action and payload of a bulk request, e.g. before a scheduled job is saved.
+ *
+ * @param {string} action One of the BULK_ACTIONS keys.
+ * @param {object} payload The settings for the `settings` and `pool` actions.
+ * @returns {string|null} The problem, or null if the action can run.
+ */
+function validateBulkAction(action, payload) {
+    if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+        return `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}`;
+    }
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'payload must be an object';
+    }
+    return BULK_ACTIONS[action].validate(payload);
+}
+
+/**
+ * Runs one action against several Bitaxe instances, a few at a time, and reports the
+ * outcome for each one. A failing device does not stop the others.
+ *
+ * @param {object} config The application's configuration object.
+ * @param {Array<string>|string} instanceIds The configured names, or `'all'`.
+ * @param {string} action One of the BULK_ACTIONS keys.
+ * @param {object} [payload] The settings for the `settings` and `pool` actions.
+ * @returns {Promise<object>} `{ status, action, message, results }`, with one
+ * `{ instanceId, success, message | error, durationMs }` result per instance, in request order.
+ * @throws {Error} If the action, instance list or payload is invalid. The error has a
+ * `statusCode` of 400.
+ */
+async function runBulkAction(config, instanceIds, action, payload = {}) {
+    const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+    const actionProblem = validateBulkAction(action, payload);
+    if (actionProblem) {
+        throw invalid(actionProblem);
+    }
+    const ids = instanceIds === 'all'
+        ? (config.bitaxe_instances || []).map(instance => Object.keys(instance)[0])
+        : instanceIds;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+        throw invalid('instanceIds must be "all" or a non-empty list of instance names');
+    }
+    const bulkAction = BULK_ACTIONS[action];
+
+    const uniqueIds = [...new Set(ids)];
+    const results = new Array(uniqueIds.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < uniqueIds.length) {
+            const index = next++;
+            const instanceId = uniqueIds[index];
+            const startedAt = Date.now();
+            try {
+                const message = await bulkAction.run(config, instanceId, payload);
+                results[index] = { instanceId, success: true, message, durationMs: Date.now() - startedAt };
+            } catch (error) {
+                results[index] = { instanceId, success: false, error: error.message, durationMs: Date.now() - startedAt };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, uniqueIds.length) }, worker));
+
+    const succeeded = results.filter(result => result.success).length;
+    return {
+        status: succeeded === results.length ? 'success' : 'error',
+        action: action,
+        message: `${action} succeeded on ${succeeded} of ${results.length} devices`,
+        results: results
+    };
+}
+
+/**
+ * Sends a restart command to a specific Bitaxe miner instance. It reads the `instanceId`
+ * from the request's query parameters to identify the target device.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object, containing the URL with query parameters.
+ * @param {http.ServerResponse} res The HTTP response object (not directly used, but part of handler signature).
+ * @param {object} config - The application's configuration object, which contains the `bitaxe_instances` array.
+ * @returns {Promise<object>} A promise that resolves to an object indicating success, e.g., `{ status: 'success', message: '...' }`.
+ * @throws {Error} If the instance is not found, or if the fetch request fails or returns a non-OK status.
+ */
+async function instanceRestart(req, res, config) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const instanceId = requestUrl.searchParams.get('instanceId');
+    return restartInstance(config, instanceId);
+}
+
+/**
+ * Reads the JSON object in a request body with the size-capped controller reader. A body
+ * that is too large is answered with 413, and invalid JSON or a body that is not an
+ * object with 400.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object.
+ * @param {http.ServerResponse} res The HTTP response object, used for the error answers.
+ * @returns {Promise<object|undefined>} The body, or undefined if an error was sent.
+ */
+async function readRequestBody(req, res) {
+    try {
+        return await readJsonBody(req);
+    } catch (error) {
+        res.writeHead(error.statusCode || 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            message: error.statusCode ? error.message : `Invalid JSON in request body: ${error.message}`
+        }));
+        return undefined;
+    }
+}
+
+/**
+ * Handles updating the settings for a specific Bitaxe miner instance. It reads the
+ * `instanceId` from the request's query parameters and the settings payload from the
+ * request body.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object, containing the URL and the JSON payload.
+ * @param {http.ServerResponse} res The HTTP response object, used for 400 and 413 answers to unusable bodies and out-of-range settings.
+ * @param {object} config The application's configuration object, containing `bitaxe_instances`.
+ * @returns {Promise<object|undefined>} A promise that resolves to an object indicating success, e.g.,
+ * `{ status: 'success', message: '...' }`, or undefined if an error was sent.
+ * @throws {Error} If the instance is not found, or if the fetch request fails, times out or returns a non-OK status.
+ */
+async function handleSetting(req, res, config) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const instanceId = requestUrl.searchParams.get('instanceId');
+    // Fail fast on an unknown instance before reading the body.
+    getInstanceUrl(config, instanceId);
+
+    const settings = await readRequestBody(req, res);
+    if (settings === undefined) {
+        return undefined;
+    }
+    if (Object.keys(settings).length === 0) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Request body cannot be empty.' }));
+        return undefined;
+    }
+
+    try {
+        return await updateInstanceSettings(config, instanceId, settings);
+    } catch (error) {
+        if (error.statusCode !== 400) {
+            throw error;
+        }
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: error.message }));
+        return undefined;
+    }
+}
+
+/**
+ * Answers with the ASIC description of a Bitaxe miner instance, which the settings
+ * modal uses to offer the chip's frequencies and core voltages. `data` is null when the
+ * firmware does not provide /api/system/asic.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object, containing the URL with query parameters.
+ * @param {http.ServerResponse} res The HTTP response object (not directly used, but part of handler signature).
+ * @param {object} config The application's configuration object, containing `bitaxe_instances`.
+ * @returns {Promise<object>} A promise that resolves to `{ status: 'success', data: {...} | null }`.
+ * @throws {Error} If the instance is not found or cannot be reached.
+ */
+async function handleAsic(req, res, config) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const instanceId = requestUrl.searchParams.get('instanceId');
+    return { status: 'success', data: await fetchAsicInfo(config, instanceId) };
+}
+
+/**
+ * Answers with the WiFi networks a Bitaxe miner instance hears, for the network pick list
+ * of the settings modal. The scan takes a few seconds on the miner.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object, containing the URL with query parameters.
+ * @param {http.ServerResponse} res The HTTP response object (not directly used, but part of handler signature).
+ * @param {object} config The application's configuration object, containing `bitaxe_instances`.
+ * @returns {Promise<object>} A promise that resolves to `{ status: 'success', data: [...] }`.
+ * @throws {Error} If the instance is not found, cannot be reached or the scan fails.
+ */
+async function handleWifiScan(req, res, config) {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const instanceId = requestUrl.searchParams.get('instanceId');
+    return { status: 'success', data: await scanWifiNetworks(config, instanceId) };
+}
+
+/**
+ * Handles bulk actions. The JSON body is
+ * `{ "instanceIds": ["Bitaxe1", ...] | "all", "action": "restart" | "settings" | "pool", "payload": {...} }`.
+ * Answers with a per-device report; invalid requests are answered with 400 and bodies
+ * over the size limit with 413.
+ *
+ * @param {http.IncomingMessage} req The HTTP request object, containing the JSON payload.
+ * @param {http.ServerResponse} res The HTTP response object, used for 400 and 413 answers.
+ * @param {object} config The application's configuration object, containing `bitaxe_instances`.
+ * @returns {Promise<object|undefined>} The bulk report, or undefined if an error was sent.
+ */
+async function handleBulk(req, res, config) {
+    const request = await readRequestBody(req, res);
+    if (request === undefined) {
+        return undefined;
+    }
+
+    try {
+        return await runBulkAction(config, request.instanceIds, request.action, request.payload || {});
+    } catch (error) {
+        if (error.statusCode !== 400) {
+            throw error;
+        }
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: error.message }));
+        return undefined;
+    }
+}
+
 /**
  * Defines the API routes handled by this service. Each route object specifies a path,
  * an HTTP method, the handler function, and whether the path requires an exact match.
@@ -149,6 +566,24 @@ const routes = [
         method: 'PATCH',
         handler: handleSetting,
         exactMatch: true
+    },
+    {
+        path: '/api/instance/service/asic',
+        method: 'GET',
+        handler: handleAsic,
+        exactMatch: true
+    },
+    {
+        path: '/api/instance/service/wifi/scan',
+        method: 'GET',
+        handler: handleWifiScan,
+        exactMatch: true
+    },
+    {
+        path: '/api/instance/service/bulk',
+        method: 'POST',
+        handler: handleBulk,
+        exactMatch: true
     }
 ]
 
@@ -209,5 +644,13 @@ async function route(req, res, config){
     res.end(JSON.stringify({ message: `Service endpoint not found at ${urlPath}` }));
 }
 module.exports = {
-    route
+    route,
+    restartInstance,
+    updateInstanceSettings,
+    fetchInstanceJson,
+    fetchAsicInfo,
+    validateTuningSettings,
+    scanWifiNetworks,
+    runBulkAction,
+    validateBulkAction
 };
\ No newline at end of file
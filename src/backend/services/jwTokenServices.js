@@ -6,6 +6,7 @@
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
+const { CONFIG_DIR } = require('./configPaths');
 
 // --- Module Initialization: Load JWT Configuration ---
 
@@ -18,7 +19,7 @@ let expiresIn;
  * the application will log a fatal error and exit, as it cannot function securely without these settings.
  */
 try {
-    const keyFilePath = path.join(__dirname, '..', '..','config', 'jsonWebTokenKey.json');
+    const keyFilePath = path.join(CONFIG_DIR, 'jsonWebTokenKey.json');
     const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
     const keyData = JSON.parse(keyFileContent);
     secretKey = keyData.jsonWebTokenKey;
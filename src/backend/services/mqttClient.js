@@ -0,0 +1,364 @@
+/**
+ * @file MQTT Client - Minimal MQTT 3.1.1 client used by the MQTT publisher.
+ *
+ * Supports plain TCP (`mqtt://`) and TLS (`mqtts://`) connections, username/password
+ * authentication, a last will message, QoS 0 publishing (optionally retained),
+ * QoS 0 subscriptions and keep-alive pings. That is all the dashboard needs to talk
+ * to a broker such as Mosquitto or the Home Assistant add-on.
+ *
+ * It deliberately stops there: QoS 1/2 delivery, persistent sessions, MQTT 5 and
+ * WebSocket transports are not used, and the `mqtt` package would bring them in along
+ * with its own dependency tree. Reconnecting is left to mqttService, which owns the
+ * backoff and republishes the discovery and state topics on every new connection.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * MQTT control packet types.
+ * @constant {Object.<string, number>}
+ */
+const PACKET_TYPES = {
+    CONNECT: 1,
+    CONNACK: 2,
+    PUBLISH: 3,
+    PUBACK: 4,
+    SUBSCRIBE: 8,
+    SUBACK: 9,
+    PINGREQ: 12,
+    PINGRESP: 13,
+    DISCONNECT: 14
+};
+
+/**
+ * Reasons a broker may refuse a connection, by CONNACK return code.
+ * @constant {Object.<number, string>}
+ */
+const CONNACK_ERRORS = {
+    1: 'unacceptable protocol version',
+    2: 'client identifier rejected',
+    3: 'server unavailable',
+    4: 'bad user name or password',
+    5: 'not authorized'
+};
+
+/**
+ * Default time in milliseconds to wait for the broker to accept the connection.
+ * @constant {number}
+ */
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Encodes a string as an MQTT UTF-8 string (two-byte length prefix).
+ * @param {string} value The string.
+ * @returns {Buffer} The encoded string.
+ */
+function encodeString(value) {
+    const data = Buffer.from(String(value), 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(data.length);
+    return Buffer.concat([length, data]);
+}
+
+/**
+ * Encodes the "remaining length" of a packet as a variable byte integer.
+ * @param {number} length The remaining length.
+ * @returns {Buffer} The encoded length.
+ */
+function encodeLength(length) {
+    const bytes = [];
+    do {
+        let byte = length % 128;
+        length = Math.floor(length / 128);
+        if (length > 0) {
+            byte |= 0x80;
+        }
+        bytes.push(byte);
+    } while (length > 0);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Builds a complete control packet.
+ * @param {number} type The packet type.
+ * @param {number} flags The fixed header flags.
+ * @param {Array<Buffer>} parts The variable header and payload.
+ * @returns {Buffer} The packet.
+ */
+function buildPacket(type, flags, parts = []) {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+}
+
+/**
+ * A single connection to an MQTT broker.
+ *
+ * Events:
+ * - `connect`: the broker accepted the connection
+ * - `message` `(topic, payload)`: a message arrived on a subscribed topic (payload is a Buffer)
+ * - `close`: the connection ended (it is not re-opened automatically)
+ * - `error` `(error)`: a connection or protocol error
+ *
+ * @class MqttClient
+ * @extends EventEmitter
+ * @since 2.0.0
+ */
+class MqttClient extends EventEmitter {
+    /**
+     * @param {object} options The connection options.
+     * @param {string} options.url The broker URL, `mqtt://host:1883` or `mqtts://host:8883`.
+     * @param {string} options.clientId The client identifier.
+     * @param {string} [options.username] The user name.
+     * @param {string} [options.password] The password.
+     * @param {number} [options.keepalive=60] The keep-alive interval in seconds.
+     * @param {boolean} [options.rejectUnauthorized=true] Reject brokers with invalid TLS certificates.
+     * @param {{topic: string, payload: string, retain: boolean}} [options.will] The last will message.
+     */
+    constructor(options) {
+        super();
+        this.options = { keepalive: 60, rejectUnauthorized: true, ...options };
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.connected = false;
+        this.nextPacketId = 1;
+        this.pingTimer = null;
+        this.awaitingPong = false;
+    }
+
+    /**
+     * Opens the connection and resolves once the broker has accepted it.
+     * @param {number} [timeoutMs=10000] The time to wait for the CONNACK.
+     * @returns {Promise<void>}
+     * @throws {Error} If the broker cannot be reached or refuses the connection.
+     */
+    connect(timeoutMs = DEFAULT_CONNECT_TIMEOUT_MS) {
+        const url = new URL(this.options.url);
+        const secure = url.protocol === 'mqtts:';
+        if (!secure && url.protocol !== 'mqtt:') {
+            return Promise.reject(new Error(`Unsupported MQTT URL protocol "${url.protocol}", use mqtt:// or mqtts://`));
+        }
+        const host = url.hostname;
+        const port = parseInt(url.port, 10) || (secure ? 8883 : 1883);
+
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host: host, port: port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: this.options.rejectUnauthorized })
+                : net.connect({ host: host, port: port });
+            this.socket = socket;
+
+            const timer = setTimeout(() => socket.destroy(new Error('MQTT connection timed out')), timeoutMs);
+            const onError = error => {
+                clearTimeout(timer);
+                this.removeListener('connect', onConnect);
+                reject(error);
+            };
+            const onConnect = () => {
+                clearTimeout(timer);
+                socket.removeListener('error', onError);
+                socket.on('error', error => this.emit('error', error));
+                resolve();
+            };
+
+            socket.once('error', onError);
+            this.once('connect', onConnect);
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('close', () => this.onClose(onError));
+            socket.once(secure ? 'secureConnect' : 'connect', () => socket.write(this.buildConnectPacket()));
+        });
+    }
+
+    /**
+     * Builds the CONNECT packet from the options.
+     * @returns {Buffer} The packet.
+     */
+    buildConnectPacket() {
+        const { clientId, username, password, keepalive, will } = this.options;
+        let flags = 0x02; // Clean session
+        const payload = [encodeString(clientId)];
+
+        if (will) {
+            flags |= 0x04 | (will.retain ? 0x20 : 0);
+            payload.push(encodeString(will.topic), encodeString(will.payload));
+        }
+        if (username) {
+            flags |= 0x80;
+            payload.push(encodeString(username));
+            if (password) {
+                flags |= 0x40;
+                payload.push(encodeString(password));
+            }
+        }
+
+        const keepaliveBytes = Buffer.alloc(2);
+        keepaliveBytes.writeUInt16BE(keepalive);
+        return buildPacket(PACKET_TYPES.CONNECT, 0, [encodeString('MQTT'), Buffer.from([4, flags]), keepaliveBytes, ...payload]);
+    }
+
+    /**
+     * Splits the received bytes into packets.
+     * @param {Buffer} chunk The received bytes.
+     */
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            let length = 0;
+            let multiplier = 1;
+            let offset = 1;
+            let byte;
+            do {
+                if (offset >= this.buffer.length) {
+                    return; // Length not complete yet.
+                }
+                byte = this.buffer[offset++];
+                length += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+
+            if (this.buffer.length < offset + length) {
+                return; // Packet not complete yet.
+            }
+            const header = this.buffer[0];
+            const body = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handlePacket(header >> 4, header & 0x0f, body);
+        }
+    }
+
+    /**
+     * Handles one incoming packet.
+     * @param {number} type The packet type.
+     * @param {number} flags The fixed header flags.
+     * @param {Buffer} body The variable header and payload.
+     */
+    handlePacket(type, flags, body) {
+        switch (type) {
+            case PACKET_TYPES.CONNACK: {
+                const returnCode = body[1];
+                if (returnCode !== 0) {
+                    this.socket.destroy(new Error(`MQTT broker refused the connection: ${CONNACK_ERRORS[returnCode] || `code ${returnCode}`}`));
+                    return;
+                }
+                this.connected = true;
+                this.startPing();
+                this.emit('connect');
+                break;
+            }
+            case PACKET_TYPES.PUBLISH: {
+                const qos = (flags >> 1) & 0x03;
+                const topicLength = body.readUInt16BE(0);
+                const topic = body.subarray(2, 2 + topicLength).toString('utf8');
+                let offset = 2 + topicLength;
+                if (qos > 0) {
+                    const packetId = body.readUInt16BE(offset);
+                    offset += 2;
+                    this.socket.write(buildPacket(PACKET_TYPES.PUBACK, 0, [Buffer.from([packetId >> 8, packetId & 0xff])]));
+                }
+                this.emit('message', topic, body.subarray(offset));
+                break;
+            }
+            case PACKET_TYPES.PINGRESP:
+                this.awaitingPong = false;
+                break;
+            case PACKET_TYPES.SUBACK:
+                if (body.subarray(2).includes(0x80)) {
+                    this.emit('error', new Error('MQTT broker rejected a subscription'));
+                }
+                break;
+            default:
+                // PUBACK and other acknowledgements need no handling for QoS 0 publishing.
+                break;
+        }
+    }
+
+    /**
+     * Sends a PINGREQ every keep-alive interval and drops the connection when the
+     * previous one was never answered.
+     */
+    startPing() {
+        if (!(this.options.keepalive > 0)) {
+            return;
+        }
+        this.pingTimer = setInterval(() => {
+            if (this.awaitingPong) {
+                this.socket.destroy(new Error('MQTT broker did not answer the keep-alive ping'));
+                return;
+            }
+            this.awaitingPong = true;
+            this.socket.write(buildPacket(PACKET_TYPES.PINGREQ, 0));
+        }, this.options.keepalive * 1000);
+    }
+
+    /**
+     * Cleans up after the socket closed.
+     * @param {Function} rejectConnect Rejects a pending connect() call.
+     */
+    onClose(rejectConnect) {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        const wasConnected = this.connected;
+        this.connected = false;
+        if (wasConnected) {
+            this.emit('close');
+        } else {
+            rejectConnect(new Error('MQTT connection closed before the broker accepted it'));
+        }
+    }
+
+    /**
+     * Publishes a message with QoS 0.
+     * @param {string} topic The topic.
+     * @param {string|Buffer} payload The payload.
+     * @param {{retain?: boolean}} [options] Publish options.
+     * @returns {boolean} False if the client is not connected and the message was dropped.
+     */
+    publish(topic, payload, options = {}) {
+        if (!this.connected) {
+            return false;
+        }
+        const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+        this.socket.write(buildPacket(PACKET_TYPES.PUBLISH, options.retain ? 0x01 : 0, [encodeString(topic), data]));
+        return true;
+    }
+
+    /**
+     * Subscribes to topic filters with QoS 0.
+     * @param {Array<string>} filters The topic filters.
+     * @returns {boolean} False if the client is not connected.
+     */
+    subscribe(filters) {
+        if (!this.connected || filters.length === 0) {
+            return false;
+        }
+        const packetId = this.nextPacketId;
+        this.nextPacketId = (this.nextPacketId % 0xffff) + 1;
+        const parts = [Buffer.from([packetId >> 8, packetId & 0xff])];
+        filters.forEach(filter => parts.push(encodeString(filter), Buffer.from([0])));
+        this.socket.write(buildPacket(PACKET_TYPES.SUBSCRIBE, 0x02, parts));
+        return true;
+    }
+
+    /**
+     * Disconnects cleanly. The last will is not published after a clean disconnect.
+     */
+    end() {
+        if (!this.socket) {
+            return;
+        }
+        if (this.connected) {
+            this.socket.end(buildPacket(PACKET_TYPES.DISCONNECT, 0));
+        } else {
+            this.socket.destroy();
+        }
+    }
+}
+
+module.exports = {
+    MqttClient
+};
@@ -0,0 +1,485 @@
+/**
+ * @file MQTT Service - Publishes Bitaxe telemetry to an MQTT broker, with Home Assistant discovery.
+ *
+ * When the optional `mqtt` section of config.json is enabled, every poll is published
+ * as retained JSON state per miner, and Home Assistant MQTT discovery configs are sent
+ * so each miner shows up as a device with sensors, a restart button and frequency / fan
+ * speed controls. Commands arriving on the command topics go through the same
+ * instanceServices functions as the dashboard's own restart and settings endpoints.
+ *
+ * Topics (with the default base topic `bitaxe`):
+ * - `bitaxe/status`: `online` / `offline` for the dashboard itself (last will)
+ * - `bitaxe/<miner>/state`: retained JSON telemetry
+ * - `bitaxe/<miner>/availability`: `online` / `offline` for the miner
+ * - `bitaxe/<miner>/restart/set`: any payload restarts the miner
+ * - `bitaxe/<miner>/frequency/set`: frequency in MHz
+ * - `bitaxe/<miner>/fanspeed/set`: manual fan speed in percent (turns auto fan off)
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { MqttClient } = require('./mqttClient');
+const pollingService = require('./pollingService');
+const configurationManager = require('./configurationManager');
+const instanceServices = require('./instanceServices');
+const { parseDifficulty } = require('./historyService');
+
+/**
+ * Defaults for the `mqtt` section of config.json.
+ * @constant {object}
+ */
+const DEFAULT_MQTT_SETTINGS = {
+    enabled: false,
+    url: 'mqtt://localhost:1883',
+    username: '',
+    password: '',
+    client_id: 'bitaxe-dashboard',
+    base_topic: 'bitaxe',
+    discovery: true,
+    discovery_prefix: 'homeassistant',
+    commands_enabled: true,
+    reject_unauthorized: true
+};
+
+/**
+ * Delay before the first reconnection attempt; doubled up to RECONNECT_MAX_MS.
+ * @constant {number}
+ */
+const RECONNECT_MIN_MS = 5000;
+
+/**
+ * Longest delay between two reconnection attempts.
+ * @constant {number}
+ */
+const RECONNECT_MAX_MS = 60000;
+
+/**
+ * The telemetry published in the state topic and announced as Home Assistant sensors.
+ * `value` reads the value from the AxeOS /api/system/info data.
+ * @constant {Array<object>}
+ */
+const SENSORS = [
+    { key: 'hashRate', name: 'Hashrate', unit: 'GH/s', icon: 'mdi:pickaxe', value: data => data.hashRate },
+    { key: 'expectedHashrate', name: 'Expected hashrate', unit: 'GH/s', icon: 'mdi:pickaxe', value: data => data.expectedHashrate },
+    { key: 'efficiency', name: 'Efficiency', unit: 'J/TH', icon: 'mdi:lightning-bolt-outline', value: data => (data.power > 0 && data.hashRate > 0 ? data.power / (data.hashRate / 1000) : null) },
+    { key: 'temp', name: 'ASIC temperature', unit: '°C', deviceClass: 'temperature', value: data => data.temp },
+    { key: 'vrTemp', name: 'VR temperature', unit: '°C', deviceClass: 'temperature', value: data => data.vrTemp },
+    { key: 'power', name: 'Power', unit: 'W', deviceClass: 'power', value: data => data.power },
+    { key: 'voltage', name: 'Input voltage', unit: 'V', deviceClass: 'voltage', value: data => (typeof data.voltage === 'number' ? data.voltage / 1000 : null) },
+    { key: 'coreVoltageActual', name: 'Core voltage', unit: 'V', deviceClass: 'voltage', value: data => (typeof data.coreVoltageActual === 'number' ? data.coreVoltageActual / 1000 : null) },
+    { key: 'frequency', name: 'Frequency', unit: 'MHz', deviceClass: 'frequency', value: data => data.frequency },
+    { key: 'fanspeed', name: 'Fan speed', unit: '%', icon: 'mdi:fan', value: data => data.fanspeed },
+    { key: 'fanrpm', name: 'Fan RPM', unit: 'rpm', icon: 'mdi:fan', value: data => data.fanrpm },
+    { key: 'uptimeSeconds', name: 'Uptime', unit: 's', deviceClass: 'duration', entityCategory: 'diagnostic', value: data => data.uptimeSeconds },
+    { key: 'wifiRSSI', name: 'WiFi signal', unit: 'dBm', deviceClass: 'signal_strength', entityCategory: 'diagnostic', value: data => data.wifiRSSI },
+    { key: 'sharesAccepted', name: 'Shares accepted', stateClass: 'total_increasing', icon: 'mdi:check-circle-outline', value: data => data.sharesAccepted },
+    { key: 'sharesRejected', name: 'Shares rejected', stateClass: 'total_increasing', icon: 'mdi:close-circle-outline', value: data => data.sharesRejected },
+    { key: 'bestDiff', name: 'Best difficulty', icon: 'mdi:trophy-outline', value: data => parseDifficulty(data.bestDiff) },
+    { key: 'bestSessionDiff', name: 'Best session difficulty', icon: 'mdi:trophy-outline', value: data => parseDifficulty(data.bestSessionDiff) }
+];
+
+/**
+ * Returns the MQTT settings with defaults applied.
+ * @param {object} config The application configuration object.
+ * @returns {object} The effective MQTT settings.
+ */
+function getMqttSettings(config) {
+    const settings = { ...DEFAULT_MQTT_SETTINGS, ...((config && config.mqtt) || {}) };
+    settings.base_topic = String(settings.base_topic).replace(/^\/+|\/+$/g, '') || DEFAULT_MQTT_SETTINGS.base_topic;
+    return settings;
+}
+
+/**
+ * Turns an instance name into a topic level and Home Assistant id ("Bitaxe 1" -> "bitaxe_1").
+ * @param {string} name The instance name.
+ * @returns {string} The slug.
+ */
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'miner';
+}
+
+/**
+ * Builds the state payload published for a miner.
+ * @param {object} data The miner's /api/system/info data.
+ * @returns {object} The state, with null for values the device did not report.
+ */
+function buildState(data) {
+    const state = {};
+    SENSORS.forEach(sensor => {
+        const value = sensor.value(data);
+        state[sensor.key] = typeof value === 'number' && isFinite(value) ? value : null;
+    });
+    state.hostname = data.hostname || null;
+    state.ASICModel = data.ASICModel || null;
+    state.version = data.axeOSVersion || data.version || null;
+    state.autofanspeed = data.autofanspeed === undefined ? null : Number(data.autofanspeed);
+    state.isUsingFallbackStratum = data.isUsingFallbackStratum === undefined ? null : Number(data.isUsingFallbackStratum);
+    return state;
+}
+
+/**
+ * MQTT Service class - Singleton that mirrors the polling snapshot to an MQTT broker.
+ *
+ * @class MqttService
+ * @since 2.0.0
+ */
+class MqttService {
+    constructor() {
+        this.client = null;
+        // The settings the current connection was opened with.
+        this.settings = null;
+        this.connectionKey = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.lastEvent = null;
+        // Discovery signature per published miner slug, reset on every new connection.
+        this.discovered = new Map();
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Subscribes to the polling service and connects if MQTT is enabled.
+     */
+    start() {
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+        this.applySettings(configurationManager.getConfig());
+    }
+
+    /**
+     * Unsubscribes from the polling service and disconnects.
+     */
+    stop() {
+        pollingService.off('poll', this.onPoll);
+        this.disconnect();
+    }
+
+    /**
+     * Connects, reconnects or disconnects to match the current settings.
+     * @param {object} config The application configuration object.
+     */
+    applySettings(config) {
+        const settings = getMqttSettings(config);
+        const key = settings.enabled
+            ? JSON.stringify([settings.url, settings.username, settings.password, settings.client_id, settings.base_topic, settings.reject_unauthorized])
+            : null;
+
+        if (key === this.connectionKey) {
+            return;
+        }
+        this.disconnect();
+        this.connectionKey = key;
+        if (key) {
+            this.settings = settings;
+            this.connect(settings);
+        }
+    }
+
+    /**
+     * Opens a connection to the broker, retrying with backoff when it fails.
+     * @param {object} settings The MQTT settings.
+     * @returns {Promise<void>}
+     */
+    async connect(settings) {
+        const statusTopic = `${settings.base_topic}/status`;
+        const client = new MqttClient({
+            url: settings.url,
+            clientId: settings.client_id,
+            username: settings.username,
+            password: settings.password,
+            rejectUnauthorized: settings.reject_unauthorized !== false,
+            will: { topic: statusTopic, payload: 'offline', retain: true }
+        });
+        client.on('error', error => console.error('MQTT error:', error.message));
+        client.on('message', (topic, payload) => this.onMessage(topic, payload));
+        client.on('close', () => {
+            if (this.client === client) {
+                console.warn('MQTT connection lost, reconnecting');
+                this.client = null;
+                this.scheduleReconnect(settings);
+            }
+        });
+        this.client = client;
+
+        try {
+            await client.connect();
+        } catch (error) {
+            if (this.client === client) {
+                console.error(`Failed to connect to MQTT broker ${settings.url}: ${error.message}`);
+                this.client = null;
+                this.scheduleReconnect(settings);
+            }
+            return;
+        }
+        if (this.client !== client) {
+            // Settings changed while connecting.
+            client.end();
+            return;
+        }
+
+        console.log(`Connected to MQTT broker ${settings.url}`);
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.discovered.clear();
+        client.publish(statusTopic, 'online', { retain: true });
+        client.subscribe([`${settings.base_topic}/+/+/set`]);
+        if (this.lastEvent) {
+            this.publishPoll(this.lastEvent);
+        }
+    }
+
+    /**
+     * Retries the connection after the current backoff delay.
+     * @param {object} settings The MQTT settings.
+     */
+    scheduleReconnect(settings) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect(settings);
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+    }
+
+    /**
+     * Closes the connection, publishing the offline status first.
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.connectionKey = null;
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            client.publish(`${this.settings.base_topic}/status`, 'offline', { retain: true });
+            client.end();
+        }
+    }
+
+    /**
+     * Handles the polling service's `poll` event.
+     * @param {object} event The poll event.
+     */
+    onPoll(event) {
+        this.lastEvent = event;
+        this.applySettings(event.config);
+        if (this.client && this.client.connected) {
+            this.publishPoll(event);
+        }
+    }
+
+    /**
+     * Publishes the state and availability of every miner in a poll, and the
+     * discovery configs of miners that were not announced on this connection yet.
+     * @param {object} event The poll event.
+     */
+    publishPoll(event) {
+        const settings = getMqttSettings(event.config);
+        const commandsEnabled = settings.commands_enabled !== false && event.config.disable_settings !== true;
+        const seen = new Set();
+
+        for (const miner of event.minerData || []) {
+            const slug = slugify(miner.id);
+            const topic = `${settings.base_topic}/${slug}`;
+            seen.add(slug);
+
+            if (miner.status === 'Error') {
+                this.client.publish(`${topic}/availability`, 'offline', { retain: true });
+                continue;
+            }
+            if (settings.discovery) {
+                this.publishDiscovery(settings, event.config, miner, commandsEnabled);
+            }
+            this.client.publish(`${topic}/state`, JSON.stringify(buildState(miner)), { retain: true });
+            this.client.publish(`${topic}/availability`, 'online', { retain: true });
+        }
+
+        // Remove miners that were taken out of the configuration.
+        for (const slug of this.discovered.keys()) {
+            if (!seen.has(slug)) {
+                this.removeDevice(settings, slug);
+            }
+        }
+    }
+
+    /**
+     * Sends the Home Assistant discovery configs for a miner, unless they were already
+     * sent on this connection with the same device details.
+     * @param {object} settings The MQTT settings.
+     * @param {object} config The application configuration object.
+     * @param {object} miner The miner's /api/system/info data.
+     * @param {boolean} commandsEnabled Whether the restart/frequency/fan controls are offered.
+     */
+    publishDiscovery(settings, config, miner, commandsEnabled) {
+        const slug = slugify(miner.id);
+        const topic = `${settings.base_topic}/${slug}`;
+        const instance = (config.bitaxe_instances || []).find(item => item[miner.id]);
+        const signature = JSON.stringify([miner.hostname, miner.ASICModel, miner.axeOSVersion, miner.boardVersion, commandsEnabled, settings.discovery_prefix]);
+        if (this.discovered.get(slug) === signature) {
+            return;
+        }
+        this.discovered.set(slug, signature);
+
+        const device = {
+            identifiers: [`bitaxe_dashboard_${slug}`],
+            name: miner.id,
+            manufacturer: 'Bitaxe',
+            model: miner.ASICModel ? `${miner.ASICModel}${miner.boardVersion ? ` (board ${miner.boardVersion})` : ''}` : 'Bitaxe',
+            sw_version: miner.axeOSVersion || miner.version,
+            configuration_url: instance ? instance[miner.id] : undefined
+        };
+        const common = {
+            device: device,
+            availability: [
+                { topic: `${settings.base_topic}/status` },
+                { topic: `${topic}/availability` }
+            ],
+            availability_mode: 'all'
+        };
+        const configTopic = (component, objectId) => `${settings.discovery_prefix}/${component}/bitaxe_${slug}/${objectId}/config`;
+
+        SENSORS.forEach(sensor => {
+            const payload = {
+                ...common,
+                name: sensor.name,
+                unique_id: `bitaxe_${slug}_${sensor.key}`,
+                state_topic: `${topic}/state`,
+                value_template: `{{ value_json.${sensor.key} }}`,
+                state_class: sensor.stateClass || 'measurement'
+            };
+            if (sensor.unit) payload.unit_of_measurement = sensor.unit;
+            if (sensor.deviceClass) payload.device_class = sensor.deviceClass;
+            if (sensor.icon) payload.icon = sensor.icon;
+            if (sensor.entityCategory) payload.entity_category = sensor.entityCategory;
+            this.client.publish(configTopic('sensor', sensor.key), JSON.stringify(payload), { retain: true });
+        });
+
+        // Controls; an empty retained config removes them from Home Assistant when disabled.
+        const controls = [
+            ['button', 'restart', {
+                ...common,
+                name: 'Restart',
+                unique_id: `bitaxe_${slug}_restart`,
+                device_class: 'restart',
+                command_topic: `${topic}/restart/set`,
+                payload_press: 'PRESS'
+            }],
+            ['number', 'frequency', {
+                ...common,
+                name: 'Frequency setting',
+                unique_id: `bitaxe_${slug}_frequency_setting`,
+                icon: 'mdi:sine-wave',
+                entity_category: 'config',
+                command_topic: `${topic}/frequency/set`,
+                state_topic: `${topic}/state`,
+                value_template: '{{ value_json.frequency }}',
+                unit_of_measurement: 'MHz',
+                min: 100,
+                max: 1000,
+                step: 1,
+                mode: 'box'
+            }],
+            ['number', 'fanspeed', {
+                ...common,
+                name: 'Fan speed setting',
+                unique_id: `bitaxe_${slug}_fanspeed_setting`,
+                icon: 'mdi:fan',
+                entity_category: 'config',
+                command_topic: `${topic}/fanspeed/set`,
+                state_topic: `${topic}/state`,
+                value_template: '{{ value_json.fanspeed }}',
+                unit_of_measurement: '%',
+                min: 0,
+                max: 100,
+                step: 1,
+                mode: 'slider'
+            }]
+        ];
+        controls.forEach(([component, objectId, payload]) => {
+            this.client.publish(configTopic(component, objectId), commandsEnabled ? JSON.stringify(payload) : '', { retain: true });
+        });
+    }
+
+    /**
+     * Clears the retained discovery configs and state of a miner that is no longer configured.
+     * @param {object} settings The MQTT settings.
+     * @param {string} slug The miner's slug.
+     */
+    removeDevice(settings, slug) {
+        const topic = `${settings.base_topic}/${slug}`;
+        const configTopic = (component, objectId) => `${settings.discovery_prefix}/${component}/bitaxe_${slug}/${objectId}/config`;
+        SENSORS.forEach(sensor => this.client.publish(configTopic('sensor', sensor.key), '', { retain: true }));
+        this.client.publish(configTopic('button', 'restart'), '', { retain: true });
+        this.client.publish(configTopic('number', 'frequency'), '', { retain: true });
+        this.client.publish(configTopic('number', 'fanspeed'), '', { retain: true });
+        this.client.publish(`${topic}/state`, '', { retain: true });
+        this.client.publish(`${topic}/availability`, '', { retain: true });
+        this.discovered.delete(slug);
+    }
+
+    /**
+     * Handles a message on a command topic (`<base>/<miner>/<command>/set`).
+     * @param {string} topic The topic.
+     * @param {Buffer} payload The payload.
+     * @returns {Promise<void>}
+     */
+    async onMessage(topic, payload) {
+        const config = configurationManager.getConfig();
+        const settings = getMqttSettings(config);
+        if (!topic.startsWith(`${settings.base_topic}/`)) {
+            return;
+        }
+        const levels = topic.slice(settings.base_topic.length + 1).split('/');
+        if (levels.length !== 3 || levels[2] !== 'set') {
+            return;
+        }
+        const [slug, command] = levels;
+        const value = payload.toString('utf8').trim();
+
+        const instance = (config.bitaxe_instances || []).find(item => slugify(Object.keys(item)[0]) === slug);
+        if (!instance) {
+            console.warn(`Ignoring MQTT command for unknown miner "${slug}"`);
+            return;
+        }
+        const instanceId = Object.keys(instance)[0];
+
+        if (settings.commands_enabled === false || config.disable_settings === true) {
+            console.warn(`Ignoring MQTT ${command} command for ${instanceId}: commands are disabled by configuration`);
+            return;
+        }
+
+        try {
+            let result;
+            if (command === 'restart') {
+                result = await instanceServices.restartInstance(config, instanceId);
+            } else if (command === 'frequency') {
+                const frequency = Number(value);
+                if (!(frequency > 0)) {
+                    console.warn(`Ignoring MQTT frequency command for ${instanceId}: "${value}" is not a valid frequency`);
+                    return;
+                }
+                result = await instanceServices.updateInstanceSettings(config, instanceId, { frequency: frequency });
+            } else if (command === 'fanspeed') {
+                const fanspeed = Number(value);
+                if (!Number.isInteger(fanspeed) || fanspeed < 0 || fanspeed > 100) {
+                    console.warn(`Ignoring MQTT fanspeed command for ${instanceId}: "${value}" is not a percentage`);
+                    return;
+                }
+                result = await instanceServices.updateInstanceSettings(config, instanceId, { autofanspeed: 0, fanspeed: fanspeed });
+            } else {
+                console.warn(`Ignoring unknown MQTT command "${command}" for ${instanceId}`);
+                return;
+            }
+            console.log(`MQTT command: ${result.message}`);
+        } catch (error) {
+            console.error(`MQTT ${command} command for ${instanceId} failed:`, error.message);
+        }
+    }
+}
+
+// Create and export a singleton instance
+const mqttService = new MqttService();
+
+module.exports = mqttService;
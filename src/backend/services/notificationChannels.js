@@ -0,0 +1,251 @@
+/**
+ * @file Notification Channels - Registry of the supported alert delivery channels.
+ *
+ * Each channel type provides `validate(channel)`, returning a problem description or
+ * null, and `send(channel, notification)`, which delivers one notification and throws
+ * a NotificationError on failure. The notification service adds retries, backoff and
+ * rate limiting on top of these.
+ *
+ * Supported types:
+ * - `webhook`: generic HTTP request with an optional templated body
+ * - `ntfy`: ntfy.sh (or self-hosted ntfy) push
+ * - `gotify`: Gotify push
+ * - `discord`: Discord webhook (embed format)
+ * - `slack`: Slack-format incoming webhook (also accepted by Mattermost, Rocket.Chat, ...)
+ * - `smtp`: email via an SMTP server
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const smtpClient = require('./smtpClient');
+
+/**
+ * Maximum time in milliseconds to wait for a notification endpoint to answer.
+ * @constant {number}
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Colours used for chat embeds, by severity (resolved alerts are always green).
+ * @constant {Object.<string, number>}
+ */
+const SEVERITY_COLORS = {
+    info: 0x2196f3,
+    warning: 0xffa000,
+    critical: 0xff1744,
+    resolved: 0x4caf50
+};
+
+/**
+ * ntfy priorities (1-5) by severity.
+ * @constant {Object.<string, number>}
+ */
+const NTFY_PRIORITIES = {
+    info: 3,
+    warning: 4,
+    critical: 5
+};
+
+/**
+ * Gotify priorities (0-10) by severity.
+ * @constant {Object.<string, number>}
+ */
+const GOTIFY_PRIORITIES = {
+    info: 2,
+    warning: 5,
+    critical: 8
+};
+
+/**
+ * Error raised when a notification could not be delivered. `permanent` errors
+ * (e.g. a rejected request) are not retried.
+ */
+class NotificationError extends Error {
+    constructor(message, permanent = false) {
+        super(message);
+        this.name = 'NotificationError';
+        this.permanent = permanent;
+    }
+}
+
+/**
+ * Replaces `{{name}}` placeholders (dotted paths allowed) with values from the context.
+ * @param {string} template The template string.
+ * @param {object} context The values available to the template.
+ * @param {boolean} [escapeJson=false] Escape values so they can be placed inside a JSON string.
+ * @returns {string} The rendered string.
+ */
+function renderTemplate(template, context, escapeJson = false) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = key.split('.').reduce((current, part) => (current !== null && current !== undefined) ? current[part] : undefined, context);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return escapeJson ? JSON.stringify(text).slice(1, -1) : text;
+    });
+}
+
+/**
+ * Returns the values templates can refer to: every notification field plus the
+ * alert fields at the top level (`{{message}}`, `{{instanceId}}`, `{{severity}}`, ...).
+ * @param {object} notification The notification.
+ * @returns {object} The template context.
+ */
+function getTemplateContext(notification) {
+    return { ...notification.alert, ...notification };
+}
+
+/**
+ * Sends an HTTP request and throws a NotificationError unless it succeeds.
+ * Server errors and 429 responses are retryable, other 4xx responses are permanent.
+ * @param {string} url The URL to call.
+ * @param {object} options The node-fetch options.
+ * @returns {Promise<void>}
+ */
+async function request(url, options) {
+    // Use dynamic import for node-fetch 3.x compatibility
+    const { default: fetch } = await import('node-fetch');
+
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+        throw new NotificationError(`Request to ${url} failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const permanent = response.status < 500 && response.status !== 429;
+        throw new NotificationError(`HTTP ${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`, permanent);
+    }
+}
+
+/**
+ * Sends a JSON payload with a POST request.
+ * @param {string} url The URL to call.
+ * @param {object} payload The payload.
+ * @param {object} [headers] Additional headers.
+ * @returns {Promise<void>}
+ */
+function postJson(url, payload, headers = {}) {
+    return request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+}
+
+/**
+ * Checks that a channel option holds an http(s) URL.
+ * @param {object} channel The channel configuration.
+ * @param {string} key The option name.
+ * @returns {string|null} The problem, or null if the URL is valid.
+ */
+function validateUrl(channel, key) {
+    try {
+        const url = new URL(channel[key]);
+        return ['http:', 'https:'].includes(url.protocol) ? null : `${key} must be an http(s) URL`;
+    } catch (error) {
+        return `${key} must be a valid URL`;
+    }
+}
+
+/**
+ * The channel registry, keyed by channel `type`.
+ * @const {Object.<string, {validate: Function, send: Function}>}
+ */
+const CHANNEL_TYPES = {
+    webhook: {
+        validate: channel => validateUrl(channel, 'url'),
+        send: (channel, notification) => {
+            const body = channel.body_template
+                ? renderTemplate(channel.body_template, getTemplateContext(notification), (channel.content_type || 'application/json').includes('json'))
+                : JSON.stringify(notification);
+            return request(channel.url, {
+                method: channel.method || 'POST',
+                headers: { 'Content-Type': channel.content_type || 'application/json', ...(channel.headers || {}) },
+                body: body
+            });
+        }
+    },
+    ntfy: {
+        validate: channel => (channel.topic ? null : 'topic is required') || (channel.url ? validateUrl(channel, 'url') : null),
+        send: (channel, notification) => {
+            const headers = channel.token ? { Authorization: `Bearer ${channel.token}` } : {};
+            // Publishing as JSON to the server root supports UTF-8 titles and messages.
+            return postJson((channel.url || 'https://ntfy.sh').replace(/\/+$/, ''), {
+                topic: channel.topic,
+                title: notification.title,
+                message: notification.message,
+                priority: channel.priority || NTFY_PRIORITIES[notification.severity] || 3,
+                tags: [notification.event === 'resolved' ? 'white_check_mark' : 'warning']
+            }, headers);
+        }
+    },
+    gotify: {
+        validate: channel => validateUrl(channel, 'url') || (channel.token ? null : 'token is required'),
+        send: (channel, notification) => postJson(`${channel.url.replace(/\/+$/, '')}/message`, {
+            title: notification.title,
+            message: notification.message,
+            priority: channel.priority !== undefined ? channel.priority : (GOTIFY_PRIORITIES[notification.severity] || 5)
+        }, { 'X-Gotify-Key': channel.token })
+    },
+    discord: {
+        validate: channel => validateUrl(channel, 'url'),
+        send: (channel, notification) => postJson(channel.url, {
+            username: channel.username || notification.dashboard,
+            embeds: [{
+                title: notification.title,
+                description: notification.message,
+                color: SEVERITY_COLORS[notification.event === 'resolved' ? 'resolved' : notification.severity] || SEVERITY_COLORS.warning,
+                timestamp: notification.timestamp
+            }]
+        })
+    },
+    slack: {
+        validate: channel => validateUrl(channel, 'url'),
+        send: (channel, notification) => postJson(channel.url, {
+            text: `*${notification.title}*\n${notification.message}`,
+            ...(channel.username ? { username: channel.username } : {})
+        })
+    },
+    smtp: {
+        validate: channel => {
+            if (!channel.host) return 'host is required';
+            if (!channel.from) return 'from is required';
+            if (!channel.to || (Array.isArray(channel.to) && channel.to.length === 0)) return 'to is required';
+            return null;
+        },
+        send: async (channel, notification) => {
+            try {
+                await smtpClient.sendMail({
+                    host: channel.host,
+                    port: channel.port,
+                    secure: channel.secure === true,
+                    starttls: channel.starttls !== false,
+                    rejectUnauthorized: channel.reject_unauthorized !== false,
+                    allowInsecureAuth: channel.allow_insecure_auth === true,
+                    username: channel.username,
+                    password: channel.password,
+                    from: channel.from,
+                    to: channel.to,
+                    subject: channel.subject_template
+                        ? renderTemplate(channel.subject_template, getTemplateContext(notification))
+                        : notification.title,
+                    text: `${notification.message}\n\n${notification.dashboard} - ${notification.timestamp}`
+                });
+            } catch (error) {
+                throw new NotificationError(error.message, error.permanent === true);
+            }
+        }
+    }
+};
+
+module.exports = {
+    CHANNEL_TYPES,
+    NotificationError,
+    renderTemplate
+};
@@ -0,0 +1,274 @@
+/**
+ * @file Notification Service - Delivers firing and resolved alerts to the configured channels.
+ *
+ * Channels are configured in the `notification_channels` section of config.json (see
+ * notificationChannels.js for the supported types). Every delivery is retried with
+ * exponential backoff, and each channel is rate limited so a flapping device cannot
+ * flood a phone or inbox.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const alertService = require('./alertService');
+const configurationManager = require('./configurationManager');
+const { CHANNEL_TYPES, NotificationError } = require('./notificationChannels');
+
+/**
+ * Severities in increasing order, used for the `min_severity` channel filter.
+ * @constant {Array<string>}
+ */
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Defaults for the optional channel settings.
+ * @constant {object}
+ */
+const DEFAULT_CHANNEL_SETTINGS = {
+    enabled: true,
+    events: ['firing', 'resolved'],
+    min_severity: 'info',
+    max_retries: 3,
+    retry_backoff_seconds: 2,
+    max_per_minute: 10
+};
+
+/**
+ * Returns a channel configuration with defaults applied.
+ * @param {object} channel The channel configuration from config.json.
+ * @returns {object} The effective channel settings.
+ */
+function getChannelSettings(channel) {
+    return { ...DEFAULT_CHANNEL_SETTINGS, ...channel };
+}
+
+/**
+ * Checks a channel definition and returns a description of the first problem found.
+ * @param {object} channel The channel configuration.
+ * @returns {string|null} The problem, or null if the channel is valid.
+ */
+function validateChannel(channel) {
+    if (!channel || typeof channel !== 'object') {
+        return 'channel must be an object';
+    }
+    if (typeof channel.name !== 'string' || channel.name.trim() === '') {
+        return 'name is required';
+    }
+    if (!CHANNEL_TYPES[channel.type]) {
+        return `type must be one of ${Object.keys(CHANNEL_TYPES).join(', ')}`;
+    }
+    return CHANNEL_TYPES[channel.type].validate(channel);
+}
+
+/**
+ * Builds the notification for an alert event.
+ * @param {string} event 'firing', 'resolved' or 'test'.
+ * @param {object} alert The alert from the alert service.
+ * @param {object} config The application configuration object.
+ * @returns {object} The notification.
+ */
+function buildNotification(event, alert, config) {
+    const dashboard = (config && config.title) || 'Bitaxe Dashboard';
+    const prefix = event === 'resolved' ? 'RESOLVED' : (event === 'test' ? 'TEST' : alert.severity.toUpperCase());
+    return {
+        event: event,
+        title: `[${prefix}] ${alert.rule} - ${alert.instanceId}`,
+        message: event === 'resolved' && alert.resolvedMessage ? alert.resolvedMessage : alert.message,
+        severity: alert.severity,
+        dashboard: dashboard,
+        timestamp: new Date().toISOString(),
+        alert: alert
+    };
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Notification Service class - Singleton that routes alerts to notification channels.
+ *
+ * @class NotificationService
+ * @since 2.0.0
+ */
+class NotificationService {
+    constructor() {
+        // Send timestamps within the last minute, per channel name.
+        this.sentTimestamps = new Map();
+        this.reportedInvalidChannels = new Set();
+        this.onAlert = this.onAlert.bind(this);
+    }
+
+    /**
+     * Subscribes to the alert service.
+     */
+    start() {
+        alertService.off('alert', this.onAlert);
+        alertService.on('alert', this.onAlert);
+    }
+
+    /**
+     * Unsubscribes from the alert service.
+     */
+    stop() {
+        alertService.off('alert', this.onAlert);
+    }
+
+    /**
+     * Returns the valid channels from the configuration. Invalid channels are logged
+     * once and skipped.
+     * @param {object} config The application configuration object.
+     * @returns {Array<object>} The channels with defaults applied.
+     */
+    getChannels(config) {
+        const channels = Array.isArray(config && config.notification_channels) ? config.notification_channels : [];
+        return channels
+            .filter(channel => {
+                const problem = validateChannel(channel);
+                if (problem) {
+                    const key = JSON.stringify(channel);
+                    if (!this.reportedInvalidChannels.has(key)) {
+                        this.reportedInvalidChannels.add(key);
+                        console.warn(`Ignoring invalid notification channel ${channel && channel.name ? `"${channel.name}"` : ''}: ${problem}`);
+                    }
+                    return false;
+                }
+                return true;
+            })
+            .map(getChannelSettings);
+    }
+
+    /**
+     * Handles the alert service's `alert` event.
+     * @param {{type: string, alert: object}} event The alert event.
+     */
+    onAlert(event) {
+        if (event.alert.silenced) {
+            return;
+        }
+        const config = configurationManager.getConfig();
+        const notification = buildNotification(event.type, event.alert, config);
+
+        this.getChannels(config)
+            .filter(channel => channel.enabled !== false)
+            .filter(channel => channel.events.includes(event.type))
+            .filter(channel => SEVERITIES.indexOf(event.alert.severity) >= SEVERITIES.indexOf(channel.min_severity))
+            .forEach(channel => {
+                if (!this.takeRateLimitSlot(channel)) {
+                    console.warn(`Notification channel "${channel.name}" rate limit reached, dropping: ${notification.title}`);
+                    return;
+                }
+                this.deliver(channel, notification).then(result => {
+                    if (!result.success) {
+                        console.error(`Notification to "${channel.name}" failed after ${result.attempts} attempt(s): ${result.error}`);
+                    }
+                });
+            });
+    }
+
+    /**
+     * Records a send for a channel if it is still below its `max_per_minute` limit.
+     * @param {object} channel The channel settings.
+     * @param {number} [now=Date.now()] The current timestamp in milliseconds.
+     * @returns {boolean} True if the notification may be sent.
+     */
+    takeRateLimitSlot(channel, now = Date.now()) {
+        const limit = Number(channel.max_per_minute);
+        if (!(limit > 0)) {
+            return true;
+        }
+        const recent = (this.sentTimestamps.get(channel.name) || []).filter(timestamp => now - timestamp < 60000);
+        if (recent.length >= limit) {
+            this.sentTimestamps.set(channel.name, recent);
+            return false;
+        }
+        recent.push(now);
+        this.sentTimestamps.set(channel.name, recent);
+        return true;
+    }
+
+    /**
+     * Sends a notification through a channel, retrying with exponential backoff.
+     * @param {object} channel The channel settings.
+     * @param {object} notification The notification.
+     * @param {object} [options] Options.
+     * @param {number} [options.maxRetries] Overrides the channel's `max_retries`.
+     * @returns {Promise<{channel: string, success: boolean, attempts: number, error: string|null}>}
+     * The delivery result; never rejects.
+     */
+    async deliver(channel, notification, options = {}) {
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : Number(channel.max_retries) || 0;
+        const backoffMs = (Number(channel.retry_backoff_seconds) || 0) * 1000;
+        let attempts = 0;
+        let lastError = null;
+
+        while (attempts <= maxRetries) {
+            if (attempts > 0) {
+                await delay(backoffMs * Math.pow(2, attempts - 1));
+            }
+            attempts++;
+            try {
+                await CHANNEL_TYPES[channel.type].send(channel, notification);
+                return { channel: channel.name, success: true, attempts: attempts, error: null };
+            } catch (error) {
+                lastError = error;
+                if (error instanceof NotificationError && error.permanent) {
+                    break;
+                }
+            }
+        }
+
+        return { channel: channel.name, success: false, attempts: attempts, error: lastError ? lastError.message : 'Unknown error' };
+    }
+
+    /**
+     * Sends a test notification to one channel, or to every enabled channel.
+     * Test notifications are sent once, without retries or rate limiting, so the
+     * result comes back immediately.
+     * @param {object} config The application configuration object.
+     * @param {string} [channelName] The channel to test; all enabled channels when omitted.
+     * @returns {Promise<Array<object>>} The delivery result of each channel.
+     * @throws {Error} If the named channel does not exist or is invalid.
+     */
+    async sendTest(config, channelName) {
+        let channels = this.getChannels(config);
+        if (channelName) {
+            channels = channels.filter(channel => channel.name === channelName);
+            if (channels.length === 0) {
+                const configured = (config.notification_channels || []).find(channel => channel && channel.name === channelName);
+                throw new Error(configured
+                    ? `Notification channel "${channelName}" is invalid: ${validateChannel(configured)}`
+                    : `Notification channel "${channelName}" not found in configuration`);
+            }
+        } else {
+            channels = channels.filter(channel => channel.enabled !== false);
+        }
+
+        const notification = buildNotification('test', {
+            id: 'test',
+            rule: 'Test notification',
+            severity: 'info',
+            target: 'dashboard',
+            instanceId: (config && config.title) || 'Bitaxe Dashboard',
+            state: 'firing',
+            message: 'This is a test notification from your Bitaxe Dashboard.',
+            value: null,
+            firedAt: new Date().toISOString(),
+            resolvedAt: null
+        }, config);
+
+        return Promise.all(channels.map(channel => this.deliver(channel, notification, { maxRetries: 0 })));
+    }
+}
+
+// Create and export a singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
+module.exports.validateChannel = validateChannel;
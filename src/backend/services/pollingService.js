@@ -0,0 +1,407 @@
+/**
+ * @file Polling Service - Background collector for miner, pool and node data.
+ *
+ * This module owns all outbound status requests to Bitaxe devices, Mining Core
+ * instances and crypto nodes. It polls every configured device on a fixed
+ * interval and keeps the latest result for each one in memory, so that API
+ * handlers can answer from the cached snapshot instead of fanning out live
+ * requests for every browser that is looking at the dashboard.
+ *
+ * Features:
+ * - Configurable poll interval (re-read from the configuration on every cycle)
+ * - Per-device snapshot with last poll / last success timestamps
+ * - Last-error details retained for every device
+ * - Stale detection when a device has not answered recently
+ * - A `poll` event after every cycle so other services can consume fresh data
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const EventEmitter = require('events');
+// Dynamic import for node-fetch 3.x will be used inline
+const apiMapService = require('./apiMapService');
+const cryptoNodeService = require('./cryptoNodeService');
+const configurationManager = require('./configurationManager');
+
+/**
+ * Default number of seconds between two polling cycles.
+ * @constant {number}
+ * @default 15
+ */
+const DEFAULT_POLL_INTERVAL_SECONDS = 15;
+
+/**
+ * Number of missed poll intervals after which a device's data is reported as stale.
+ * @constant {number}
+ */
+const STALE_AFTER_INTERVALS = 3;
+
+/**
+ * Maximum time in milliseconds to wait for a single device to answer.
+ * @constant {number}
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Returns the configured poll interval in milliseconds.
+ * @param {object} config The application configuration object.
+ * @returns {number} The poll interval in milliseconds.
+ */
+function getPollIntervalMs(config) {
+    const seconds = Number(config && config.poll_interval_seconds);
+    return (seconds > 0 ? seconds : DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+}
+
+/**
+ * Returns the display identifiers of all configured crypto nodes, matching the
+ * `id` produced by cryptoNodeService.fetchCryptoNodeData.
+ * @param {object} config The application configuration object.
+ * @returns {Array<string>} The configured crypto node identifiers.
+ */
+function getCryptoNodeIds(config) {
+    return cryptoNodeService.getConfiguredNodes(config).map(node => node.NodeName || node.NodeId);
+}
+
+/**
+ * Fetches /api/system/info from a single Bitaxe instance.
+ * @param {object} config The application configuration object.
+ * @param {string} instanceName The configured name of the instance.
+ * @param {string} instanceUrl The base URL of the instance.
+ * @returns {Promise<object>} The device data, or a structured error object.
+ */
+async function fetchMinerInstance(config, instanceName, instanceUrl) {
+    try {
+        const apiSystemInfoPath = await apiMapService.getApiPath(config, 'instanceInfo');
+
+        // Use dynamic import for node-fetch 3.x compatibility
+        const { default: fetch } = await import('node-fetch');
+
+        const response = await fetch(instanceUrl + apiSystemInfoPath, {
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            console.error(`Error fetching data from ${instanceUrl}: ${response.status} ${response.statusText}`);
+            return {
+                id: instanceName, // Use the instance name as a unique identifier.
+                hostname: instanceName, // Use the instance name for display purposes.
+                status: 'Error',
+                message: `${response.status} ${response.statusText}`
+            };
+        }
+        const data = await response.json();
+        // Add the instance name as a unique ID for client-side identification.
+        data.id = instanceName;
+        return data;
+    } catch (fetchError) {
+        console.error(`Network or JSON parsing error for ${instanceName} (${instanceUrl}):`, fetchError.message);
+        return {
+            id: instanceName,
+            hostname: instanceName,
+            status: 'Error',
+            message: fetchError.message
+        };
+    }
+}
+
+/**
+ * Fetches /api/pools from a single Mining Core instance.
+ * @param {object} config The application configuration object.
+ * @param {string} instanceName The configured name of the Mining Core instance.
+ * @param {string} instanceUrl The base URL of the Mining Core instance.
+ * @returns {Promise<object>} The Mining Core pools, or a structured error object.
+ */
+async function fetchMiningCoreInstance(config, instanceName, instanceUrl) {
+    try {
+        const miningCoreApiPath = await apiMapService.getApiPath(config, 'pools');
+
+        // Use dynamic import for node-fetch 3.x compatibility
+        const { default: fetch } = await import('node-fetch');
+
+        const response = await fetch(instanceUrl + miningCoreApiPath, {
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            console.error(`Error fetching mining core data from ${instanceUrl}: ${response.status} ${response.statusText}`);
+            return {
+                instanceName: instanceName,
+                status: 'Error',
+                message: `${response.status} ${response.statusText}`,
+                pools: []
+            };
+        }
+        const miningCoreJson = await response.json();
+        return {
+            instanceName: instanceName,
+            status: 'OK',
+            pools: miningCoreJson.pools || []
+        };
+    } catch (miningCoreError) {
+        console.error(`Network or JSON parsing error for mining core ${instanceName} (${instanceUrl}):`, miningCoreError.message);
+        return {
+            instanceName: instanceName,
+            status: 'Error',
+            message: miningCoreError.message,
+            pools: []
+        };
+    }
+}
+
+/**
+ * Polling Service class - Singleton that collects and caches device status.
+ *
+ * Each snapshot entry has the shape
+ * `{ data, lastPolledAt, lastSuccessAt, lastError }`, where `data` is the
+ * object the dashboard has always received for that device (including the
+ * `status: 'Error'` objects for unreachable devices).
+ *
+ * After every completed cycle a `poll` event is emitted with
+ * `{ timestamp, config, minerData, miningCoreData, cryptoNodeData }`.
+ *
+ * @class PollingService
+ * @extends EventEmitter
+ * @since 2.0.0
+ */
+class PollingService extends EventEmitter {
+    constructor() {
+        super();
+        this.snapshot = {
+            miners: new Map(),
+            miningCores: new Map(),
+            cryptoNodes: new Map()
+        };
+        this.timer = null;
+        this.running = false;
+        this.currentPoll = null;
+        this.lastPollCompletedAt = null;
+    }
+
+    /**
+     * Starts the background polling loop. Calling start() on a running
+     * service has no effect.
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        console.log('Starting background polling service');
+        this.scheduleNext(0);
+    }
+
+    /**
+     * Stops the background polling loop. An in-flight poll is allowed to finish.
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedules the next polling cycle.
+     * @param {number} delayMs Milliseconds to wait before polling.
+     */
+    scheduleNext(delayMs) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            const config = configurationManager.getConfig();
+            try {
+                await this.pollOnce(config);
+            } catch (error) {
+                console.error('Error during background poll:', error);
+            }
+            this.scheduleNext(getPollIntervalMs(configurationManager.getConfig() || config));
+        }, delayMs);
+        // Do not keep the process alive just for the poller.
+        this.timer.unref();
+    }
+
+    /**
+     * Polls every configured device once and updates the snapshot. Concurrent
+     * callers share the same in-flight poll.
+     * @param {object} config The application configuration object.
+     * @returns {Promise<void>} Resolves when all devices have answered or failed.
+     */
+    pollOnce(config) {
+        if (!this.currentPoll) {
+            this.currentPoll = this.collect(config).finally(() => {
+                this.currentPoll = null;
+            });
+        }
+        return this.currentPoll;
+    }
+
+    /**
+     * Performs one collection cycle against all configured devices.
+     * @param {object} config The application configuration object.
+     * @returns {Promise<void>}
+     */
+    async collect(config) {
+        if (!config) {
+            return;
+        }
+
+        const bitaxeInstances = Array.isArray(config.bitaxe_instances) ? config.bitaxe_instances : [];
+        const minerPromises = bitaxeInstances.map(async (instance) => {
+            // The instance object is expected to be in the format: { "minerName": "http://miner.url" }
+            const instanceName = Object.keys(instance)[0];
+            const data = await fetchMinerInstance(config, instanceName, instance[instanceName]);
+            this.record(this.snapshot.miners, instanceName, data);
+        });
+
+        let miningCorePromises = [];
+        if (config.mining_core_enabled && Array.isArray(config.mining_core_url)) {
+            miningCorePromises = config.mining_core_url.map(async (instance) => {
+                // The instance object is expected to be in the format: { "InstanceName": "http://instance.url" }
+                const instanceName = Object.keys(instance)[0];
+                const data = await fetchMiningCoreInstance(config, instanceName, instance[instanceName]);
+                this.record(this.snapshot.miningCores, instanceName, data);
+            });
+        }
+
+        let cryptoNodePromise = Promise.resolve();
+        if (config.cryptNodesEnabled) {
+            cryptoNodePromise = cryptoNodeService.fetchAllCryptoNodes(config)
+                .then(nodes => {
+                    nodes.forEach(node => this.record(this.snapshot.cryptoNodes, node.id, node));
+                })
+                .catch(error => {
+                    console.error('Error fetching crypto node data:', error);
+                });
+        }
+
+        await Promise.all([...minerPromises, ...miningCorePromises, cryptoNodePromise]);
+        this.prune(config);
+        this.lastPollCompletedAt = Date.now();
+
+        try {
+            this.emit('poll', { timestamp: this.lastPollCompletedAt, config: config, ...this.buildSnapshot(config) });
+        } catch (error) {
+            console.error('Error in poll event listener:', error);
+        }
+    }
+
+    /**
+     * Stores a poll result in a snapshot map, keeping the success and error history.
+     * @param {Map<string, object>} map The snapshot map to update.
+     * @param {string} key The device identifier.
+     * @param {object} data The data returned for the device.
+     */
+    record(map, key, data) {
+        const now = Date.now();
+        const previous = map.get(key) || { lastSuccessAt: null, lastError: null };
+        const failed = data && data.status === 'Error';
+
+        map.set(key, {
+            data: data,
+            lastPolledAt: now,
+            lastSuccessAt: failed ? previous.lastSuccessAt : now,
+            lastError: failed ? { message: data.message, at: now } : previous.lastError
+        });
+    }
+
+    /**
+     * Drops snapshot entries for devices that are no longer configured.
+     * @param {object} config The application configuration object.
+     */
+    prune(config) {
+        const minerNames = new Set((config.bitaxe_instances || []).map(instance => Object.keys(instance)[0]));
+        const miningCoreNames = new Set(config.mining_core_enabled && Array.isArray(config.mining_core_url)
+            ? config.mining_core_url.map(instance => Object.keys(instance)[0])
+            : []);
+        const cryptoNodeIds = new Set(getCryptoNodeIds(config));
+
+        for (const key of this.snapshot.miners.keys()) {
+            if (!minerNames.has(key)) this.snapshot.miners.delete(key);
+        }
+        for (const key of this.snapshot.miningCores.keys()) {
+            if (!miningCoreNames.has(key)) this.snapshot.miningCores.delete(key);
+        }
+        for (const key of this.snapshot.cryptoNodes.keys()) {
+            if (!cryptoNodeIds.has(key)) this.snapshot.cryptoNodes.delete(key);
+        }
+    }
+
+    /**
+     * Returns true when every configured device has at least one snapshot entry.
+     * @param {object} config The application configuration object.
+     * @returns {boolean}
+     */
+    isComplete(config) {
+        if (this.lastPollCompletedAt === null) {
+            return false;
+        }
+        const bitaxeInstances = Array.isArray(config.bitaxe_instances) ? config.bitaxe_instances : [];
+        if (!bitaxeInstances.every(instance => this.snapshot.miners.has(Object.keys(instance)[0]))) {
+            return false;
+        }
+        if (config.mining_core_enabled && Array.isArray(config.mining_core_url)) {
+            if (!config.mining_core_url.every(instance => this.snapshot.miningCores.has(Object.keys(instance)[0]))) {
+                return false;
+            }
+        }
+        return getCryptoNodeIds(config).every(id => this.snapshot.cryptoNodes.has(id));
+    }
+
+    /**
+     * Returns the cached snapshot in configuration order, polling first if a
+     * configured device has never been polled (e.g. right after startup or a
+     * configuration change).
+     * @param {object} config The application configuration object.
+     * @returns {Promise<{minerData: Array<object>, miningCoreData: Array<object>, cryptoNodeData: Array<object>}>}
+     */
+    async getSnapshot(config) {
+        if (!this.isComplete(config)) {
+            await this.pollOnce(config);
+        }
+        return this.buildSnapshot(config);
+    }
+
+    /**
+     * Builds the decorated snapshot, in configuration order, from the cached entries.
+     * @param {object} config The application configuration object.
+     * @returns {{minerData: Array<object>, miningCoreData: Array<object>, cryptoNodeData: Array<object>}}
+     */
+    buildSnapshot(config) {
+        const staleAfterMs = getPollIntervalMs(config) * STALE_AFTER_INTERVALS;
+        const now = Date.now();
+        const decorate = (entry) => ({
+            ...entry.data,
+            lastPolledAt: new Date(entry.lastPolledAt).toISOString(),
+            lastSuccessAt: entry.lastSuccessAt ? new Date(entry.lastSuccessAt).toISOString() : null,
+            lastError: entry.lastError ? { message: entry.lastError.message, at: new Date(entry.lastError.at).toISOString() } : null,
+            stale: entry.lastSuccessAt === null || now - entry.lastSuccessAt > staleAfterMs
+        });
+
+        const bitaxeInstances = Array.isArray(config.bitaxe_instances) ? config.bitaxe_instances : [];
+        const minerData = bitaxeInstances
+            .map(instance => this.snapshot.miners.get(Object.keys(instance)[0]))
+            .filter(Boolean)
+            .map(decorate);
+
+        const miningCoreInstances = config.mining_core_enabled && Array.isArray(config.mining_core_url) ? config.mining_core_url : [];
+        const miningCoreData = miningCoreInstances
+            .map(instance => this.snapshot.miningCores.get(Object.keys(instance)[0]))
+            .filter(Boolean)
+            .map(decorate);
+
+        const cryptoNodeData = getCryptoNodeIds(config)
+            .map(id => this.snapshot.cryptoNodes.get(id))
+            .filter(Boolean)
+            .map(decorate);
+
+        return { minerData, miningCoreData, cryptoNodeData };
+    }
+}
+
+// Create and export a singleton instance
+const pollingService = new PollingService();
+
+module.exports = pollingService;
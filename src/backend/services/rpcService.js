@@ -1,11 +1,15 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { CONFIG_DIR } = require('./configPaths');
 
 // Load RPC configuration on module initialization
-const RPC_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'rpcConfig.json');
+const RPC_CONFIG_PATH = path.join(CONFIG_DIR, 'rpcConfig.json');
 let rpcConfig = null;
 
+// Time in milliseconds to wait for a node to answer, so a hung node cannot stall a poll
+const RPC_TIMEOUT_MS = 10000;
+
 /**
  * Loads the RPC configuration from rpcConfig.json
  * @returns {Object} The parsed RPC configuration
@@ -48,9 +52,10 @@ function getRPCConnectionDetails(nodeId) {
  * @param {string|Object} nodeId - Either a nodeId string to lookup in rpcConfig.json
  * @param {string} method - The RPC method to call (e.g., 'getblocktemplate', 'submitblock')
  * @param {Array} [params=[]] - Array of parameters for the RPC method
+ * @param {number} [timeoutMs=RPC_TIMEOUT_MS] - Time to wait for the node to answer
  * @returns {Promise<any>} Promise that resolves with the RPC result or rejects with an error
  */
-async function callRPCService(nodeId, method, params = []) {
+async function callRPCService(nodeId, method, params = [], timeoutMs = RPC_TIMEOUT_MS) {
     return new Promise((resolve, reject) => {
         let connectionDetails;
         try {
@@ -104,6 +109,10 @@ async function callRPCService(nodeId, method, params = []) {
             });
         });
 
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`no answer from ${connectionDetails.rpcHost}:${connectionDetails.rpcPort} within ${timeoutMs} ms`));
+        });
+
         req.on('error', (e) => {
             reject(new Error(`RPC request error: ${e.message}`));
         });
@@ -0,0 +1,499 @@
+/**
+ * @file Schedule Service - Runs the scheduled actions from the `schedules` section of config.json.
+ *
+ * Each schedule has a cron expression (minute hour day-of-month month day-of-week, in the
+ * server's local time) and an action that goes through instanceServices.runBulkAction, the
+ * same code as the dashboard's restart and settings buttons:
+ * - `{ "name": "Quiet night", "cron": "0 22 * * *", "action": "profile", "profile": "Quiet", "instances": ["Bitaxe1", "Bitaxe2"] }`
+ * - `{ "name": "Weekly restart", "cron": "0 3 * * SUN", "action": "restart" }`
+ * - `{ "name": "Fans up", "cron": "0 12 * 6-8 *", "action": "settings", "payload": { "autofanspeed": 0, "fanspeed": 100 } }`
+ * Without `instances` a schedule applies to every Bitaxe. Schedules are skipped while
+ * `disable_settings` is true.
+ *
+ * Every run is recorded with its per-device results in `config/schedule_runs.json`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const configurationManager = require('./configurationManager');
+const configurationServices = require('./configurationServices');
+const instanceServices = require('./instanceServices');
+const settingsProfileService = require('./settingsProfileService');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * File holding the run log.
+ * @constant {string}
+ */
+const RUN_LOG_PATH = path.join(CONFIG_DIR, 'schedule_runs.json');
+
+/**
+ * Number of runs kept in the run log.
+ * @constant {number}
+ */
+const MAX_RUNS = 200;
+
+/**
+ * Actions a schedule can run: the bulk actions of instanceServices plus applying a
+ * settings profile.
+ * @constant {Array<string>}
+ */
+const ACTIONS = ['profile', 'restart', 'settings', 'pool'];
+
+/**
+ * The fields of a cron expression, in order.
+ * @constant {Array<{name: string, min: number, max: number, names?: Array<string>}>}
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * Parses one field of a cron expression: `*`, numbers, names, ranges (`1-5`), steps
+ * (`*\/15`, `8-18/2`) and comma-separated lists of these.
+ * @param {string} text The field.
+ * @param {{name: string, min: number, max: number, names?: Array<string>}} field The field definition.
+ * @returns {Set<number>} The values the field matches.
+ * @throws {Error} If the field is invalid.
+ */
+function parseCronField(text, field) {
+    const toNumber = (value) => {
+        const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+        const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+        if (!/^\d+$/.test(value) && nameIndex < 0) {
+            throw new Error(`Invalid ${field.name} "${value}"`);
+        }
+        if (number < field.min || number > field.max) {
+            throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+        }
+        return number;
+    };
+
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} "${part}"`);
+        }
+        let start;
+        let end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(toNumber);
+            if (start > end) {
+                throw new Error(`Invalid range in ${field.name} "${part}"`);
+            }
+        } else {
+            start = toNumber(range);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parses a five-field cron expression.
+ * @param {string} expression The expression, e.g. `"0 22 * * *"` or `"0 3 * * SUN"`.
+ * @returns {{minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>, daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}}
+ * @throws {Error} If the expression is invalid.
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    // 7 is Sunday too.
+    if (daysOfWeek.delete(7)) {
+        daysOfWeek.add(0);
+    }
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+/**
+ * Returns whether a parsed cron expression matches the day of a date. Like cron, a
+ * restricted day of month and day of week match when either one does.
+ * @param {object} cron The parsed expression.
+ * @param {Date} date The date, in local time.
+ * @returns {boolean} True if the schedule runs on that day.
+ */
+function matchesDay(cron, date) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Returns whether a parsed cron expression matches the minute of a date.
+ * @param {object} cron The parsed expression.
+ * @param {Date} date The date, in local time.
+ * @returns {boolean} True if the schedule runs at that minute.
+ */
+function cronMatches(cron, date) {
+    return cron.minutes.has(date.getMinutes()) && cron.hours.has(date.getHours()) && matchesDay(cron, date);
+}
+
+/**
+ * Returns the next time a parsed cron expression matches, after a date.
+ * @param {object} cron The parsed expression.
+ * @param {Date} after The date to start from.
+ * @returns {Date|null} The next run, or null if there is none within 5 years (e.g. 31 FEB).
+ */
+function getNextRun(cron, after) {
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+        if (!matchesDay(cron, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return candidate;
+    }
+    return null;
+}
+
+/**
+ * Checks a schedule definition and returns a description of the first problem found.
+ * Mirrors the `schedules` definition in config.schema.json.
+ * @param {object} schedule The schedule definition.
+ * @returns {string|null} The problem, or null if the schedule is valid.
+ */
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return 'schedule must be an object';
+    }
+    if (typeof schedule.name !== 'string' || schedule.name.trim() === '') {
+        return 'name is required';
+    }
+    try {
+        parseCron(schedule.cron);
+    } catch (error) {
+        return error.message;
+    }
+    if (!ACTIONS.includes(schedule.action)) {
+        return `action must be one of ${ACTIONS.join(', ')}`;
+    }
+    if (schedule.instances !== undefined && schedule.instances !== 'all'
+        && (!Array.isArray(schedule.instances) || schedule.instances.length === 0 || !schedule.instances.every(name => typeof name === 'string'))) {
+        return 'instances must be "all" or a non-empty list of device names';
+    }
+    if (schedule.action === 'profile') {
+        return typeof schedule.profile === 'string' && schedule.profile !== '' ? null : 'profile is required for the profile action';
+    }
+    return instanceServices.validateBulkAction(schedule.action, schedule.payload || {});
+}
+
+/**
+ * Schedule Service class - Singleton that runs the configured schedules once a minute.
+ *
+ * @class ScheduleService
+ * @since 2.0.0
+ */
+class ScheduleService {
+    constructor() {
+        // Run log, newest first: { schedule, action, trigger, startedAt, finishedAt, status, message, results }.
+        this.runs = [];
+        this.running = new Set();
+        this.timer = null;
+        this.started = false;
+        this.lastTickMinute = null;
+        this.reportedInvalidSchedules = new Set();
+        this.runLogPath = RUN_LOG_PATH;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Loads the run log and starts checking the schedules at the start of every minute.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.load();
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        console.log('Starting schedule service');
+        this.scheduleTick();
+    }
+
+    /**
+     * Stops checking the schedules. Runs in progress are allowed to finish.
+     */
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Sets the timer for the start of the next minute.
+     */
+    scheduleTick() {
+        if (!this.started) {
+            return;
+        }
+        const now = Date.now();
+        // A little past the minute, so a timer firing early still lands in the right minute.
+        const delayMs = 60000 - (now % 60000) + 100;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick(new Date()).catch(error => console.error('Error running schedules:', error));
+            this.scheduleTick();
+        }, delayMs);
+        // Do not keep the process alive just for the scheduler.
+        this.timer.unref();
+    }
+
+    /**
+     * Reads the persisted run log. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.runLogPath, 'utf8'));
+            this.runs = Array.isArray(saved.runs) ? saved.runs : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load schedule run log from ${this.runLogPath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Writes the run log, one write at a time.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const content = JSON.stringify({ runs: this.runs }, null, 4);
+                await fs.writeFile(`${this.runLogPath}.tmp`, content, 'utf8');
+                await fs.rename(`${this.runLogPath}.tmp`, this.runLogPath);
+            })
+            .catch(error => console.error('Failed to save schedule run log:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns the valid, enabled schedules from the configuration. Invalid schedules are
+     * logged once and skipped.
+     * @param {object} config The application configuration object.
+     * @returns {Array<object>} The schedules to run.
+     */
+    getSchedules(config) {
+        const schedules = Array.isArray(config && config.schedules) ? config.schedules : [];
+        return schedules.filter(schedule => {
+            const problem = validateSchedule(schedule);
+            if (problem) {
+                const key = JSON.stringify(schedule);
+                if (!this.reportedInvalidSchedules.has(key)) {
+                    this.reportedInvalidSchedules.add(key);
+                    console.warn(`Ignoring invalid schedule ${schedule && schedule.name ? `"${schedule.name}"` : JSON.stringify(schedule)}: ${problem}`);
+                }
+                return false;
+            }
+            return schedule.enabled !== false;
+        });
+    }
+
+    /**
+     * Runs the schedules due at a minute. A minute is only handled once.
+     * @param {Date} now The current time.
+     * @returns {Promise<Array<object>>} The runs started, once they have finished.
+     */
+    async tick(now) {
+        const minute = Math.floor(now.getTime() / 60000);
+        if (minute === this.lastTickMinute) {
+            return [];
+        }
+        this.lastTickMinute = minute;
+
+        const config = configurationManager.getConfig();
+        const due = this.getSchedules(config).filter(schedule => cronMatches(parseCron(schedule.cron), now));
+        return Promise.all(due.map(schedule => this.runSchedule(config, schedule, 'schedule')));
+    }
+
+    /**
+     * Runs a schedule's action and records the outcome in the run log. A schedule that
+     * is still running from the previous minute is skipped.
+     * @param {object} config The application configuration object.
+     * @param {object} schedule The schedule.
+     * @param {string} trigger `'schedule'`, or `'manual'` for Run Now.
+     * @returns {Promise<object>} The run log entry.
+     */
+    async runSchedule(config, schedule, trigger) {
+        const run = {
+            schedule: schedule.name,
+            action: schedule.action === 'profile' ? `profile ${schedule.profile}` : schedule.action,
+            trigger: trigger,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            status: 'success',
+            message: '',
+            results: []
+        };
+
+        if (config.disable_settings === true) {
+            Object.assign(run, { status: 'skipped', message: 'Settings are disabled by configuration.' });
+        } else if (this.running.has(schedule.name)) {
+            Object.assign(run, { status: 'skipped', message: 'The previous run has not finished yet.' });
+        } else {
+            this.running.add(schedule.name);
+            try {
+                const instances = schedule.instances || 'all';
+                let report;
+                if (schedule.action === 'profile') {
+                    const profile = await settingsProfileService.getProfile(schedule.profile);
+                    if (!profile) {
+                        throw new Error(`No profile named '${schedule.profile}'`);
+                    }
+                    report = await instanceServices.runBulkAction(config, instances, 'settings', profile.settings);
+                } else {
+                    report = await instanceServices.runBulkAction(config, instances, schedule.action, schedule.payload || {});
+                }
+                Object.assign(run, { status: report.status, message: report.message, results: report.results });
+            } catch (error) {
+                Object.assign(run, { status: 'error', message: error.message });
+            } finally {
+                this.running.delete(schedule.name);
+            }
+        }
+
+        run.finishedAt = new Date().toISOString();
+        if (run.status !== 'success') {
+            console.warn(`Schedule "${schedule.name}" ${run.status}: ${run.message}`);
+        }
+        this.runs.unshift(run);
+        this.runs.length = Math.min(this.runs.length, MAX_RUNS);
+        await this.save();
+        return run;
+    }
+
+    /**
+     * Returns every configured schedule with its next run and last run.
+     * @param {object} config The application configuration object.
+     * @returns {Array<object>} The schedules, with `problem`, `nextRun` and `lastRun` added.
+     */
+    listSchedules(config) {
+        const schedules = Array.isArray(config && config.schedules) ? config.schedules : [];
+        const now = new Date();
+        return schedules.map(schedule => {
+            const problem = validateSchedule(schedule);
+            const nextRun = !problem && schedule.enabled !== false ? getNextRun(parseCron(schedule.cron), now) : null;
+            return {
+                ...schedule,
+                problem: problem,
+                nextRun: nextRun ? nextRun.toISOString() : null,
+                lastRun: this.runs.find(run => run.schedule === schedule.name) || null
+            };
+        });
+    }
+
+    /**
+     * Returns the run log, newest first.
+     * @param {object} [options] The filters.
+     * @param {string} [options.name] Only the runs of this schedule.
+     * @param {number} [options.limit=50] The number of runs.
+     * @returns {Array<object>} The runs.
+     */
+    getRuns({ name, limit = 50 } = {}) {
+        return this.runs.filter(run => !name || run.schedule === name).slice(0, limit);
+    }
+
+    /**
+     * Adds a schedule to config.json, or replaces the one named `originalName`.
+     * @param {object} schedule The schedule.
+     * @param {string} [originalName] The name of the schedule being edited.
+     * @returns {Promise<object>} The saved schedule.
+     * @throws {Error} If the schedule is invalid or the name is taken (`statusCode` 400),
+     * or if `originalName` does not exist (`statusCode` 404).
+     */
+    async saveSchedule(schedule, originalName) {
+        const problem = validateSchedule(schedule);
+        if (problem) {
+            throw Object.assign(new Error(problem), { statusCode: 400 });
+        }
+        const saved = { ...schedule, name: schedule.name.trim() };
+        const schedules = [...(configurationManager.getConfig().schedules || [])];
+        const index = originalName === undefined ? -1 : schedules.findIndex(existing => existing.name === originalName);
+
+        if (originalName !== undefined && index < 0) {
+            throw Object.assign(new Error(`No schedule named '${originalName}'`), { statusCode: 404 });
+        }
+        if (schedules.some((existing, i) => i !== index && existing.name === saved.name)) {
+            throw Object.assign(new Error(`A schedule named '${saved.name}' already exists`), { statusCode: 400 });
+        }
+        if (index < 0) {
+            schedules.push(saved);
+        } else {
+            schedules[index] = saved;
+        }
+        await configurationServices.applyConfigurationUpdates({ schedules });
+        return saved;
+    }
+
+    /**
+     * Removes a schedule from config.json. Its runs stay in the run log.
+     * @param {string} name The schedule name.
+     * @returns {Promise<boolean>} False if there was no schedule by that name.
+     */
+    async deleteSchedule(name) {
+        const schedules = configurationManager.getConfig().schedules || [];
+        const remaining = schedules.filter(schedule => schedule.name !== name);
+        if (remaining.length === schedules.length) {
+            return false;
+        }
+        await configurationServices.applyConfigurationUpdates({ schedules: remaining });
+        return true;
+    }
+}
+
+// Create and export a singleton instance
+const scheduleService = new ScheduleService();
+
+module.exports = scheduleService;
+module.exports.parseCron = parseCron;
+module.exports.cronMatches = cronMatches;
+module.exports.getNextRun = getNextRun;
+module.exports.validateSchedule = validateSchedule;
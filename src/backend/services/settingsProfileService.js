@@ -0,0 +1,174 @@
+/**
+ * @file Settings Profile Service - Named sets of AxeOS settings that can be applied to miners.
+ *
+ * A profile holds any subset of the settings accepted by PATCH /api/system, e.g. only the
+ * tuning (`{ "frequency": 490, "coreVoltage": 1150 }`) or only the pool. Applying a profile
+ * sends its settings through the same code as PATCH /api/instance/service/settings, so
+ * `{name}` in a string setting becomes the miner's name (see instanceServices.runBulkAction).
+ *
+ * Profiles are persisted in `config/profiles.json`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * File holding the saved profiles.
+ * @constant {string}
+ */
+const PROFILES_PATH = path.join(CONFIG_DIR, 'profiles.json');
+
+/**
+ * Longest profile name accepted.
+ * @constant {number}
+ */
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Checks a profile before it is saved.
+ * @param {string} name The profile name.
+ * @param {object} settings The settings of the profile.
+ * @returns {string|null} The problem, or null if the profile is valid.
+ */
+function validateProfile(name, settings) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return 'name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings) || Object.keys(settings).length === 0) {
+        return 'settings must be an object with at least one setting';
+    }
+    const invalid = Object.entries(settings)
+        .filter(([, value]) => !['string', 'boolean'].includes(typeof value) && !(typeof value === 'number' && Number.isFinite(value)))
+        .map(([key]) => key);
+    if (invalid.length > 0) {
+        return `settings must be strings, numbers or booleans: ${invalid.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Settings Profile Service class - Singleton that stores the named profiles.
+ *
+ * @class SettingsProfileService
+ * @since 2.0.0
+ */
+class SettingsProfileService {
+    constructor() {
+        // Profiles in the order they were created: { name, settings, createdAt, updatedAt }.
+        this.profiles = [];
+        this.loading = null;
+        this.profilesPath = PROFILES_PATH;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Reads the saved profiles the first time they are needed. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fs.readFile(this.profilesPath, 'utf8')
+                .then(content => {
+                    const saved = JSON.parse(content);
+                    this.profiles = Array.isArray(saved.profiles) ? saved.profiles : [];
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Failed to load settings profiles from ${this.profilesPath}:`, error.message);
+                    }
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Writes the profiles, one write at a time.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const content = JSON.stringify({ profiles: this.profiles }, null, 4);
+                await fs.writeFile(`${this.profilesPath}.tmp`, content, 'utf8');
+                await fs.rename(`${this.profilesPath}.tmp`, this.profilesPath);
+            })
+            .catch(error => console.error('Failed to save settings profiles:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns every saved profile.
+     * @returns {Promise<Array<object>>} The profiles.
+     */
+    async getProfiles() {
+        await this.load();
+        return this.profiles;
+    }
+
+    /**
+     * Returns a profile by name.
+     * @param {string} name The profile name.
+     * @returns {Promise<object|null>} The profile, or null if there is none by that name.
+     */
+    async getProfile(name) {
+        await this.load();
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Creates a profile, or replaces the settings of the profile with the same name.
+     * @param {string} name The profile name.
+     * @param {object} settings The settings, e.g. `{ "frequency": 490, "coreVoltage": 1150 }`.
+     * @returns {Promise<object>} The saved profile.
+     * @throws {Error} If the name or settings are invalid. The error has a `statusCode` of 400.
+     */
+    async saveProfile(name, settings) {
+        const problem = validateProfile(name, settings);
+        if (problem) {
+            throw Object.assign(new Error(problem), { statusCode: 400 });
+        }
+        await this.load();
+
+        const now = new Date().toISOString();
+        const trimmedName = name.trim();
+        let profile = this.profiles.find(candidate => candidate.name === trimmedName);
+        if (profile) {
+            profile.settings = { ...settings };
+            profile.updatedAt = now;
+        } else {
+            profile = { name: trimmedName, settings: { ...settings }, createdAt: now, updatedAt: now };
+            this.profiles.push(profile);
+        }
+        await this.save();
+        return profile;
+    }
+
+    /**
+     * Deletes a profile.
+     * @param {string} name The profile name.
+     * @returns {Promise<boolean>} False if there was no profile by that name.
+     */
+    async deleteProfile(name) {
+        await this.load();
+        const count = this.profiles.length;
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.profiles.length === count) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+}
+
+// Create and export a singleton instance
+const settingsProfileService = new SettingsProfileService();
+
+module.exports = settingsProfileService;
@@ -0,0 +1,316 @@
+/**
+ * @file SMTP Client - Minimal SMTP sender used by the email notification channel.
+ *
+ * Supports plain connections upgraded with STARTTLS, implicit TLS (`secure`, usually
+ * port 465) and AUTH PLAIN / AUTH LOGIN. Credentials are only sent over TLS unless
+ * `allowInsecureAuth` is set, so a server (or a man in the middle) that does not offer
+ * STARTTLS cannot get them in clear text. Messages are sent as UTF-8 plain text.
+ *
+ * The email channel only sends short plain text alerts to a fixed list of recipients,
+ * so this client covers that and nothing more (no HTML, attachments, connection pooling
+ * or OAuth2), instead of adding a mail library such as nodemailer next to the two
+ * runtime dependencies the dashboard has (jsonwebtoken and node-fetch).
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Default time in milliseconds to wait for the server before giving up.
+ * @constant {number}
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Error raised when the SMTP server answers with an unexpected reply code, or when the
+ * message cannot be sent safely. `permanent` errors, by default 5xx replies, should not
+ * be retried.
+ */
+class SmtpError extends Error {
+    constructor(message, responseCode, permanent = responseCode >= 500) {
+        super(message);
+        this.name = 'SmtpError';
+        this.responseCode = responseCode;
+        this.permanent = permanent;
+    }
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it is not plain ASCII.
+ * @param {string} value The header value.
+ * @returns {string} The encoded header value.
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Builds the RFC 5322 message sent after DATA.
+ * @param {object} message The message options (see sendMail).
+ * @returns {string} The message with CRLF line endings, ready to be dot-stuffed.
+ */
+function buildMessage(message) {
+    const domain = (message.from.split('@')[1] || 'localhost').replace(/>$/, '');
+    const body = Buffer.from(message.text || '', 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to.join(', ')}`,
+        `Subject: ${encodeHeader(message.subject || '')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Wraps a socket and turns the server's replies into `{ code, lines }` objects.
+ */
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.replies = [];
+        this.waiters = [];
+        this.error = null;
+        this.onData = this.onData.bind(this);
+        this.onError = this.onError.bind(this);
+        this.onClose = () => this.onError(new Error('SMTP connection closed unexpectedly'));
+        this.attach(socket);
+    }
+
+    /**
+     * Starts reading replies from a socket (again after a STARTTLS upgrade).
+     * @param {net.Socket} socket The socket to read from.
+     */
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.pendingLines = [];
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    /**
+     * Stops reading from the current socket so it can be handed to tls.connect.
+     */
+    detach() {
+        this.socket.removeListener('data', this.onData);
+        this.socket.removeListener('error', this.onError);
+        this.socket.removeListener('close', this.onClose);
+        this.socket.setTimeout(0);
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.pendingLines.push(line);
+
+            // "250-..." continues a multi-line reply, "250 ..." ends it.
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.pendingLines.map(item => item.slice(4)) };
+                this.pendingLines = [];
+                const waiter = this.waiters.shift();
+                if (waiter) {
+                    waiter.resolve(reply);
+                } else {
+                    this.replies.push(reply);
+                }
+            }
+        }
+    }
+
+    onError(error) {
+        if (this.error) return;
+        this.error = error;
+        this.waiters.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    /**
+     * Waits for the next reply and checks its code.
+     * @param {Array<number>} expectedCodes The acceptable reply codes.
+     * @param {string} step A description of the step for error messages.
+     * @returns {Promise<{code: number, lines: Array<string>}>} The reply.
+     */
+    async expect(expectedCodes, step) {
+        const reply = this.replies.length > 0
+            ? this.replies.shift()
+            : await new Promise((resolve, reject) => {
+                if (this.error) {
+                    reject(this.error);
+                    return;
+                }
+                this.waiters.push({ resolve, reject });
+            });
+
+        if (!expectedCodes.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    }
+
+    /**
+     * Sends a command and waits for its reply.
+     * @param {string} command The command line, without CRLF.
+     * @param {Array<number>} expectedCodes The acceptable reply codes.
+     * @param {string} [step] A description of the step for error messages.
+     * @returns {Promise<{code: number, lines: Array<string>}>} The reply.
+     */
+    command(command, expectedCodes, step = command.split(' ')[0]) {
+        this.socket.write(`${command}\r\n`);
+        return this.expect(expectedCodes, step);
+    }
+
+    /**
+     * Closes the connection. A no-op error listener stays attached, so a reset after QUIT
+     * or after a failed step cannot become an unhandled 'error' event.
+     */
+    close() {
+        this.detach();
+        this.socket.on('error', () => {});
+        this.socket.end();
+    }
+}
+
+/**
+ * Opens a TCP or TLS connection and resolves once it is established.
+ * @param {object} options The connection options.
+ * @returns {Promise<net.Socket>} The connected socket.
+ */
+function connect(options) {
+    return new Promise((resolve, reject) => {
+        const socket = options.secure
+            ? tls.connect({ host: options.host, port: options.port, servername: net.isIP(options.host) ? undefined : options.host, rejectUnauthorized: options.rejectUnauthorized })
+            : net.connect({ host: options.host, port: options.port });
+        const timer = setTimeout(() => socket.destroy(new Error('SMTP connection timed out')), options.timeoutMs);
+
+        const onError = error => {
+            clearTimeout(timer);
+            reject(error);
+        };
+
+        socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+            clearTimeout(timer);
+            socket.removeListener('error', onError);
+            resolve(socket);
+        });
+        socket.once('error', onError);
+    });
+}
+
+/**
+ * Upgrades a plain socket to TLS after a successful STARTTLS.
+ * @param {net.Socket} socket The plain socket.
+ * @param {object} options The connection options.
+ * @returns {Promise<tls.TLSSocket>} The TLS socket.
+ */
+function upgrade(socket, options) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket: socket, servername: net.isIP(options.host) ? undefined : options.host, rejectUnauthorized: options.rejectUnauthorized }, () => {
+            secureSocket.removeListener('error', reject);
+            resolve(secureSocket);
+        });
+        secureSocket.once('error', reject);
+    });
+}
+
+/**
+ * Sends a plain text email.
+ * @param {object} options The SMTP and message options.
+ * @param {string} options.host The SMTP server host.
+ * @param {number} [options.port] The server port (465 when `secure`, otherwise 587).
+ * @param {boolean} [options.secure=false] Connect with TLS from the start (implicit TLS).
+ * @param {boolean} [options.starttls=true] Upgrade with STARTTLS when the server offers it.
+ * @param {boolean} [options.rejectUnauthorized=true] Reject servers with invalid certificates.
+ * @param {boolean} [options.allowInsecureAuth=false] Send the credentials even when the connection is not encrypted.
+ * @param {string} [options.username] The username, if the server requires authentication.
+ * @param {string} [options.password] The password.
+ * @param {string} options.from The sender address.
+ * @param {string|Array<string>} options.to The recipient address(es).
+ * @param {string} options.subject The subject line.
+ * @param {string} options.text The message body.
+ * @param {number} [options.timeoutMs=10000] The time to wait for the server.
+ * @returns {Promise<void>} Resolves once the server accepted the message.
+ * @throws {SmtpError|Error} If the server rejects the message or cannot be reached.
+ */
+async function sendMail(options) {
+    const settings = {
+        secure: false,
+        starttls: true,
+        rejectUnauthorized: true,
+        allowInsecureAuth: false,
+        timeoutMs: DEFAULT_TIMEOUT_MS,
+        ...options
+    };
+    settings.port = settings.port || (settings.secure ? 465 : 587);
+    const recipients = (Array.isArray(settings.to) ? settings.to : [settings.to]).filter(Boolean);
+
+    if (!settings.host || !settings.from || recipients.length === 0) {
+        throw new SmtpError('SMTP host, from and to are required', 500);
+    }
+
+    const connection = new SmtpConnection(await connect(settings), settings.timeoutMs);
+    try {
+        const hostname = os.hostname() || 'localhost';
+        await connection.expect([220], 'greeting');
+        let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+        let encrypted = settings.secure;
+
+        const offersStartTls = ehlo.lines.some(line => line.toUpperCase() === 'STARTTLS');
+        if (!settings.secure && settings.starttls && offersStartTls) {
+            await connection.command('STARTTLS', [220]);
+            connection.detach();
+            connection.attach(await upgrade(connection.socket, settings));
+            encrypted = true;
+            ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+        }
+
+        if (settings.username && !encrypted && !settings.allowInsecureAuth) {
+            throw new SmtpError(`SMTP server ${settings.host} did not offer STARTTLS; not sending the password over an unencrypted connection (set allow_insecure_auth to allow it)`, null, true);
+        }
+
+        if (settings.username) {
+            const authLine = ehlo.lines.find(line => /^AUTH[ =]/i.test(line)) || '';
+            if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+                const credentials = Buffer.from(`\0${settings.username}\0${settings.password || ''}`, 'utf8').toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            } else {
+                await connection.command('AUTH LOGIN', [334], 'AUTH');
+                await connection.command(Buffer.from(settings.username, 'utf8').toString('base64'), [334], 'AUTH');
+                await connection.command(Buffer.from(settings.password || '', 'utf8').toString('base64'), [235], 'AUTH');
+            }
+        }
+
+        const address = value => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+        await connection.command(`MAIL FROM:<${address(settings.from)}>`, [250], 'MAIL FROM');
+        for (const recipient of recipients) {
+            await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+        await connection.command('DATA', [354]);
+
+        // Lines starting with a dot are escaped by doubling the dot (RFC 5321 4.5.2).
+        const data = buildMessage({ ...settings, to: recipients }).replace(/^\./gm, '..');
+        await connection.command(`${data}\r\n.`, [250], 'message delivery');
+        await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+        connection.close();
+    }
+}
+
+module.exports = {
+    sendMail,
+    SmtpError
+};
@@ -0,0 +1,258 @@
+/**
+ * @file Stream Service - Live dashboard updates over Server-Sent Events.
+ *
+ * Browsers open `GET /api/stream` once and receive:
+ * - a `snapshot` event with the full dashboard data (the same object as
+ *   /api/systems/info) right after connecting, and again whenever the display
+ *   fields or dashboard flags in the configuration change
+ * - an `update` event after every background poll, carrying only the miners,
+ *   Mining Core pools and crypto nodes whose data changed since the last poll
+ *
+ * Update events have the shape
+ * `{ timestamp, minerIds, miners, miningCoreIds, miningCores, cryptoNodeIds, cryptoNodes }`.
+ * The `*Ids` arrays list every current entry in configuration order, so clients
+ * can drop removed devices; `miners`, `miningCores` and `cryptoNodes` hold the
+ * changed entries. Mining Core entries list all their pool ids in `poolIds` and
+ * only the changed pools in `pools`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const pollingService = require('./pollingService');
+const systemsInfo = require('../systemsInfo');
+
+/**
+ * Reconnect delay in milliseconds suggested to browsers through the `retry` field.
+ * @constant {number}
+ */
+const CLIENT_RETRY_MS = 5000;
+
+/**
+ * Interval in milliseconds between keep-alive comments, so proxies do not close idle streams.
+ * @constant {number}
+ */
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Returns a comparable fingerprint of a snapshot entry. `lastPolledAt` and `lastSuccessAt`
+ * change on every successful poll and are left out, so unchanged devices are not re-sent.
+ * @param {object} entry The snapshot entry.
+ * @returns {string} The fingerprint.
+ */
+function fingerprint(entry) {
+    const { lastPolledAt, lastSuccessAt, ...rest } = entry;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Returns the dashboard settings that require a full re-render when they change.
+ * @param {object} dashboardData The dashboard data object.
+ * @returns {string} The settings signature.
+ */
+function settingsSignature(dashboardData) {
+    return JSON.stringify([
+        dashboardData.displayFields,
+        dashboardData.miningCoreDisplayFields,
+        dashboardData.disable_settings,
+        dashboardData.disable_configurations,
+        dashboardData.disable_authentication,
+        dashboardData.mining_core_enabled,
+        dashboardData.miningCoreData === null,
+        dashboardData.cryptoNodeData === null
+    ]);
+}
+
+/**
+ * Serializes one Server-Sent Event.
+ * @param {string} event The event name.
+ * @param {object} data The event data.
+ * @returns {string} The event text.
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Pushes dashboard data to connected browsers after every background poll.
+ *
+ * @class StreamService
+ * @since 2.0.0
+ */
+class StreamService {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeatTimer = null;
+        this.lastSignature = null;
+        this.lastSent = {
+            miners: new Map(),
+            miningCores: new Map(),
+            pools: new Map(),
+            cryptoNodes: new Map()
+        };
+        this.onPoll = this.onPoll.bind(this);
+        this.handleStream = this.handleStream.bind(this);
+    }
+
+    /**
+     * Subscribes to the polling service. Calling start() twice has no effect.
+     */
+    start() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        pollingService.on('poll', this.onPoll);
+        this.heartbeatTimer = setInterval(() => this.writeAll(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * Unsubscribes from the polling service and closes every open stream.
+     */
+    stop() {
+        pollingService.removeListener('poll', this.onPoll);
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+    /**
+     * Handles `GET /api/stream`: keeps the response open as an event stream and
+     * sends the current snapshot.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     * @param {object} config The application configuration object.
+     */
+    async handleStream(req, res, config) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        // Updates are held back until the client has its snapshot to apply them to.
+        const client = { res: res, ready: false };
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+
+        try {
+            const snapshot = await pollingService.getSnapshot(config);
+            if (!res.writableEnded) {
+                res.write(formatEvent('snapshot', { timestamp: pollingService.lastPollCompletedAt, ...systemsInfo.buildDashboardData(config, snapshot) }));
+                client.ready = true;
+            }
+        } catch (error) {
+            console.error('Error sending dashboard snapshot to stream:', error);
+            this.clients.delete(client);
+            res.end();
+        }
+    }
+
+    /**
+     * Broadcasts the changes of a completed poll.
+     * @param {{timestamp: number, config: object, minerData: Array<object>, miningCoreData: Array<object>, cryptoNodeData: Array<object>}} event The poll event.
+     */
+    onPoll(event) {
+        const dashboardData = systemsInfo.buildDashboardData(event.config, event);
+        const signature = settingsSignature(dashboardData);
+        const settingsChanged = this.lastSignature !== null && signature !== this.lastSignature;
+        this.lastSignature = signature;
+
+        // Always compute the delta so the change tracking stays current.
+        const update = this.buildUpdate(event.timestamp, dashboardData);
+        if (settingsChanged) {
+            this.writeAll(formatEvent('snapshot', { timestamp: event.timestamp, ...dashboardData }));
+        } else {
+            this.writeAll(formatEvent('update', update));
+        }
+    }
+
+    /**
+     * Builds an update event from the dashboard data and records what was sent.
+     * @param {number} timestamp The time the poll completed.
+     * @param {object} dashboardData The dashboard data object.
+     * @returns {object} The update event data.
+     */
+    buildUpdate(timestamp, dashboardData) {
+        const minerData = dashboardData.minerData || [];
+        const miningCoreData = dashboardData.miningCoreData || [];
+        const cryptoNodeData = dashboardData.cryptoNodeData || [];
+
+        const update = {
+            timestamp: timestamp,
+            minerIds: minerData.map(miner => miner.id),
+            miners: this.diff(this.lastSent.miners, minerData, miner => miner.id),
+            miningCoreIds: miningCoreData.map(instance => instance.instanceName),
+            miningCores: [],
+            cryptoNodeIds: cryptoNodeData.map(node => node.id),
+            cryptoNodes: this.diff(this.lastSent.cryptoNodes, cryptoNodeData, node => node.id)
+        };
+
+        const sentInstances = new Map();
+        const sentPools = new Map();
+        miningCoreData.forEach(instance => {
+            const { pools = [], ...instanceFields } = instance;
+            const poolIds = pools.map(pool => pool.id);
+            const changedPools = pools.filter(pool => {
+                const key = `${instance.instanceName}/${pool.id}`;
+                const print = JSON.stringify(pool);
+                sentPools.set(key, print);
+                return this.lastSent.pools.get(key) !== print;
+            });
+
+            const print = fingerprint({ ...instanceFields, poolIds: poolIds });
+            sentInstances.set(instance.instanceName, print);
+            if (this.lastSent.miningCores.get(instance.instanceName) !== print || changedPools.length > 0) {
+                update.miningCores.push({ ...instanceFields, poolIds: poolIds, pools: changedPools });
+            }
+        });
+        this.lastSent.miningCores = sentInstances;
+        this.lastSent.pools = sentPools;
+
+        return update;
+    }
+
+    /**
+     * Returns the entries whose fingerprint changed and replaces the recorded fingerprints.
+     * @param {Map<string, string>} sent The fingerprints sent last time, updated in place.
+     * @param {Array<object>} entries The current entries.
+     * @param {Function} getKey Returns the identifier of an entry.
+     * @returns {Array<object>} The changed entries.
+     */
+    diff(sent, entries, getKey) {
+        const changed = [];
+        const current = new Map();
+        entries.forEach(entry => {
+            const key = getKey(entry);
+            const print = fingerprint(entry);
+            current.set(key, print);
+            if (sent.get(key) !== print) {
+                changed.push(entry);
+            }
+        });
+        sent.clear();
+        current.forEach((print, key) => sent.set(key, print));
+        return changed;
+    }
+
+    /**
+     * Writes text to every client that has received its snapshot.
+     * @param {string} text The text to write.
+     */
+    writeAll(text) {
+        this.clients.forEach(client => {
+            if (client.ready && !client.res.writableEnded) {
+                client.res.write(text);
+            }
+        });
+    }
+}
+
+// Create and export a singleton instance
+const streamService = new StreamService();
+
+module.exports = streamService;
@@ -0,0 +1,431 @@
+/**
+ * @file Watchdog Service - Restarts miners that answer but have stopped mining properly.
+ *
+ * A miner can keep answering `/api/system/info` while it is hung: hashing at 0, stuck on
+ * the fallback pool or no longer getting shares accepted. The alert rules report such
+ * problems; the watchdog, configured in the `watchdog` section of config.json, acts on
+ * them. Every poll is checked for three conditions, each after its own number of minutes
+ * (0 turns a condition off):
+ * - `zero_hashrate`: hashRate below `min_hashrate` GH/s for `zero_hashrate_minutes`
+ * - `shares_stalled`: sharesAccepted not increasing for `stalled_shares_minutes`
+ * - `fallback_pool`: isUsingFallbackStratum for `fallback_minutes`
+ *
+ * A detected condition opens an incident for the miner, which escalates: the miner is
+ * restarted (instanceServices.restartInstance, the same code as the Restart button), and
+ * if the condition holds again for its full time after the restart it is restarted again,
+ * waiting `cooldown_minutes` after the first restart, twice as long after the second and so
+ * on. Once `max_restarts_per_day` restarts of a miner have been attempted in the last 24 hours,
+ * failed ones included, the watchdog gives up on it until a restart becomes available again. The incident ends when
+ * the miner is seen mining normally.
+ *
+ * Miners that are offline, in overheat protection or being auto-tuned are left alone, and
+ * no restarts are sent while `disable_settings` is true. Every action is recorded in the
+ * history log, persisted in `config/watchdog.json`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const pollingService = require('./pollingService');
+const instanceServices = require('./instanceServices');
+const autoTuneService = require('./autoTuneService');
+const { CONFIG_DIR } = require('./configPaths');
+
+/**
+ * File holding the history log.
+ * @constant {string}
+ */
+const WATCHDOG_STATE_PATH = path.join(CONFIG_DIR, 'watchdog.json');
+
+/**
+ * Defaults for the `watchdog` section of config.json.
+ * @constant {object}
+ */
+const WATCHDOG_DEFAULTS = {
+    enabled: false,
+    min_hashrate: 1,
+    zero_hashrate_minutes: 10,
+    stalled_shares_minutes: 30,
+    fallback_minutes: 120,
+    cooldown_minutes: 30,
+    max_restarts_per_day: 3
+};
+
+/**
+ * Number of entries kept in the history log.
+ * @constant {number}
+ */
+const MAX_HISTORY = 500;
+
+/**
+ * One day in milliseconds, the window of `max_restarts_per_day`.
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The conditions the watchdog acts on, in the order they are checked. `since` is the key
+ * of the detection state holding the time the problem was first seen.
+ * @constant {Array<object>}
+ */
+const CONDITIONS = [
+    {
+        name: 'zero_hashrate',
+        minutesSetting: 'zero_hashrate_minutes',
+        since: 'zeroSince',
+        describe: (settings, minutes) => `hashrate below ${settings.min_hashrate} GH/s for ${minutes} minutes`
+    },
+    {
+        name: 'shares_stalled',
+        minutesSetting: 'stalled_shares_minutes',
+        since: 'sharesChangedAt',
+        describe: (settings, minutes) => `no accepted shares for ${minutes} minutes`
+    },
+    {
+        name: 'fallback_pool',
+        minutesSetting: 'fallback_minutes',
+        since: 'fallbackSince',
+        describe: (settings, minutes) => `on the fallback pool for ${minutes} minutes`
+    }
+];
+
+/**
+ * Checks the `watchdog` section of config.json. Mirrors its definition in config.schema.json.
+ * @param {object} watchdog The section.
+ * @returns {string|null} The problem, or null if the section is valid.
+ */
+function validateSettings(watchdog) {
+    if (watchdog === undefined) {
+        return null;
+    }
+    if (!watchdog || typeof watchdog !== 'object' || Array.isArray(watchdog)) {
+        return 'watchdog must be an object';
+    }
+    for (const key of Object.keys(WATCHDOG_DEFAULTS).filter(candidate => candidate !== 'enabled')) {
+        if (watchdog[key] !== undefined && !(typeof watchdog[key] === 'number' && watchdog[key] >= 0)) {
+            return `${key} must be a number of 0 or more`;
+        }
+    }
+    if (watchdog.instances !== undefined && !Array.isArray(watchdog.instances)) {
+        return 'instances must be an array of device names';
+    }
+    return null;
+}
+
+/**
+ * Watchdog Service class - Singleton that watches the polls and restarts hung miners.
+ *
+ * @class WatchdogService
+ * @since 2.0.0
+ */
+class WatchdogService {
+    constructor() {
+        // Detection state per miner: { zeroSince, fallbackSince, sharesAccepted, sharesChangedAt, incident }.
+        this.devices = new Map();
+        // Actions, newest first: { at, instanceId, condition, action, attempt, message }.
+        this.history = [];
+        this.reportedProblem = null;
+        this.statePath = WATCHDOG_STATE_PATH;
+        this.writeQueue = Promise.resolve();
+        this.onPoll = this.onPoll.bind(this);
+    }
+
+    /**
+     * Loads the history log, then subscribes to the polling service.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.load();
+        pollingService.off('poll', this.onPoll);
+        pollingService.on('poll', this.onPoll);
+    }
+
+    /**
+     * Unsubscribes from the polling service.
+     */
+    stop() {
+        pollingService.off('poll', this.onPoll);
+    }
+
+    /**
+     * Reads the history log. A missing file is not an error.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            this.history = Array.isArray(saved.history) ? saved.history.slice(0, MAX_HISTORY) : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load the watchdog history from ${this.statePath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Writes the history log, via a temporary file. Writes are serialized.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const content = JSON.stringify({ history: this.history }, null, 4);
+                await fs.writeFile(`${this.statePath}.tmp`, content, 'utf8');
+                await fs.rename(`${this.statePath}.tmp`, this.statePath);
+            })
+            .catch(error => console.error('Failed to save the watchdog history:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns the `watchdog` settings with defaults applied, or null when the section is
+     * invalid (logged once).
+     * @param {object} config The application configuration object.
+     * @returns {object|null} The settings.
+     */
+    getSettings(config) {
+        const watchdog = config ? config.watchdog : undefined;
+        const problem = validateSettings(watchdog);
+        if (problem) {
+            if (this.reportedProblem !== problem) {
+                this.reportedProblem = problem;
+                console.warn(`Ignoring the watchdog section of config.json: ${problem}`);
+            }
+            return null;
+        }
+        return { ...WATCHDOG_DEFAULTS, ...watchdog };
+    }
+
+    /**
+     * Returns the history log, newest first.
+     * @param {object} [filter] `{ instanceId, limit }`.
+     * @returns {Array<object>} The entries.
+     */
+    getHistory({ instanceId, limit } = {}) {
+        const entries = instanceId ? this.history.filter(entry => entry.instanceId === instanceId) : this.history;
+        return limit > 0 ? entries.slice(0, limit) : entries.slice();
+    }
+
+    /**
+     * Returns the open incidents with the restarts of the last 24 hours.
+     * @param {number} [now] The current time in milliseconds.
+     * @returns {Array<object>} `{ instanceId, condition, message, since, attempts, lastActionAt, restartsToday }`.
+     */
+    getIncidents(now = Date.now()) {
+        return [...this.devices.entries()]
+            .filter(([, state]) => state.incident)
+            .map(([instanceId, state]) => ({
+                instanceId: instanceId,
+                condition: state.incident.condition,
+                message: state.incident.message,
+                since: new Date(state.incident.startedAt).toISOString(),
+                attempts: state.incident.attempts,
+                lastActionAt: state.incident.lastActionAt ? new Date(state.incident.lastActionAt).toISOString() : null,
+                restartsToday: this.countRestarts(instanceId, now)
+            }));
+    }
+
+    /**
+     * Counts the restarts of a miner attempted in the 24 hours before `now`. Failed restarts
+     * count too, so a miner whose restart keeps failing is not retried without limit.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {number} now The current time in milliseconds.
+     * @returns {number} The number of restart attempts.
+     */
+    countRestarts(instanceId, now) {
+        return this.history.filter(entry => entry.instanceId === instanceId
+            && (entry.action === 'restart' || entry.action === 'restart_failed')
+            && now - Date.parse(entry.at) < DAY_MS).length;
+    }
+
+    /**
+     * Handles the polling service's `poll` event.
+     * @param {object} event The poll event payload.
+     */
+    onPoll(event) {
+        this.evaluate(event).catch(error => console.error('Error running the watchdog:', error));
+    }
+
+    /**
+     * Checks every miner of a poll and takes the actions that are due.
+     * @param {object} event The poll event `{ timestamp, config, minerData }`.
+     * @returns {Promise<void>} Resolves when the actions have been taken.
+     */
+    async evaluate(event) {
+        const settings = this.getSettings(event.config);
+        if (!settings || !settings.enabled) {
+            this.devices.clear();
+            return;
+        }
+        const now = event.timestamp || Date.now();
+        const watched = new Set();
+        const actions = [];
+
+        (event.minerData || []).forEach(data => {
+            const instanceId = data.id;
+            if (Array.isArray(settings.instances) && settings.instances.length > 0 && !settings.instances.includes(instanceId)) {
+                return;
+            }
+            watched.add(instanceId);
+            if (!this.devices.has(instanceId)) {
+                this.devices.set(instanceId, { zeroSince: null, fallbackSince: null, sharesAccepted: null, sharesChangedAt: null, incident: null });
+            }
+            const action = this.check(event.config, settings, instanceId, this.devices.get(instanceId), data, now);
+            if (action) {
+                actions.push(action);
+            }
+        });
+
+        // Forget miners that were removed from the configuration or the watchdog.
+        for (const instanceId of this.devices.keys()) {
+            if (!watched.has(instanceId)) {
+                this.devices.delete(instanceId);
+            }
+        }
+        await Promise.all(actions);
+    }
+
+    /**
+     * Updates the detection state of one miner and decides what to do about it.
+     * @param {object} config The application configuration object.
+     * @param {object} settings The watchdog settings.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {object} state The miner's detection state.
+     * @param {object} data The miner's entry in the poll.
+     * @param {number} now The poll timestamp in milliseconds.
+     * @returns {Promise<void>|null} The action taken or logged, or null.
+     */
+    check(config, settings, instanceId, state, data, now) {
+        // Only a miner that answers and may be restarted can hang in the watchdog's sense.
+        if (data.status === 'Error' || Number(data.overheat_mode) === 1 || autoTuneService.runners.has(instanceId)) {
+            state.zeroSince = null;
+            state.fallbackSince = null;
+            state.sharesChangedAt = null;
+            return null;
+        }
+
+        const zero = !(Number(data.hashRate) >= settings.min_hashrate);
+        const fallback = Number(data.isUsingFallbackStratum) === 1 || data.isUsingFallbackStratum === true;
+        const sharesAccepted = Number(data.sharesAccepted);
+        state.zeroSince = zero ? (state.zeroSince || now) : null;
+        state.fallbackSince = fallback ? (state.fallbackSince || now) : null;
+        // The counter starts over when the miner restarts, so only an increase is progress.
+        if (state.sharesChangedAt === null || !Number.isFinite(sharesAccepted) || sharesAccepted > state.sharesAccepted) {
+            state.sharesChangedAt = now;
+        }
+        state.sharesAccepted = sharesAccepted;
+
+        const incident = state.incident;
+        if (incident && this.hasRecovered(incident, state, zero, fallback)) {
+            state.incident = null;
+            return this.record(now, instanceId, incident.condition, 'recovered', incident.attempts,
+                `${instanceId} is mining normally again after ${incident.attempts} restart(s)`);
+        }
+
+        const detected = CONDITIONS.find(condition => {
+            const minutes = Number(settings[condition.minutesSetting]);
+            return minutes > 0 && state[condition.since] !== null && now - state[condition.since] >= minutes * 60000;
+        });
+        if (!detected) {
+            return null;
+        }
+        const message = `${instanceId}: ${detected.describe(settings, settings[detected.minutesSetting])}`;
+        if (!state.incident) {
+            state.incident = { condition: detected.name, message: message, startedAt: now, attempts: 0, lastActionAt: null, notice: null };
+        }
+        return this.escalate(config, settings, instanceId, state, now, message);
+    }
+
+    /**
+     * Tells whether the problem of an incident is gone: the miner hashes again, left the
+     * fallback pool, or got shares accepted since the last restart.
+     * @param {object} incident The incident.
+     * @param {object} state The miner's detection state.
+     * @param {boolean} zero Whether the miner hashes below `min_hashrate`.
+     * @param {boolean} fallback Whether the miner is on the fallback pool.
+     * @returns {boolean} True if the miner recovered.
+     */
+    hasRecovered(incident, state, zero, fallback) {
+        if (incident.condition === 'zero_hashrate') {
+            return !zero;
+        }
+        if (incident.condition === 'fallback_pool') {
+            return !fallback;
+        }
+        return state.sharesChangedAt > (incident.lastActionAt || incident.startedAt);
+    }
+
+    /**
+     * Takes the next step of an incident: a restart once the cooldown has passed, unless
+     * restarts are not allowed (settings disabled, daily limit reached), which is logged once.
+     * @param {object} config The application configuration object.
+     * @param {object} settings The watchdog settings.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {object} state The miner's detection state.
+     * @param {number} now The poll timestamp in milliseconds.
+     * @param {string} message What was detected.
+     * @returns {Promise<void>|null} The restart or the logged notice, or null.
+     */
+    escalate(config, settings, instanceId, state, now, message) {
+        const incident = state.incident;
+        const notice = (action, text) => {
+            if (incident.notice === action) {
+                return null;
+            }
+            incident.notice = action;
+            return this.record(now, instanceId, incident.condition, action, incident.attempts, text);
+        };
+
+        if (config.disable_settings) {
+            return notice('skipped', `${message}; not restarted because settings are disabled`);
+        }
+        // The wait after a restart doubles with every restart of the incident.
+        const cooldownMs = Number(settings.cooldown_minutes) * 60000 * Math.pow(2, Math.max(0, incident.attempts - 1));
+        if (incident.lastActionAt !== null && now - incident.lastActionAt < cooldownMs) {
+            return null;
+        }
+        if (this.countRestarts(instanceId, now) >= settings.max_restarts_per_day) {
+            return notice('limit_reached', `${message}; not restarted because ${settings.max_restarts_per_day} restarts were attempted in the last 24 hours`);
+        }
+
+        incident.attempts++;
+        incident.lastActionAt = now;
+        incident.notice = null;
+        // The condition has to hold for its full time again before the next restart.
+        state.zeroSince = null;
+        state.fallbackSince = null;
+        state.sharesChangedAt = now;
+
+        const attempt = incident.attempts;
+        return instanceServices.restartInstance(config, instanceId)
+            .then(() => this.record(now, instanceId, incident.condition, 'restart', attempt, `${message}; restarted (attempt ${attempt})`))
+            .catch(error => this.record(now, instanceId, incident.condition, 'restart_failed', attempt, `${message}; restart failed: ${error.message}`));
+    }
+
+    /**
+     * Adds an entry to the history log.
+     * @param {number} at The time of the action in milliseconds.
+     * @param {string} instanceId The configured name of the instance.
+     * @param {string} condition The condition of the incident.
+     * @param {string} action restart, restart_failed, skipped, limit_reached or recovered.
+     * @param {number} attempt The number of restarts of the incident so far.
+     * @param {string} message The description.
+     * @returns {Promise<void>} Resolves when the log is saved.
+     */
+    record(at, instanceId, condition, action, attempt, message) {
+        console.log(`Watchdog: ${message}`);
+        this.history.unshift({ at: new Date(at).toISOString(), instanceId, condition, action, attempt, message });
+        this.history.length = Math.min(this.history.length, MAX_HISTORY);
+        return this.save();
+    }
+}
+
+// Create and export a singleton instance
+const watchdogService = new WatchdogService();
+
+module.exports = watchdogService;
+module.exports.WATCHDOG_DEFAULTS = WATCHDOG_DEFAULTS;
+module.exports.validateSettings = validateSettings;
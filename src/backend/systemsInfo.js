@@ -1,155 +1,65 @@
 /**
  * @file This module provides the data endpoint for the dashboard.
- * It aggregates data from all configured Bitaxe and Mining Core instances
- * and serves it as a single JSON object to be consumed by the client-side script.
+ * It serves the latest snapshot of all configured Bitaxe, Mining Core and crypto node
+ * instances, as collected by the background polling service, as a single JSON object
+ * to be consumed by the client-side script.
  */
 
-// Dynamic import for node-fetch 3.x will be used inline
-const apiPath = require('./services/apiMapService');
-const cryptoNodeService = require('./services/cryptoNodeService');
+const pollingService = require('./services/pollingService');
 
 
+/**
+ * Builds the dashboard data object from a polling snapshot: the device data plus the
+ * display fields and feature flags the client needs to render it. Shared by
+ * /api/systems/info and the /api/stream live updates.
+ * @param {object} config The application configuration object.
+ * @param {{minerData: Array<object>, miningCoreData: Array<object>, cryptoNodeData: Array<object>}} snapshot The polling snapshot.
+ * @returns {object} The dashboard data object.
+ */
+function buildDashboardData(config, snapshot) {
+    // Prepare the combined data object to be sent as JSON.
+    const embeddedData = {
+        minerData: snapshot.minerData,
+        displayFields: config.display_fields || [],
+        miningCoreData: null, // Initialize as null; will be populated if enabled.
+        miningCoreDisplayFields: config.mining_core_display_fields || [],
+        cryptoNodeData: null, // Initialize as null; will be populated if enabled.
+    };
+
+    // Mining core data is only reported when enabled
+    if (config.mining_core_enabled && config.mining_core_url) {
+        embeddedData.miningCoreData = snapshot.miningCoreData;
+    }
+    // Crypto node data is only reported when enabled
+    if (config.cryptNodesEnabled) {
+        embeddedData.cryptoNodeData = snapshot.cryptoNodeData;
+    }
 
+    //Add if settings are enabled for the dashbaord
+    embeddedData.disable_settings = config.disable_settings;
+    //Add if configurations are enabled for the dashboard
+    embeddedData.disable_configurations = config.disable_configurations;
+    //Add if authentication is enabled for the dashboard
+    embeddedData.disable_authentication = config.disable_authentication;
+    //Add if mining core is enabled
+    embeddedData.mining_core_enabled = config.mining_core_enabled;
+    return embeddedData;
+}
 
 /**
  * Handles requests for the /api/systems/info endpoint.
- * It fetches data from all configured Bitaxe miner instances and an optional
- * Mining Core instance, then serves this data as a single JSON object.
+ * It answers from the polling service's cached snapshot instead of contacting every
+ * device on each request. Each miner, Mining Core and crypto node entry carries
+ * `lastPolledAt` and `stale` fields describing how fresh its data is.
  * @param {import('http').IncomingMessage} req The HTTP request object.
  * @param {import('http').ServerResponse} res The HTTP response object.
  * @param {object} config The application configuration object.
  */
 async function display(req, res, config) {
-    // Constants for API endpoints
-    const MINING_CORE_API_PATH = await apiPath.getApiPath(config,'pools'); // Endpoint for mining core stats
-    const API_SYSTEM_INFO_PATH = await apiPath.getApiPath(config,'instanceInfo'); // Endpoint for miner info
-    let allMinerData = []; // Array to store fetched data from all miner instances.
-
     try {
-        // Ensure bitaxe_instances is a valid array; otherwise, use an empty array.
-        const bitaxeInstances = Array.isArray(config.bitaxe_instances) ? config.bitaxe_instances : [];
-
-        // Create an array of promises to fetch data from all miner instances concurrently.
-        const instancePromises = bitaxeInstances.map(async (instance) => {
-            // The instance object is expected to be in the format: { "minerName": "http://miner.url" }
-            const instanceName = Object.keys(instance)[0];
-            const instanceUrl = instance[instanceName];
-
-            try {
-                //console.log(`Fetching data for Bitaxe instance: ${instanceName} at ${instanceUrl}`);
-                //console.log(`instanceInfoAPI: ${API_SYSTEM_INFO_PATH}`);
-                
-                // Use dynamic import for node-fetch 3.x compatibility
-                const { default: fetch } = await import('node-fetch');
-            
-                const response = await fetch(instanceUrl + API_SYSTEM_INFO_PATH);
-                if (!response.ok) {
-                    console.error(`Error fetching data from ${instanceUrl}: ${response.status} ${response.statusText}`); // Log the HTTP error.
-                    // Return a structured error object for this instance to be displayed on the frontend.
-                    return {
-                        id: instanceName, // Use the instance name as a unique identifier.
-                        hostname: instanceName, // Use the instance name for display purposes.
-                        status: 'Error',
-                        message: `${response.status} ${response.statusText}` // Provide a clear error message.
-                    };
-                }
-                const data = await response.json();
-                // Add the instance name as a unique ID for client-side identification.
-                data.id = instanceName;
-                return data;
-            } catch (fetchError) {
-                console.error(`Network or JSON parsing error for ${instanceName} (${instanceUrl}):`, fetchError);
-                return {
-                    id: instanceName,
-                    hostname: instanceName,
-                    status: 'Error',
-                    message: fetchError.message // Provide the full error message for debugging.
-                };
-            }
-        });
-
-        // Wait for all promises to resolve
-        allMinerData = await Promise.all(instancePromises);
-
-        // Prepare the combined data object to be sent as JSON.
-        const embeddedData = {
-            minerData: allMinerData,
-            displayFields: config.display_fields || [],
-            miningCoreData: null, // Initialize as null; will be populated if enabled.
-            miningCoreDisplayFields: config.mining_core_display_fields || [],
-            cryptoNodeData: null, // Initialize as null; will be populated if enabled.
-        };
-
-        // Conditionally fetch mining core data from multiple instances
-        if (config.mining_core_enabled && config.mining_core_url) {
-            try {
-                // Ensure mining_core_url is a valid array; otherwise, use an empty array.
-                const miningCoreInstances = Array.isArray(config.mining_core_url) ? config.mining_core_url : [];
-
-                // Create an array of promises to fetch data from all mining core instances concurrently.
-                const miningCorePromises = miningCoreInstances.map(async (instance) => {
-                    // The instance object is expected to be in the format: { "InstanceName": "http://instance.url" }
-                    const instanceName = Object.keys(instance)[0];
-                    const instanceUrl = instance[instanceName];
-
-                    try {
-                        // Use dynamic import for node-fetch 3.x compatibility
-                        const { default: fetch } = await import('node-fetch');
-
-                        const miningCoreResponse = await fetch(instanceUrl + MINING_CORE_API_PATH);
-                        if (!miningCoreResponse.ok) {
-                            console.error(`Error fetching mining core data from ${instanceUrl}: ${miningCoreResponse.status} ${miningCoreResponse.statusText}`);
-                            return {
-                                instanceName: instanceName,
-                                status: 'Error',
-                                message: `${miningCoreResponse.status} ${miningCoreResponse.statusText}`,
-                                pools: []
-                            };
-                        } else {
-                            const miningCoreJson = await miningCoreResponse.json();
-                            return {
-                                instanceName: instanceName,
-                                status: 'OK',
-                                pools: miningCoreJson.pools || []
-                            };
-                        }
-                    } catch (miningCoreError) {
-                        console.error(`Network or JSON parsing error for mining core ${instanceName} (${instanceUrl}):`, miningCoreError);
-                        return {
-                            instanceName: instanceName,
-                            status: 'Error',
-                            message: miningCoreError.message,
-                            pools: []
-                        };
-                    }
-                });
-
-                // Wait for all promises to resolve
-                embeddedData.miningCoreData = await Promise.all(miningCorePromises);
-            } catch (error) {
-                console.error('Error processing mining core instances:', error);
-                embeddedData.miningCoreData = [];
-            }
-        }
-        // Conditionally fetch crypto node data
-        if (config.cryptNodesEnabled) {
-            try {
-                const cryptoNodeData = await cryptoNodeService.fetchAllCryptoNodes(config);
-                embeddedData.cryptoNodeData = cryptoNodeData;
-            } catch (cryptoNodeError) {
-                console.error('Error fetching crypto node data:', cryptoNodeError);
-                embeddedData.cryptoNodeData = [];
-            }
-        }
+        const snapshot = await pollingService.getSnapshot(config);
+        const embeddedData = buildDashboardData(config, snapshot);
 
-        //Add if settings are enabled for the dashbaord
-        embeddedData.disable_settings = config.disable_settings;
-        //Add if configurations are enabled for the dashboard
-        embeddedData.disable_configurations = config.disable_configurations;
-        //Add if authentication is enabled for the dashboard
-        embeddedData.disable_authentication = config.disable_authentication;
-        //Add if mining core is enabled
-        embeddedData.mining_core_enabled = config.mining_core_enabled;
         // Send the final JSON response
         res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
         res.end(JSON.stringify(embeddedData, null, 2));
@@ -166,5 +76,6 @@ async function display(req, res, config) {
 }
 
 module.exports = {
-    display
+    display,
+    buildDashboardData
 };
@@ -14,6 +14,7 @@ const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
 const bootstrapRouter = require('./backend/bootStrap');
+const { CONFIG_DIR } = require('./backend/services/configPaths');
 
 /** 
  * Default port number for the web server when no configuration is available.
@@ -34,12 +35,11 @@ const DEFAULT_WEB_SERVER_PORT = 3000;
  * @throws {Error} Does not throw - returns false for any access errors
  */
 async function checkConfigFilesExist() {
-    const configDir = path.join(__dirname, 'config');
     const requiredFiles = ['config.json', 'access.json', 'jsonWebTokenKey.json'];
     
     try {
         for (const file of requiredFiles) {
-            await fs.access(path.join(configDir, file));
+            await fs.access(path.join(CONFIG_DIR, file));
         }
         return true;
     } catch (error) {
@@ -47,6 +47,49 @@ async function checkConfigFilesExist() {
     }
 }
 
+/**
+ * Starts the services that run in the background during normal operation mode:
+ * the history store, the alert engine and its notifications, the MAC address tracking
+ * of the Bitaxe devices, the watchdog that restarts hung miners, and the device polling
+ * service that feeds them.
+ *
+ * @async
+ * @function startBackgroundServices
+ * @returns {Promise<void>} Promise that resolves when all services are started
+ * @throws {Error} Logs errors but does not throw so the web server still starts
+ */
+async function startBackgroundServices() {
+    try {
+        await require('./backend/services/historyService').start();
+    } catch (error) {
+        console.error('Failed to start history service:', error);
+    }
+    try {
+        await require('./backend/services/alertService').start();
+    } catch (error) {
+        console.error('Failed to start alert service:', error);
+    }
+    try {
+        await require('./backend/services/deviceIdentityService').start();
+    } catch (error) {
+        console.error('Failed to start device identity service:', error);
+    }
+    try {
+        await require('./backend/services/scheduleService').start();
+    } catch (error) {
+        console.error('Failed to start schedule service:', error);
+    }
+    try {
+        await require('./backend/services/watchdogService').start();
+    } catch (error) {
+        console.error('Failed to start watchdog service:', error);
+    }
+    require('./backend/services/notificationService').start();
+    require('./backend/services/mqttService').start();
+    require('./backend/services/streamService').start();
+    require('./backend/services/pollingService').start();
+}
+
 /**
  * Initializes and starts the HTTP server with support for dynamic mode switching.
  * 
@@ -83,6 +126,9 @@ async function startServer() {
             router = require('./backend/routers/router');
             configurationManager = require('./backend/services/configurationManager');
             config = await configurationManager.loadConfig();
+
+            // Start collecting device data in the background
+            await startBackgroundServices();
         } catch (error) {
             console.error('Failed to load configuration:', error);
             process.exit(1);
@@ -114,6 +160,9 @@ async function startServer() {
             configurationManager = require('./backend/services/configurationManager');
             config = await configurationManager.loadConfig();
 
+            // Start collecting device data in the background
+            await startBackgroundServices();
+
             console.log('Successfully switched to normal mode. Application ready!');
         } catch (error) {
             console.error('Failed to switch to normal mode:', error);
@@ -10,6 +10,7 @@
  * - Dynamic form field management
  * - Real-time password validation
  * - Device URL entry and validation
+ * - Network scan for AxeOS devices
  * - JWT key generation with animation
  * - Mining Core configuration toggle
  * - Form submission with validation
@@ -31,6 +32,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const generateJWTButton = document.getElementById('generateJWT');
     const addDeviceButton = document.getElementById('addDevice');
     const bitaxeInstancesContainer = document.getElementById('bitaxeInstances');
+    const scanNetworkButton = document.getElementById('scanNetwork');
+    const discoveryResults = document.getElementById('discoveryResults');
+    const addDiscoveredButton = document.getElementById('addDiscoveredDevices');
     const addMiningCoreButton = document.getElementById('addMiningCore');
     const miningCoreInstancesContainer = document.getElementById('miningCoreInstances');
     const messageDiv = document.getElementById('bootstrap-message');
@@ -115,6 +119,16 @@ document.addEventListener('DOMContentLoaded', function() {
         addDeviceInstance();
     });
 
+    // Scan network button
+    scanNetworkButton.addEventListener('click', async function() {
+        await scanNetwork();
+    });
+
+    // Add discovered devices button
+    addDiscoveredButton.addEventListener('click', function() {
+        addDiscoveredDevices();
+    });
+
     // Add mining core button
     addMiningCoreButton.addEventListener('click', function() {
         addMiningCoreInstance();
@@ -191,6 +205,86 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    /**
+     * Scans the network for AxeOS devices and lists them with checkboxes
+     */
+    async function scanNetwork() {
+        const cidr = document.getElementById('discoveryCidr').value.trim();
+        scanNetworkButton.disabled = true;
+        scanNetworkButton.textContent = 'Scanning...';
+        addDiscoveredButton.style.display = 'none';
+        discoveryResults.style.display = 'block';
+        discoveryResults.textContent = 'Scanning the network, this can take a minute...';
+
+        try {
+            const response = await fetch('/bootstrap/discovery/scan', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(cidr ? { cidr } : {})
+            });
+            const result = await response.json();
+            if (!result.success) {
+                discoveryResults.textContent = result.message || 'Network scan failed.';
+                return;
+            }
+
+            const devices = result.data.devices;
+            const configuredUrls = Array.from(document.querySelectorAll('input[name="deviceUrl"]')).map(input => input.value.replace(/\/+$/, ''));
+            discoveryResults.textContent = '';
+            if (devices.length === 0) {
+                discoveryResults.textContent = `No devices found in ${result.data.cidr}.`;
+                return;
+            }
+
+            devices.forEach(device => {
+                const alreadyAdded = configuredUrls.includes(device.url);
+                const label = document.createElement('label');
+                label.className = 'discovered-device';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !alreadyAdded;
+                checkbox.disabled = alreadyAdded;
+                checkbox.dataset.name = device.hostname || device.ip;
+                checkbox.dataset.url = device.url;
+
+                const details = document.createElement('span');
+                details.textContent = `${device.hostname || device.ip} - ${device.url} - ${device.ASICModel} - ${device.version}` +
+                    (device.macAddr ? ` - ${device.macAddr}` : '') + (alreadyAdded ? ' (already added)' : '');
+
+                label.appendChild(checkbox);
+                label.appendChild(details);
+                discoveryResults.appendChild(label);
+            });
+            addDiscoveredButton.style.display = 'inline-block';
+        } catch (error) {
+            console.error('Error scanning network:', error);
+            discoveryResults.textContent = 'Network scan failed. Please check the server logs.';
+        } finally {
+            scanNetworkButton.disabled = false;
+            scanNetworkButton.textContent = 'Scan Network';
+        }
+    }
+
+    /**
+     * Adds the checked discovered devices to the device list, filling an empty row first
+     */
+    function addDiscoveredDevices() {
+        const selected = discoveryResults.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)');
+        selected.forEach(checkbox => {
+            let row = Array.from(document.querySelectorAll('.device-instance')).find(instance =>
+                !instance.querySelector('input[name="deviceName"]').value && !instance.querySelector('input[name="deviceUrl"]').value);
+            if (!row) {
+                addDeviceInstance();
+                row = bitaxeInstancesContainer.lastElementChild;
+            }
+            row.querySelector('input[name="deviceName"]').value = checkbox.dataset.name;
+            row.querySelector('input[name="deviceUrl"]').value = checkbox.dataset.url;
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        });
+    }
+
     /**
      * Adds a new mining core instance to the form
      */
@@ -12,8 +12,9 @@
  * - Responsive data visualization with progress bars
  * - Modal-based configuration management
  * - Mining pool integration display
+ * - Energy efficiency, electricity cost and expected earnings report
  * - Authentication and session management
- * - Auto-refresh with configurable intervals
+ * - Live updates pushed by the server over Server-Sent Events
  * - Error handling and user feedback
  * 
  * Data Flow:
@@ -21,7 +22,7 @@
  * 2. Navigation menu populated with discovered devices
  * 3. Summary view displays aggregated statistics
  * 4. Device selection shows detailed information
- * 5. Periodic polling keeps data current
+ * 5. The /api/stream event stream updates cards in place after every poll
  * 6. User actions trigger API calls and UI updates
  * 
  * @author Scott Walter
@@ -34,6 +35,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const miningCoreDetailsDiv = document.getElementById('mining-core-details');
     const refreshIcon = document.getElementById('refresh-icon');
     const configIcon = document.getElementById('config-icon');
+    const alertsIcon = document.getElementById('alerts-icon');
+    const alertsCount = document.getElementById('alerts-count');
+    const streamStatus = document.getElementById('stream-status');
+    const deviceIdentityNotices = document.getElementById('device-identity-notices');
+
+    // Delay before reopening the live update stream after the browser gave up on it; doubles up to the maximum.
+    const STREAM_RECONNECT_MIN_MS = 5000;
+    const STREAM_RECONNECT_MAX_MS = 60000;
+    // The energy report reads the stored history, so it is refreshed on its own timer instead of after every poll.
+    const ENERGY_REFRESH_MS = 60000;
 
 
     let minerData = [];
@@ -45,6 +56,13 @@ document.addEventListener('DOMContentLoaded', () => {
     let disableConfigurations=true;
     let disableAuthentication=false;
     let miningCoreEnabled=false;
+    let lastUpdatedAt = null; // When the displayed data was collected by the server.
+    let eventSource = null; // The live update stream.
+    let reconnectTimer = null;
+    let reconnectDelayMs = STREAM_RECONNECT_MIN_MS;
+    let energyReport = null; // The last /api/energy response.
+    let energyPeriod = '24h'; // The period the energy used is shown for.
+    const selectedMinerIds = new Set(); // Miners selected for bulk actions; kept across re-renders.
     // Define the ASIC Temp, VR Temp and Fan Speed progress bar color limits (green, yellow, red)
     let ASICTempMap = {
         green: 65,
@@ -66,7 +84,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (refreshIcon) {
         refreshIcon.addEventListener('click', () => {
-            location.reload();
+            loadDashboardData().then(() => {
+                // Reopen the live stream right away if it is down.
+                if (!eventSource) connectStream();
+            });
         });
     }
 
@@ -76,65 +97,380 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    if (alertsIcon) {
+        alertsIcon.addEventListener('click', () => {
+            const deviceIds = minerData.map(miner => miner.id);
+            modalService.openAlertsModal(deviceIds, updateAlertsCount);
+        });
+        // Keep the alert badge current; alerts are evaluated server-side on every poll.
+        updateAlertsCount();
+        setInterval(updateAlertsCount, 30000);
+    }
+
     // Check for configuration migration on page load
     checkConfigurationMigration();
 
+    // Show devices that turned up at a different address; checked again after every poll.
+    updateDeviceIdentityNotices();
+
+    setInterval(updateEnergySummary, ENERGY_REFRESH_MS);
+
     // Configuration button will be added after data is loaded and we know the disable_configurations setting
 
     // --- Retrieve and Parse Data via Fetch ---
-    fetch('/api/systems/info')
-        .then(response => {
-            if (!response.ok) {
-                // If the response is not OK (e.g., 404, 500), throw an error.
-                const errorMessage = `HTTP error! Status: ${response.status} - ${response.statusText}`;
-                console.error(errorMessage);
-                miningCoreDetailsDiv.innerHTML = `<p style="color: red;">Error loading device data: ${errorMessage}. Please check the server and refresh.</p>`;
-                throw new Error(errorMessage); // Propagate error to the catch block
+    loadDashboardData().then(connectStream);
+
+    // --- Helper Functions ---
+
+    /**
+     * Fetches the dashboard data and renders the whole dashboard.
+     * @returns {Promise<void>} Resolves once the dashboard is rendered or the error is shown.
+     */
+    function loadDashboardData() {
+        return fetch('/api/systems/info')
+            .then(response => {
+                if (!response.ok) {
+                    // If the response is not OK (e.g., 404, 500), throw an error.
+                    const errorMessage = `HTTP error! Status: ${response.status} - ${response.statusText}`;
+                    console.error(errorMessage);
+                    miningCoreDetailsDiv.innerHTML = `<p style="color: red;">Error loading device data: ${errorMessage}. Please check the server and refresh.</p>`;
+                    throw new Error(errorMessage); // Propagate error to the catch block
+                }
+                return response.json(); // Parse the response body as JSON.
+            })
+            .then(embedded => {
+                applyDashboardData(embedded);
+
+                // Add logout button based on disable_authentication setting
+                addLogoutButton();
+            
+                // Configuration icon is now part of the header
+
+                // Initialize the dashboard after data is successfully fetched
+                displayDashboard();
+                updateEnergySummary();
+            })
+            .catch(error => {
+                console.error('Error fetching or parsing embedded data:', error);
+                // Display a user-friendly error message if fetch fails or JSON parsing fails.
+                if (!miningCoreDetailsDiv.innerHTML.includes('Error loading device data')) { // Avoid duplicate error messages
+                    miningCoreDetailsDiv.innerHTML = `<p style="color: red;">Failed to load device data: ${error.message}. Please refresh the page.</p>`;
+                }
+            });
+    }
+
+    /**
+     * Stores the data of a /api/systems/info response or stream snapshot.
+     * @param {object} embedded - The dashboard data object.
+     */
+    function applyDashboardData(embedded) {
+        minerData = embedded.minerData || [];
+        displayFieldsConfig = embedded.displayFields || [];
+        miningCoreData = embedded.miningCoreData;
+        miningCoreDisplayFields = embedded.miningCoreDisplayFields || [];
+        cryptoNodeData = embedded.cryptoNodeData;
+        disableSettings = embedded.disable_settings;
+        disableConfigurations = embedded.disable_configurations;
+        disableAuthentication = embedded.disable_authentication;
+        miningCoreEnabled = embedded.mining_core_enabled;
+
+        // Sort data by hostname for a consistent and predictable menu order.
+        sortMinerData();
+
+        // Update the "Last updated" timestamp to reflect when the server collected the data.
+        lastUpdatedAt = embedded.timestamp ? new Date(embedded.timestamp) : new Date();
+        updateTimestamps();
+    }
+
+    /**
+     * Sorts the miners by hostname, falling back to the instance name.
+     */
+    function sortMinerData() {
+        minerData.sort((a, b) => (a.hostname || a.id).localeCompare(b.hostname || b.id));
+    }
+
+    /**
+     * Formats the time the displayed data was collected.
+     * @returns {string} The formatted time.
+     */
+    function formatLastUpdated() {
+        return (lastUpdatedAt || new Date()).toLocaleString();
+    }
+
+    /**
+     * Shows the collection time in the footer and the Status Timestamp card.
+     */
+    function updateTimestamps() {
+        if (timestampSpan) {
+            timestampSpan.textContent = formatLastUpdated();
+        }
+        const lastUpdatedSpan = document.getElementById('last-updated');
+        if (lastUpdatedSpan) {
+            lastUpdatedSpan.textContent = formatLastUpdated();
+        }
+    }
+
+    // --- Live Updates ---
+
+    /**
+     * Opens the live update stream. The server sends a `snapshot` event with the full
+     * dashboard data on connect and an `update` event with the changed miners, pools
+     * and crypto nodes after every poll.
+     */
+    function connectStream() {
+        if (!window.EventSource) {
+            setStreamStatus('offline', 'Live updates are not supported by this browser');
+            return;
+        }
+        clearTimeout(reconnectTimer);
+        if (eventSource) eventSource.close();
+
+        setStreamStatus('connecting');
+        const source = new EventSource('/api/stream');
+        eventSource = source;
+
+        source.addEventListener('open', () => {
+            reconnectDelayMs = STREAM_RECONNECT_MIN_MS;
+            setStreamStatus('live');
+        });
+        source.addEventListener('snapshot', event => handleStreamEvent(event, applySnapshot));
+        source.addEventListener('update', event => handleStreamEvent(event, applyUpdate));
+        source.addEventListener('error', () => {
+            if (source !== eventSource) return;
+            if (source.readyState === EventSource.CLOSED) {
+                // The browser does not retry after an error response, e.g. an expired session.
+                scheduleReconnect();
+            } else {
+                // The browser reconnects by itself after a dropped connection.
+                setStreamStatus('connecting');
             }
-            return response.json(); // Parse the response body as JSON.
-        })
-        .then(embedded => {
-            minerData = embedded.minerData || [];
-            displayFieldsConfig = embedded.displayFields || [];
-            miningCoreData = embedded.miningCoreData;
-            miningCoreDisplayFields = embedded.miningCoreDisplayFields || [];
-            cryptoNodeData = embedded.cryptoNodeData;
-            disableSettings = embedded.disable_settings;
-            disableConfigurations = embedded.disable_configurations;
-            disableAuthentication = embedded.disable_authentication;
-            miningCoreEnabled = embedded.mining_core_enabled;
-
-            // Sort data by hostname for a consistent and predictable menu order.
-            minerData.sort((a, b) => (a.hostname || a.id).localeCompare(b.hostname || b.id));
-
-            // Update the "Last updated" timestamp on the client side to reflect when the data was fetched.
-            if (timestampSpan) {
-                timestampSpan.textContent = new Date().toLocaleString();
+        });
+    }
+
+    /**
+     * Reopens the live update stream after a delay that grows with every failed attempt.
+     * Sends the user to the login page when the session has expired.
+     */
+    function scheduleReconnect() {
+        eventSource.close();
+        eventSource = null;
+        setStreamStatus('offline', `Live updates disconnected, retrying in ${Math.round(reconnectDelayMs / 1000)}s`);
+
+        reconnectTimer = setTimeout(async () => {
+            try {
+                const response = await fetch('/api/systems/info');
+                if (response.redirected && new URL(response.url).pathname === '/login') {
+                    window.location.href = '/login';
+                    return;
+                }
+            } catch (error) {
+                console.warn('Dashboard server is not reachable:', error);
             }
+            reconnectDelayMs = Math.min(reconnectDelayMs * 2, STREAM_RECONNECT_MAX_MS);
+            connectStream();
+        }, reconnectDelayMs);
+    }
 
-            // Add logout button based on disable_authentication setting
-            addLogoutButton();
-            
-            // Configuration icon is now part of the header
+    /**
+     * Parses a stream event and applies it to the dashboard.
+     * @param {MessageEvent} event - The stream event.
+     * @param {Function} apply - Applies the parsed event data.
+     */
+    function handleStreamEvent(event, apply) {
+        try {
+            apply(JSON.parse(event.data));
+        } catch (error) {
+            console.error(`Error applying live ${event.type}:`, error);
+        }
+    }
+
+    /**
+     * Updates the live update indicator.
+     * @param {string} state - 'live', 'connecting' or 'offline'.
+     * @param {string} [title] - The tooltip, defaults to a description of the state.
+     */
+    function setStreamStatus(state, title) {
+        if (!streamStatus) return;
+        const labels = { live: 'Live', connecting: 'Connecting', offline: 'Offline' };
+        const titles = {
+            live: 'Live updates connected',
+            connecting: 'Connecting to live updates',
+            offline: 'Live updates disconnected'
+        };
+        streamStatus.className = `stream-status stream-${state}`;
+        streamStatus.querySelector('.stream-status-text').textContent = labels[state];
+        streamStatus.title = title || titles[state];
+    }
+
+    /**
+     * Returns the settings that decide the dashboard layout; a change requires a full render.
+     * @returns {string} The layout signature.
+     */
+    function getLayoutSignature() {
+        return JSON.stringify([displayFieldsConfig, miningCoreDisplayFields, disableSettings, disableConfigurations,
+            miningCoreEnabled, miningCoreData === null, cryptoNodeData === null]);
+    }
+
+    /**
+     * Applies a full snapshot from the stream (sent on every connect and after configuration changes).
+     * @param {object} snapshot - The dashboard data object.
+     */
+    function applySnapshot(snapshot) {
+        const previousLayout = getLayoutSignature();
+        applyDashboardData(snapshot);
+        addLogoutButton();
 
-            // Initialize the dashboard after data is successfully fetched
+        if (getLayoutSignature() !== previousLayout || !miningCoreDetailsDiv.querySelector('.miner-cards-container')) {
             displayDashboard();
-        })
-        .catch(error => {
-            console.error('Error fetching or parsing embedded data:', error);
-            // Display a user-friendly error message if fetch fails or JSON parsing fails.
-            if (!miningCoreDetailsDiv.innerHTML.includes('Error loading device data')) { // Avoid duplicate error messages
-                miningCoreDetailsDiv.innerHTML = `<p style="color: red;">Failed to load device data: ${error.message}. Please refresh the page.</p>`;
-            }
+        } else {
+            renderInPlace(minerData.map(miner => miner.id), true, (cryptoNodeData || []).map(node => node.id));
+        }
+    }
+
+    /**
+     * Merges the changed entries of an update into the current list.
+     * @param {Array<object>} current - The current entries.
+     * @param {Array<string>} ids - The ids of all entries after the update.
+     * @param {Array<object>} changed - The changed entries.
+     * @param {Function} getId - Returns the id of an entry.
+     * @returns {Array<object>} The merged entries, in the order of `ids`.
+     */
+    function mergeById(current, ids, changed, getId) {
+        return ids
+            .map(id => changed.find(entry => getId(entry) === id) || current.find(entry => getId(entry) === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Applies an `update` event from the stream and re-renders the changed cards.
+     * @param {object} update - The update event data.
+     */
+    function applyUpdate(update) {
+        lastUpdatedAt = new Date(update.timestamp);
+
+        minerData = mergeById(minerData, update.minerIds, update.miners, miner => miner.id);
+        sortMinerData();
+
+        let miningCoresChanged = false;
+        if (miningCoreData) {
+            const previousIds = miningCoreData.map(instance => instance.instanceName).join('\n');
+            miningCoresChanged = update.miningCores.length > 0 || previousIds !== update.miningCoreIds.join('\n');
+            // Pools missing from an instance update did not change; keep the previous ones.
+            const changedInstances = update.miningCores.map(changed => {
+                const previous = miningCoreData.find(instance => instance.instanceName === changed.instanceName);
+                const previousPools = (previous && previous.pools) || [];
+                const { poolIds, pools, ...instanceFields } = changed;
+                return {
+                    ...instanceFields,
+                    pools: mergeById(previousPools, poolIds, pools, pool => pool.id)
+                };
+            });
+            miningCoreData = mergeById(miningCoreData, update.miningCoreIds, changedInstances, instance => instance.instanceName);
+        }
+
+        if (cryptoNodeData) {
+            cryptoNodeData = mergeById(cryptoNodeData, update.cryptoNodeIds, update.cryptoNodes, node => node.id);
+        }
+
+        renderInPlace(update.miners.map(miner => miner.id), miningCoresChanged, update.cryptoNodes.map(node => node.id));
+
+        // Alerts are evaluated on the same poll, so refresh the badge too.
+        if (alertsIcon) updateAlertsCount();
+        updateDeviceIdentityNotices();
+    }
+
+    /**
+     * Re-renders the changed parts of the dashboard without touching the rest, so the
+     * collapsed sections and the scroll position stay as they are. Falls back to a full
+     * render when a section appears or disappears.
+     * @param {Array<string>} changedMinerIds - The miners whose card must be redrawn.
+     * @param {boolean} miningCoresChanged - Whether the pool cards must be redrawn.
+     * @param {Array<string>} changedNodeIds - The crypto nodes whose card must be redrawn.
+     */
+    function renderInPlace(changedMinerIds, miningCoresChanged, changedNodeIds) {
+        updateTimestamps();
+
+        const minersUpdated = updateCards(miningCoreDetailsDiv.querySelector('.miner-cards-container'),
+            minerData, changedMinerIds, 'data-miner-id', miner => miner.id, generateMinerCardHtml);
+        const poolsUpdated = minersUpdated && updatePoolCards(miningCoresChanged);
+        const nodesUpdated = poolsUpdated && updateCards(miningCoreDetailsDiv.querySelector('.crypto-node-cards-container'),
+            cryptoNodeData || [], changedNodeIds, 'data-node-id', node => node.id, generateCryptoNodeCardHtml);
+
+        if (!nodesUpdated) {
+            displayDashboard();
+        }
+    }
+
+    /**
+     * Redraws the changed cards of a card container, or the whole container when
+     * entries were added, removed or reordered.
+     * @param {Element|null} container - The card container.
+     * @param {Array<object>} entries - All entries, in display order.
+     * @param {Array<string>} changedIds - The ids of the changed entries.
+     * @param {string} idAttribute - The card attribute holding the entry id.
+     * @param {Function} getId - Returns the id of an entry.
+     * @param {Function} generateHtml - Generates the card HTML of an entry.
+     * @returns {boolean} False if the section itself must be added or removed.
+     */
+    function updateCards(container, entries, changedIds, idAttribute, getId, generateHtml) {
+        if (!container || entries.length === 0) {
+            return !container && entries.length === 0;
+        }
+
+        const renderedIds = Array.from(container.children).map(card => card.getAttribute(idAttribute));
+        if (renderedIds.join('\n') !== entries.map(getId).join('\n')) {
+            container.innerHTML = entries.map(generateHtml).join('');
+            attachCardEventListeners(container);
+            return true;
+        }
+
+        entries.forEach((entry, index) => {
+            if (!changedIds.includes(getId(entry))) return;
+            const template = document.createElement('template');
+            template.innerHTML = generateHtml(entry).trim();
+            const card = template.content.firstElementChild;
+            container.children[index].replaceWith(card);
+            attachCardEventListeners(card);
         });
+        return true;
+    }
 
-    // --- Helper Functions ---
+    /**
+     * Redraws the pool cards when a mining core instance or pool changed.
+     * @param {boolean} changed - Whether any mining core data changed.
+     * @returns {boolean} False if the pool section must switch between its cards and the "not configured" note.
+     */
+    function updatePoolCards(changed) {
+        if (!miningCoreEnabled) {
+            return true;
+        }
+        const container = miningCoreDetailsDiv.querySelector('.pool-cards-container');
+        const hasInstances = Boolean(miningCoreData && miningCoreData.length > 0);
+        if (!container || !hasInstances) {
+            return !container && !hasInstances;
+        }
+        if (changed) {
+            container.innerHTML = generatePoolCardsHtml(miningCoreData, miningCoreDisplayFields);
+        }
+        return true;
+    }
+
+    /**
+     * Attaches the button event listeners of the cards below an element.
+     * @param {ParentNode} root - The element containing the cards.
+     */
+    function attachCardEventListeners(root) {
+        attachChartButtonEventListeners(root);
+        attachRestartAndSettingsButtonEventListeners(root);
+        updateBulkActionBar();
+    }
 
     /**
      * Attaches event listeners to Chart buttons in the summary view
+     * @param {ParentNode} [root=document] - Only buttons below this element are wired up.
      */
-    function attachChartButtonEventListeners() {
-        const chartButtons = document.querySelectorAll('.chart-button');
+    function attachChartButtonEventListeners(root = document) {
+        const chartButtons = root.querySelectorAll('.chart-button');
         chartButtons.forEach(buttonElement => {
             buttonElement.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -149,10 +485,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Attaches event listeners to Restart, Settings, and Info buttons in the summary view
+     * @param {ParentNode} [root=document] - Only buttons below this element are wired up.
      */
-    function attachRestartAndSettingsButtonEventListeners() {
+    function attachRestartAndSettingsButtonEventListeners(root = document) {
+        // Bulk selection checkboxes
+        root.querySelectorAll('.miner-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const instanceId = checkbox.getAttribute('data-instance-id');
+                if (checkbox.checked) {
+                    selectedMinerIds.add(instanceId);
+                } else {
+                    selectedMinerIds.delete(instanceId);
+                }
+                updateBulkActionBar();
+            });
+        });
+
         // Restart button event listeners
-        const restartButtons = document.querySelectorAll('.restart-button');
+        const restartButtons = root.querySelectorAll('.restart-button');
         restartButtons.forEach(buttonElement => {
             buttonElement.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -169,8 +519,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                 });
                                 const result = await response.json();
                                 if (response.ok) {
+                                    // The live stream shows the miner going offline and coming back.
                                     alert(`Instance "${instanceId}" is restarting.`);
-                                    setTimeout(() => location.reload(), 2000); // Refresh to see updated status
                                 } else {
                                     alert(`Error restarting instance: ${result.message || 'Unknown error'}`);
                                 }
@@ -185,7 +535,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         // Settings button event listeners
-        const settingsButtons = document.querySelectorAll('.settings-button');
+        const settingsButtons = root.querySelectorAll('.settings-button');
         settingsButtons.forEach(buttonElement => {
             buttonElement.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -202,7 +552,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         // Info button event listeners
-        const infoButtons = document.querySelectorAll('.info-button');
+        const infoButtons = root.querySelectorAll('.info-button');
         infoButtons.forEach(buttonElement => {
             buttonElement.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -219,6 +569,65 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Attaches event listeners to the bulk action bar above the miner cards.
+     */
+    function attachBulkActionEventListeners() {
+        const bar = miningCoreDetailsDiv.querySelector('.bulk-action-bar');
+        if (!bar) return;
+
+        const setAllSelected = (selected) => {
+            selectedMinerIds.clear();
+            if (selected) minerData.forEach(miner => selectedMinerIds.add(miner.id));
+            miningCoreDetailsDiv.querySelectorAll('.miner-select').forEach(checkbox => {
+                checkbox.checked = selected;
+            });
+            updateBulkActionBar();
+        };
+        bar.querySelector('.bulk-select-all').addEventListener('click', () => setAllSelected(true));
+        bar.querySelector('.bulk-clear').addEventListener('click', () => setAllSelected(false));
+
+        bar.querySelectorAll('.bulk-action').forEach(buttonElement => {
+            buttonElement.addEventListener('click', () => {
+                const instanceIds = Array.from(selectedMinerIds);
+                const action = buttonElement.getAttribute('data-action');
+                if (instanceIds.length === 0) return;
+                if (action === 'restart') {
+                    modalService.openConfirmModal(
+                        'Confirm Restart',
+                        `Are you sure you want to restart ${instanceIds.length} miner${instanceIds.length === 1 ? '' : 's'}?`,
+                        () => modalService.runBulkAction(instanceIds, 'restart')
+                    );
+                } else if (action === 'profile') {
+                    modalService.openApplyProfileModal(instanceIds);
+                } else if (action === 'firmware') {
+                    modalService.openFirmwareModal(instanceIds);
+                } else if (action === 'autotune') {
+                    modalService.openAutoTuneModal(instanceIds);
+                } else {
+                    modalService.openBulkActionModal(instanceIds, action);
+                }
+            });
+        });
+        updateBulkActionBar();
+    }
+
+    /**
+     * Updates the selection count of the bulk action bar and enables its actions when
+     * miners are selected. Miners that were removed from the configuration are unselected.
+     */
+    function updateBulkActionBar() {
+        const bar = miningCoreDetailsDiv.querySelector('.bulk-action-bar');
+        if (!bar) return;
+        selectedMinerIds.forEach(instanceId => {
+            if (!minerData.some(miner => miner.id === instanceId)) selectedMinerIds.delete(instanceId);
+        });
+        bar.querySelector('.bulk-selection-count').textContent = `${selectedMinerIds.size} selected`;
+        bar.querySelectorAll('.bulk-action').forEach(buttonElement => {
+            buttonElement.disabled = selectedMinerIds.size === 0;
+        });
+    }
+
     /**
      * Opens a modal displaying detailed information for a specific miner
      * @param {object} minerData - The miner data object
@@ -651,6 +1060,169 @@ document.addEventListener('DOMContentLoaded', () => {
             return 'red';
         }
     }
+    /**
+     * Generates the summary card of a single miner.
+     * @param {object} miner - The miner data object.
+     * @returns {string} The HTML string for the miner card.
+     */
+    function generateMinerCardHtml(miner) {
+        let html = '';
+        html += `<div class="miner-card" data-miner-id="${miner.id}">`; // Individual card wrapper
+        // Selection checkbox for the bulk action bar
+        const selectHtml = disableSettings ? ''
+            : `<input type="checkbox" class="miner-select" data-instance-id="${miner.id}" title="Select for bulk actions" ${selectedMinerIds.has(miner.id) ? 'checked' : ''}>`;
+        if (miner.status === 'Error') {
+            // Display the miner's name and its error status.
+            html += `<h4>${selectHtml}<span class="status-indicator status-error" style="margin-right: 8px;"></span>${miner.id}: <span style="color: #dc3545; font-weight: bold;">Miner Unreachable</span></h4>`;
+            html += '</div>'; // Close miner-card
+        } else {
+            const formattedHashrate = formatDeviceHashrate(miner.hashRate); // Use the specific device hashrate formatter.
+            const formattedExpected = formatDeviceHashrate(miner.expectedHashrate);
+            const AsicTemp = safeToFixed(Number(miner.temp),2);
+            const VRTemp = safeToFixed(Number(miner.vrTemp),2);
+            const displayAsicTemp = `<font color="${getLimitColor(AsicTemp, ASICTempMap)}"><b>${AsicTemp} &deg;C</b></font>`;
+            const displayVRTemp = `<font color="${getLimitColor(VRTemp, VRTempMap)}"><b>${VRTemp} &deg;C</b></font>`;
+            const displayFanSpeed = `<font color="${getLimitColor(miner.fanspeed, FanSpeedMap)}"><b>${miner.fanspeed} %</b></font>`;
+            const formattedUpTime = formatUptime(miner.uptimeSeconds);
+            // Create 5-column layout: Header | Label | Value | Label | Value
+            html += `<h4>${selectHtml}<span class="status-indicator status-online" style="margin-right: 8px;"></span>${miner.id} <div class="line-graph-icon chart-button" data-instance-id="${miner.id}" title="View ${miner.id} Statistics"></div>`;
+            // Add restart and settings icons if settings are enabled
+            if(!disableSettings){
+                html += ` <img src="/public/icon/icons8-rotate-right-64-white.png" class="restart-button restart-icon-hover" data-instance-id="${miner.id}" title="Restart Instance" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
+                html += ` <img src="/public/icon/icons8-audio-65-white.png" class="settings-button settings-icon-hover" data-instance-id="${miner.id}" title="Edit Settings" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
+            }
+            // Add information icon (always visible)
+            html += ` <img src="/public/icon/icons8-information-64-white.png" class="info-button info-icon-hover" data-instance-id="${miner.id}" title="View Detailed Information" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
+            html += `</h4><div class="details-grid-five-columns">`;
+            // Hash row: Hash | Expected: | Value | Current: | Value
+            html += `<div class="category-header">Hashrate</div><strong>Expected:</strong><span>${formattedExpected}</span><strong>Current:</strong><span>${formattedHashrate}</span>`;
+            // Difficulty row: Difficulty | Best: | Value | Session: | Value
+            html += `<div class="category-header">Difficulty</div><strong>Best:</strong><span>${miner.bestDiff}</span><strong>Session:</strong><span>${miner.bestSessionDiff}</span>`;
+            // Pool row: Pool | Diff: | Value | Shares: | Value
+            html += `<div class="category-header">Pool</div><strong>Diff:</strong><span>${miner.poolDifficulty}</span><strong>Shares:</strong><span>${miner.sharesAccepted}</span>`;
+            //Response Time and Shares Rejected Count
+            const formattedSharesRejected = formatFieldValue('sharesRejected', miner.sharesRejected, miner);
+            html += `<div class="category-header">Status</div><strong>Response Time:</strong><span>${miner.responseTime} ms</span><strong>Shares Rejected:</strong><span>${formattedSharesRejected}</span>`;
+            // Temp row: Temp | ASIC: | Value | VR: | Value
+            html += `<div class="category-header">Temperature</div><strong>ASIC:</strong><span>${displayAsicTemp}</span><strong>Voltage Regulator:</strong><span>${displayVRTemp}</span>`;
+            // Fan row: Fan | Speed: | Value | RPM: | Value
+            html += `<div class="category-header">Fan</div><strong>Speed:</strong><span>${displayFanSpeed}</span><strong>RPM:</strong><span>${miner.fanrpm}</span>`;
+            //Uptime
+            html += `<div class="category-header">General</div><strong>Frequency:</strong><span>${miner.frequency}</span><strong>Up Time:</strong><span>${formattedUpTime}</span>`;
+            html += `<div class="category-header">Stratum</div><strong>Host:</strong><span>${miner.stratumURL}</span><strong>Port:</strong><span>${miner.stratumPort}</span>`;
+            html += `</div>`; // Close details-grid-five-columns for individual miner status
+            html += '</div>'; // Close miner-card
+        }
+        return html;
+    }
+
+    /**
+     * Generates the pool cards of all mining core instances.
+     * @param {Array} data - The mining core data array (array of instances, each with pools).
+     * @param {Array<object>} displayFields - The display_fields configuration for mining core.
+     * @returns {string} The HTML string for the pool cards.
+     */
+    function generatePoolCardsHtml(data, displayFields) {
+        let html = '';
+        data.forEach((miningCoreInstance) => {
+            const instanceName = miningCoreInstance.instanceName;
+            const instanceStatus = miningCoreInstance.status;
+            const pools = miningCoreInstance.pools || [];
+
+            if (instanceStatus === 'Error') {
+                // Show error state for this instance as a card
+                html += `<div class="pool-card">`;
+                html += `<h4><span class="status-indicator status-error" style="margin-right: 8px;"></span>${instanceName}: <span style="color: #dc3545; font-weight: bold;">Mining Core Unreachable</span></h4>`;
+                html += `<div class="details-grid">`;
+                html += `<strong>Message:</strong> <span>${miningCoreInstance.message || 'Could not connect to mining core'}</span>`;
+                html += `<strong>Note:</strong> <span>Mining core data is not available, but individual miners are still monitored.</span>`;
+                html += `</div>`;
+                html += `</div>`; // Close pool-card
+            } else if (pools.length > 0) {
+                // Show pools for this instance
+                pools.forEach((poolData) => { // Loop through each pool in this instance
+                    html += `<div class="pool-card">`; // Individual pool card wrapper
+                    html += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${poolData.id.toUpperCase()} (${poolData.coin.symbol} - ${poolData.paymentProcessing.payoutScheme})</h4>`; // Pool specific heading
+
+                    displayFields.forEach(categoryObj => {
+                        const categoryName = Object.keys(categoryObj)[0];
+                        const fieldsArray = categoryObj[categoryName];
+
+                        // Create field data mapping for easier access
+                        const fieldData = {};
+                        fieldsArray.forEach(fieldObj => {
+                            let fieldKey = Object.keys(fieldObj)[0];
+                            const fieldLabel = fieldObj[fieldKey];
+
+                            // Correct the typo from the config file for 'lasNetworkBlockTime'.
+                            if (fieldKey === 'lasNetworkBlockTime') {
+                                fieldKey = 'lastNetworkBlockTime';
+                            }
+
+                            const displayValue = getNestedMiningCoreValue(fieldKey, poolData);
+                            const formattedValue = formatFieldValue(fieldKey, displayValue);
+                            fieldData[fieldKey] = { label: fieldLabel, value: formattedValue };
+                        });
+
+                        // Generate custom 5-column layouts based on category
+                        if (categoryName === 'Network Status') {
+                            // Add instance name to Network Status header
+                            html += `<h4>${categoryName} - ${instanceName}</h4><div class="details-grid-five-columns">`;
+                            // Network row
+                            html += `<div class="category-header">Network</div><strong>Difficulty:</strong><span>${fieldData.networkDifficulty?.value || 'N/A'}</span><strong>Hashrate:</strong><span>${fieldData.networkHashrate?.value || 'N/A'}</span>`;
+                            // Block row
+                            html += `<div class="category-header">Block</div><strong>Height:</strong><span>${fieldData.blockHeight?.value || 'N/A'}</span><strong>Last Block Time:</strong><span>${fieldData.lastNetworkBlockTime?.value || 'N/A'}</span>`;
+                            // General row
+                            html += `<div class="category-header">General</div><strong>Connected Peers:</strong><span>${fieldData.connectedPeers?.value || 'N/A'}</span><strong>Node Version:</strong><span>${fieldData.nodeVersion?.value || 'N/A'}</span>`;
+                            html += `</div>`;
+                        } else if (categoryName === 'Miner(s) Status') {
+                            html += `<h4>${categoryName}</h4><div class="details-grid-five-columns">`;
+                            // Status row
+                            html += `<div class="category-header">Status</div><strong>Connected Miners:</strong><span>${fieldData.connectedMiners?.value || 'N/A'}</span><strong>Pool Hashrate:</strong><span>${fieldData.poolHashrate?.value || 'N/A'}</span>`;
+                            html += `</div>`;
+                        } else if (categoryName === 'Rewards' || categoryName === 'Rewards Status') {
+                            html += `<h4>${categoryName}</h4><div class="details-grid-five-columns">`;
+                            // Total row (Paid and Blocks)
+                            html += `<div class="category-header">Total</div><strong>Paid:</strong><span>${fieldData.totalPaid?.value || 'N/A'}</span><strong>Blocks:</strong><span>${fieldData.totalBlocks?.value || 'N/A'}</span>`;
+                            // Total row (Confirmed and Pending Blocks)
+                            html += `<div class="category-header">Total</div><strong>Confirmed Blocks:</strong><span>${fieldData.totalConfirmedBlocks?.value || 'N/A'}</span><strong>Pending Blocks:</strong><span>${fieldData.totalPendingBlocks?.value || 'N/A'}</span>`;
+                            // Reward row
+                            html += `<div class="category-header">Reward</div><strong>Block Reward:</strong><span>${fieldData.blockReward?.value || 'N/A'}</span><strong>Pool Block Time:</strong><span>${fieldData.lastPoolBlockTime?.value || 'N/A'}</span>`;
+                            html += `</div>`;
+                        } else {
+                            // Fallback to original layout for unknown categories
+                            html += `<h4>${categoryName}</h4><div class="details-grid">`;
+                            fieldsArray.forEach(fieldObj => {
+                                let fieldKey = Object.keys(fieldObj)[0];
+                                const fieldLabel = fieldObj[fieldKey];
+
+                                if (fieldKey === 'lasNetworkBlockTime') {
+                                    fieldKey = 'lastNetworkBlockTime';
+                                }
+
+                                const displayValue = getNestedMiningCoreValue(fieldKey, poolData);
+                                const formattedValue = formatFieldValue(fieldKey, displayValue);
+
+                                html += `<strong>${fieldLabel}:</strong> <span>${formattedValue}</span>`;
+                            });
+                            html += `</div>`;
+                        }
+                    });
+                    html += `</div>`; // Close pool-card
+                });
+            } else if (instanceStatus === 'OK') {
+                // No pools available for this instance but it's reachable
+                html += `<div class="pool-card">`;
+                html += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${instanceName}</h4>`;
+                html += `<div class="details-grid">`;
+                html += `<strong>Note:</strong> <span>No pools configured for this mining core instance.</span>`;
+                html += `</div>`;
+                html += `</div>`; // Close pool-card
+            }
+        });
+        return html;
+    }
+
     /**
      * Generates the detailed HTML for mining core summary in the right pane.
      * @param {Array} data - The mining core data array (array of instances, each with pools).
@@ -669,7 +1241,7 @@ document.addEventListener('DOMContentLoaded', () => {
          allPoolsHtml += `<div class="mining-pool-summary-card">`;
         allPoolsHtml += '<h3>Status Timestamp</h3>';
         allPoolsHtml += `<div class="details-grid">`;
-        allPoolsHtml += `<strong>Last Updated:</strong> <span>${new Date().toLocaleString()}</span>`;
+        allPoolsHtml += `<strong>Last Updated:</strong> <span id="last-updated">${formatLastUpdated()}</span>`;
         allPoolsHtml += `</div>`; // Close details-grid for timestamp
         allPoolsHtml += `</div>`; // Close mining-pool-summary-card for timestamp
 
@@ -679,60 +1251,31 @@ document.addEventListener('DOMContentLoaded', () => {
         allPoolsHtml += `<div class="individual-miner-summary-card">`; // Container for individual miner status
         allPoolsHtml += '<h3><span class="collapse-button" data-target="individual-miner-content">−</span> Individual Miner Status</h3>';
         allPoolsHtml += '<div id="individual-miner-content" class="collapsible-content">';
+        if (!disableSettings) {
+            allPoolsHtml += '<div class="bulk-action-bar">';
+            allPoolsHtml += '<span class="bulk-selection-count">0 selected</span>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-select-all">Select All</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-clear">Clear</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="restart">Restart</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="settings">Apply Settings</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="pool">Change Pool</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="profile">Apply Profile</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="firmware">Update Firmware</button>';
+            allPoolsHtml += '<button type="button" class="animated-button bulk-action" data-action="autotune">Auto-Tune</button>';
+            allPoolsHtml += '</div>';
+        }
         allPoolsHtml += '<div class="miner-cards-container">'; // New container for responsive card layout
         // Loop through each miner's data and generate HTML.
-            if ( minerData && minerData.length > 0) {
-                minerData.forEach(miner => {
-                    allPoolsHtml += '<div class="miner-card">'; // Individual card wrapper
-                    if (miner.status === 'Error') {
-                        // Display the miner's name and its error status.
-                        allPoolsHtml += `<h4><span class="status-indicator status-error" style="margin-right: 8px;"></span>${miner.id}: <span style="color: #dc3545; font-weight: bold;">Miner Unreachable</span></h4>`;
-                        allPoolsHtml += '</div>'; // Close miner-card
-                    } else {
-                        const formattedHashrate = formatDeviceHashrate(miner.hashRate); // Use the specific device hashrate formatter.
-                        const formattedExpected = formatDeviceHashrate(miner.expectedHashrate);
-                        const AsicTemp = safeToFixed(Number(miner.temp),2);
-                        const VRTemp = safeToFixed(Number(miner.vrTemp),2);
-                        const displayAsicTemp = `<font color="${getLimitColor(AsicTemp, ASICTempMap)}"><b>${AsicTemp} &deg;C</b></font>`;
-                        const displayVRTemp = `<font color="${getLimitColor(VRTemp, VRTempMap)}"><b>${VRTemp} &deg;C</b></font>`;
-                        const displayFanSpeed = `<font color="${getLimitColor(miner.fanspeed, FanSpeedMap)}"><b>${miner.fanspeed} %</b></font>`;
-                        const formattedUpTime = formatUptime(miner.uptimeSeconds);
-                        // Create 5-column layout: Header | Label | Value | Label | Value
-                        allPoolsHtml += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${miner.id} <div class="line-graph-icon chart-button" data-instance-id="${miner.id}" title="View ${miner.id} Statistics"></div>`;
-                        // Add restart and settings icons if settings are enabled
-                        if(!disableSettings){
-                            allPoolsHtml += ` <img src="/public/icon/icons8-rotate-right-64-white.png" class="restart-button restart-icon-hover" data-instance-id="${miner.id}" title="Restart Instance" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
-                            allPoolsHtml += ` <img src="/public/icon/icons8-audio-65-white.png" class="settings-button settings-icon-hover" data-instance-id="${miner.id}" title="Edit Settings" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
-                        }
-                        // Add information icon (always visible)
-                        allPoolsHtml += ` <img src="/public/icon/icons8-information-64-white.png" class="info-button info-icon-hover" data-instance-id="${miner.id}" title="View Detailed Information" style="width: 20px; height: 20px; margin-left: 8px; vertical-align: middle; cursor: pointer;">`;
-                        allPoolsHtml += `</h4><div class="details-grid-five-columns">`;
-                        // Hash row: Hash | Expected: | Value | Current: | Value
-                        allPoolsHtml += `<div class="category-header">Hashrate</div><strong>Expected:</strong><span>${formattedExpected}</span><strong>Current:</strong><span>${formattedHashrate}</span>`;
-                        // Difficulty row: Difficulty | Best: | Value | Session: | Value
-                        allPoolsHtml += `<div class="category-header">Difficulty</div><strong>Best:</strong><span>${miner.bestDiff}</span><strong>Session:</strong><span>${miner.bestSessionDiff}</span>`;
-                        // Pool row: Pool | Diff: | Value | Shares: | Value
-                        allPoolsHtml += `<div class="category-header">Pool</div><strong>Diff:</strong><span>${miner.poolDifficulty}</span><strong>Shares:</strong><span>${miner.sharesAccepted}</span>`;
-                        //Response Time and Shares Rejected Count
-                        const formattedSharesRejected = formatFieldValue('sharesRejected', miner.sharesRejected, miner);
-                        allPoolsHtml += `<div class="category-header">Status</div><strong>Response Time:</strong><span>${miner.responseTime} ms</span><strong>Shares Rejected:</strong><span>${formattedSharesRejected}</span>`;
-                        // Temp row: Temp | ASIC: | Value | VR: | Value
-                        allPoolsHtml += `<div class="category-header">Temperature</div><strong>ASIC:</strong><span>${displayAsicTemp}</span><strong>Voltage Regulator:</strong><span>${displayVRTemp}</span>`;
-                        // Fan row: Fan | Speed: | Value | RPM: | Value
-                        allPoolsHtml += `<div class="category-header">Fan</div><strong>Speed:</strong><span>${displayFanSpeed}</span><strong>RPM:</strong><span>${miner.fanrpm}</span>`;
-                        //Uptime
-                        allPoolsHtml += `<div class="category-header">General</div><strong>Frequency:</strong><span>${miner.frequency}</span><strong>Up Time:</strong><span>${formattedUpTime}</span>`;
-                        allPoolsHtml += `<div class="category-header">Stratum</div><strong>Host:</strong><span>${miner.stratumURL}</span><strong>Port:</strong><span>${miner.stratumPort}</span>`;
-                        allPoolsHtml += `</div>`; // Close details-grid-five-columns for individual miner status
-                        allPoolsHtml += '</div>'; // Close miner-card
-                    }
-                });
-            }
+        minerData.forEach(miner => {
+            allPoolsHtml += generateMinerCardHtml(miner);
+        });
 
         allPoolsHtml += '</div>'; // Close miner-cards-container
         allPoolsHtml += `</div>`; // Close collapsible-content
         allPoolsHtml += `</div>`; // Close individual miner status card
 
+        allPoolsHtml += generateEnergySectionHtml();
+
         // Only show pool data if mining core is enabled
         if (miningCoreEnabled) {
             // Check if mining core data is available
@@ -744,102 +1287,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 allPoolsHtml += '<div class="pool-cards-container">'; // New container for responsive pool card layout
 
                 // Loop through each mining core instance
-                data.forEach((miningCoreInstance) => {
-                    const instanceName = miningCoreInstance.instanceName;
-                    const instanceStatus = miningCoreInstance.status;
-                    const pools = miningCoreInstance.pools || [];
-
-                    if (instanceStatus === 'Error') {
-                        // Show error state for this instance as a card
-                        allPoolsHtml += `<div class="pool-card">`;
-                        allPoolsHtml += `<h4><span class="status-indicator status-error" style="margin-right: 8px;"></span>${instanceName}: <span style="color: #dc3545; font-weight: bold;">Mining Core Unreachable</span></h4>`;
-                        allPoolsHtml += `<div class="details-grid">`;
-                        allPoolsHtml += `<strong>Message:</strong> <span>${miningCoreInstance.message || 'Could not connect to mining core'}</span>`;
-                        allPoolsHtml += `<strong>Note:</strong> <span>Mining core data is not available, but individual miners are still monitored.</span>`;
-                        allPoolsHtml += `</div>`;
-                        allPoolsHtml += `</div>`; // Close pool-card
-                    } else if (pools.length > 0) {
-                        // Show pools for this instance
-                        pools.forEach((poolData) => { // Loop through each pool in this instance
-                            allPoolsHtml += `<div class="pool-card">`; // Individual pool card wrapper
-                            allPoolsHtml += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${poolData.id.toUpperCase()} (${poolData.coin.symbol} - ${poolData.paymentProcessing.payoutScheme})</h4>`; // Pool specific heading
-
-                            displayFields.forEach(categoryObj => {
-                                const categoryName = Object.keys(categoryObj)[0];
-                                const fieldsArray = categoryObj[categoryName];
-
-                                // Create field data mapping for easier access
-                                const fieldData = {};
-                                fieldsArray.forEach(fieldObj => {
-                                    let fieldKey = Object.keys(fieldObj)[0];
-                                    const fieldLabel = fieldObj[fieldKey];
-
-                                    // Correct the typo from the config file for 'lasNetworkBlockTime'.
-                                    if (fieldKey === 'lasNetworkBlockTime') {
-                                        fieldKey = 'lastNetworkBlockTime';
-                                    }
-
-                                    const displayValue = getNestedMiningCoreValue(fieldKey, poolData);
-                                    const formattedValue = formatFieldValue(fieldKey, displayValue);
-                                    fieldData[fieldKey] = { label: fieldLabel, value: formattedValue };
-                                });
-
-                                // Generate custom 5-column layouts based on category
-                                if (categoryName === 'Network Status') {
-                                    // Add instance name to Network Status header
-                                    allPoolsHtml += `<h4>${categoryName} - ${instanceName}</h4><div class="details-grid-five-columns">`;
-                                    // Network row
-                                    allPoolsHtml += `<div class="category-header">Network</div><strong>Difficulty:</strong><span>${fieldData.networkDifficulty?.value || 'N/A'}</span><strong>Hashrate:</strong><span>${fieldData.networkHashrate?.value || 'N/A'}</span>`;
-                                    // Block row
-                                    allPoolsHtml += `<div class="category-header">Block</div><strong>Height:</strong><span>${fieldData.blockHeight?.value || 'N/A'}</span><strong>Last Block Time:</strong><span>${fieldData.lastNetworkBlockTime?.value || 'N/A'}</span>`;
-                                    // General row
-                                    allPoolsHtml += `<div class="category-header">General</div><strong>Connected Peers:</strong><span>${fieldData.connectedPeers?.value || 'N/A'}</span><strong>Node Version:</strong><span>${fieldData.nodeVersion?.value || 'N/A'}</span>`;
-                                    allPoolsHtml += `</div>`;
-                                } else if (categoryName === 'Miner(s) Status') {
-                                    allPoolsHtml += `<h4>${categoryName}</h4><div class="details-grid-five-columns">`;
-                                    // Status row
-                                    allPoolsHtml += `<div class="category-header">Status</div><strong>Connected Miners:</strong><span>${fieldData.connectedMiners?.value || 'N/A'}</span><strong>Pool Hashrate:</strong><span>${fieldData.poolHashrate?.value || 'N/A'}</span>`;
-                                    allPoolsHtml += `</div>`;
-                                } else if (categoryName === 'Rewards' || categoryName === 'Rewards Status') {
-                                    allPoolsHtml += `<h4>${categoryName}</h4><div class="details-grid-five-columns">`;
-                                    // Total row (Paid and Blocks)
-                                    allPoolsHtml += `<div class="category-header">Total</div><strong>Paid:</strong><span>${fieldData.totalPaid?.value || 'N/A'}</span><strong>Blocks:</strong><span>${fieldData.totalBlocks?.value || 'N/A'}</span>`;
-                                    // Total row (Confirmed and Pending Blocks)
-                                    allPoolsHtml += `<div class="category-header">Total</div><strong>Confirmed Blocks:</strong><span>${fieldData.totalConfirmedBlocks?.value || 'N/A'}</span><strong>Pending Blocks:</strong><span>${fieldData.totalPendingBlocks?.value || 'N/A'}</span>`;
-                                    // Reward row
-                                    allPoolsHtml += `<div class="category-header">Reward</div><strong>Block Reward:</strong><span>${fieldData.blockReward?.value || 'N/A'}</span><strong>Pool Block Time:</strong><span>${fieldData.lastPoolBlockTime?.value || 'N/A'}</span>`;
-                                    allPoolsHtml += `</div>`;
-                                } else {
-                                    // Fallback to original layout for unknown categories
-                                    allPoolsHtml += `<h4>${categoryName}</h4><div class="details-grid">`;
-                                    fieldsArray.forEach(fieldObj => {
-                                        let fieldKey = Object.keys(fieldObj)[0];
-                                        const fieldLabel = fieldObj[fieldKey];
-
-                                        if (fieldKey === 'lasNetworkBlockTime') {
-                                            fieldKey = 'lastNetworkBlockTime';
-                                        }
-
-                                        const displayValue = getNestedMiningCoreValue(fieldKey, poolData);
-                                        const formattedValue = formatFieldValue(fieldKey, displayValue);
-
-                                        allPoolsHtml += `<strong>${fieldLabel}:</strong> <span>${formattedValue}</span>`;
-                                    });
-                                    allPoolsHtml += `</div>`;
-                                }
-                            });
-                            allPoolsHtml += `</div>`; // Close pool-card
-                        });
-                    } else if (instanceStatus === 'OK') {
-                        // No pools available for this instance but it's reachable
-                        allPoolsHtml += `<div class="pool-card">`;
-                        allPoolsHtml += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${instanceName}</h4>`;
-                        allPoolsHtml += `<div class="details-grid">`;
-                        allPoolsHtml += `<strong>Note:</strong> <span>No pools configured for this mining core instance.</span>`;
-                        allPoolsHtml += `</div>`;
-                        allPoolsHtml += `</div>`; // Close pool-card
-                    }
-                });
+                allPoolsHtml += generatePoolCardsHtml(data, displayFields);
 
                 allPoolsHtml += '</div>'; // Close pool-cards-container
                 allPoolsHtml += `</div>`; // Close collapsible-content
@@ -864,6 +1312,142 @@ document.addEventListener('DOMContentLoaded', () => {
         return allPoolsHtml;
     }
 
+    /**
+     * Generates the Energy & Profitability section, filled from the last energy report.
+     * @returns {string} The HTML string for the section.
+     */
+    function generateEnergySectionHtml() {
+        const periods = { '24h': 'Last 24 hours', '7d': 'Last 7 days', '30d': 'Last 30 days' };
+        let html = '<div class="energy-status-section">';
+        html += '<h3><span class="collapse-button" data-target="energy-content">−</span> Energy &amp; Profitability</h3>';
+        html += '<div id="energy-content" class="collapsible-content">';
+        html += '<div class="energy-period"><label for="energy-period">Energy used:</label> <select id="energy-period">';
+        Object.entries(periods).forEach(([value, label]) => {
+            html += `<option value="${value}"${value === energyPeriod ? ' selected' : ''}>${label}</option>`;
+        });
+        html += '</select></div>';
+        html += `<div id="energy-summary">${generateEnergySummaryHtml(energyReport)}</div>`;
+        html += '</div>'; // Close collapsible-content
+        html += '</div>'; // Close energy-status-section
+        return html;
+    }
+
+    /**
+     * Generates the fleet figures and the per-miner and per-day tables of an energy report.
+     * @param {object|null} report - The /api/energy data, or null while it loads.
+     * @returns {string} The HTML string.
+     */
+    function generateEnergySummaryHtml(report) {
+        if (!report) {
+            return '<p>Loading energy data. Please wait.</p>';
+        }
+        const money = value => typeof value === 'number' ? `${value.toFixed(2)} ${report.currency}` : 'N/A';
+        const coins = value => typeof value === 'number' ? `${value.toPrecision(4)} ${report.earnings.coin}` : 'N/A';
+        const kwh = value => typeof value === 'number' ? `${value.toFixed(3)} kWh` : 'N/A';
+        const fleet = report.fleet;
+        const tariff = `${report.tariff.pricePerKwh} ${report.currency}/kWh${report.tariff.band ? ` (${report.tariff.band})` : ''}`;
+
+        let html = '<div class="details-grid">';
+        html += `<strong>Tariff Now:</strong> <span>${tariff}</span>`;
+        html += `<strong>Fleet Efficiency:</strong> <span>${safeToFixed(fleet.efficiency)} J/TH (${fleet.online} of ${fleet.total} miners online)</span>`;
+        html += `<strong>Fleet Power:</strong> <span>${safeToFixed(fleet.power)} W</span>`;
+        html += `<strong>Electricity Cost / Day:</strong> <span>${money(fleet.costPerDay)}</span>`;
+        html += `<strong>Energy Used:</strong> <span>${report.daily ? `${kwh(fleet.kwh)}, ${money(fleet.cost)}` : 'History is disabled'}</span>`;
+        if (report.earnings.source) {
+            html += `<strong>Expected Earnings / Day:</strong> <span>${coins(fleet.coinsPerDay)} (from ${report.earnings.source})</span>`;
+            if (fleet.revenuePerDay !== null) {
+                html += `<strong>Revenue / Day:</strong> <span>${money(fleet.revenuePerDay)}</span>`;
+                html += `<strong>Profit / Day:</strong> <span class="${fleet.profitPerDay < 0 ? 'energy-loss' : 'energy-profit'}">${money(fleet.profitPerDay)}</span>`;
+            }
+        } else {
+            html += '<strong>Expected Earnings:</strong> <span>No Mining Core pool or crypto node difficulty with a block reward available</span>';
+        }
+        html += '</div>';
+
+        html += '<table class="energy-table"><thead><tr><th>Miner</th><th>Hashrate</th><th>Power</th><th>Efficiency</th>' +
+            '<th>Cost / Day</th><th>Earnings / Day</th><th>Profit / Day</th><th>Energy Used</th><th>Cost</th></tr></thead><tbody>';
+        report.devices.forEach(device => {
+            if (!device.online) {
+                html += `<tr><td>${device.id}</td><td colspan="6">Offline</td><td>${kwh(device.kwh)}</td><td>${money(device.cost)}</td></tr>`;
+                return;
+            }
+            html += `<tr><td>${device.id}</td><td>${formatDeviceHashrate(device.hashRate)}</td><td>${safeToFixed(device.power)} W</td>` +
+                `<td>${safeToFixed(device.efficiency)} J/TH</td><td>${money(device.costPerDay)}</td><td>${coins(device.coinsPerDay)}</td>` +
+                `<td>${money(device.profitPerDay)}</td><td>${kwh(device.kwh)}</td><td>${money(device.cost)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+
+        if (report.daily && report.daily.length > 0) {
+            html += '<table class="energy-table"><thead><tr><th>Day</th><th>Energy Used</th><th>Cost</th></tr></thead><tbody>';
+            report.daily.forEach(day => {
+                html += `<tr><td>${day.date}</td><td>${kwh(day.kwh)}</td><td>${money(day.cost)}</td></tr>`;
+            });
+            html += '</tbody></table>';
+        }
+        return html;
+    }
+
+    /**
+     * Generates the card of a single crypto node.
+     * @param {object} nodeData - The crypto node data object.
+     * @returns {string} The HTML string for the crypto node card.
+     */
+    function generateCryptoNodeCardHtml(nodeData) {
+        let html = '';
+        html += `<div class="crypto-node-card" data-node-id="${nodeData.id}">`; // Individual node card wrapper
+
+        if (nodeData.status === 'Error') {
+            // Display error state
+            html += `<h4><span class="status-indicator status-error" style="margin-right: 8px;"></span>${nodeData.id}: <span style="color: #dc3545; font-weight: bold;">Node Unreachable</span></h4>`;
+            html += `<div class="details-grid">`;
+            html += `<strong>Status:</strong> <span style="color: #dc3545;">Error</span>`;
+            html += `<strong>Message:</strong> <span>${nodeData.message || 'Could not connect to node'}</span>`;
+            html += `</div>`;
+        } else {
+            // Display node name with online indicator and algorithm
+            const algoText = nodeData.nodeAlgo ? ` - ${nodeData.nodeAlgo}` : '';
+            html += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${nodeData.id} (${nodeData.nodeType.toUpperCase()}${algoText})</h4>`;
+
+            // Render all display fields in a single 10-column grid
+            if (nodeData.displayFields && Array.isArray(nodeData.displayFields)) {
+                html += `<div class="details-grid-ten-columns">`;
+
+                nodeData.displayFields.forEach(categoryObj => {
+                    const categoryName = Object.keys(categoryObj)[0];
+                    const fieldsArray = categoryObj[categoryName];
+
+                    // Add category header as h4 (spans full width)
+                    html += `<h4>${categoryName}</h4>`;
+
+                    // Process fields in groups of 5 for the ten-column layout (5 label/value pairs = 10 columns)
+                    for (let i = 0; i < fieldsArray.length; i += 5) {
+                        // Add up to 5 fields per row
+                        for (let j = 0; j < 5; j++) {
+                            const field = fieldsArray[i + j];
+
+                            if (field) {
+                                const fieldKey = Object.keys(field)[0];
+                                const fieldLabel = field[fieldKey];
+                                const displayValue = getCryptoNodeValue(fieldKey, nodeData);
+                                const formattedValue = formatCryptoNodeValue(fieldKey, displayValue);
+
+                                html += `<strong>${fieldLabel}:</strong><span>${formattedValue}</span>`;
+                            } else {
+                                // Fill empty cells if we don't have 5 fields
+                                html += `<div></div><div></div>`;
+                            }
+                        }
+                    }
+                });
+
+                html += `</div>`; // Close details-grid-ten-columns
+            }
+        }
+
+        html += `</div>`; // Close crypto-node-card
+        return html;
+    }
+
     /**
      * Generates the HTML for the Crypto Node Status section
      * @param {Array} cryptoNodes - Array of crypto node data objects
@@ -884,57 +1468,7 @@ document.addEventListener('DOMContentLoaded', () => {
         html += '<div class="crypto-node-cards-container">'; // Container for responsive node card layout
 
         cryptoNodes.forEach((nodeData) => {
-            html += `<div class="crypto-node-card">`; // Individual node card wrapper
-
-            if (nodeData.status === 'Error') {
-                // Display error state
-                html += `<h4><span class="status-indicator status-error" style="margin-right: 8px;"></span>${nodeData.id}: <span style="color: #dc3545; font-weight: bold;">Node Unreachable</span></h4>`;
-                html += `<div class="details-grid">`;
-                html += `<strong>Status:</strong> <span style="color: #dc3545;">Error</span>`;
-                html += `<strong>Message:</strong> <span>${nodeData.message || 'Could not connect to node'}</span>`;
-                html += `</div>`;
-            } else {
-                // Display node name with online indicator and algorithm
-                const algoText = nodeData.nodeAlgo ? ` - ${nodeData.nodeAlgo}` : '';
-                html += `<h4><span class="status-indicator status-online" style="margin-right: 8px;"></span>${nodeData.id} (${nodeData.nodeType.toUpperCase()}${algoText})</h4>`;
-
-                // Render all display fields in a single 10-column grid
-                if (nodeData.displayFields && Array.isArray(nodeData.displayFields)) {
-                    html += `<div class="details-grid-ten-columns">`;
-
-                    nodeData.displayFields.forEach(categoryObj => {
-                        const categoryName = Object.keys(categoryObj)[0];
-                        const fieldsArray = categoryObj[categoryName];
-
-                        // Add category header as h4 (spans full width)
-                        html += `<h4>${categoryName}</h4>`;
-
-                        // Process fields in groups of 5 for the ten-column layout (5 label/value pairs = 10 columns)
-                        for (let i = 0; i < fieldsArray.length; i += 5) {
-                            // Add up to 5 fields per row
-                            for (let j = 0; j < 5; j++) {
-                                const field = fieldsArray[i + j];
-
-                                if (field) {
-                                    const fieldKey = Object.keys(field)[0];
-                                    const fieldLabel = field[fieldKey];
-                                    const displayValue = getCryptoNodeValue(fieldKey, nodeData);
-                                    const formattedValue = formatCryptoNodeValue(fieldKey, displayValue);
-
-                                    html += `<strong>${fieldLabel}:</strong><span>${formattedValue}</span>`;
-                                } else {
-                                    // Fill empty cells if we don't have 5 fields
-                                    html += `<div></div><div></div>`;
-                                }
-                            }
-                        }
-                    });
-
-                    html += `</div>`; // Close details-grid-ten-columns
-                }
-            }
-
-            html += `</div>`; // Close crypto-node-card
+            html += generateCryptoNodeCardHtml(nodeData);
         });
 
         html += '</div>'; // Close crypto-node-cards-container
@@ -1211,13 +1745,128 @@ document.addEventListener('DOMContentLoaded', () => {
         // Add event listeners to Restart and Settings buttons
         attachRestartAndSettingsButtonEventListeners();
 
+        // Add event listeners to the bulk action bar
+        attachBulkActionEventListeners();
+
         // Add event listeners to Collapse buttons
         attachCollapseButtonEventListeners();
 
+        // Reload the energy report when another period is picked
+        const energyPeriodSelect = document.getElementById('energy-period');
+        if (energyPeriodSelect) {
+            energyPeriodSelect.addEventListener('change', () => {
+                energyPeriod = energyPeriodSelect.value;
+                updateEnergySummary();
+            });
+        }
+
         // Restore saved section states
         restoreSavedSectionStates();
     }
 
+    /**
+     * Updates the alert badge with the number of firing alerts that are neither
+     * acknowledged nor silenced.
+     */
+    async function updateAlertsCount() {
+        try {
+            const response = await fetch('/api/alerts');
+            if (!response.ok) return;
+            const result = await response.json();
+            const count = result.data.active.filter(alert => !alert.acknowledgedAt && !alert.silenced).length;
+            alertsCount.textContent = count;
+            alertsCount.hidden = count === 0;
+            alertsIcon.title = count > 0 ? `Alerts (${count} unacknowledged)` : 'Alerts';
+        } catch (error) {
+            console.error('Error fetching alerts:', error);
+        }
+    }
+
+    /**
+     * Fetches the energy report for the selected period and redraws the Energy &
+     * Profitability section with it.
+     */
+    async function updateEnergySummary() {
+        try {
+            const response = await fetch(`/api/energy?period=${energyPeriod}`);
+            if (!response.ok) return;
+            const result = await response.json();
+            energyReport = result.data;
+            const summary = document.getElementById('energy-summary');
+            if (summary) {
+                summary.innerHTML = generateEnergySummaryHtml(energyReport);
+            }
+        } catch (error) {
+            console.error('Error fetching the energy report:', error);
+        }
+    }
+
+    /**
+     * Shows a notice for every Bitaxe whose MAC address turned up at a different URL,
+     * or whose URL now answers with a different device, with buttons to update the URL
+     * or dismiss the notice.
+     */
+    async function updateDeviceIdentityNotices() {
+        if (!deviceIdentityNotices) return;
+        try {
+            const response = await fetch('/api/devices/identity');
+            if (!response.ok) return;
+            const result = await response.json();
+            const changes = result.data.changes;
+
+            deviceIdentityNotices.textContent = '';
+            deviceIdentityNotices.hidden = changes.length === 0;
+            changes.forEach(change => {
+                const notice = document.createElement('div');
+                notice.className = 'device-identity-notice';
+                const message = document.createElement('span');
+                notice.appendChild(message);
+
+                const addButton = (label, action) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'animated-button';
+                    button.textContent = label;
+                    button.addEventListener('click', async () => {
+                        button.disabled = true;
+                        try {
+                            const actionResponse = await fetch(`/api/devices/identity/${action}`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ name: change.name })
+                            });
+                            const actionResult = await actionResponse.json();
+                            if (!actionResponse.ok) {
+                                alert(`Error: ${actionResult.message || 'Unknown error'}`);
+                            }
+                        } catch (error) {
+                            console.error(`Error sending ${action} for ${change.name}:`, error);
+                        }
+                        updateDeviceIdentityNotices();
+                    });
+                    notice.appendChild(button);
+                };
+
+                if (change.type === 'moved') {
+                    message.textContent = `${change.name} (${change.macAddr}) is now at ${change.newUrl} instead of ${change.oldUrl}.`;
+                    if (!disableConfigurations) {
+                        addButton('Update URL', 'apply');
+                        addButton('Dismiss', 'dismiss');
+                    }
+                } else {
+                    message.textContent = `${change.url} of ${change.name} is answered by a different device` +
+                        ` (${change.foundHostname || 'unknown'}, ${change.foundMacAddr} instead of ${change.expectedMacAddr}).`;
+                    if (!disableConfigurations) {
+                        addButton('Keep New Device', 'dismiss');
+                    }
+                }
+                deviceIdentityNotices.appendChild(notice);
+            });
+        } catch (error) {
+            console.error('Error fetching device identities:', error);
+        }
+    }
+
     /**
      * Checks if a configuration migration was performed and shows a notification modal
      */
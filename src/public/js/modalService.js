@@ -75,6 +75,7 @@ const modalService = (() => {
                 { key: 'web_server_port', label: 'Web Server Port', type: 'number', min: 1, max: 65535 },
                 { key: 'disable_authentication', label: 'Disable Authentication', type: 'checkbox' },
                 { key: 'cookie_max_age', label: 'Cookie Max Age (seconds)', type: 'number', min: 300 },
+                { key: 'poll_interval_seconds', label: 'Poll Interval (seconds)', type: 'number', min: 1, note: 'How often devices are polled' },
                 { key: 'disable_settings', label: 'Disable Device Settings', type: 'checkbox' },
                 { key: 'disable_configurations', label: 'Disable Configurations', type: 'checkbox' },
             ]
@@ -105,9 +106,23 @@ const modalService = (() => {
                     type: 'bitaxe_instances_table'
                 },
             ]
+        },
+        {
+            category: 'Scheduled Actions',
+            fields: [
+                {
+                    key: 'schedules',
+                    label: '',
+                    type: 'schedules_table',
+                    note: 'Schedules are saved as you edit them, separately from Save Configuration'
+                },
+            ]
         }
     ];
 
+    // Table-like editors that span the whole form width and have no label.
+    const tableFieldTypes = ['bitaxe_instances_table', 'mining_core_instances_table', 'schedules_table'];
+
     /**
      * Generates the inner HTML for the settings form based on device data and configuration.
      * @param {object} deviceData - The data for the specific device.
@@ -123,7 +138,7 @@ const modalService = (() => {
                 const currentValue = deviceData[field.key] !== undefined ? deviceData[field.key] : '';
 
                 // Skip label for table types
-                if (field.type !== 'bitaxe_instances_table' && field.type !== 'mining_core_instances_table') {
+                if (!tableFieldTypes.includes(field.type)) {
                     formHtml += `<label for="${field.key}">${field.label}:</label>`;
                 }
 
@@ -153,6 +168,10 @@ const modalService = (() => {
                     case 'mining_core_instances_table':
                         fieldHtml = generateMiningCoreInstancesTable(currentValue);
                         break;
+                    case 'schedules_table':
+                        // Filled in by loadSchedulesPanel() once the modal is open.
+                        fieldHtml = '<div id="schedules-panel" class="schedules-panel"><p>Loading schedules...</p></div>';
+                        break;
                     default: // text, number
                         const maxAttr = field.max ? `max="${field.max}"` : '';
                         const minAttr = field.min ? `min="${field.min}"` : '';
@@ -160,7 +179,7 @@ const modalService = (() => {
                         fieldHtml = `<input type="${field.type}" id="${field.key}" name="${field.key}" value="${currentValue}" ${maxAttr} ${minAttr} ${placeholderAttr}>`;
                 }
                 let noteHtml = field.note ? ` <small>(${field.note})</small>` : '';
-                if (field.type === 'bitaxe_instances_table' || field.type === 'mining_core_instances_table') {
+                if (tableFieldTypes.includes(field.type)) {
                     // For complex editors, span the full width
                     formHtml += `<div class="full-width-field">${fieldHtml}${noteHtml}</div>`;
                 } else {
@@ -206,6 +225,16 @@ const modalService = (() => {
                 <button type="button" class="animated-button add-instance-btn" onclick="addBitaxeInstance()">
                     + Add Device
                 </button>
+                <button type="button" class="animated-button discover-instances-btn" onclick="discoverBitaxeInstances()">
+                    Discover Devices
+                </button>
+                <div id="discovery-panel" class="discovery-panel" style="display: none;">
+                    <div class="discovery-scan-row">
+                        <input type="text" id="discovery-cidr" placeholder="Network range, e.g. 192.168.1.0/24 (empty: configured default)">
+                        <button type="button" class="animated-button" id="discovery-scan-btn" onclick="discoverBitaxeInstances(true)">Scan</button>
+                    </div>
+                    <div id="discovery-results"></div>
+                </div>
             </div>`;
         
         return tableHtml;
@@ -243,6 +272,96 @@ const modalService = (() => {
         updateInstanceIndices();
     }
 
+    /**
+     * Shows the discovery panel, or with `scan` set, scans the network for AxeOS devices
+     * and lists them for adding. Devices already in the list are shown but cannot be picked.
+     * @param {boolean} [scan=false] - Whether to run the scan rather than just show the panel.
+     */
+    async function discoverBitaxeInstances(scan = false) {
+        const panel = document.getElementById('discovery-panel');
+        const results = document.getElementById('discovery-results');
+        const scanButton = document.getElementById('discovery-scan-btn');
+        panel.style.display = 'block';
+        if (!scan) {
+            return;
+        }
+
+        const cidr = document.getElementById('discovery-cidr').value.trim();
+        scanButton.disabled = true;
+        results.innerHTML = '<p class="discovery-status">Scanning the network, this can take a minute...</p>';
+
+        try {
+            const response = await fetch('/api/discovery/scan', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(cidr ? { cidr } : {})
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || `HTTP ${response.status}`);
+            }
+
+            const { devices } = result.data;
+            if (devices.length === 0) {
+                results.innerHTML = `<p class="discovery-status">No devices found in ${escapeHtml(result.data.cidr)}.</p>`;
+                return;
+            }
+
+            const listedUrls = collectBitaxeInstancesData().map(instance => Object.values(instance)[0].replace(/\/+$/, ''));
+            let listHtml = '';
+            devices.forEach(device => {
+                const configured = device.alreadyConfigured || listedUrls.includes(device.url);
+                let note = device.configuredName ? `configured as ${device.configuredName}` : 'already listed';
+                if (device.urlChanged) {
+                    note += ' (new address, see the notice on the dashboard)';
+                }
+                listHtml += `
+                    <label class="discovered-device${configured ? ' configured' : ''}">
+                        <input type="checkbox" data-name="${escapeHtml(device.hostname || device.ip)}" data-url="${escapeHtml(device.url)}"${configured ? ' disabled' : ' checked'}>
+                        <span>${escapeHtml(device.hostname || device.ip)}</span>
+                        <span>${escapeHtml(device.url)}</span>
+                        <span>${escapeHtml(device.ASICModel)} ${escapeHtml(device.version)}</span>
+                        <span>${configured ? escapeHtml(note) : escapeHtml(device.macAddr || '')}</span>
+                    </label>`;
+            });
+            listHtml += `
+                <button type="button" class="animated-button add-instance-btn" onclick="addDiscoveredInstances()">
+                    + Add Selected Devices
+                </button>`;
+            results.innerHTML = listHtml;
+        } catch (error) {
+            console.error('Error discovering devices:', error);
+            results.innerHTML = `<p class="discovery-status error">Network scan failed: ${escapeHtml(error.message)}</p>`;
+        } finally {
+            scanButton.disabled = false;
+        }
+    }
+
+    /**
+     * Adds the checked discovered devices as instance rows, filling an empty row first.
+     */
+    function addDiscoveredInstances() {
+        const container = document.getElementById('bitaxe-instances-rows');
+        const selected = document.querySelectorAll('#discovery-results input[type="checkbox"]:checked:not(:disabled)');
+
+        selected.forEach(checkbox => {
+            const emptyRow = [...container.querySelectorAll('.instance-row')].find(row =>
+                !row.querySelector('.instance-name').value.trim() && !row.querySelector('.instance-url').value.trim());
+            if (emptyRow) {
+                emptyRow.querySelector('.instance-name').value = checkbox.dataset.name;
+                emptyRow.querySelector('.instance-url').value = checkbox.dataset.url;
+            } else {
+                const newRow = document.createElement('div');
+                newRow.innerHTML = generateInstanceRow(escapeHtml(checkbox.dataset.name), escapeHtml(checkbox.dataset.url), container.children.length);
+                container.appendChild(newRow.firstElementChild);
+            }
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        });
+
+        updateInstanceIndices();
+    }
+
     /**
      * Removes a Bitaxe instance row.
      * @param {number} index - The index of the row to remove.
@@ -467,15 +586,16 @@ const modalService = (() => {
         e.preventDefault();
         const form = e.target;
 
-        const frequencyInput = form.querySelector('[name="frequency"]');
-        if (frequencyInput && Number(frequencyInput.value) > 1000) {
-            alert('Frequency cannot be greater than 1000 MHz.');
+        // Drop-downs only offer the ASIC's own values; free inputs carry their limit in max.
+        const frequencyInput = form.querySelector('input[name="frequency"]');
+        if (frequencyInput && Number(frequencyInput.value) > Number(frequencyInput.max)) {
+            alert(`Frequency cannot be greater than ${frequencyInput.max} MHz.`);
             return;
         }
 
-        const coreVoltageInput = form.querySelector('[name="coreVoltage"]');
-        if (coreVoltageInput && Number(coreVoltageInput.value) > 1300) {
-            alert('Core Voltage cannot be greater than 1300 mV.');
+        const coreVoltageInput = form.querySelector('input[name="coreVoltage"]');
+        if (coreVoltageInput && Number(coreVoltageInput.value) > Number(coreVoltageInput.max)) {
+            alert(`Core Voltage cannot be greater than ${coreVoltageInput.max} mV.`);
             return;
         }
 
@@ -497,6 +617,32 @@ const modalService = (() => {
             });
         });
 
+        // A wrong SSID or password leaves the miner unable to reconnect, so ask first.
+        const ssidInput = form.querySelector('[name="ssid"]');
+        const ssidChanged = ssidInput && ssidInput.value !== ssidInput.defaultValue;
+        if (ssidChanged || payload.wifiPass !== undefined) {
+            const change = ssidChanged
+                ? `switch <strong>${escapeHtml(instanceId)}</strong> to the WiFi network <strong>${escapeHtml(ssidInput.value)}</strong>`
+                : `change the WiFi password of <strong>${escapeHtml(instanceId)}</strong>`;
+            openConfirmModal(
+                'Confirm WiFi Change',
+                `You are about to ${change}. The miner uses the new WiFi settings after its next restart. ` +
+                'If the network name or password is wrong, it cannot reconnect and drops off the dashboard ' +
+                'until you join its own access point (or use USB) to fix the WiFi settings. Continue?',
+                () => sendSettings(instanceId, payload, closeModal)
+            );
+            return;
+        }
+        await sendSettings(instanceId, payload, closeModal);
+    }
+
+    /**
+     * Sends the settings of the settings form to a miner.
+     * @param {string} instanceId - The miner.
+     * @param {object} payload - The settings.
+     * @param {Function} closeModal - A function to close the modal on success.
+     */
+    async function sendSettings(instanceId, payload, closeModal) {
         try {
             const response = await fetch(`/api/instance/service/settings?instanceId=${instanceId}`, {
                 method: 'PATCH',
@@ -505,9 +651,9 @@ const modalService = (() => {
             });
             const result = await response.json();
             if (response.ok) {
+                // The dashboard picks up the new values with the next live update.
                 alert('Settings saved successfully! The device will now apply them.');
                 closeModal();
-                setTimeout(() => location.reload(), 1000);
             } else {
                 alert(`Error saving settings: ${result.message || 'Unknown error'}`);
             }
@@ -559,6 +705,9 @@ const modalService = (() => {
                     value = collectMiningCoreInstancesData();
                     // Mining core instances are optional, so empty array is OK
                     payload[field.key] = value;
+                } else if (field.type === 'schedules_table') {
+                    // Schedules are saved through /api/schedules as they are edited.
+                    return;
                 } else {
                     // Handle all other field types normally
                     const element = form.querySelector(`[name="${field.key}"]`);
@@ -639,6 +788,7 @@ const modalService = (() => {
             modal.querySelector('.cancel-button').addEventListener('click', closeModal);
             window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
             form.addEventListener('submit', (e) => handleConfigFormSubmit(e, closeModal));
+            loadSchedulesPanel(configData);
 
         } catch (error) {
             console.error('Failed to open configuration modal:', error);
@@ -646,6 +796,254 @@ const modalService = (() => {
         }
     }
 
+    /**
+     * Formats a schedule's devices for the schedules table.
+     * @param {Array<string>|string|undefined} instances - The schedule's instances.
+     * @returns {string} The device names, or "All miners".
+     */
+    function formatScheduleInstances(instances) {
+        return Array.isArray(instances) ? instances.join(', ') : 'All miners';
+    }
+
+    /**
+     * Generates the schedules table, the (hidden) schedule editor and the run log of the
+     * Scheduled Actions section of the configuration modal.
+     * @param {Array<object>} schedules - The schedules from /api/schedules.
+     * @param {Array<object>} runs - The latest runs from /api/schedules/runs.
+     * @param {Array<object>} profiles - The settings profiles, for the profile action.
+     * @param {Array<string>} deviceNames - The configured Bitaxe names.
+     * @returns {string} The HTML string.
+     */
+    function generateSchedulesPanelHtml(schedules, runs, profiles, deviceNames) {
+        const scheduleRows = schedules.map((schedule, index) => `
+            <tr class="${schedule.enabled === false ? 'schedule-disabled' : ''}">
+                <td>${escapeHtml(schedule.name)}${schedule.problem ? `<br><small class="schedule-problem">${escapeHtml(schedule.problem)}</small>` : ''}</td>
+                <td><code>${escapeHtml(schedule.cron)}</code></td>
+                <td>${escapeHtml(schedule.action === 'profile' ? `Profile ${schedule.profile}` : schedule.action)}</td>
+                <td>${escapeHtml(formatScheduleInstances(schedule.instances))}</td>
+                <td>${schedule.enabled === false ? 'Disabled' : formatAlertTime(schedule.nextRun)}</td>
+                <td>${schedule.lastRun ? `${escapeHtml(schedule.lastRun.status)}, ${formatAlertTime(schedule.lastRun.startedAt)}` : '-'}</td>
+                <td class="alert-actions">
+                    <button type="button" class="animated-button schedule-edit-button" data-index="${index}">Edit</button>
+                    <button type="button" class="animated-button schedule-run-button" data-index="${index}">Run Now</button>
+                    <button type="button" class="animated-button schedule-delete-button" data-index="${index}">Delete</button>
+                </td>
+            </tr>`).join('');
+        const schedulesHtml = schedules.length === 0
+            ? '<p class="alerts-empty">No scheduled actions.</p>'
+            : `<table class="alerts-table">
+                <thead><tr><th>Name</th><th>When</th><th>Action</th><th>Devices</th><th>Next Run</th><th>Last Run</th><th></th></tr></thead>
+                <tbody>${scheduleRows}</tbody>
+            </table>`;
+
+        const runRows = runs.map(run => {
+            const failed = run.results.filter(result => !result.success)
+                .map(result => `${result.instanceId}: ${result.error}`);
+            return `
+                <tr class="schedule-run-${escapeHtml(run.status)}">
+                    <td>${formatAlertTime(run.startedAt)}</td>
+                    <td>${escapeHtml(run.schedule)}</td>
+                    <td>${escapeHtml(run.action)}${run.trigger === 'manual' ? ' (run now)' : ''}</td>
+                    <td>${escapeHtml(run.status)}</td>
+                    <td>${escapeHtml(run.message)}${failed.length > 0 ? `<br><small>${escapeHtml(failed.join('; '))}</small>` : ''}</td>
+                </tr>`;
+        }).join('');
+        const runsHtml = runs.length === 0
+            ? '<p class="alerts-empty">No runs yet.</p>'
+            : `<table class="alerts-table">
+                <thead><tr><th>Time</th><th>Schedule</th><th>Action</th><th>Result</th><th>Details</th></tr></thead>
+                <tbody>${runRows}</tbody>
+            </table>`;
+
+        const profileOptions = profiles.map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}</option>`).join('');
+        const deviceOptions = deviceNames.map(name => `
+            <label><input type="checkbox" class="schedule-device" value="${escapeHtml(name)}"> ${escapeHtml(name)}</label>`).join('');
+
+        return `
+            ${schedulesHtml}
+            <button type="button" class="animated-button schedule-add-button">+ Add Schedule</button>
+            <div class="schedule-editor" hidden>
+                <div class="form-grid">
+                    <label for="schedule-name">Name:</label>
+                    <div><input type="text" id="schedule-name" placeholder="e.g. Quiet night"></div>
+                    <label for="schedule-cron">When:</label>
+                    <div><input type="text" id="schedule-cron" placeholder="0 22 * * *"> <small>(minute hour day month weekday, e.g. 0 3 * * SUN)</small></div>
+                    <label for="schedule-action">Action:</label>
+                    <div>
+                        <select id="schedule-action">
+                            <option value="profile">Apply profile</option>
+                            <option value="restart">Restart</option>
+                            <option value="settings">Apply settings</option>
+                            <option value="pool">Change pool</option>
+                        </select>
+                    </div>
+                    <label for="schedule-profile" class="schedule-profile-field">Profile:</label>
+                    <div class="schedule-profile-field"><select id="schedule-profile">${profileOptions}</select></div>
+                    <label for="schedule-payload" class="schedule-payload-field">Settings (JSON):</label>
+                    <div class="schedule-payload-field"><textarea id="schedule-payload" rows="3" placeholder='{"frequency": 490, "coreVoltage": 1150}'></textarea></div>
+                    <label>Devices:</label>
+                    <div class="schedule-devices">
+                        <label><input type="checkbox" id="schedule-all-devices" checked> All miners</label>
+                        ${deviceOptions}
+                    </div>
+                    <label for="schedule-enabled">Enabled:</label>
+                    <div><input type="checkbox" id="schedule-enabled" checked></div>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="animated-button schedule-cancel-button">Cancel</button>
+                    <button type="button" class="animated-button schedule-save-button">Save Schedule</button>
+                </div>
+            </div>
+            <h4>Run Log</h4>
+            ${runsHtml}`;
+    }
+
+    /**
+     * Loads the schedules, their run log and the settings profiles into the Scheduled
+     * Actions section of the configuration modal, and wires up adding, editing, running
+     * and deleting schedules. Every change is sent to /api/schedules straight away.
+     * @param {object} configData - The configuration shown in the modal.
+     */
+    async function loadSchedulesPanel(configData) {
+        const panel = document.getElementById('schedules-panel');
+        if (!panel) return;
+
+        let schedules;
+        let runs;
+        try {
+            const [schedulesResponse, runsResponse] = await Promise.all([
+                fetch('/api/schedules'),
+                fetch('/api/schedules/runs?limit=20')
+            ]);
+            schedules = (await schedulesResponse.json()).data;
+            runs = (await runsResponse.json()).data;
+        } catch (error) {
+            console.error('Failed to load schedules:', error);
+            panel.innerHTML = '<p class="alerts-empty">Failed to load schedules.</p>';
+            return;
+        }
+        const profiles = await fetchProfiles();
+        const deviceNames = (configData.bitaxe_instances || []).map(instance => Object.keys(instance)[0]);
+        panel.innerHTML = generateSchedulesPanelHtml(schedules, runs, profiles, deviceNames);
+
+        const editor = panel.querySelector('.schedule-editor');
+        const actionSelect = panel.querySelector('#schedule-action');
+        const allDevices = panel.querySelector('#schedule-all-devices');
+        const deviceBoxes = Array.from(panel.querySelectorAll('.schedule-device'));
+        let editingName;
+
+        // Enter in the editor must not submit the configuration form.
+        panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.tagName !== 'TEXTAREA') event.preventDefault();
+        });
+
+        const showActionFields = () => {
+            panel.querySelectorAll('.schedule-profile-field').forEach(element => { element.hidden = actionSelect.value !== 'profile'; });
+            panel.querySelectorAll('.schedule-payload-field').forEach(element => {
+                element.hidden = !['settings', 'pool'].includes(actionSelect.value);
+            });
+        };
+        const showDeviceBoxes = () => {
+            deviceBoxes.forEach(box => { box.disabled = allDevices.checked; });
+        };
+        actionSelect.addEventListener('change', showActionFields);
+        allDevices.addEventListener('change', showDeviceBoxes);
+
+        const openEditor = (schedule) => {
+            editingName = schedule ? schedule.name : undefined;
+            panel.querySelector('#schedule-name').value = schedule ? schedule.name : '';
+            panel.querySelector('#schedule-cron').value = schedule ? schedule.cron : '';
+            actionSelect.value = schedule ? schedule.action : 'profile';
+            panel.querySelector('#schedule-profile').value = schedule && schedule.profile ? schedule.profile : '';
+            panel.querySelector('#schedule-payload').value = schedule && schedule.payload ? JSON.stringify(schedule.payload) : '';
+            panel.querySelector('#schedule-enabled').checked = !schedule || schedule.enabled !== false;
+            allDevices.checked = !schedule || !Array.isArray(schedule.instances);
+            deviceBoxes.forEach(box => {
+                box.checked = Boolean(schedule && Array.isArray(schedule.instances) && schedule.instances.includes(box.value));
+            });
+            showActionFields();
+            showDeviceBoxes();
+            editor.hidden = false;
+            panel.querySelector('#schedule-name').focus();
+        };
+
+        const postSchedules = async (path, body) => {
+            try {
+                const response = await fetch(`/api/schedules/${path}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(`Error: ${result.message || 'Unknown error'}`);
+                    return null;
+                }
+                return result;
+            } catch (error) {
+                console.error(`Schedule request ${path} failed:`, error);
+                alert('Failed to send the request to the server. See console for details.');
+                return null;
+            }
+        };
+
+        panel.querySelector('.schedule-add-button').addEventListener('click', () => openEditor(null));
+        panel.querySelector('.schedule-cancel-button').addEventListener('click', () => { editor.hidden = true; });
+        panel.querySelectorAll('.schedule-edit-button').forEach(button => {
+            button.addEventListener('click', () => openEditor(schedules[Number(button.dataset.index)]));
+        });
+        panel.querySelectorAll('.schedule-run-button').forEach(button => {
+            button.addEventListener('click', async () => {
+                const schedule = schedules[Number(button.dataset.index)];
+                button.disabled = true;
+                const result = await postSchedules('run', { name: schedule.name });
+                if (result) {
+                    alert(`${schedule.name}: ${result.data.status} - ${result.message}`);
+                }
+                loadSchedulesPanel(configData);
+            });
+        });
+        panel.querySelectorAll('.schedule-delete-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const schedule = schedules[Number(button.dataset.index)];
+                openConfirmModal('Delete Schedule', `Are you sure you want to delete the schedule "${escapeHtml(schedule.name)}"?`, async () => {
+                    await postSchedules('delete', { name: schedule.name });
+                    loadSchedulesPanel(configData);
+                });
+            });
+        });
+
+        panel.querySelector('.schedule-save-button').addEventListener('click', async () => {
+            const schedule = {
+                name: panel.querySelector('#schedule-name').value.trim(),
+                cron: panel.querySelector('#schedule-cron').value.trim(),
+                action: actionSelect.value,
+                enabled: panel.querySelector('#schedule-enabled').checked
+            };
+            if (schedule.action === 'profile') {
+                schedule.profile = panel.querySelector('#schedule-profile').value;
+            }
+            if (['settings', 'pool'].includes(schedule.action)) {
+                try {
+                    schedule.payload = JSON.parse(panel.querySelector('#schedule-payload').value || '{}');
+                } catch (error) {
+                    alert(`The settings are not valid JSON: ${error.message}`);
+                    return;
+                }
+            }
+            if (!allDevices.checked) {
+                schedule.instances = deviceBoxes.filter(box => box.checked).map(box => box.value);
+                if (schedule.instances.length === 0) {
+                    alert('Select at least one miner, or All miners.');
+                    return;
+                }
+            }
+            if (await postSchedules('save', { schedule, originalName: editingName })) {
+                loadSchedulesPanel(configData);
+            }
+        });
+    }
+
     /**
      * Creates and displays the settings modal for a given device.
      * @param {object} deviceData - The data for the specific device.
@@ -660,8 +1058,14 @@ const modalService = (() => {
                 <div class="modal-content">
                     <span class="close-button">&times;</span>
                     <h2>Settings for ${deviceData.id}</h2>
+                    <div class="profile-bar">
+                        <label for="settings-profile-select">Profile:</label>
+                        <select id="settings-profile-select"><option value="">Choose a profile</option></select>
+                        <button type="button" class="animated-button profile-load-button">Load</button>
+                    </div>
                     <form id="settings-form" data-instance-id="${deviceData.id}" novalidate>
                         ${formHtml}
+                        ${generateProfileSaveHtml()}
                         <div class="modal-actions">
                             <button type="button" class="animated-button cancel-button">Cancel</button>
                             <button type="submit" class="animated-button">Save Changes</button>
@@ -679,6 +1083,801 @@ const modalService = (() => {
         modal.querySelector('.cancel-button').addEventListener('click', closeModal);
         window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
         form.addEventListener('submit', (e) => handleSettingsFormSubmit(e, closeModal));
+        attachProfileEventListeners(modal, form);
+        attachAsicOptions(form, deviceData.id);
+        attachWifiScan(form, deviceData.id);
+    }
+
+    // Names of the AxeOS WiFi authentication modes (authmode in /api/system/wifi/scan).
+    const wifiAuthModes = [
+        'Open', 'WEP', 'WPA', 'WPA2', 'WPA/WPA2', 'WPA2 Enterprise', 'WPA3',
+        'WPA2/WPA3', 'WAPI', 'OWE', 'WPA3 Enterprise 192', 'WPA3 192', 'WPA3 Ext'
+    ];
+
+    /**
+     * Adds a Scan button to the SSID field that lists the networks the miner hears, with
+     * their signal strength and authentication mode. Picking one fills in the SSID.
+     * @param {HTMLFormElement} form - The settings form.
+     * @param {string} instanceId - The miner.
+     */
+    function attachWifiScan(form, instanceId) {
+        const ssidInput = form.querySelector('[name="ssid"]');
+        if (!ssidInput) return;
+        ssidInput.insertAdjacentHTML('afterend', `
+            <button type="button" class="animated-button wifi-scan-button">Scan</button>
+            <div class="wifi-networks"></div>`);
+        const button = form.querySelector('.wifi-scan-button');
+        const list = form.querySelector('.wifi-networks');
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            list.innerHTML = '<p>Scanning for networks...</p>';
+            try {
+                const response = await fetch(`/api/instance/service/wifi/scan?instanceId=${encodeURIComponent(instanceId)}`);
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || result.message || 'Unknown error');
+                }
+                const rows = result.data.map(network => `
+                    <tr class="wifi-network${network.ssid === ssidInput.value ? ' wifi-network-current' : ''}" data-ssid="${escapeHtml(network.ssid)}">
+                        <td>${escapeHtml(network.ssid)}</td>
+                        <td>${network.rssi} dBm</td>
+                        <td>${wifiAuthModes[network.authmode] || `Mode ${network.authmode}`}</td>
+                    </tr>`).join('');
+                list.innerHTML = result.data.length === 0
+                    ? '<p class="alerts-empty">No networks found.</p>'
+                    : `<table class="alerts-table">
+                        <thead><tr><th>Network</th><th>Signal</th><th>Security</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>`;
+            } catch (error) {
+                console.error('WiFi scan failed:', error);
+                list.innerHTML = `<p class="alerts-empty">WiFi scan failed: ${escapeHtml(error.message)}</p>`;
+            }
+            button.disabled = false;
+        });
+
+        list.addEventListener('click', (event) => {
+            const row = event.target.closest('.wifi-network');
+            if (!row) return;
+            ssidInput.value = row.getAttribute('data-ssid');
+            list.querySelectorAll('.wifi-network').forEach(candidate => {
+                candidate.classList.toggle('wifi-network-current', candidate === row);
+            });
+        });
+    }
+
+    /**
+     * Offers the frequencies and core voltages of the miner's ASIC (from /api/system/asic)
+     * as drop-downs, like AxeOS does. While Enable Overclock is ticked the fields take any
+     * value up to the form's limit, or the ASIC's highest option if that is higher.
+     * Miners whose firmware does not report the options keep the plain fields.
+     * @param {HTMLFormElement} form - The settings form.
+     * @param {string} instanceId - The miner.
+     */
+    async function attachAsicOptions(form, instanceId) {
+        let asicInfo = null;
+        try {
+            const response = await fetch(`/api/instance/service/asic?instanceId=${encodeURIComponent(instanceId)}`);
+            const result = await response.json();
+            if (response.ok) asicInfo = result.data;
+        } catch (error) {
+            console.error('Failed to load the ASIC options:', error);
+        }
+        if (!asicInfo || !document.body.contains(form)) return;
+
+        const performanceFields = settingsFormConfig.find(category => category.category === 'Performance').fields;
+        const tuningFields = [
+            { key: 'frequency', unit: 'MHz', options: asicInfo.frequencyOptions, defaultValue: asicInfo.defaultFrequency },
+            { key: 'coreVoltage', unit: 'mV', options: asicInfo.voltageOptions, defaultValue: asicInfo.defaultVoltage }
+        ];
+        const overclockInput = form.querySelector('[name="overclockEnabled"]');
+
+        const render = () => {
+            const custom = Boolean(overclockInput && overclockInput.checked);
+            tuningFields.forEach(field => {
+                const element = form.querySelector(`[name="${field.key}"]`);
+                if (!element || (element.tagName === 'INPUT') === custom) return;
+                const value = element.value;
+                let replacement;
+                if (custom) {
+                    replacement = document.createElement('input');
+                    replacement.type = 'number';
+                    replacement.max = Math.max(performanceFields.find(candidate => candidate.key === field.key).max, ...field.options);
+                } else {
+                    replacement = document.createElement('select');
+                    if (value !== '' && !field.options.map(String).includes(value)) {
+                        replacement.add(new Option(`${value} ${field.unit} (current, outside the ${asicInfo.ASICModel} range)`, value));
+                    }
+                    field.options.forEach(option => {
+                        replacement.add(new Option(`${option} ${field.unit}${option === field.defaultValue ? ' (default)' : ''}`, option));
+                    });
+                }
+                replacement.id = field.key;
+                replacement.name = field.key;
+                replacement.value = value;
+                element.replaceWith(replacement);
+            });
+        };
+        render();
+        if (overclockInput) overclockInput.addEventListener('change', render);
+    }
+
+    /**
+     * Fetches the saved settings profiles.
+     * @returns {Promise<Array<object>>} The profiles, or an empty list if they could not be loaded.
+     */
+    async function fetchProfiles() {
+        try {
+            const response = await fetch('/api/profiles');
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to load profiles');
+            }
+            return result.data;
+        } catch (error) {
+            console.error('Failed to load settings profiles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fills a profile select with the saved profiles.
+     * @param {HTMLSelectElement} select - The select element; its first option is kept.
+     * @param {Array<object>} profiles - The profiles.
+     */
+    function fillProfileSelect(select, profiles) {
+        while (select.options.length > 1) select.remove(1);
+        profiles.forEach(profile => select.add(new Option(profile.name, profile.name)));
+    }
+
+    /**
+     * Generates the "Save as Profile" section of the settings form. The ticked categories
+     * decide which settings go into the profile, so a profile can hold only the tuning or
+     * only the pool.
+     * @returns {string} The HTML string.
+     */
+    function generateProfileSaveHtml() {
+        const categoriesHtml = settingsFormConfig.map(category => `
+            <label><input type="checkbox" name="profile-category" value="${category.category}" ${category.category === 'Performance' ? 'checked' : ''}> ${category.category}</label>`).join('');
+        return `
+            <details class="profile-save">
+                <summary>Save as Profile</summary>
+                <div class="profile-save-row">
+                    <input type="text" id="profile-name" placeholder="e.g. Quiet night 490MHz/1150mV">
+                    <button type="button" class="animated-button profile-save-button">Save Profile</button>
+                </div>
+                <div class="profile-categories">${categoriesHtml}</div>
+                <small>The hostname and blank passwords are never saved in a profile.</small>
+            </details>`;
+    }
+
+    /**
+     * Wires up loading a profile into the settings form and saving the form as a profile.
+     * Loading only fills in the form; the settings are sent with Save Changes, like any edit.
+     * @param {HTMLElement} modal - The settings modal.
+     * @param {HTMLFormElement} form - The settings form.
+     */
+    async function attachProfileEventListeners(modal, form) {
+        const select = modal.querySelector('#settings-profile-select');
+        let profiles = await fetchProfiles();
+        fillProfileSelect(select, profiles);
+
+        modal.querySelector('.profile-load-button').addEventListener('click', () => {
+            const profile = profiles.find(candidate => candidate.name === select.value);
+            if (!profile) return;
+            const skipped = [];
+            Object.entries(profile.settings).forEach(([key, value]) => {
+                const element = form.querySelector(`[name="${key}"]`);
+                if (!element) {
+                    skipped.push(key);
+                } else if (element.type === 'checkbox') {
+                    element.checked = Boolean(Number(value));
+                    element.dispatchEvent(new Event('change'));
+                } else if (element.tagName === 'SELECT' && !Array.from(element.options).some(option => option.value === String(value))) {
+                    // A value the ASIC does not offer; the server refuses it unless overclocking is enabled.
+                    element.add(new Option(`${value} (from profile)`, value));
+                    element.value = value;
+                } else {
+                    element.value = value;
+                }
+            });
+            if (skipped.length > 0) {
+                alert(`These profile settings are not part of this form and were not loaded: ${skipped.join(', ')}`);
+            }
+        });
+
+        modal.querySelector('.profile-save-button').addEventListener('click', async () => {
+            const name = form.querySelector('#profile-name').value.trim();
+            const categories = Array.from(form.querySelectorAll('[name="profile-category"]:checked')).map(box => box.value);
+            if (!name || categories.length === 0) {
+                alert('Enter a profile name and tick at least one category.');
+                return;
+            }
+
+            const settings = {};
+            settingsFormConfig
+                .filter(category => categories.includes(category.category))
+                .forEach(category => {
+                    category.fields.forEach(field => {
+                        const element = form.querySelector(`[name="${field.key}"]`);
+                        if (!element || field.key === 'hostname') return;
+                        const value = (field.type === 'checkbox') ? (element.checked ? 1 : 0) : element.value;
+                        if (field.type === 'password' && value === '') return;
+                        settings[field.key] = (field.type === 'number') ? Number(value) : value;
+                    });
+                });
+
+            if (profiles.some(profile => profile.name === name) && !confirm(`Replace the profile "${name}"?`)) {
+                return;
+            }
+            try {
+                const response = await fetch('/api/profiles/save', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name, settings })
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(`Error saving profile: ${result.message || 'Unknown error'}`);
+                    return;
+                }
+                profiles = await fetchProfiles();
+                fillProfileSelect(select, profiles);
+                select.value = name;
+                alert(`Profile "${name}" saved with ${Object.keys(settings).length} settings.`);
+            } catch (error) {
+                console.error('Failed to save profile:', error);
+                alert('Failed to save the profile. See console for details.');
+            }
+        });
+    }
+
+    /**
+     * Opens the modal that applies a saved profile to the selected miners, and deletes
+     * profiles that are no longer needed.
+     * @param {Array<string>} instanceIds - The selected miners.
+     */
+    async function openApplyProfileModal(instanceIds) {
+        const existingModal = document.getElementById('apply-profile-modal');
+        if (existingModal) existingModal.remove();
+
+        const modalHtml = `
+            <div id="apply-profile-modal" class="modal">
+                <div class="modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>Apply Profile to ${instanceIds.length} Miner${instanceIds.length === 1 ? '' : 's'}</h2>
+                    <p class="bulk-action-targets">${instanceIds.map(escapeHtml).join(', ')}</p>
+                    <div class="profile-bar">
+                        <label for="apply-profile-select">Profile:</label>
+                        <select id="apply-profile-select"><option value="">Choose a profile</option></select>
+                        <button type="button" class="animated-button profile-delete-button">Delete</button>
+                    </div>
+                    <div class="profile-preview"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="animated-button cancel-button">Cancel</button>
+                        <button type="button" class="animated-button profile-apply-button">Apply Profile</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('apply-profile-modal');
+        const select = modal.querySelector('#apply-profile-select');
+        const preview = modal.querySelector('.profile-preview');
+        const closeModal = () => modal.remove();
+        let profiles = [];
+
+        const showPreview = () => {
+            const profile = profiles.find(candidate => candidate.name === select.value);
+            if (!profile) {
+                preview.innerHTML = profiles.length === 0
+                    ? '<p class="alerts-empty">No profiles yet. Save one from the settings of a miner.</p>'
+                    : '';
+                return;
+            }
+            const rows = Object.entries(profile.settings).map(([key, value]) => `
+                <tr><td>${escapeHtml(key)}</td><td>${/password|pass$/i.test(key) ? '********' : escapeHtml(value)}</td></tr>`).join('');
+            preview.innerHTML = `
+                <table class="alerts-table">
+                    <thead><tr><th>Setting</th><th>Value</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        };
+        const reload = async () => {
+            profiles = await fetchProfiles();
+            fillProfileSelect(select, profiles);
+            showPreview();
+        };
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+        select.addEventListener('change', showPreview);
+
+        modal.querySelector('.profile-delete-button').addEventListener('click', () => {
+            const name = select.value;
+            if (!name) return;
+            openConfirmModal('Delete Profile', `Are you sure you want to delete the profile "${escapeHtml(name)}"?`, async () => {
+                try {
+                    const response = await fetch('/api/profiles/delete', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ name })
+                    });
+                    const result = await response.json();
+                    if (!response.ok) {
+                        alert(`Error deleting profile: ${result.message || 'Unknown error'}`);
+                    }
+                } catch (error) {
+                    console.error('Failed to delete profile:', error);
+                }
+                await reload();
+            });
+        });
+
+        modal.querySelector('.profile-apply-button').addEventListener('click', async () => {
+            const name = select.value;
+            if (!name) return;
+            try {
+                const response = await fetch('/api/profiles/apply', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name, instanceIds })
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(`Error applying profile: ${result.message || 'Unknown error'}`);
+                    return;
+                }
+                closeModal();
+                openBulkReportModal(result.data);
+            } catch (error) {
+                console.error('Failed to apply profile:', error);
+                alert('Failed to send the profile to the server. See console for details.');
+            }
+        });
+
+        await reload();
+    }
+
+    // Labels of the states a device goes through during a firmware update.
+    const firmwareDeviceStates = {
+        pending: 'Waiting',
+        uploading: 'Uploading',
+        rebooting: 'Rebooting',
+        verifying: 'Verifying',
+        success: 'Updated',
+        current: 'Up to date',
+        failed: 'Failed',
+        skipped: 'Skipped'
+    };
+
+    /**
+     * Generates the uploaded firmware files and an upload field for each file type.
+     * @param {Array<object>} files - The uploaded files from /api/firmware.
+     * @returns {string} The HTML.
+     */
+    function generateFirmwareFilesHtml(files) {
+        return ['esp-miner', 'www'].map(type => {
+            const fileName = `${type}.bin`;
+            const file = files.find(candidate => candidate.type === type);
+            const details = file
+                ? `${file.version ? `${escapeHtml(file.version)}, ` : ''}${(file.size / 1024).toFixed(0)} KB, uploaded ${formatAlertTime(file.uploadedAt)}`
+                : 'Not uploaded';
+            return `
+                <tr>
+                    <td>${fileName}</td>
+                    <td>${details}</td>
+                    <td>
+                        <input type="file" accept=".bin" data-firmware-type="${type}">
+                        <button type="button" class="animated-button firmware-upload-button" data-firmware-type="${type}">Upload</button>
+                    </td>
+                </tr>`;
+        }).join('');
+    }
+
+    /**
+     * Generates the per-device progress of a firmware update job.
+     * @param {object|null} job - The job from /api/firmware/status.
+     * @returns {string} The HTML.
+     */
+    function generateFirmwareJobHtml(job) {
+        if (!job) {
+            return '';
+        }
+        const rows = job.devices.map(device => {
+            const state = firmwareDeviceStates[device.status] || device.status;
+            const progress = device.status === 'uploading' ? ` ${device.progress}%` : '';
+            const resultClass = ['success', 'current'].includes(device.status)
+                ? 'bulk-result-success'
+                : device.status === 'failed' ? 'bulk-result-failed' : '';
+            return `
+                <tr class="${resultClass}">
+                    <td>${escapeHtml(device.instanceId)}</td>
+                    <td>${state}${progress}</td>
+                    <td>${escapeHtml(device.message || '')}</td>
+                </tr>`;
+        }).join('');
+        return `
+            <h3>${escapeHtml(job.fileName)}${job.version ? ` ${escapeHtml(job.version)}` : ''}</h3>
+            <p>${escapeHtml(job.message)}</p>
+            <table class="alerts-table">
+                <thead><tr><th>Device</th><th>Status</th><th>Details</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Opens the firmware update modal for the selected miners: upload esp-miner.bin or
+     * www.bin once, then push it to the miners one after the other and follow the progress.
+     * @param {Array<string>} instanceIds - The selected miners.
+     */
+    async function openFirmwareModal(instanceIds) {
+        const existingModal = document.getElementById('firmware-modal');
+        if (existingModal) existingModal.remove();
+
+        const modalHtml = `
+            <div id="firmware-modal" class="modal">
+                <div class="modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>Update Firmware on ${instanceIds.length} Miner${instanceIds.length === 1 ? '' : 's'}</h2>
+                    <p class="bulk-action-targets">${instanceIds.map(escapeHtml).join(', ')}</p>
+                    <table class="alerts-table">
+                        <thead><tr><th>File</th><th>Uploaded</th><th></th></tr></thead>
+                        <tbody class="firmware-files"></tbody>
+                    </table>
+                    <div class="form-grid">
+                        <label for="firmware-type">Install:</label>
+                        <select id="firmware-type">
+                            <option value="esp-miner">esp-miner.bin (firmware)</option>
+                            <option value="www">www.bin (web interface)</option>
+                        </select>
+                        <label for="firmware-stop-on-failure">Stop On First Failure:</label>
+                        <div><input type="checkbox" id="firmware-stop-on-failure" checked></div>
+                    </div>
+                    <p><small>Miners are updated one at a time. After esp-miner.bin each miner restarts and must come back with the new version before the next one starts.</small></p>
+                    <div class="firmware-job"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="animated-button cancel-button">Close</button>
+                        <button type="button" class="animated-button firmware-start-button">Start Update</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('firmware-modal');
+        const startButton = modal.querySelector('.firmware-start-button');
+        let pollTimer = null;
+        const closeModal = () => {
+            clearTimeout(pollTimer);
+            modal.remove();
+        };
+
+        const showJob = (job) => {
+            modal.querySelector('.firmware-job').innerHTML = generateFirmwareJobHtml(job);
+            const running = job && job.status === 'running';
+            startButton.disabled = running;
+            clearTimeout(pollTimer);
+            if (running) {
+                pollTimer = setTimeout(pollJob, 2000);
+            }
+        };
+        const pollJob = async () => {
+            try {
+                const response = await fetch('/api/firmware/status');
+                const result = await response.json();
+                if (document.body.contains(modal)) showJob(result.data);
+            } catch (error) {
+                console.error('Failed to fetch the firmware update status:', error);
+                pollTimer = setTimeout(pollJob, 5000);
+            }
+        };
+        const reload = async () => {
+            try {
+                const response = await fetch('/api/firmware');
+                const result = await response.json();
+                modal.querySelector('.firmware-files').innerHTML = generateFirmwareFilesHtml(result.data.files);
+                showJob(result.data.job);
+            } catch (error) {
+                console.error('Failed to load the firmware files:', error);
+            }
+        };
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+
+        modal.querySelector('.firmware-files').addEventListener('click', async (event) => {
+            const button = event.target.closest('.firmware-upload-button');
+            if (!button) return;
+            const type = button.getAttribute('data-firmware-type');
+            const file = modal.querySelector(`input[data-firmware-type="${type}"]`).files[0];
+            if (!file) {
+                alert(`Choose the ${type}.bin file to upload first.`);
+                return;
+            }
+            button.disabled = true;
+            try {
+                const response = await fetch(`/api/firmware/upload?type=${encodeURIComponent(type)}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: file
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(`Error uploading ${file.name}: ${result.message || 'Unknown error'}`);
+                }
+            } catch (error) {
+                console.error('Firmware upload failed:', error);
+                alert('Failed to upload the file to the server. See console for details.');
+            }
+            await reload();
+        });
+
+        startButton.addEventListener('click', () => {
+            const type = modal.querySelector('#firmware-type').value;
+            const stopOnFailure = modal.querySelector('#firmware-stop-on-failure').checked;
+            openConfirmModal(
+                'Confirm Firmware Update',
+                `Install ${type}.bin on ${instanceIds.length} miner${instanceIds.length === 1 ? '' : 's'}? Do not power them off during the update.`,
+                async () => {
+                    try {
+                        const response = await fetch('/api/firmware/update', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ type, instanceIds, stopOnFailure })
+                        });
+                        const result = await response.json();
+                        if (!response.ok) {
+                            alert(`Error starting the firmware update: ${result.message || 'Unknown error'}`);
+                            return;
+                        }
+                        showJob(result.data);
+                    } catch (error) {
+                        console.error('Failed to start the firmware update:', error);
+                        alert('Failed to send the firmware update to the server. See console for details.');
+                    }
+                }
+            );
+        });
+
+        await reload();
+    }
+
+    // Labels of the states of an auto-tune job.
+    const autoTuneStates = {
+        running: 'Running',
+        success: 'Finished',
+        stopped: 'Stopped',
+        aborted: 'Aborted',
+        error: 'Failed'
+    };
+
+    /**
+     * Generates the report of an auto-tune job: the best points with their apply buttons
+     * and a row per measured step.
+     * @param {object|null} job - The job from /api/autotune/status.
+     * @returns {string} The HTML.
+     */
+    function generateAutoTuneJobHtml(job) {
+        if (!job) {
+            return '<p>This miner has not been tuned yet.</p>';
+        }
+        const format = (value, digits) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+        const current = job.current
+            ? `<p>Now at ${job.current.frequency} MHz / ${job.current.coreVoltage} mV: ${job.current.phase === 'settling'
+                ? 'settling'
+                : `sample ${job.current.samples} of ${job.options.samplesPerStep}`}</p>`
+            : '';
+        const bestHtml = ['efficiency', 'hashrate'].map(point => {
+            const step = job.best && job.best[point];
+            if (!step) return '';
+            const label = point === 'efficiency' ? 'Best efficiency' : 'Best hashrate';
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${step.frequency} MHz / ${step.coreVoltage} mV</td>
+                    <td>${format(step.hashRate, 1)} GH/s, ${format(step.efficiency, 2)} J/TH</td>
+                    <td><button type="button" class="animated-button autotune-apply-button" data-point="${point}" ${job.status === 'running' ? 'disabled' : ''}>Apply</button></td>
+                </tr>`;
+        }).join('');
+        const rows = job.steps.map(step => `
+                <tr class="${step.stable ? 'autotune-step-stable' : 'autotune-step-unstable'}">
+                    <td>${step.frequency}</td>
+                    <td>${step.coreVoltage}</td>
+                    <td>${format(step.hashRate, 1)} / ${format(step.expectedHashrate, 1)}</td>
+                    <td>${format(step.power, 1)}</td>
+                    <td>${format(step.efficiency, 2)}</td>
+                    <td>${format(step.temp, 1)}</td>
+                    <td>${format(step.vrTemp, 1)}</td>
+                    <td>${step.sharesRejected} / ${step.sharesAccepted + step.sharesRejected}</td>
+                    <td>${step.stable ? 'Yes' : 'No'}</td>
+                </tr>`).join('');
+        return `
+            <h3>${autoTuneStates[job.status] || escapeHtml(job.status)}${job.asicModel ? ` (${escapeHtml(job.asicModel)})` : ''}</h3>
+            <p>${escapeHtml(job.message)}</p>
+            ${current}
+            ${bestHtml ? `<table class="alerts-table autotune-best"><tbody>${bestHtml}</tbody></table>` : ''}
+            ${rows ? `
+            <table class="alerts-table autotune-steps">
+                <thead><tr><th>MHz</th><th>mV</th><th>GH/s (expected)</th><th>W</th><th>J/TH</th><th>Temp °C</th><th>VR °C</th><th>Rejected</th><th>Stable</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>` : ''}`;
+    }
+
+    /**
+     * Generates a row of checkboxes for the frequency or voltage options of the ASIC.
+     * @param {string} name - The input name.
+     * @param {Array<number>} options - The options.
+     * @param {string} unit - The unit shown after each option.
+     * @returns {string} The HTML.
+     */
+    function generateAutoTuneOptionsHtml(name, options, unit) {
+        return options.map(option => `
+            <label><input type="checkbox" name="${name}" value="${option}" checked> ${option} ${unit}</label>`).join('');
+    }
+
+    /**
+     * Opens the auto-tune modal: steps one of the selected miners through its frequency and
+     * voltage options, shows the measurements as they come in and applies the best point.
+     * @param {Array<string>} instanceIds - The selected miners.
+     */
+    async function openAutoTuneModal(instanceIds) {
+        const existingModal = document.getElementById('autotune-modal');
+        if (existingModal) existingModal.remove();
+
+        const minerOptions = instanceIds.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`).join('');
+        const modalHtml = `
+            <div id="autotune-modal" class="modal">
+                <div class="modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>Auto-Tune</h2>
+                    <div class="form-grid">
+                        <label for="autotune-instance">Miner:</label>
+                        <select id="autotune-instance">${minerOptions}</select>
+                        <label>Frequencies:</label>
+                        <div class="autotune-options autotune-frequencies"></div>
+                        <label>Core Voltages:</label>
+                        <div class="autotune-options autotune-voltages"></div>
+                        <label for="autotune-settle">Settle Time (s):</label>
+                        <input type="number" id="autotune-settle" min="0" max="3600" value="90">
+                        <label for="autotune-samples">Polls Per Step:</label>
+                        <input type="number" id="autotune-samples" min="1" max="100" value="5">
+                        <label for="autotune-max-temp">Max ASIC Temp (°C):</label>
+                        <input type="number" id="autotune-max-temp" min="30" max="75" value="65">
+                        <label for="autotune-max-vr-temp">Max VR Temp (°C):</label>
+                        <input type="number" id="autotune-max-vr-temp" min="30" max="105" value="85">
+                    </div>
+                    <p><small>Each frequency is tried with rising core voltages until the hashrate reaches 94% of the expected hashrate. The job stops when a temperature limit is exceeded, and the miner gets its original settings back at the end.</small></p>
+                    <div class="autotune-job"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="animated-button cancel-button">Close</button>
+                        <button type="button" class="animated-button autotune-stop-button" disabled>Stop</button>
+                        <button type="button" class="animated-button autotune-start-button">Start Auto-Tune</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('autotune-modal');
+        const instanceSelect = modal.querySelector('#autotune-instance');
+        const startButton = modal.querySelector('.autotune-start-button');
+        const stopButton = modal.querySelector('.autotune-stop-button');
+        let pollTimer = null;
+        const closeModal = () => {
+            clearTimeout(pollTimer);
+            modal.remove();
+        };
+
+        const showJob = (job) => {
+            modal.querySelector('.autotune-job').innerHTML = generateAutoTuneJobHtml(job);
+            const running = Boolean(job && job.status === 'running');
+            startButton.disabled = running;
+            stopButton.disabled = !running;
+            clearTimeout(pollTimer);
+            if (running) {
+                pollTimer = setTimeout(pollJob, 3000);
+            }
+        };
+        const pollJob = async () => {
+            const instanceId = instanceSelect.value;
+            try {
+                const response = await fetch(`/api/autotune/status?instanceId=${encodeURIComponent(instanceId)}`);
+                const result = await response.json();
+                if (document.body.contains(modal) && instanceSelect.value === instanceId) showJob(result.data);
+            } catch (error) {
+                console.error('Failed to fetch the auto-tune status:', error);
+                pollTimer = setTimeout(pollJob, 5000);
+            }
+        };
+        const loadMiner = async () => {
+            const instanceId = instanceSelect.value;
+            modal.querySelector('.autotune-frequencies').innerHTML = '';
+            modal.querySelector('.autotune-voltages').innerHTML = '';
+            try {
+                const response = await fetch(`/api/instance/service/asic?instanceId=${encodeURIComponent(instanceId)}`);
+                const result = await response.json();
+                if (response.ok && result.data && instanceSelect.value === instanceId) {
+                    modal.querySelector('.autotune-frequencies').innerHTML = generateAutoTuneOptionsHtml('frequencies', result.data.frequencyOptions, 'MHz');
+                    modal.querySelector('.autotune-voltages').innerHTML = generateAutoTuneOptionsHtml('voltages', result.data.voltageOptions, 'mV');
+                }
+            } catch (error) {
+                console.error('Failed to load the ASIC options:', error);
+            }
+            await pollJob();
+        };
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+        instanceSelect.addEventListener('change', loadMiner);
+
+        const postJson = async (url, body, failureText) => {
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(`${failureText}: ${result.message || 'Unknown error'}`);
+                    return null;
+                }
+                return result;
+            } catch (error) {
+                console.error(`${failureText}:`, error);
+                alert(`${failureText}. See console for details.`);
+                return null;
+            }
+        };
+        const checkedValues = name => Array.from(modal.querySelectorAll(`input[name="${name}"]:checked`)).map(input => Number(input.value));
+
+        startButton.addEventListener('click', () => {
+            const instanceId = instanceSelect.value;
+            const options = {
+                settleSeconds: Number(modal.querySelector('#autotune-settle').value),
+                samplesPerStep: Number(modal.querySelector('#autotune-samples').value),
+                maxTemp: Number(modal.querySelector('#autotune-max-temp').value),
+                maxVrTemp: Number(modal.querySelector('#autotune-max-vr-temp').value)
+            };
+            const frequencies = checkedValues('frequencies');
+            const voltages = checkedValues('voltages');
+            if (frequencies.length > 0) options.frequencies = frequencies;
+            if (voltages.length > 0) options.voltages = voltages;
+            openConfirmModal(
+                'Confirm Auto-Tune',
+                `Tune ${escapeHtml(instanceId)}? It will run at every selected frequency and voltage for a while, so its hashrate will vary until the job ends.`,
+                async () => {
+                    const result = await postJson('/api/autotune/start', { instanceId, options }, 'Error starting the auto-tune');
+                    if (result) showJob(result.data);
+                }
+            );
+        });
+
+        stopButton.addEventListener('click', async () => {
+            stopButton.disabled = true;
+            const result = await postJson('/api/autotune/stop', { instanceId: instanceSelect.value }, 'Error stopping the auto-tune');
+            if (result) showJob(result.data);
+        });
+
+        modal.querySelector('.autotune-job').addEventListener('click', (event) => {
+            const button = event.target.closest('.autotune-apply-button');
+            if (!button) return;
+            const instanceId = instanceSelect.value;
+            const point = button.getAttribute('data-point');
+            openConfirmModal(
+                'Apply Auto-Tune Result',
+                `Apply the ${point === 'efficiency' ? 'most efficient' : 'fastest'} settings to ${escapeHtml(instanceId)}?`,
+                async () => {
+                    const result = await postJson('/api/autotune/apply', { instanceId, point }, 'Error applying the settings');
+                    if (result) alert(result.message);
+                }
+            );
+        });
+
+        await loadMiner();
     }
 
     /**
@@ -714,9 +1913,516 @@ const modalService = (() => {
         window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
     }
 
+    // Setting categories offered by the bulk actions. Hostnames and WiFi stay per device.
+    const bulkFormCategories = {
+        settings: settingsFormConfig
+            .filter(category => ['Device', 'Mining', 'Performance'].includes(category.category))
+            .map(category => ({ ...category, fields: category.fields.filter(field => field.key !== 'hostname') })),
+        pool: settingsFormConfig.filter(category => ['Primary Pool', 'Fallback Pool'].includes(category.category))
+    };
+
+    /**
+     * Generates the form fields of a bulk action. Every field starts out unchanged, so
+     * only the fields the user fills in are sent to the selected miners.
+     * @param {Array<object>} categories - The setting categories to show.
+     * @returns {string} The HTML string for the form's content.
+     */
+    function generateBulkFormHtml(categories) {
+        let formHtml = '';
+        categories.forEach(category => {
+            formHtml += `<h3>${category.category}</h3>`;
+            formHtml += '<div class="form-grid">';
+            category.fields.forEach(field => {
+                formHtml += `<label for="bulk-${field.key}">${field.label}:</label>`;
+                let fieldHtml = '';
+                if (field.type === 'checkbox' || field.type === 'select') {
+                    const options = field.type === 'checkbox'
+                        ? [{ value: 1, text: 'On' }, { value: 0, text: 'Off' }]
+                        : field.options;
+                    fieldHtml = `<select id="bulk-${field.key}" name="${field.key}"><option value="">Unchanged</option>`;
+                    options.forEach(opt => {
+                        fieldHtml += `<option value="${opt.value}">${opt.text}</option>`;
+                    });
+                    fieldHtml += '</select>';
+                } else {
+                    const maxAttr = field.max ? `max="${field.max}"` : '';
+                    fieldHtml = `<input type="${field.type}" id="bulk-${field.key}" name="${field.key}" placeholder="Unchanged" ${maxAttr}>`;
+                }
+                const noteHtml = field.note ? ` <small>(${field.note})</small>` : '';
+                formHtml += `<div>${fieldHtml}${noteHtml}</div>`;
+            });
+            formHtml += '</div>';
+        });
+        return formHtml;
+    }
+
+    /**
+     * Shows the per-device outcome of a bulk action.
+     * @param {object} report - The report returned by /api/instance/service/bulk.
+     */
+    function openBulkReportModal(report) {
+        const existingModal = document.getElementById('bulk-report-modal');
+        if (existingModal) existingModal.remove();
+
+        const rows = report.results.map(result => `
+            <tr class="${result.success ? 'bulk-result-success' : 'bulk-result-failed'}">
+                <td>${escapeHtml(result.instanceId)}</td>
+                <td>${result.success ? 'OK' : 'Failed'}</td>
+                <td>${escapeHtml(result.success ? result.message : result.error)}</td>
+            </tr>`).join('');
+        const modalHtml = `
+            <div id="bulk-report-modal" class="modal">
+                <div class="modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>${report.profile ? `Profile ${escapeHtml(report.profile)}` : `Bulk ${escapeHtml(report.action)}`}</h2>
+                    <p>${escapeHtml(report.message)}</p>
+                    <table class="alerts-table">
+                        <thead><tr><th>Device</th><th>Result</th><th>Details</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="modal-actions">
+                        <button type="button" class="animated-button cancel-button">Close</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('bulk-report-modal');
+        const closeModal = () => modal.remove();
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+    }
+
+    /**
+     * Runs a bulk action on the server and shows the per-device report.
+     * @param {Array<string>} instanceIds - The selected miners.
+     * @param {string} action - 'restart', 'settings' or 'pool'.
+     * @param {object} [payload] - The settings for the settings and pool actions.
+     * @returns {Promise<boolean>} Whether the server accepted the request.
+     */
+    async function runBulkAction(instanceIds, action, payload = {}) {
+        try {
+            const response = await fetch('/api/instance/service/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ instanceIds, action, payload })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Error running bulk ${action}: ${result.message || 'Unknown error'}`);
+                return false;
+            }
+            openBulkReportModal(result);
+            return true;
+        } catch (error) {
+            console.error(`Bulk ${action} request failed:`, error);
+            alert(`Failed to send bulk ${action} to the server. See console for details.`);
+            return false;
+        }
+    }
+
+    /**
+     * Opens the form of the bulk settings or pool action for the selected miners.
+     * In text fields, {name} is replaced with each miner's name (e.g. a worker name).
+     * @param {Array<string>} instanceIds - The selected miners.
+     * @param {string} action - 'settings' or 'pool'.
+     */
+    function openBulkActionModal(instanceIds, action) {
+        const existingModal = document.getElementById('bulk-action-modal');
+        if (existingModal) existingModal.remove();
+
+        const categories = bulkFormCategories[action];
+        const title = action === 'pool' ? 'Change Pool' : 'Apply Settings';
+        const restartHtml = action === 'pool'
+            ? '<div class="form-grid"><label for="bulk-restart">Restart After Change:</label><div><input type="checkbox" id="bulk-restart" name="restart" checked></div></div>'
+            : '';
+        const modalHtml = `
+            <div id="bulk-action-modal" class="modal">
+                <div class="modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>${title} on ${instanceIds.length} Miner${instanceIds.length === 1 ? '' : 's'}</h2>
+                    <p class="bulk-action-targets">${instanceIds.map(escapeHtml).join(', ')}</p>
+                    <p><small>Only the fields you fill in are changed. {name} is replaced with each miner's name.</small></p>
+                    <form id="bulk-action-form" novalidate>
+                        ${generateBulkFormHtml(categories)}
+                        ${restartHtml}
+                        <div class="modal-actions">
+                            <button type="button" class="animated-button cancel-button">Cancel</button>
+                            <button type="submit" class="animated-button">${title}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('bulk-action-modal');
+        const form = document.getElementById('bulk-action-form');
+        const closeModal = () => modal.remove();
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const payload = {};
+            categories.forEach(category => {
+                category.fields.forEach(field => {
+                    const value = form.querySelector(`[name="${field.key}"]`).value;
+                    if (value === '') return;
+                    payload[field.key] = (field.type === 'text' || field.type === 'password') ? value : Number(value);
+                });
+            });
+            if (Object.keys(payload).length === 0) {
+                alert('Fill in at least one field to change.');
+                return;
+            }
+            // Frequency and core voltage are checked by the server against each miner's ASIC.
+            if (action === 'pool') {
+                payload.restart = form.querySelector('[name="restart"]').checked;
+            }
+            if (await runBulkAction(instanceIds, action, payload)) {
+                closeModal();
+            }
+        });
+    }
+
+    // Durations offered when silencing alerts, in minutes.
+    const silenceDurations = [
+        { value: 30, text: '30 minutes' },
+        { value: 60, text: '1 hour' },
+        { value: 120, text: '2 hours' },
+        { value: 240, text: '4 hours' },
+        { value: 480, text: '8 hours' },
+        { value: 1440, text: '24 hours' }
+    ];
+
+    /**
+     * Escapes text for safe inclusion in generated HTML.
+     * @param {*} value - The value to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Formats an ISO timestamp for display, or returns a dash when there is none.
+     * @param {string|null} value - The ISO timestamp.
+     * @returns {string} The localized date and time.
+     */
+    function formatAlertTime(value) {
+        return value ? new Date(value).toLocaleString() : '-';
+    }
+
+    /**
+     * Generates the HTML for the active alerts table.
+     * @param {Array<object>} alerts - The active alerts.
+     * @returns {string} The HTML string.
+     */
+    function generateActiveAlertsHtml(alerts) {
+        if (alerts.length === 0) {
+            return '<p class="alerts-empty">No active alerts.</p>';
+        }
+        const rows = alerts.map(alert => {
+            const status = alert.silenced
+                ? `Silenced until ${formatAlertTime(alert.silencedUntil)}`
+                : (alert.acknowledgedAt ? `Acknowledged ${formatAlertTime(alert.acknowledgedAt)}` : 'Firing');
+            return `
+                <tr class="alert-row alert-${escapeHtml(alert.severity)}">
+                    <td><span class="alert-severity">${escapeHtml(alert.severity)}</span></td>
+                    <td>${escapeHtml(alert.instanceId)}</td>
+                    <td>${escapeHtml(alert.message)}</td>
+                    <td>${formatAlertTime(alert.firedAt)}</td>
+                    <td>${status}</td>
+                    <td class="alert-actions">
+                        ${alert.acknowledgedAt ? '' : `<button type="button" class="animated-button alert-ack-button" data-alert-id="${escapeHtml(alert.id)}">Acknowledge</button>`}
+                        <button type="button" class="animated-button alert-silence-button" data-instance-id="${escapeHtml(alert.instanceId)}" data-rule="${escapeHtml(alert.rule)}">Silence</button>
+                    </td>
+                </tr>`;
+        }).join('');
+        return `
+            <table class="alerts-table">
+                <thead><tr><th>Severity</th><th>Device</th><th>Message</th><th>Since</th><th>Status</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Generates the HTML for the active silences table.
+     * @param {Array<object>} silences - The active silences.
+     * @returns {string} The HTML string.
+     */
+    function generateSilencesHtml(silences) {
+        if (silences.length === 0) {
+            return '<p class="alerts-empty">No active silences.</p>';
+        }
+        const rows = silences.map(silence => `
+            <tr>
+                <td>${escapeHtml(silence.instanceId || 'All devices')}</td>
+                <td>${escapeHtml(silence.rule || 'All rules')}</td>
+                <td>${formatAlertTime(silence.until)}</td>
+                <td>${escapeHtml(silence.reason)}</td>
+                <td class="alert-actions">
+                    <button type="button" class="animated-button remove-instance-btn silence-remove-button" data-silence-id="${escapeHtml(silence.id)}">Remove</button>
+                </td>
+            </tr>`).join('');
+        return `
+            <table class="alerts-table">
+                <thead><tr><th>Device</th><th>Rule</th><th>Until</th><th>Reason</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Generates the HTML for the resolved alert history table.
+     * @param {Array<object>} history - The resolved alerts, most recent first.
+     * @returns {string} The HTML string.
+     */
+    function generateAlertHistoryHtml(history) {
+        if (history.length === 0) {
+            return '<p class="alerts-empty">No resolved alerts yet.</p>';
+        }
+        const rows = history.map(alert => `
+            <tr class="alert-row alert-${escapeHtml(alert.severity)}">
+                <td><span class="alert-severity">${escapeHtml(alert.severity)}</span></td>
+                <td>${escapeHtml(alert.instanceId)}</td>
+                <td>${escapeHtml(alert.message)}</td>
+                <td>${formatAlertTime(alert.firedAt)}</td>
+                <td>${formatAlertTime(alert.resolvedAt)}</td>
+            </tr>`).join('');
+        return `
+            <table class="alerts-table">
+                <thead><tr><th>Severity</th><th>Device</th><th>Message</th><th>Fired</th><th>Resolved</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    // Labels of the watchdog conditions and actions.
+    const watchdogConditions = {
+        zero_hashrate: 'Hashrate at 0',
+        shares_stalled: 'No accepted shares',
+        fallback_pool: 'On fallback pool'
+    };
+    const watchdogActions = {
+        restart: 'Restarted',
+        restart_failed: 'Restart failed',
+        skipped: 'Not restarted',
+        limit_reached: 'Restart limit reached',
+        recovered: 'Recovered'
+    };
+
+    /**
+     * Generates the watchdog section of the alerts modal: its settings, the miners it is
+     * working on and the log of its actions.
+     * @param {object} watchdog - The data of GET /api/watchdog.
+     * @returns {string} The HTML.
+     */
+    function generateWatchdogHtml(watchdog) {
+        const settings = watchdog.settings;
+        let html;
+        if (!settings) {
+            html = '<p class="alerts-empty">The watchdog section of config.json is invalid; see the server log.</p>';
+        } else if (!settings.enabled) {
+            html = '<p class="alerts-empty">The watchdog is off. Set watchdog.enabled to true in config.json to restart hung miners automatically.</p>';
+        } else {
+            html = `<p class="alerts-empty">Restarts a miner after ${settings.zero_hashrate_minutes ? `${settings.zero_hashrate_minutes} min below ${settings.min_hashrate} GH/s, ` : ''}${settings.stalled_shares_minutes ? `${settings.stalled_shares_minutes} min without accepted shares, ` : ''}${settings.fallback_minutes ? `${settings.fallback_minutes} min on the fallback pool, ` : ''}at most ${settings.max_restarts_per_day} times a day.</p>`;
+        }
+        if (watchdog.incidents.length > 0) {
+            const rows = watchdog.incidents.map(incident => `
+                <tr class="alert-row alert-warning">
+                    <td>${escapeHtml(incident.instanceId)}</td>
+                    <td>${watchdogConditions[incident.condition] || escapeHtml(incident.condition)}</td>
+                    <td>${formatAlertTime(incident.since)}</td>
+                    <td>${incident.attempts}</td>
+                    <td>${incident.restartsToday}</td>
+                </tr>`).join('');
+            html += `
+            <table class="alerts-table">
+                <thead><tr><th>Device</th><th>Problem</th><th>Since</th><th>Restarts</th><th>Restarts (24h)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+        }
+        if (watchdog.history.length === 0) {
+            return `${html}<p class="alerts-empty">No watchdog actions yet.</p>`;
+        }
+        const rows = watchdog.history.map(entry => `
+                <tr class="${entry.action === 'restart' || entry.action === 'recovered' ? 'bulk-result-success' : 'bulk-result-failed'}">
+                    <td>${formatAlertTime(entry.at)}</td>
+                    <td>${watchdogActions[entry.action] || escapeHtml(entry.action)}</td>
+                    <td>${escapeHtml(entry.instanceId)}</td>
+                    <td>${escapeHtml(entry.message)}</td>
+                </tr>`).join('');
+        return `${html}
+            <table class="alerts-table">
+                <thead><tr><th>Time</th><th>Action</th><th>Device</th><th>Details</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Creates and displays the alerts modal: active alerts with acknowledge and silence
+     * actions, a form to silence a device, the active silences, the alert history and the
+     * actions of the watchdog.
+     * @param {Array<string>} deviceIds - The device names offered in the silence form.
+     * @param {Function} [onChange] - Called after an alert is acknowledged or a silence changes.
+     */
+    async function openAlertsModal(deviceIds, onChange) {
+        const existingModal = document.getElementById('alerts-modal');
+        if (existingModal) existingModal.remove();
+
+        const modalHtml = `
+            <div id="alerts-modal" class="modal">
+                <div class="modal-content alerts-modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>Alerts</h2>
+                    <h3>Active Alerts</h3>
+                    <div id="alerts-active"><p class="alerts-empty">Loading...</p></div>
+                    <h3>Silence Alerts</h3>
+                    <form id="silence-form" class="silence-form" novalidate>
+                        <select id="silence-instance">
+                            <option value="">All devices</option>
+                            ${deviceIds.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`).join('')}
+                        </select>
+                        <select id="silence-rule">
+                            <option value="">All rules</option>
+                        </select>
+                        <select id="silence-duration">
+                            ${silenceDurations.map(duration => `<option value="${duration.value}">${duration.text}</option>`).join('')}
+                        </select>
+                        <input type="text" id="silence-reason" placeholder="Reason (e.g. maintenance)">
+                        <button type="submit" class="animated-button">Silence</button>
+                    </form>
+                    <h3>Active Silences</h3>
+                    <div id="alerts-silences"></div>
+                    <h3>History</h3>
+                    <div id="alerts-history"></div>
+                    <h3>Watchdog</h3>
+                    <div id="alerts-watchdog"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="animated-button cancel-button">Close</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('alerts-modal');
+        const form = document.getElementById('silence-form');
+        const instanceSelect = document.getElementById('silence-instance');
+        const ruleSelect = document.getElementById('silence-rule');
+        const closeModal = () => modal.remove();
+
+        // Adds an option to a select unless it already has one with that value.
+        const ensureOption = (select, value) => {
+            if (![...select.options].some(option => option.value === value)) {
+                select.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`);
+            }
+        };
+
+        const postJson = async (url, payload, method = 'POST') => {
+            const response = await fetch(url, {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: payload ? JSON.stringify(payload) : undefined
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || `HTTP ${response.status}`);
+            }
+            return result;
+        };
+
+        const render = async () => {
+            try {
+                const response = await fetch('/api/alerts');
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || 'Failed to load alerts');
+                }
+                document.getElementById('alerts-active').innerHTML = generateActiveAlertsHtml(result.data.active);
+                document.getElementById('alerts-silences').innerHTML = generateSilencesHtml(result.data.silences);
+                document.getElementById('alerts-history').innerHTML = generateAlertHistoryHtml(result.data.history);
+                [...result.data.active, ...result.data.history].forEach(alert => ensureOption(ruleSelect, alert.rule));
+            } catch (error) {
+                console.error('Failed to load alerts:', error);
+                document.getElementById('alerts-active').innerHTML = `<p class="alerts-empty">Failed to load alerts: ${escapeHtml(error.message)}</p>`;
+            }
+            try {
+                const response = await fetch('/api/watchdog?limit=50');
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || 'Failed to load the watchdog log');
+                }
+                document.getElementById('alerts-watchdog').innerHTML = generateWatchdogHtml(result.data);
+            } catch (error) {
+                console.error('Failed to load the watchdog log:', error);
+                document.getElementById('alerts-watchdog').innerHTML = `<p class="alerts-empty">Failed to load the watchdog log: ${escapeHtml(error.message)}</p>`;
+            }
+        };
+
+        const runAction = async (action) => {
+            try {
+                await action();
+                await render();
+                if (onChange) onChange();
+            } catch (error) {
+                console.error('Alert action failed:', error);
+                alert(`Error: ${error.message}`);
+            }
+        };
+
+        modal.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            if (button.classList.contains('alert-ack-button')) {
+                runAction(() => postJson('/api/alerts/acknowledge', { id: button.dataset.alertId }));
+            } else if (button.classList.contains('alert-silence-button')) {
+                // Pre-fill the silence form for this alert's device and rule.
+                ensureOption(instanceSelect, button.dataset.instanceId);
+                ensureOption(ruleSelect, button.dataset.rule);
+                instanceSelect.value = button.dataset.instanceId;
+                ruleSelect.value = button.dataset.rule;
+                document.getElementById('silence-reason').focus();
+            } else if (button.classList.contains('silence-remove-button')) {
+                runAction(() => postJson(`/api/alerts/silences?id=${encodeURIComponent(button.dataset.silenceId)}`, null, 'DELETE'));
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const payload = {
+                instanceId: instanceSelect.value || undefined,
+                rule: ruleSelect.value || undefined,
+                duration_minutes: parseInt(document.getElementById('silence-duration').value, 10),
+                reason: document.getElementById('silence-reason').value.trim()
+            };
+            if (!payload.instanceId && !payload.rule) {
+                alert('Select a device and/or a rule to silence.');
+                return;
+            }
+            runAction(async () => {
+                await postJson('/api/alerts/silences', payload);
+                form.reset();
+            });
+        });
+
+        modal.querySelector('.close-button').addEventListener('click', closeModal);
+        modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+        window.addEventListener('click', (event) => { if (event.target === modal) closeModal(); });
+
+        await render();
+    }
+
     // Make instance management functions globally accessible for onclick handlers
     window.addBitaxeInstance = addBitaxeInstance;
     window.removeBitaxeInstance = removeBitaxeInstance;
+    window.discoverBitaxeInstances = discoverBitaxeInstances;
+    window.addDiscoveredInstances = addDiscoveredInstances;
     window.addMiningCoreInstance = addMiningCoreInstance;
     window.removeMiningCoreInstance = removeMiningCoreInstance;
 
@@ -725,9 +2431,17 @@ const modalService = (() => {
         openSettingsModal,
         openConfirmModal,
         openConfigModal,
+        openAlertsModal,
+        openBulkActionModal,
+        openApplyProfileModal,
+        openFirmwareModal,
+        openAutoTuneModal,
+        runBulkAction,
         addBitaxeInstance,
         removeBitaxeInstance,
         collectBitaxeInstancesData,
+        discoverBitaxeInstances,
+        addDiscoveredInstances,
         addMiningCoreInstance,
         removeMiningCoreInstance,
         collectMiningCoreInstancesData
@@ -1,16 +1,134 @@
 /**
  * @file Statistics Modal Service
- * Handles real-time statistics visualization for individual BitAxe miners
- * Features Chart.js integration with dual Y-axis charts (lazy-loaded)
+ * Handles statistics visualization for individual BitAxe miners, drawn from the
+ * telemetry history recorded by the dashboard (/api/history), so charts survive
+ * miner restarts.
+ * Features Chart.js integration with dual Y-axis charts (lazy-loaded): hashrate on
+ * the left axis and the selected metric on the right axis.
  */
 
 const statisticsModal = (() => {
     let currentChart = null;
     let pollInterval = null;
     let currentInstanceId = null;
+    let currentRange = '6h';
+    let currentMetric = 'temp';
+    let customRange = null;
     let chartJsLoaded = false;
     let chartJsLoading = false;
 
+    /**
+     * How often the chart refreshes while showing a range that ends now.
+     * @const {number}
+     */
+    const REFRESH_INTERVAL_MS = 30000;
+
+    /**
+     * Selectable time ranges (custom is handled separately).
+     * `unit` is the x-axis time unit Chart.js should use for the range.
+     * @const {Object.<string, {label: string, ms: number, unit: string}>}
+     */
+    const RANGES = {
+        '1h': { label: '1h', ms: 60 * 60 * 1000, unit: 'minute' },
+        '6h': { label: '6h', ms: 6 * 60 * 60 * 1000, unit: 'hour' },
+        '24h': { label: '24h', ms: 24 * 60 * 60 * 1000, unit: 'hour' },
+        '7d': { label: '7d', ms: 7 * 24 * 60 * 60 * 1000, unit: 'day' },
+        '30d': { label: '30d', ms: 30 * 24 * 60 * 60 * 1000, unit: 'day' }
+    };
+
+    /**
+     * Metrics selectable for the right-hand axis.
+     * - `fields`: history metrics that must be requested to compute the value
+     * - `value`: computes the value of a point (receives the previous point as well)
+     * @const {Object.<string, object>}
+     */
+    const METRICS = {
+        temp: {
+            label: 'ASIC Temp',
+            unit: '°C',
+            decimals: 1,
+            fields: ['temp'],
+            value: point => point.temp,
+            suggestedMin: 50,
+            suggestedMax: 80
+        },
+        vrTemp: {
+            label: 'VR Temp',
+            unit: '°C',
+            decimals: 1,
+            fields: ['vrTemp'],
+            value: point => point.vrTemp,
+            suggestedMin: 40,
+            suggestedMax: 80
+        },
+        power: {
+            label: 'Power',
+            unit: 'W',
+            decimals: 1,
+            fields: ['power'],
+            value: point => point.power
+        },
+        efficiency: {
+            label: 'Efficiency',
+            unit: 'J/TH',
+            decimals: 1,
+            fields: ['power'],
+            value: point => (point.hashRate > 0 && typeof point.power === 'number')
+                ? point.power / (point.hashRate / 1000)
+                : null
+        },
+        fanrpm: {
+            label: 'Fan',
+            unit: 'RPM',
+            decimals: 0,
+            fields: ['fanrpm'],
+            value: point => point.fanrpm
+        },
+        coreVoltageActual: {
+            label: 'Core Voltage',
+            unit: 'mV',
+            decimals: 0,
+            fields: ['coreVoltageActual'],
+            value: point => point.coreVoltageActual
+        },
+        voltage: {
+            label: 'Input Voltage',
+            unit: 'V',
+            decimals: 2,
+            fields: ['voltage'],
+            value: point => typeof point.voltage === 'number' ? point.voltage / 1000 : null
+        },
+        shareRate: {
+            label: 'Share Rate',
+            unit: 'shares/min',
+            decimals: 2,
+            fields: ['sharesAccepted'],
+            value: (point, previous) => {
+                if (!previous || typeof point.sharesAccepted !== 'number' || typeof previous.sharesAccepted !== 'number') {
+                    return null;
+                }
+                const minutes = (point.t - previous.t) / 60000;
+                const delta = point.sharesAccepted - previous.sharesAccepted;
+                // A negative delta means the miner restarted and its counter was reset.
+                return minutes > 0 && delta >= 0 ? delta / minutes : null;
+            }
+        }
+    };
+
+    /**
+     * Formats a metric value with its unit
+     * @param {string} metricKey - Key into METRICS
+     * @param {number} value - The value to format
+     * @returns {string} Formatted value string
+     */
+    function formatMetric(metricKey, value) {
+        const metric = METRICS[metricKey];
+        if (typeof value !== 'number' || isNaN(value)) {
+            return 'N/A';
+        }
+        return `${value.toFixed(metric.decimals)} ${metric.unit}`;
+    }
+
     /**
      * Formats hashrate with appropriate units (MH/s, GH/s, TH/s)
      * @param {number} hashrate - Hashrate in GH/s
@@ -89,6 +207,10 @@ const statisticsModal = (() => {
         if (existingModal) existingModal.remove();
 
         currentInstanceId = instanceId;
+        customRange = null;
+        if (currentRange === 'custom') {
+            currentRange = '6h';
+        }
 
         const modalHtml = generateModalHtml(instanceId);
         document.body.insertAdjacentHTML('beforeend', modalHtml);
@@ -109,6 +231,12 @@ const statisticsModal = (() => {
             if (event.target === modal) closeModal();
         });
 
+        modal.querySelectorAll('.stats-range-button').forEach(button => {
+            button.addEventListener('click', () => selectRange(button.dataset.range));
+        });
+        modal.querySelector('#stats-metric-select').addEventListener('change', (event) => selectMetric(event.target.value));
+        modal.querySelector('#stats-custom-apply').addEventListener('click', applyCustomRange);
+
         // Show loading message for chart library
         const loadingDiv = modal.querySelector('#stats-loading');
         const loadingSpan = loadingDiv.querySelector('span');
@@ -141,7 +269,7 @@ const statisticsModal = (() => {
             <div id="statistics-modal" class="modal">
                 <div class="modal-content">
                     <div class="statistics-modal-header">
-                        <h2>${instanceId} - Real-time Statistics</h2>
+                        <h2>${instanceId} - Statistics</h2>
                         <span class="close-button">&times;</span>
                     </div>
                     <div class="statistics-modal-body">
@@ -151,9 +279,6 @@ const statisticsModal = (() => {
                                     <span id="stats-status-indicator" class="stats-status-indicator"></span>
                                     <span id="stats-status-text">Connecting...</span>
                                 </div>
-                                <div class="stats-status-item">
-                                    <span>Update interval: 25s</span>
-                                </div>
                                 <div class="stats-status-item">
                                     <span>Hashrate: <span id="stats-current-hashrate">--</span></span>
                                 </div>
@@ -161,13 +286,32 @@ const statisticsModal = (() => {
                                     <span>Average: <span id="stats-hashrate-average">--</span></span>
                                 </div>
                                 <div class="stats-status-item">
-                                    <span>ASIC Temp: <span id="stats-current-temperature">--</span></span>
+                                    <span><span id="stats-metric-label">${METRICS[currentMetric].label}</span>: <span id="stats-current-metric">--</span></span>
                                 </div>
                             </div>
                             <div class="stats-last-update" id="stats-last-update">
                                 Initializing...
                             </div>
                         </div>
+                        <div class="stats-controls">
+                            <div class="stats-range-buttons">
+                                ${Object.keys(RANGES).map(key => `
+                                    <button type="button" class="stats-range-button${key === currentRange ? ' active' : ''}" data-range="${key}">${RANGES[key].label}</button>
+                                `).join('')}
+                                <button type="button" class="stats-range-button" data-range="custom">Custom</button>
+                            </div>
+                            <div class="stats-custom-range" id="stats-custom-range" style="display: none;">
+                                <input type="datetime-local" id="stats-custom-from" aria-label="From">
+                                <span>to</span>
+                                <input type="datetime-local" id="stats-custom-to" aria-label="To">
+                                <button type="button" class="stats-range-button" id="stats-custom-apply">Apply</button>
+                            </div>
+                            <select id="stats-metric-select" class="stats-metric-select" aria-label="Metric">
+                                ${Object.keys(METRICS).map(key => `
+                                    <option value="${key}"${key === currentMetric ? ' selected' : ''}>${METRICS[key].label} (${METRICS[key].unit})</option>
+                                `).join('')}
+                            </select>
+                        </div>
                         <div class="stats-chart-legend">
                             <div class="stats-legend-item">
                                 <div class="stats-legend-color hashrate"></div>
@@ -175,7 +319,7 @@ const statisticsModal = (() => {
                             </div>
                             <div class="stats-legend-item">
                                 <div class="stats-legend-color temperature"></div>
-                                <span>ASIC Temp</span>
+                                <span id="stats-legend-metric">${METRICS[currentMetric].label}</span>
                             </div>
                         </div>
                         <div class="stats-chart-container">
@@ -225,7 +369,7 @@ const statisticsModal = (() => {
                         yAxisID: 'y'
                     },
                     {
-                        label: 'ASIC Temperature',
+                        label: METRICS[currentMetric].label,
                         data: [],
                         backgroundColor: 'transparent',
                         borderColor: '#f5f5f5',
@@ -267,8 +411,8 @@ const statisticsModal = (() => {
                                     // Hashrate
                                     label += formatHashrate(context.parsed.y);
                                 } else {
-                                    // Temperature
-                                    label += parseFloat(context.parsed.y).toFixed(1) + ' °C';
+                                    // Selected metric
+                                    label += formatMetric(currentMetric, context.parsed.y);
                                 }
                                 return label;
                             }
@@ -279,9 +423,11 @@ const statisticsModal = (() => {
                     x: {
                         type: 'time',
                         time: {
-                            unit: 'hour',
+                            unit: getRangeUnit(),
                             displayFormats: {
-                                hour: 'HH:mm'
+                                minute: 'HH:mm',
+                                hour: 'HH:mm',
+                                day: 'MMM d'
                             }
                         },
                         title: {
@@ -318,21 +464,21 @@ const statisticsModal = (() => {
                         position: 'right',
                         title: {
                             display: true,
-                            text: 'ASIC Temp',
+                            text: `${METRICS[currentMetric].label} (${METRICS[currentMetric].unit})`,
                             color: '#f5f5f5'
                         },
                         ticks: {
                             color: '#f5f5f5',
                             callback: function(value) {
-                                return parseFloat(value).toFixed(1) + '°C';
+                                return parseFloat(value).toFixed(METRICS[currentMetric].decimals);
                             }
                         },
                         grid: {
                             drawOnChartArea: false,
                             color: 'rgba(245, 245, 245, 0.3)'
                         },
-                        suggestedMin: 50,
-                        suggestedMax: 80
+                        suggestedMin: METRICS[currentMetric].suggestedMin,
+                        suggestedMax: METRICS[currentMetric].suggestedMax
                     }
                 }
             }
@@ -340,12 +486,140 @@ const statisticsModal = (() => {
     }
 
     /**
-     * Fetches statistics data from the backend API
-     * @returns {Promise<Object>} The statistics data
+     * Returns the Chart.js time unit for the current range
+     * @returns {string} The x-axis time unit
+     */
+    function getRangeUnit() {
+        if (currentRange !== 'custom') {
+            return RANGES[currentRange].unit;
+        }
+        const span = customRange ? customRange.to - customRange.from : 0;
+        if (span <= RANGES['1h'].ms) return 'minute';
+        if (span <= 2 * RANGES['24h'].ms) return 'hour';
+        return 'day';
+    }
+
+    /**
+     * Returns the time window of the current range
+     * @returns {{from: number, to: number}} Start and end in epoch milliseconds
+     */
+    function getRangeWindow() {
+        if (currentRange === 'custom' && customRange) {
+            return customRange;
+        }
+        const to = Date.now();
+        return { from: to - RANGES[currentRange].ms, to: to };
+    }
+
+    /**
+     * Switches to one of the preset ranges, or reveals the custom range inputs
+     * @param {string} range - Key into RANGES, or 'custom'
+     */
+    function selectRange(range) {
+        const customRangeDiv = document.getElementById('stats-custom-range');
+
+        if (range === 'custom') {
+            customRangeDiv.style.display = 'flex';
+            // Pre-fill the inputs with the range currently shown
+            const shown = getRangeWindow();
+            document.getElementById('stats-custom-from').value = toDateTimeLocal(shown.from);
+            document.getElementById('stats-custom-to').value = toDateTimeLocal(shown.to);
+            return;
+        }
+
+        customRangeDiv.style.display = 'none';
+        currentRange = range;
+        customRange = null;
+        setActiveRangeButton(range);
+        refreshChart();
+    }
+
+    /**
+     * Applies the range entered in the custom range inputs
+     */
+    function applyCustomRange() {
+        const from = new Date(document.getElementById('stats-custom-from').value).getTime();
+        const to = new Date(document.getElementById('stats-custom-to').value).getTime();
+
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            updateStatusIndicators(false, 'Custom range: "from" must be earlier than "to"');
+            return;
+        }
+
+        currentRange = 'custom';
+        customRange = { from: from, to: to };
+        setActiveRangeButton('custom');
+        refreshChart();
+    }
+
+    /**
+     * Highlights the button of the active range
+     * @param {string} range - Key into RANGES, or 'custom'
+     */
+    function setActiveRangeButton(range) {
+        document.querySelectorAll('#statistics-modal .stats-range-buttons .stats-range-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === range);
+        });
+    }
+
+    /**
+     * Formats a timestamp for a datetime-local input (local time, minute precision)
+     * @param {number} timestamp - Epoch milliseconds
+     * @returns {string} The formatted value
+     */
+    function toDateTimeLocal(timestamp) {
+        const date = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+        return date.toISOString().slice(0, 16);
+    }
+
+    /**
+     * Switches the metric shown on the right-hand axis
+     * @param {string} metricKey - Key into METRICS
+     */
+    function selectMetric(metricKey) {
+        if (!METRICS[metricKey]) return;
+        currentMetric = metricKey;
+
+        const metric = METRICS[metricKey];
+        document.getElementById('stats-metric-label').textContent = metric.label;
+        document.getElementById('stats-legend-metric').textContent = metric.label;
+
+        if (currentChart) {
+            const axis = currentChart.options.scales.y1;
+            axis.title.text = `${metric.label} (${metric.unit})`;
+            axis.suggestedMin = metric.suggestedMin;
+            axis.suggestedMax = metric.suggestedMax;
+            currentChart.data.datasets[1].label = metric.label;
+        }
+        refreshChart();
+    }
+
+    /**
+     * Re-applies the x-axis unit, reloads the data and restarts polling as appropriate
+     */
+    function refreshChart() {
+        if (currentChart) {
+            currentChart.options.scales.x.time.unit = getRangeUnit();
+        }
+        stopPolling();
+        startPolling();
+    }
+
+    /**
+     * Fetches the history of the current instance for the current range and metric
+     * @returns {Promise<Object>} The history response
      */
     async function fetchStatisticsData() {
         try {
-            const response = await fetch(`/api/statistics?instanceId=${encodeURIComponent(currentInstanceId)}`);
+            const { from, to } = getRangeWindow();
+            const fields = ['hashRate', ...METRICS[currentMetric].fields];
+            const params = new URLSearchParams({
+                instanceId: currentInstanceId,
+                metric: fields.join(','),
+                from: String(Math.round(from)),
+                to: String(Math.round(to))
+            });
+            const response = await fetch(`/api/history?${params.toString()}`);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
@@ -358,7 +632,7 @@ const statisticsModal = (() => {
                 throw new Error(result.message || 'API request failed');
             }
 
-            return result.data;
+            return result;
         } catch (error) {
             console.error('Failed to fetch statistics:', error);
             throw error;
@@ -366,98 +640,81 @@ const statisticsModal = (() => {
     }
 
     /**
-     * Processes and adds new data points to the chart
-     * @param {Object} statisticsData - The raw statistics data from the API
+     * Replaces the chart data with the given history points
+     * @param {Object} history - The history response from the API
      */
-    function updateChart(statisticsData) {
-        if (!currentChart || !statisticsData || !statisticsData.statistics) {
+    function updateChart(history) {
+        if (!currentChart || !history || !Array.isArray(history.data)) {
             return;
         }
 
-        const statistics = statisticsData.statistics;
-        const currentTimestamp = statisticsData.currentTimestamp;
+        const metric = METRICS[currentMetric];
+        const points = history.data;
 
-        // Clear existing data and rebuild from scratch for consistency
+        // Rebuild from scratch for consistency
         currentChart.data.labels = [];
         currentChart.data.datasets[0].data = [];
         currentChart.data.datasets[1].data = [];
 
-        // Process each data point
-        statistics.forEach(dataPoint => {
-            if (dataPoint && dataPoint.length >= 4) {
-                const hashrate = dataPoint[0]; // GH/s
-                const temperature = dataPoint[1]; // °C  
-                const power = dataPoint[2]; // Watts (unused for now)
-                const timeOffset = dataPoint[3]; // milliseconds offset
-
-                // Calculate actual timestamp
-                const actualTimestamp = new Date().getTime() - currentTimestamp + timeOffset;
-                
-                currentChart.data.labels.push(actualTimestamp);
-                currentChart.data.datasets[0].data.push(hashrate);
-                currentChart.data.datasets[1].data.push(temperature);
-            }
+        points.forEach((point, index) => {
+            const value = metric.value(point, points[index - 1]);
+            currentChart.data.labels.push(point.t);
+            currentChart.data.datasets[0].data.push(point.hashRate);
+            currentChart.data.datasets[1].data.push(typeof value === 'number' ? value : null);
         });
 
-        // Limit data points to prevent performance issues (keep last 500 points)
-        const maxPoints = 500;
-        if (currentChart.data.labels.length > maxPoints) {
-            const excess = currentChart.data.labels.length - maxPoints;
-            currentChart.data.labels.splice(0, excess);
-            currentChart.data.datasets[0].data.splice(0, excess);
-            currentChart.data.datasets[1].data.splice(0, excess);
-        }
+        const { from, to } = getRangeWindow();
+        currentChart.options.scales.x.min = from;
+        currentChart.options.scales.x.max = to;
 
         // Update current stats display
-        updateCurrentStats(statistics);
+        updateCurrentStats(points);
         
         currentChart.update('none'); // Update without animation
-        updateStatusIndicators(true);
+        updateStatusIndicators(true, null, points.length === 0);
     }
 
     /**
      * Updates the current statistics display with the latest values
-     * @param {Array} statistics - Array of statistics data points
+     * @param {Array} points - Array of history points
      */
-    function updateCurrentStats(statistics) {
+    function updateCurrentStats(points) {
         const currentHashrateElement = document.getElementById('stats-current-hashrate');
         const hashrateAverageElement = document.getElementById('stats-hashrate-average');
-        const currentTemperatureElement = document.getElementById('stats-current-temperature');
+        const currentMetricElement = document.getElementById('stats-current-metric');
 
-        if (!statistics || statistics.length === 0) {
+        if (!points || points.length === 0) {
             if (currentHashrateElement) currentHashrateElement.textContent = '--';
             if (hashrateAverageElement) hashrateAverageElement.textContent = '--';
-            if (currentTemperatureElement) currentTemperatureElement.textContent = '--';
+            if (currentMetricElement) currentMetricElement.textContent = '--';
             return;
         }
 
         // Get current values (last data point)
-        const lastDataPoint = statistics[statistics.length - 1];
-        if (lastDataPoint && lastDataPoint.length >= 2) {
-            const currentHashrate = lastDataPoint[0]; // GH/s
-            const currentTemperature = lastDataPoint[1]; // °C
-
-            // Calculate average hashrate from all available data points
-            let totalHashrate = 0;
-            let validPoints = 0;
-            statistics.forEach(dataPoint => {
-                if (dataPoint && dataPoint.length >= 1 && typeof dataPoint[0] === 'number') {
-                    totalHashrate += dataPoint[0];
-                    validPoints++;
-                }
-            });
-            const averageHashrate = validPoints > 0 ? totalHashrate / validPoints : 0;
-
-            // Update the display elements
-            if (currentHashrateElement) {
-                currentHashrateElement.textContent = formatHashrate(currentHashrate);
-            }
-            if (hashrateAverageElement) {
-                hashrateAverageElement.textContent = formatHashrate(averageHashrate);
-            }
-            if (currentTemperatureElement) {
-                currentTemperatureElement.textContent = `${currentTemperature.toFixed(1)}°C`;
+        const lastIndex = points.length - 1;
+        const currentHashrate = points[lastIndex].hashRate; // GH/s
+        const currentValue = METRICS[currentMetric].value(points[lastIndex], points[lastIndex - 1]);
+
+        // Calculate average hashrate over the selected range
+        let totalHashrate = 0;
+        let validPoints = 0;
+        points.forEach(point => {
+            if (typeof point.hashRate === 'number') {
+                totalHashrate += point.hashRate;
+                validPoints++;
             }
+        });
+        const averageHashrate = validPoints > 0 ? totalHashrate / validPoints : 0;
+
+        // Update the display elements
+        if (currentHashrateElement) {
+            currentHashrateElement.textContent = formatHashrate(currentHashrate);
+        }
+        if (hashrateAverageElement) {
+            hashrateAverageElement.textContent = formatHashrate(averageHashrate);
+        }
+        if (currentMetricElement) {
+            currentMetricElement.textContent = formatMetric(currentMetric, currentValue);
         }
     }
 
@@ -465,16 +722,19 @@ const statisticsModal = (() => {
      * Updates the status indicators and timestamps
      * @param {boolean} success - Whether the last update was successful
      * @param {string} errorMessage - Error message if applicable
+     * @param {boolean} empty - Whether no history exists for the range
      */
-    function updateStatusIndicators(success, errorMessage = null) {
+    function updateStatusIndicators(success, errorMessage = null, empty = false) {
         const statusIndicator = document.getElementById('stats-status-indicator');
         const statusText = document.getElementById('stats-status-text');
         const lastUpdate = document.getElementById('stats-last-update');
 
         if (success) {
             statusIndicator.className = 'stats-status-indicator';
-            statusText.textContent = 'Live';
-            lastUpdate.textContent = `Last update: ${new Date().toLocaleTimeString()}`;
+            statusText.textContent = currentRange === 'custom' ? 'History' : 'Live';
+            lastUpdate.textContent = empty
+                ? 'No history recorded for this range yet'
+                : `Last update: ${new Date().toLocaleTimeString()}`;
         } else {
             statusIndicator.className = 'stats-status-indicator error';
             statusText.textContent = 'Error';
@@ -514,14 +774,16 @@ const statisticsModal = (() => {
     }
 
     /**
-     * Starts polling for statistics data
+     * Starts polling for statistics data. Custom ranges are fetched once since
+     * they do not move with time.
      */
     function startPolling() {
         // Initial fetch
         fetchAndUpdate();
 
-        // Set up polling every 25 seconds
-        pollInterval = setInterval(fetchAndUpdate, 25000);
+        if (currentRange !== 'custom') {
+            pollInterval = setInterval(fetchAndUpdate, REFRESH_INTERVAL_MS);
+        }
     }
 
     /**
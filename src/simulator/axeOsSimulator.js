@@ -0,0 +1,981 @@
+/**
+ * @file AxeOS Simulator - Pretends to be one or more Bitaxe devices for development and testing.
+ *
+ * Every simulated miner implements the AxeOS endpoints the dashboard uses
+ * (see openapi.yaml):
+ * - `GET /api/system/info`
+ * - `GET /api/system/statistics/dashboard`
+ * - `GET /api/system/asic`
+ * - `PATCH /api/system`
+ * - `POST /api/system/restart`
+ * - `POST /api/system/OTA` and `POST /api/system/OTAWWW`
+ * - `GET /api/system/wifi/scan`
+ *
+ * Telemetry follows a simple physical model instead of replaying a fixture: power
+ * follows frequency and core voltage, temperatures settle towards a level set by power
+ * and fan speed, the automatic fan holds the target temperature, and shares arrive at
+ * the rate the hashrate and pool difficulty predict. Settings PATCHes (frequency,
+ * voltage, fan, stratum, hostname, ...) take effect immediately, and a restart takes
+ * the miner offline for a few seconds and resets its session counters. A firmware update
+ * takes the version from the app description of the uploaded image and restarts the miner.
+ *
+ * Faults can be switched on and off per miner, either from code (`miner.setFault()`)
+ * or over HTTP on the miner's own address:
+ * - `GET /simulator/state`: the miner's internal state and active faults
+ * - `POST /simulator/faults` `{ "fault": "slow", "enabled": true, "delayMs": 8000 }`
+ * - `DELETE /simulator/faults`: clears every fault
+ *
+ * Faults: `offline` (connections are dropped), `overheat` (the fan stops cooling until
+ * overheat protection halts mining), `fallback` (the miner switches to its fallback
+ * stratum) and `slow` (responses are delayed by `delayMs`).
+ *
+ * Each miner listens on its own port (`basePort`, `basePort + 1`, ...) or, in path mode,
+ * under `/miner1`, `/miner2`, ... of one port. Run from the command line with
+ * `npm run simulator -- --count 3 --base-port 8081` (or `--paths --port 8080`).
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const http = require('http');
+const baseSystemInfo = require('../demo-apis/bitaxe-info.json');
+
+/**
+ * Characteristics of the supported ASIC models, as reported by /api/system/asic plus
+ * the values the simulation needs.
+ * `nominalPower` is the ASIC power in watts at the default frequency and voltage.
+ * @constant {Object.<string, object>}
+ */
+const ASIC_MODELS = {
+    BM1366: {
+        deviceModel: 'Ultra',
+        swarmColor: 'purple',
+        smallCoreCount: 894,
+        defaultFrequency: 485,
+        frequencyOptions: [400, 425, 450, 475, 485, 500, 525, 550, 575],
+        defaultVoltage: 1200,
+        voltageOptions: [1100, 1150, 1200, 1250, 1300],
+        nominalPower: 11
+    },
+    BM1368: {
+        deviceModel: 'Supra',
+        swarmColor: 'blue',
+        smallCoreCount: 1276,
+        defaultFrequency: 490,
+        frequencyOptions: [400, 425, 450, 475, 490, 500, 525, 550, 575],
+        defaultVoltage: 1166,
+        voltageOptions: [1100, 1150, 1166, 1200, 1250, 1300],
+        nominalPower: 12.5
+    },
+    BM1370: {
+        deviceModel: 'Gamma',
+        swarmColor: 'green',
+        smallCoreCount: 2040,
+        defaultFrequency: 525,
+        frequencyOptions: [400, 490, 525, 550, 600, 625],
+        defaultVoltage: 1150,
+        voltageOptions: [1000, 1060, 1100, 1150, 1200, 1250],
+        nominalPower: 17
+    },
+    BM1397: {
+        deviceModel: 'Max',
+        swarmColor: 'red',
+        smallCoreCount: 672,
+        defaultFrequency: 425,
+        frequencyOptions: [400, 425, 450, 475, 485, 500, 525, 550, 575, 600],
+        defaultVoltage: 1400,
+        voltageOptions: [1100, 1150, 1200, 1250, 1300, 1350, 1400, 1450, 1500],
+        nominalPower: 14
+    }
+};
+
+/**
+ * Faults that can be injected into a simulated miner.
+ * @constant {Array<string>}
+ */
+const FAULTS = ['offline', 'overheat', 'fallback', 'slow'];
+
+/**
+ * Simulation constants.
+ * @constant {object}
+ */
+const SIMULATION = {
+    ambientTemp: 25,            // °C
+    boardPower: 3,              // W drawn by everything but the ASIC
+    asicThermalResistance: 1.5, // °C per W at 100% fan
+    vrThermalResistance: 1.2,   // °C per W at 100% fan
+    thermalTimeConstant: 30,    // s for temperatures to settle
+    maxFanRpm: 7300,
+    asicOverheatTemp: 75,       // °C, overheat protection halts mining above this
+    vrOverheatTemp: 105,
+    rejectRate: 0.002,
+    restartSeconds: 5,          // s the miner is unreachable while restarting
+    warmupSeconds: 10,          // s until full hashrate after booting
+    statisticsInterval: 5,      // s between statistics points
+    statisticsLength: 720,      // points kept (one hour)
+    slowDelayMs: 5000
+};
+
+/**
+ * Settings accepted by PATCH /api/system and their types.
+ * @constant {Object.<string, string>}
+ */
+const SETTINGS = {
+    stratumURL: 'string',
+    fallbackStratumURL: 'string',
+    stratumUser: 'string',
+    stratumPassword: 'string',
+    fallbackStratumUser: 'string',
+    fallbackStratumPassword: 'string',
+    stratumPort: 'number',
+    fallbackStratumPort: 'number',
+    ssid: 'string',
+    wifiPass: 'string',
+    hostname: 'string',
+    coreVoltage: 'number',
+    frequency: 'number',
+    rotation: 'number',
+    overheat_mode: 'number',
+    overclockEnabled: 'number',
+    invertscreen: 'number',
+    autofanspeed: 'number',
+    fanspeed: 'number',
+    minFanSpeed: 'number',
+    temptarget: 'number',
+    displayTimeout: 'number',
+    statsFrequency: 'number'
+};
+
+/**
+ * Settings that are stored but never reported by /api/system/info.
+ * @constant {Array<string>}
+ */
+const SECRET_SETTINGS = ['stratumPassword', 'fallbackStratumPassword', 'wifiPass'];
+
+/**
+ * Formats a share difficulty the way AxeOS does (e.g. "142.80M").
+ * @param {number} difficulty The difficulty.
+ * @returns {string} The formatted difficulty.
+ */
+function formatDifficulty(difficulty) {
+    const suffixes = ['', 'k', 'M', 'G', 'T', 'P', 'E'];
+    let value = difficulty;
+    let index = 0;
+    while (value >= 1000 && index < suffixes.length - 1) {
+        value /= 1000;
+        index++;
+    }
+    return `${value.toFixed(2)}${suffixes[index]}`;
+}
+
+/**
+ * Clamps a value to a range.
+ * @param {number} value The value.
+ * @param {number} min The minimum.
+ * @param {number} max The maximum.
+ * @returns {number} The clamped value.
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @returns {Promise<*>} The parsed body.
+ * @throws {SyntaxError} If the body is not valid JSON.
+ */
+async function readJsonBody(req) {
+    const body = await new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk.toString();
+        });
+        req.on('end', () => {
+            resolve(data);
+        });
+        req.on('error', err => reject(err));
+    });
+    return JSON.parse(body);
+}
+
+/**
+ * Reads the raw request body.
+ * @param {import('http').IncomingMessage} req The HTTP request object.
+ * @returns {Promise<Buffer>} The body.
+ */
+async function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => {
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            resolve(Buffer.concat(chunks));
+        });
+        req.on('error', err => reject(err));
+    });
+}
+
+/**
+ * Reads the version from the app description of an ESP32 application image, which
+ * follows the 24 byte image header and the 8 byte header of the first segment.
+ * @param {Buffer} image The image.
+ * @returns {string|null} The version, or null if the image has no app description.
+ */
+function readImageVersion(image) {
+    if (image.length < 80 || image[0] !== 0xE9 || image.readUInt32LE(32) !== 0xABCD5432) {
+        return null;
+    }
+    return image.toString('latin1', 48, 80).replace(/\0[\s\S]*$/, '');
+}
+
+/**
+ * Sends a JSON response.
+ * @param {import('http').ServerResponse} res The HTTP response object.
+ * @param {number} statusCode The HTTP status code.
+ * @param {*} payload The response body.
+ */
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * One simulated Bitaxe.
+ *
+ * Time only moves when tick() is called, so tests can step the simulation
+ * deterministically; the AxeOsSimulator calls it once a second.
+ *
+ * @class SimulatedMiner
+ * @since 2.0.0
+ */
+class SimulatedMiner {
+    /**
+     * @param {object} [options] The miner options.
+     * @param {number} [options.index=1] The miner number, used for the default hostname and MAC address.
+     * @param {string} [options.model='BM1370'] The ASIC model, a key of ASIC_MODELS.
+     * @param {string} [options.hostname] The hostname, defaults to `simaxe<index>`.
+     * @param {Function} [options.random=Math.random] The random number source.
+     */
+    constructor(options = {}) {
+        const index = options.index || 1;
+        const modelName = options.model || 'BM1370';
+        this.asic = ASIC_MODELS[modelName];
+        if (!this.asic) {
+            throw new Error(`Unknown ASIC model "${modelName}", expected one of ${Object.keys(ASIC_MODELS).join(', ')}`);
+        }
+        this.random = options.random || Math.random;
+        this.clock = 0; // Simulated seconds since the miner was created.
+        this.faults = {};
+        this.downUntil = null;
+        this.secrets = {};
+
+        const hostname = options.hostname || `simaxe${index}`;
+        this.info = {
+            ...JSON.parse(JSON.stringify(baseSystemInfo)),
+            ASICModel: modelName,
+            smallCoreCount: this.asic.smallCoreCount,
+            frequency: this.asic.defaultFrequency,
+            coreVoltage: this.asic.defaultVoltage,
+            hostname: hostname,
+            macAddr: `02:00:00:00:${(index >> 8).toString(16).padStart(2, '0')}:${(index & 0xff).toString(16).padStart(2, '0')}`.toUpperCase(),
+            ssid: 'simulator',
+            stratumUser: `${baseSystemInfo.stratumUser.split('.')[0]}.${hostname}`,
+            fallbackStratumUser: `${baseSystemInfo.fallbackStratumUser.split('.')[0]}.${hostname}`,
+            bestDiff: '0.00',
+            overheat_mode: 0,
+            overclockEnabled: 0,
+            autofanspeed: 1,
+            fanspeed: 60,
+            isUsingFallbackStratum: 0
+        };
+        this.bestDiff = 0;
+        this.overheated = false;
+        this.temp = SIMULATION.ambientTemp + 20;
+        this.vrTemp = SIMULATION.ambientTemp + 15;
+        this.boot();
+    }
+
+    /**
+     * Resets the per-session state, as a reboot does.
+     */
+    boot() {
+        this.bootedAt = this.clock;
+        this.downUntil = null;
+        this.sharesAccepted = 0;
+        this.sharesRejected = 0;
+        this.sharesRejectedReasons = {};
+        this.bestSessionDiff = 0;
+        this.pendingShares = 0;
+        this.statistics = [];
+        this.hashRate = 0;
+        this.power = SIMULATION.boardPower;
+        this.responseTime = 50;
+        this.wifiRSSI = -45 - Math.round(this.random() * 20);
+        this.recordStatistics();
+    }
+
+    /**
+     * Whether the miner currently answers AxeOS API requests.
+     * @returns {boolean}
+     */
+    isReachable() {
+        return !this.faults.offline && this.downUntil === null;
+    }
+
+    /**
+     * Whether overheat protection has stopped mining.
+     * @returns {boolean}
+     */
+    isHalted() {
+        return this.info.overheat_mode === 1 && this.overheated === true;
+    }
+
+    /**
+     * Returns the hashrate the current settings should produce, in GH/s.
+     * @returns {number}
+     */
+    getExpectedHashrate() {
+        return this.info.frequency * this.asic.smallCoreCount / 1000;
+    }
+
+    /**
+     * Returns the fraction of the expected hashrate the chip manages at the current
+     * settings. Running a frequency without enough core voltage costs hashrate.
+     * @returns {number} A value between 0 and 1.
+     */
+    getStability() {
+        // Voltage needed for the frequency, scaled from the model's defaults.
+        const requiredVoltage = this.asic.defaultVoltage * (0.8 + 0.2 * this.info.frequency / this.asic.defaultFrequency);
+        const shortfall = (requiredVoltage - this.info.coreVoltage) / this.asic.defaultVoltage;
+        return clamp(1 - Math.max(0, shortfall) * 5, 0, 1);
+    }
+
+    /**
+     * Advances the simulation.
+     * @param {number} [seconds=1] The simulated time to advance.
+     */
+    tick(seconds = 1) {
+        for (let step = 0; step < seconds; step++) {
+            this.step(Math.min(1, seconds - step));
+        }
+    }
+
+    /**
+     * Advances the simulation by at most one second.
+     * @param {number} dt The time step in seconds.
+     */
+    step(dt) {
+        this.clock += dt;
+
+        if (this.downUntil !== null) {
+            if (this.clock >= this.downUntil) {
+                this.boot();
+            }
+            return;
+        }
+
+        const uptime = this.clock - this.bootedAt;
+        const mining = !this.isHalted();
+        const warmup = clamp(uptime / SIMULATION.warmupSeconds, 0, 1);
+        const frequencyRatio = this.info.frequency / this.asic.defaultFrequency;
+        const voltageRatio = this.info.coreVoltage / this.asic.defaultVoltage;
+
+        // Power follows frequency and the square of the core voltage.
+        const asicPower = mining ? this.asic.nominalPower * frequencyRatio * voltageRatio * voltageRatio * warmup : 0;
+        this.power = SIMULATION.boardPower + asicPower * (1 + (this.random() - 0.5) * 0.02);
+
+        // Hashrate: the expected rate, minus instability, with a little noise.
+        const target = mining ? this.getExpectedHashrate() * this.getStability() * warmup : 0;
+        this.hashRate = target > 0 ? target * (0.97 + this.random() * 0.05) : 0;
+
+        this.updateFan();
+        this.updateTemperatures(asicPower, dt);
+        this.updateShares(dt);
+
+        if (this.temp >= SIMULATION.asicOverheatTemp || this.vrTemp >= SIMULATION.vrOverheatTemp) {
+            // Overheat protection: stop mining and run the fan flat out until cleared.
+            this.info.overheat_mode = 1;
+            this.overheated = true;
+        }
+
+        this.responseTime = clamp(this.responseTime + (this.random() - 0.5) * 20, 20, 400);
+        this.wifiRSSI = clamp(this.wifiRSSI + Math.round((this.random() - 0.5) * 2), -90, -30);
+
+        const previousUptime = uptime - dt;
+        if (Math.floor(uptime / SIMULATION.statisticsInterval) > Math.floor(previousUptime / SIMULATION.statisticsInterval)) {
+            this.recordStatistics();
+        }
+    }
+
+    /**
+     * Runs the automatic fan control: speeds up when the ASIC is above the target temperature.
+     */
+    updateFan() {
+        if (this.isHalted()) {
+            this.info.fanspeed = 100;
+        } else if (this.info.autofanspeed) {
+            const error = this.temp - this.info.temptarget;
+            this.info.fanspeed = Math.round(clamp(this.info.fanspeed + error * 2, this.info.minFanSpeed || 0, 100));
+        }
+    }
+
+    /**
+     * Moves the temperatures towards the level set by power and cooling.
+     * @param {number} asicPower The ASIC power in watts.
+     * @param {number} dt The time step in seconds.
+     */
+    updateTemperatures(asicPower, dt) {
+        // A stuck fan (overheat fault) cools as little as a fan at 0%.
+        const fanspeed = this.faults.overheat ? 0 : this.info.fanspeed;
+        const coolingFactor = 2.5 - 1.5 * fanspeed / 100; // 1.0 at 100% fan, 2.5 at 0%
+        const asicTarget = SIMULATION.ambientTemp + asicPower * SIMULATION.asicThermalResistance * coolingFactor;
+        const vrTarget = SIMULATION.ambientTemp + this.power * SIMULATION.vrThermalResistance * coolingFactor;
+        const approach = 1 - Math.exp(-dt / SIMULATION.thermalTimeConstant);
+
+        this.temp += (asicTarget - this.temp) * approach;
+        this.vrTemp += (vrTarget - this.vrTemp) * approach;
+    }
+
+    /**
+     * Finds the shares submitted during a time step.
+     * @param {number} dt The time step in seconds.
+     */
+    updateShares(dt) {
+        const difficulty = this.getPoolDifficulty();
+        // A share of difficulty D takes D * 2^32 hashes on average.
+        this.pendingShares += this.hashRate * 1e9 * dt / (difficulty * 4294967296);
+
+        while (this.pendingShares >= 1 || (this.pendingShares > 0 && this.random() < this.pendingShares)) {
+            this.pendingShares = Math.max(0, this.pendingShares - 1);
+            if (this.random() < SIMULATION.rejectRate) {
+                this.sharesRejected++;
+                this.sharesRejectedReasons['Above target'] = (this.sharesRejectedReasons['Above target'] || 0) + 1;
+                continue;
+            }
+            this.sharesAccepted++;
+            // Share difficulties above the pool difficulty are distributed as D / U.
+            const shareDifficulty = difficulty / Math.max(this.random(), 1e-9);
+            this.bestSessionDiff = Math.max(this.bestSessionDiff, shareDifficulty);
+            this.bestDiff = Math.max(this.bestDiff, shareDifficulty);
+        }
+    }
+
+    /**
+     * Returns the difficulty of the stratum the miner is connected to.
+     * @returns {number}
+     */
+    getPoolDifficulty() {
+        return this.faults.fallback
+            ? this.info.fallbackStratumSuggestedDifficulty || 1000
+            : this.info.stratumSuggestedDifficulty || 1000;
+    }
+
+    /**
+     * Adds a point to the statistics kept for /api/system/statistics/dashboard.
+     */
+    recordStatistics() {
+        this.statistics.push([
+            Number(this.hashRate.toFixed(2)),
+            Number(this.temp.toFixed(1)),
+            Number(this.power.toFixed(2)),
+            Math.round((this.clock - this.bootedAt) * 1000)
+        ]);
+        if (this.statistics.length > SIMULATION.statisticsLength) {
+            this.statistics.shift();
+        }
+    }
+
+    /**
+     * Returns the /api/system/info response.
+     * @returns {object}
+     */
+    getSystemInfo() {
+        const fanspeed = this.info.fanspeed;
+        const voltage = 5000 + (this.random() - 0.5) * 80;
+        return {
+            ...this.info,
+            power: this.power,
+            voltage: voltage,
+            current: this.power / voltage * 1e6,
+            temp: Number(this.temp.toFixed(2)),
+            vrTemp: Math.round(this.vrTemp),
+            hashRate: this.hashRate,
+            expectedHashrate: this.getExpectedHashrate(),
+            bestDiff: formatDifficulty(this.bestDiff),
+            bestSessionDiff: formatDifficulty(this.bestSessionDiff),
+            poolDifficulty: this.getPoolDifficulty(),
+            isUsingFallbackStratum: this.faults.fallback ? 1 : 0,
+            coreVoltageActual: Math.round(this.info.coreVoltage * 0.975),
+            wifiRSSI: this.wifiRSSI,
+            sharesAccepted: this.sharesAccepted,
+            sharesRejected: this.sharesRejected,
+            sharesRejectedReasons: Object.entries(this.sharesRejectedReasons).map(([message, count]) => ({ message, count })),
+            uptimeSeconds: Math.floor(this.clock - this.bootedAt),
+            responseTime: Number(this.responseTime.toFixed(3)),
+            fanspeed: fanspeed,
+            fanrpm: this.faults.overheat ? 0 : Math.round(SIMULATION.maxFanRpm * fanspeed / 100)
+        };
+    }
+
+    /**
+     * Returns the /api/system/asic response.
+     * @returns {object}
+     */
+    getAsicInfo() {
+        return {
+            ASICModel: this.info.ASICModel,
+            deviceModel: this.asic.deviceModel,
+            swarmColor: this.asic.swarmColor,
+            asicCount: 1,
+            defaultFrequency: this.asic.defaultFrequency,
+            frequencyOptions: this.asic.frequencyOptions,
+            defaultVoltage: this.asic.defaultVoltage,
+            voltageOptions: this.asic.voltageOptions
+        };
+    }
+
+    /**
+     * Returns the /api/system/wifi/scan response: the miner's own network, heard from two
+     * access points, and a few neighbours, one of them hidden.
+     * @returns {{networks: Array<{ssid: string, rssi: number, authmode: number}>}}
+     */
+    getWifiNetworks() {
+        return {
+            networks: [
+                { ssid: this.info.ssid, rssi: this.wifiRSSI, authmode: 3 },
+                { ssid: 'neighbour', rssi: -67, authmode: 7 },
+                { ssid: '', rssi: -70, authmode: 3 },
+                { ssid: this.info.ssid, rssi: this.wifiRSSI - 15, authmode: 3 },
+                { ssid: 'guest', rssi: -82, authmode: 0 }
+            ]
+        };
+    }
+
+    /**
+     * Returns the /api/system/statistics/dashboard response.
+     * @returns {{currentTimestamp: number, statistics: Array<Array<number>>}}
+     */
+    getStatistics() {
+        return {
+            currentTimestamp: Math.round((this.clock - this.bootedAt) * 1000),
+            statistics: this.statistics
+        };
+    }
+
+    /**
+     * Applies a settings PATCH. Unknown keys are ignored, like AxeOS does.
+     * @param {object} settings The settings.
+     * @returns {Array<string>} Validation errors; nothing is applied when there are any.
+     */
+    applySettings(settings) {
+        const errors = [];
+        Object.entries(settings).forEach(([key, value]) => {
+            const type = SETTINGS[key];
+            if (type === 'number' && !Number.isFinite(value)) {
+                errors.push(`${key} must be a number`);
+            } else if (type === 'string' && typeof value !== 'string') {
+                errors.push(`${key} must be a string`);
+            }
+        });
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        Object.entries(settings)
+            .filter(([key]) => SETTINGS[key])
+            .forEach(([key, value]) => {
+                if (SECRET_SETTINGS.includes(key)) {
+                    this.secrets[key] = value;
+                } else {
+                    this.info[key] = value;
+                }
+            });
+
+        if (settings.overheat_mode === 0) {
+            // Clearing overheat mode lets the miner resume.
+            this.overheated = false;
+        }
+        return [];
+    }
+
+    /**
+     * Starts a restart: the miner is unreachable for a few seconds, then boots.
+     */
+    restart() {
+        this.downUntil = this.clock + SIMULATION.restartSeconds;
+        this.hashRate = 0;
+        if (!this.faults.overheat) {
+            // A reboot clears overheat protection unless the cause persists.
+            this.info.overheat_mode = 0;
+            this.overheated = false;
+        }
+    }
+
+    /**
+     * Switches a fault on or off.
+     * @param {string} fault One of FAULTS.
+     * @param {boolean} [enabled=true] Whether the fault is active.
+     * @param {object} [options] Fault options; `delayMs` for the `slow` fault.
+     * @throws {Error} If the fault is unknown.
+     */
+    setFault(fault, enabled = true, options = {}) {
+        if (!FAULTS.includes(fault)) {
+            throw new Error(`Unknown fault "${fault}", expected one of ${FAULTS.join(', ')}`);
+        }
+        if (enabled) {
+            this.faults[fault] = { since: this.clock, ...options };
+        } else {
+            delete this.faults[fault];
+        }
+    }
+
+    /**
+     * Clears every fault.
+     */
+    clearFaults() {
+        this.faults = {};
+    }
+
+    /**
+     * Returns the simulator's view of the miner, for GET /simulator/state.
+     * @returns {object}
+     */
+    getState() {
+        return {
+            hostname: this.info.hostname,
+            reachable: this.isReachable(),
+            restarting: this.downUntil !== null,
+            halted: this.isHalted(),
+            faults: this.faults,
+            clock: this.clock,
+            uptimeSeconds: Math.floor(this.clock - this.bootedAt),
+            hashRate: this.hashRate,
+            temp: this.temp,
+            vrTemp: this.vrTemp,
+            power: this.power,
+            fanspeed: this.info.fanspeed,
+            frequency: this.info.frequency,
+            coreVoltage: this.info.coreVoltage
+        };
+    }
+
+    /**
+     * Handles an HTTP request addressed to this miner.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     * @param {string} pathname The request path relative to the miner.
+     */
+    async handleRequest(req, res, pathname) {
+        if (pathname.startsWith('/simulator/')) {
+            await this.handleControlRequest(req, res, pathname);
+            return;
+        }
+
+        if (!this.isReachable()) {
+            // Like a device that dropped off the network or is rebooting.
+            req.socket.destroy();
+            return;
+        }
+        if (this.faults.slow) {
+            await new Promise(resolve => setTimeout(resolve, this.faults.slow.delayMs || SIMULATION.slowDelayMs));
+        }
+
+        const route = `${req.method} ${pathname}`;
+        switch (route) {
+            case 'GET /api/system/info':
+                sendJson(res, 200, this.getSystemInfo());
+                break;
+            case 'GET /api/system/statistics/dashboard':
+                sendJson(res, 200, this.getStatistics());
+                break;
+            case 'GET /api/system/asic':
+                sendJson(res, 200, this.getAsicInfo());
+                break;
+            case 'GET /api/system/wifi/scan':
+                sendJson(res, 200, this.getWifiNetworks());
+                break;
+            case 'POST /api/system/restart':
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('System will restart shortly.');
+                this.restart();
+                break;
+            case 'POST /api/system/OTA': {
+                const version = readImageVersion(await readRawBody(req));
+                if (!version) {
+                    // AxeOS refuses images that fail validation and keeps the running firmware.
+                    res.writeHead(500, { 'Content-Type': 'text/plain' });
+                    res.end('Validation / Activation Error');
+                    return;
+                }
+                this.info.version = version;
+                this.info.axeOSVersion = version;
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('Firmware update complete, rebooting now!');
+                this.restart();
+                break;
+            }
+            case 'POST /api/system/OTAWWW': {
+                const body = await readRawBody(req);
+                res.writeHead(body.length > 0 ? 200 : 400, { 'Content-Type': 'text/plain' });
+                res.end(body.length > 0 ? 'WWW update complete' : 'Empty upload');
+                break;
+            }
+            case 'PATCH /api/system': {
+                let settings;
+                try {
+                    settings = await readJsonBody(req);
+                } catch (jsonError) {
+                    res.writeHead(400, { 'Content-Type': 'text/plain' });
+                    res.end('Invalid JSON');
+                    return;
+                }
+                if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                    res.writeHead(400, { 'Content-Type': 'text/plain' });
+                    res.end('Expected a JSON object');
+                    return;
+                }
+                const errors = this.applySettings(settings);
+                if (errors.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'text/plain' });
+                    res.end(errors.join('\n'));
+                    return;
+                }
+                res.writeHead(200);
+                res.end();
+                break;
+            }
+            default:
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not Found');
+        }
+    }
+
+    /**
+     * Handles the /simulator/ control endpoints, which work even while the miner is offline.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     * @param {string} pathname The request path relative to the miner.
+     */
+    async handleControlRequest(req, res, pathname) {
+        if (pathname === '/simulator/state' && req.method === 'GET') {
+            sendJson(res, 200, this.getState());
+            return;
+        }
+        if (pathname === '/simulator/faults' && req.method === 'DELETE') {
+            this.clearFaults();
+            sendJson(res, 200, this.getState());
+            return;
+        }
+        if (pathname === '/simulator/faults' && req.method === 'POST') {
+            try {
+                const { fault, enabled = true, ...options } = await readJsonBody(req);
+                this.setFault(fault, enabled !== false, options);
+                sendJson(res, 200, this.getState());
+            } catch (error) {
+                sendJson(res, 400, { success: false, message: error.message });
+            }
+            return;
+        }
+        sendJson(res, 404, { success: false, message: `Unknown simulator endpoint: ${req.method} ${pathname}` });
+    }
+}
+
+/**
+ * A fleet of simulated miners served over HTTP.
+ *
+ * @class AxeOsSimulator
+ * @since 2.0.0
+ */
+class AxeOsSimulator {
+    /**
+     * @param {object} [options] The simulator options.
+     * @param {number} [options.count=3] The number of miners.
+     * @param {string|Array<string>} [options.model='BM1370'] The ASIC model, or one per miner.
+     * @param {string} [options.host='127.0.0.1'] The address to listen on.
+     * @param {number} [options.basePort=8081] The first port in port mode (0 picks free ports).
+     * @param {boolean} [options.paths=false] Serve every miner from one port under /miner<n>.
+     * @param {number} [options.port=8080] The port in path mode (0 picks a free port).
+     * @param {number} [options.tickMs=1000] Real milliseconds per simulated second; 0 disables the clock.
+     * @param {Function} [options.random] The random number source.
+     */
+    constructor(options = {}) {
+        this.options = {
+            count: 3,
+            model: 'BM1370',
+            host: '127.0.0.1',
+            basePort: 8081,
+            paths: false,
+            port: 8080,
+            tickMs: 1000,
+            ...options
+        };
+        this.miners = Array.from({ length: this.options.count }, (unused, i) => new SimulatedMiner({
+            index: i + 1,
+            model: Array.isArray(this.options.model) ? this.options.model[i % this.options.model.length] : this.options.model,
+            random: this.options.random
+        }));
+        this.servers = [];
+        this.urls = [];
+        this.timer = null;
+    }
+
+    /**
+     * Starts the HTTP servers and the simulation clock.
+     * @returns {Promise<Array<string>>} The base URL of every miner, for bitaxe_instances.
+     */
+    async start() {
+        const { host, paths } = this.options;
+
+        if (paths) {
+            const server = http.createServer((req, res) => this.dispatchByPath(req, res));
+            const port = await this.listen(server, this.options.port);
+            this.urls = this.miners.map((miner, i) => `http://${host}:${port}/miner${i + 1}`);
+        } else {
+            for (let i = 0; i < this.miners.length; i++) {
+                const miner = this.miners[i];
+                const server = http.createServer((req, res) => {
+                    miner.handleRequest(req, res, new URL(req.url, 'http://localhost').pathname)
+                        .catch(error => this.handleError(res, error));
+                });
+                const port = await this.listen(server, this.options.basePort === 0 ? 0 : this.options.basePort + i);
+                this.urls.push(`http://${host}:${port}`);
+            }
+        }
+
+        if (this.options.tickMs > 0) {
+            this.timer = setInterval(() => this.tick(1), this.options.tickMs);
+            this.timer.unref();
+        }
+        return this.urls;
+    }
+
+    /**
+     * Stops the clock and closes the HTTP servers.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await Promise.all(this.servers.map(server => new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        })));
+        this.servers = [];
+        this.urls = [];
+    }
+
+    /**
+     * Advances every miner's simulation.
+     * @param {number} [seconds=1] The simulated time to advance.
+     */
+    tick(seconds = 1) {
+        this.miners.forEach(miner => miner.tick(seconds));
+    }
+
+    /**
+     * Returns a miner by its number (1-based) or hostname.
+     * @param {number|string} idOrIndex The miner number or hostname.
+     * @returns {SimulatedMiner|undefined}
+     */
+    getMiner(idOrIndex) {
+        return typeof idOrIndex === 'number'
+            ? this.miners[idOrIndex - 1]
+            : this.miners.find(miner => miner.info.hostname === idOrIndex);
+    }
+
+    /**
+     * Starts listening on a port.
+     * @param {http.Server} server The server.
+     * @param {number} port The port, 0 for any free port.
+     * @returns {Promise<number>} The port listened on.
+     */
+    listen(server, port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, this.options.host, () => {
+                server.removeListener('error', reject);
+                this.servers.push(server);
+                resolve(server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Routes a path-mode request (/miner<n>/...) to its miner.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     */
+    dispatchByPath(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const match = pathname.match(/^\/miner(\d+)(\/.*)$/);
+        const miner = match && this.miners[Number(match[1]) - 1];
+        if (!miner) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+        miner.handleRequest(req, res, match[2]).catch(error => this.handleError(res, error));
+    }
+
+    /**
+     * Answers 500 after an unexpected error.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     * @param {Error} error The error.
+     */
+    handleError(res, error) {
+        console.error('Simulator error:', error);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error');
+        }
+    }
+}
+
+/**
+ * Parses the command line options.
+ * @param {Array<string>} args The arguments after the script name.
+ * @returns {object} The AxeOsSimulator options.
+ */
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--count': options.count = parseInt(args[++i], 10); break;
+            case '--model': options.model = args[++i].split(','); break;
+            case '--host': options.host = args[++i]; break;
+            case '--base-port': options.basePort = parseInt(args[++i], 10); break;
+            case '--port': options.port = parseInt(args[++i], 10); break;
+            case '--paths': options.paths = true; break;
+            default:
+                throw new Error(`Unknown option ${args[i]}. Options: --count N, --model BM1370[,BM1368...], --host ADDRESS, --base-port PORT, --paths, --port PORT`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const simulator = new AxeOsSimulator(parseArguments(process.argv.slice(2)));
+            const urls = await simulator.start();
+            // The clock timer is unref'd; keep the process alive while the servers run.
+            console.log(`Simulating ${urls.length} AxeOS miner(s). Add them to config.json with:`);
+            console.log(JSON.stringify({ bitaxe_instances: urls.map((url, i) => ({ [`Sim ${i + 1}`]: url })) }, null, 4));
+            console.log('Inject faults with e.g.: curl -X POST -d \'{"fault":"overheat"}\' ' + `${urls[0]}/simulator/faults`);
+            process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+        } catch (error) {
+            console.error('Failed to start the simulator:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    AxeOsSimulator,
+    SimulatedMiner,
+    ASIC_MODELS,
+    FAULTS
+};
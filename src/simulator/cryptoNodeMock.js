@@ -0,0 +1,195 @@
+/**
+ * @file Crypto Node Mock - Local stand-in for a DigiByte (bitcoind-style) JSON-RPC server.
+ *
+ * Answers the JSON-RPC calls the dashboard makes through rpcService (`getblockchaininfo`,
+ * `getnettotals`, `getbalance`, `getnetworkinfo`, plus the other methods recorded in
+ * `Examples/DigibyteNode-JSON-RPC-Examples.txt`) with the results in
+ * `src/demo-apis/digibyte-node-rpc.json`. Requests must carry the configured Basic
+ * credentials, like a real node.
+ *
+ * The failure modes of a real node are available through setMode() and setRpcError():
+ * - `ok`: answer every call (default)
+ * - `unauthorized`: 401 with an empty body, which is how digibyted rejects bad rpcauth
+ * - `empty`: 200 with an empty body, like a node that drops the connection
+ * - setRpcError(method, { code, message }): answer that method with a JSON-RPC error object
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const http = require('http');
+const rpcFixture = require('../demo-apis/digibyte-node-rpc.json');
+
+/**
+ * Response modes supported by the mock.
+ * @constant {Array<string>}
+ */
+const MODES = ['ok', 'unauthorized', 'empty'];
+
+/**
+ * JSON-RPC error returned for methods the mock does not know, as a node does.
+ * @constant {{code: number, message: string}}
+ */
+const METHOD_NOT_FOUND = { code: -32601, message: 'Method not found' };
+
+/**
+ * A JSON-RPC node stand-in on its own port.
+ *
+ * @class CryptoNodeMock
+ * @since 2.0.0
+ */
+class CryptoNodeMock {
+    /**
+     * @param {object} [options] The mock options.
+     * @param {string} [options.mode='ok'] The response mode, one of MODES.
+     * @param {string} [options.rpcAuth='rpcuser:rpcpassword'] The `user:password` the node accepts.
+     * @param {Object.<string, *>} [options.results] Results by method, merged over the fixture.
+     * @param {string} [options.host='127.0.0.1'] The address to listen on.
+     * @param {number} [options.port=0] The port, 0 picks a free port.
+     */
+    constructor(options = {}) {
+        this.options = { host: '127.0.0.1', port: 0, rpcAuth: 'rpcuser:rpcpassword', ...options };
+        this.results = { ...JSON.parse(JSON.stringify(rpcFixture)), ...options.results };
+        this.rpcErrors = {};
+        this.calls = [];
+        this.server = null;
+        this.setMode(options.mode || 'ok');
+    }
+
+    /**
+     * Changes how the mock answers.
+     * @param {string} mode One of MODES.
+     * @throws {Error} If the mode is unknown.
+     */
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown crypto node mock mode "${mode}", expected one of ${MODES.join(', ')}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Makes a method answer with a JSON-RPC error object, or clears the error.
+     * @param {string} method The RPC method.
+     * @param {{code: number, message: string}|null} error The error, null to answer normally again.
+     */
+    setRpcError(method, error) {
+        if (error) {
+            this.rpcErrors[method] = error;
+        } else {
+            delete this.rpcErrors[method];
+        }
+    }
+
+    /**
+     * Starts listening.
+     * @returns {Promise<{host: string, port: number}>} The address, for rpcConfig.json.
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('Crypto node mock error:', error);
+                if (!res.headersSent) {
+                    res.writeHead(500);
+                    res.end();
+                }
+            });
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                resolve({ host: this.options.host, port: this.server.address().port });
+            });
+        });
+    }
+
+    /**
+     * Stops listening and closes open connections.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Answers one JSON-RPC request according to the current mode.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     */
+    async handleRequest(req, res) {
+        const body = await new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', (chunk) => {
+                data += chunk.toString();
+            });
+            req.on('end', () => {
+                resolve(data);
+            });
+            req.on('error', err => reject(err));
+        });
+
+        const expectedAuth = 'Basic ' + Buffer.from(this.options.rpcAuth).toString('base64');
+        if (this.mode === 'unauthorized' || req.headers.authorization !== expectedAuth) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="jsonrpc"' });
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end('JSONRPC server handles only POST requests');
+            return;
+        }
+
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (jsonError) {
+            this.sendRpc(res, 500, null, { code: -32700, message: 'Parse error' }, null);
+            return;
+        }
+        this.calls.push(request.method);
+
+        if (this.mode === 'empty') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end();
+            return;
+        }
+
+        const rpcError = this.rpcErrors[request.method];
+        if (rpcError) {
+            this.sendRpc(res, 500, null, rpcError, request.id);
+        } else if (Object.prototype.hasOwnProperty.call(this.results, request.method)) {
+            this.sendRpc(res, 200, this.results[request.method], null, request.id);
+        } else {
+            this.sendRpc(res, 404, null, METHOD_NOT_FOUND, request.id);
+        }
+    }
+
+    /**
+     * Sends a JSON-RPC response.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     * @param {number} statusCode The HTTP status code.
+     * @param {*} result The result.
+     * @param {{code: number, message: string}|null} error The error.
+     * @param {*} id The request id.
+     */
+    sendRpc(res, statusCode, result, error, id) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result: result, error: error, id: id }));
+    }
+}
+
+module.exports = {
+    CryptoNodeMock,
+    MODES
+};
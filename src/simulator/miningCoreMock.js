@@ -0,0 +1,139 @@
+/**
+ * @file Mining Core Mock - Local stand-in for a Mining Core API server.
+ *
+ * Serves `GET /api/pools` with the data in `src/demo-apis/mining-core.json` (or pools
+ * set with setPools()), so the dashboard's Mining Core support can be tested without a
+ * pool. The failure modes a real server or the proxy in front of it can show are
+ * available through setMode():
+ * - `ok`: the pools (default)
+ * - `unauthorized`: 401, as from a proxy that requires credentials
+ * - `empty`: 200 with an empty body
+ * - `error`: 500 with a JSON error body
+ *
+ * Requests are counted in `requests`, so tests can wait for the dashboard to poll.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const http = require('http');
+const miningCoreFixture = require('../demo-apis/mining-core.json');
+
+/**
+ * Response modes supported by the mock.
+ * @constant {Array<string>}
+ */
+const MODES = ['ok', 'unauthorized', 'empty', 'error'];
+
+/**
+ * A Mining Core API stand-in on its own port.
+ *
+ * @class MiningCoreMock
+ * @since 2.0.0
+ */
+class MiningCoreMock {
+    /**
+     * @param {object} [options] The mock options.
+     * @param {string} [options.mode='ok'] The response mode, one of MODES.
+     * @param {Array<object>} [options.pools] The pools to serve, defaults to mining-core.json.
+     * @param {string} [options.host='127.0.0.1'] The address to listen on.
+     * @param {number} [options.port=0] The port, 0 picks a free port.
+     */
+    constructor(options = {}) {
+        this.options = { host: '127.0.0.1', port: 0, ...options };
+        this.pools = options.pools || JSON.parse(JSON.stringify(miningCoreFixture.pools));
+        this.requests = 0;
+        this.server = null;
+        this.setMode(options.mode || 'ok');
+    }
+
+    /**
+     * Changes how the mock answers.
+     * @param {string} mode One of MODES.
+     * @throws {Error} If the mode is unknown.
+     */
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown Mining Core mock mode "${mode}", expected one of ${MODES.join(', ')}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Replaces the pools returned by /api/pools.
+     * @param {Array<object>} pools The pools.
+     */
+    setPools(pools) {
+        this.pools = pools;
+    }
+
+    /**
+     * Starts listening.
+     * @returns {Promise<string>} The base URL, for mining_core_url.
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                resolve(`http://${this.options.host}:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Stops listening and closes open connections.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Answers one request according to the current mode.
+     * @param {import('http').IncomingMessage} req The HTTP request object.
+     * @param {import('http').ServerResponse} res The HTTP response object.
+     */
+    handleRequest(req, res) {
+        this.requests++;
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (req.method !== 'GET' || pathname !== '/api/pools') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'Not Found' }));
+            return;
+        }
+
+        switch (this.mode) {
+            case 'unauthorized':
+                res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Mining Core"' });
+                res.end();
+                break;
+            case 'empty':
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end();
+                break;
+            case 'error':
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ message: 'An error has occurred' }));
+                break;
+            default:
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ pools: this.pools }));
+        }
+    }
+}
+
+module.exports = {
+    MiningCoreMock,
+    MODES
+};
@@ -0,0 +1,82 @@
+/**
+ * @file Test helper - Minimal stand-ins for http.IncomingMessage and http.ServerResponse.
+ *
+ * Enough for the route handlers, which only read the method, URL, headers and body of a
+ * request and call writeHead()/end() on the response.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { Readable } = require('stream');
+
+/**
+ * Creates a request whose body can be read through 'data' / 'end' events.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL (path and query).
+ * @param {object} [options] The request options.
+ * @param {object} [options.headers] Request headers; `host` defaults to localhost.
+ * @param {string|Buffer|object} [options.body] The body; objects are sent as JSON.
+ * @returns {Readable} The request.
+ */
+function createRequest(method, url, options = {}) {
+    const body = options.body === undefined
+        ? ''
+        : typeof options.body === 'string' || Buffer.isBuffer(options.body) ? options.body : JSON.stringify(options.body);
+    const req = Readable.from(body ? [Buffer.from(body)] : []);
+    req.method = method;
+    req.url = url;
+    req.headers = { host: 'localhost', ...options.headers };
+    req.socket = { remoteAddress: '127.0.0.1' };
+    return req;
+}
+
+/**
+ * Creates a response that records what the handler sent.
+ * Await `res.finished` for handlers that answer asynchronously.
+ * @returns {object} The response, with `statusCode`, `headers`, `body` and `json()`.
+ */
+function createResponse() {
+    let markFinished;
+    const res = {
+        statusCode: null,
+        headers: {},
+        body: '',
+        headersSent: false,
+        writableEnded: false,
+        finished: new Promise(resolve => { markFinished = resolve; }),
+        writeHead(statusCode, headers = {}) {
+            this.statusCode = statusCode;
+            Object.entries(headers).forEach(([name, value]) => {
+                this.headers[name.toLowerCase()] = value;
+            });
+            this.headersSent = true;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        write(chunk) {
+            this.body += chunk.toString();
+            return true;
+        },
+        end(chunk) {
+            if (chunk !== undefined) {
+                this.body += chunk.toString();
+            }
+            this.headersSent = true;
+            this.writableEnded = true;
+            markFinished();
+        },
+        json() {
+            return JSON.parse(this.body);
+        }
+    };
+    return res;
+}
+
+module.exports = {
+    createRequest,
+    createResponse
+};
@@ -0,0 +1,185 @@
+/**
+ * @file Test helper - A local MQTT 3.1.1 broker that records what it is sent.
+ *
+ * Handles CONNECT (answered with a configurable CONNACK return code), PUBLISH,
+ * SUBSCRIBE, PINGREQ (optionally left unanswered, like a hung broker) and DISCONNECT. Messages are not routed between clients;
+ * tests send messages to the connected clients with `send()`.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const net = require('net');
+
+/**
+ * Reads an MQTT UTF-8 string.
+ * @param {Buffer} buffer The packet body.
+ * @param {number} offset Where the string starts.
+ * @returns {{value: string, next: number}} The string and the offset after it.
+ */
+function readString(buffer, offset) {
+    const length = buffer.readUInt16BE(offset);
+    return { value: buffer.subarray(offset + 2, offset + 2 + length).toString('utf8'), next: offset + 2 + length };
+}
+
+/**
+ * Local MQTT broker for tests.
+ */
+class MqttStub {
+    constructor() {
+        // CONNECT packets: { clientId, username, password, will, keepalive, cleanSession }.
+        this.connects = [];
+        // PUBLISH packets: { topic, payload, retain, qos }.
+        this.published = [];
+        // Subscribed topic filters.
+        this.subscriptions = [];
+        // PUBACK packet ids, PINGREQ and DISCONNECT counts.
+        this.pubacks = [];
+        this.pings = 0;
+        this.disconnects = 0;
+        // CONNACK return code for the next connections.
+        this.returnCode = 0;
+        // Whether PINGREQ is answered with PINGRESP.
+        this.answerPings = true;
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.onConnection(socket));
+    }
+
+    /**
+     * Starts listening on a free local port.
+     * @returns {Promise<string>} The broker URL.
+     */
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`mqtt://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    /**
+     * Closes the server and every open connection.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Drops every client connection without a DISCONNECT, like a broker restart.
+     */
+    dropConnections() {
+        this.sockets.forEach(socket => socket.destroy());
+    }
+
+    /**
+     * Sends a message to every connected client.
+     * @param {string} topic The topic.
+     * @param {string} payload The payload.
+     * @param {number} [qos=0] The QoS level; QoS 1 messages carry packet id 1.
+     */
+    send(topic, payload, qos = 0) {
+        const topicBuffer = Buffer.from(topic, 'utf8');
+        const parts = [Buffer.from([topicBuffer.length >> 8, topicBuffer.length & 0xff]), topicBuffer];
+        if (qos > 0) {
+            parts.push(Buffer.from([0, 1]));
+        }
+        parts.push(Buffer.from(payload, 'utf8'));
+        const body = Buffer.concat(parts);
+        // Bodies in the tests stay under 128 bytes, so the length fits in one byte.
+        const packet = Buffer.concat([Buffer.from([0x30 | (qos << 1), body.length]), body]);
+        this.sockets.forEach(socket => socket.write(packet));
+    }
+
+    /**
+     * Splits the bytes of one connection into packets.
+     * @param {net.Socket} socket The client connection.
+     */
+    onConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= 2) {
+                let length = 0;
+                let multiplier = 1;
+                let offset = 1;
+                let byte;
+                do {
+                    if (offset >= buffer.length) return;
+                    byte = buffer[offset++];
+                    length += (byte & 0x7f) * multiplier;
+                    multiplier *= 128;
+                } while (byte & 0x80);
+                if (buffer.length < offset + length) return;
+
+                const header = buffer[0];
+                const body = buffer.subarray(offset, offset + length);
+                buffer = buffer.subarray(offset + length);
+                this.onPacket(socket, header >> 4, header & 0x0f, body);
+            }
+        });
+    }
+
+    /**
+     * Records and answers one packet.
+     * @param {net.Socket} socket The client connection.
+     * @param {number} type The packet type.
+     * @param {number} flags The fixed header flags.
+     * @param {Buffer} body The variable header and payload.
+     */
+    onPacket(socket, type, flags, body) {
+        if (type === 1) {
+            const protocol = readString(body, 0);
+            const connectFlags = body[protocol.next + 1];
+            const keepalive = body.readUInt16BE(protocol.next + 2);
+            let field = readString(body, protocol.next + 4);
+            const connect = { clientId: field.value, username: null, password: null, will: null, keepalive, cleanSession: (connectFlags & 0x02) !== 0 };
+            if (connectFlags & 0x04) {
+                const topic = readString(body, field.next);
+                field = readString(body, topic.next);
+                connect.will = { topic: topic.value, payload: field.value, retain: (connectFlags & 0x20) !== 0 };
+            }
+            if (connectFlags & 0x80) {
+                field = readString(body, field.next);
+                connect.username = field.value;
+            }
+            if (connectFlags & 0x40) {
+                connect.password = readString(body, field.next).value;
+            }
+            this.connects.push(connect);
+            socket.write(Buffer.from([0x20, 2, 0, this.returnCode]));
+        } else if (type === 3) {
+            const topic = readString(body, 0);
+            this.published.push({ topic: topic.value, payload: body.subarray(topic.next).toString('utf8'), retain: (flags & 0x01) !== 0, qos: (flags >> 1) & 0x03 });
+        } else if (type === 4) {
+            this.pubacks.push(body.readUInt16BE(0));
+        } else if (type === 8) {
+            const packetId = body.subarray(0, 2);
+            const codes = [];
+            let offset = 2;
+            while (offset < body.length) {
+                const filter = readString(body, offset);
+                this.subscriptions.push(filter.value);
+                codes.push(0);
+                offset = filter.next + 1;
+            }
+            socket.write(Buffer.concat([Buffer.from([0x90, 2 + codes.length]), packetId, Buffer.from(codes)]));
+        } else if (type === 12) {
+            this.pings++;
+            if (this.answerPings) {
+                socket.write(Buffer.from([0xd0, 0]));
+            }
+        } else if (type === 14) {
+            this.disconnects++;
+            socket.end();
+        }
+    }
+}
+
+module.exports = {
+    MqttStub
+};
@@ -0,0 +1,171 @@
+/**
+ * @file Test helper - A local SMTP server that records what it is sent.
+ *
+ * Speaks just enough SMTP for smtpClient: EHLO (optionally offering STARTTLS, which it
+ * accepts but then answers with plain text, so the TLS handshake fails), AUTH PLAIN /
+ * AUTH LOGIN, MAIL FROM, RCPT TO, DATA and QUIT.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const net = require('net');
+
+/**
+ * Local SMTP server for tests.
+ */
+class SmtpStub {
+    /**
+     * @param {object} [options] The options.
+     * @param {boolean} [options.offerStartTls=false] Advertise STARTTLS in the EHLO reply.
+     * @param {boolean} [options.resetAfterQuit=false] Reset the connection shortly after answering QUIT instead of closing it.
+     * @param {string} [options.authMechanisms='PLAIN LOGIN'] The mechanisms advertised in the EHLO reply.
+     * @param {number} [options.authReply=235] The reply code to the end of AUTH, e.g. 535 to refuse the credentials.
+     */
+    constructor(options = {}) {
+        this.options = { offerStartTls: false, resetAfterQuit: false, authMechanisms: 'PLAIN LOGIN', authReply: 235, ...options };
+        // Accepted messages: { from, to, auth, data }.
+        this.messages = [];
+        // Every command line received, in order.
+        this.commands = [];
+        // Reply codes to answer the next messages' end of DATA with, e.g. [451, 451].
+        this.dataReplies = [];
+        this.sockets = new Set();
+        // Half-open connections stay up after the client's FIN, so a reset still reaches it.
+        this.server = net.createServer({ allowHalfOpen: true }, socket => this.onConnection(socket));
+    }
+
+    /**
+     * Starts listening on a free local port.
+     * @returns {Promise<number>} The port.
+     */
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+        });
+    }
+
+    /**
+     * Closes the server and every open connection.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Runs the SMTP dialogue of one connection.
+     * @param {net.Socket} socket The client connection.
+     */
+    onConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const session = { from: null, to: [], auth: null, data: null, login: null, startTls: false };
+        const reply = text => socket.write(`${text}\r\n`);
+        let buffer = '';
+
+        reply('220 stub ESMTP');
+        socket.on('data', chunk => {
+            // The client's TLS handshake after STARTTLS gets a reply it cannot parse.
+            if (session.startTls) {
+                socket.end('500 This is not TLS\r\n');
+                return;
+            }
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                this.onLine(socket, session, line, reply);
+            }
+        });
+    }
+
+    /**
+     * Answers one line of the dialogue.
+     * @param {net.Socket} socket The client connection.
+     * @param {object} session The state of the connection.
+     * @param {string} line The line, without CRLF.
+     * @param {Function} reply Sends a reply line.
+     */
+    onLine(socket, session, line, reply) {
+        if (session.data !== null) {
+            if (line !== '.') {
+                session.data.push(line.startsWith('..') ? line.slice(1) : line);
+                return;
+            }
+            const code = this.dataReplies.length > 0 ? this.dataReplies.shift() : 250;
+            if (code === 250) {
+                this.messages.push({ from: session.from, to: session.to, auth: session.auth, data: session.data.join('\r\n') });
+            }
+            session.data = null;
+            session.to = [];
+            reply(code === 250 ? '250 OK queued' : `${code} Try again later`);
+            return;
+        }
+        if (session.login) {
+            session.login.push(Buffer.from(line, 'base64').toString('utf8'));
+            if (session.login.length === 1) {
+                reply('334 UGFzc3dvcmQ6');
+            } else {
+                session.auth = { mechanism: 'LOGIN', username: session.login[0], password: session.login[1] };
+                session.login = null;
+                this.replyToAuth(reply);
+            }
+            return;
+        }
+
+        this.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+            reply('250-stub');
+            if (this.options.offerStartTls) reply('250-STARTTLS');
+            reply(`250-AUTH ${this.options.authMechanisms}`);
+            reply('250 8BITMIME');
+        } else if (verb === 'AUTH' && /^AUTH PLAIN /i.test(line)) {
+            const [, username, password] = Buffer.from(line.slice(11), 'base64').toString('utf8').split('\0');
+            session.auth = { mechanism: 'PLAIN', username, password };
+            this.replyToAuth(reply);
+        } else if (verb === 'AUTH') {
+            session.login = [];
+            reply('334 VXNlcm5hbWU6');
+        } else if (verb === 'STARTTLS' && this.options.offerStartTls) {
+            session.startTls = true;
+            reply('220 Ready to start TLS');
+        } else if (verb === 'MAIL') {
+            session.from = line.match(/<(.*)>/)[1];
+            reply('250 OK');
+        } else if (verb === 'RCPT') {
+            session.to.push(line.match(/<(.*)>/)[1]);
+            reply('250 OK');
+        } else if (verb === 'DATA') {
+            session.data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+            reply('221 Bye');
+            if (this.options.resetAfterQuit) {
+                setTimeout(() => socket.resetAndDestroy(), 20);
+            } else {
+                socket.end();
+            }
+        } else {
+            reply('502 Command not implemented');
+        }
+    }
+
+    /**
+     * Answers the end of AUTH with the configured reply code.
+     * @param {Function} reply Sends a reply line.
+     */
+    replyToAuth(reply) {
+        reply(this.options.authReply === 235 ? '235 Authenticated' : `${this.options.authReply} Authentication credentials invalid`);
+    }
+}
+
+module.exports = {
+    SmtpStub
+};
@@ -0,0 +1,62 @@
+/**
+ * @file Test helper - Points the backend at a temporary config directory.
+ *
+ * The backend resolves its config directory once, when configPaths.js is first loaded,
+ * so a test file must call useTempConfigDir() before it requires any backend module.
+ * node:test runs every test file in its own process, so each file gets its own directory
+ * and src/config is never touched.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * JWT settings written to the temporary directory; jwTokenServices exits the process
+ * when it cannot load them.
+ * @constant {{jsonWebTokenKey: string, expiresIn: string}}
+ */
+const TEST_JWT_KEY = { jsonWebTokenKey: 'test-json-web-token-key', expiresIn: '1h' };
+
+/**
+ * Creates a temporary config directory and sets BITAXE_DASHBOARD_CONFIG_DIR to it.
+ * @param {object} [options] The options.
+ * @param {boolean} [options.create=true] Create the directory (with a jsonWebTokenKey.json), or leave it for the code under test to create.
+ * @returns {{dir: string, file: Function, writeJson: Function, readJson: Function, exists: Function, reset: Function, cleanup: Function}} The directory helpers.
+ */
+function useTempConfigDir(options = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bitaxe-dashboard-test-'));
+    const dir = path.join(root, 'config');
+    process.env.BITAXE_DASHBOARD_CONFIG_DIR = dir;
+
+    const helpers = {
+        dir: dir,
+        file: name => path.join(dir, name),
+        writeJson: (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data, null, 4)),
+        readJson: name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')),
+        exists: name => fs.existsSync(path.join(dir, name)),
+        /**
+         * Empties the directory, restoring jsonWebTokenKey.json unless the directory was not created.
+         */
+        reset: () => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            if (options.create !== false) {
+                fs.mkdirSync(dir);
+                helpers.writeJson('jsonWebTokenKey.json', TEST_JWT_KEY);
+            }
+        },
+        cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+    };
+
+    helpers.reset();
+    return helpers;
+}
+
+module.exports = {
+    useTempConfigDir,
+    TEST_JWT_KEY
+};
@@ -0,0 +1,309 @@
+/**
+ * @file Integration tests for /api/systems/info.
+ *
+ * Boots the dashboard (index.js) in a child process with a temporary config directory
+ * pointing at local stand-ins: simulated AxeOS miners, Mining Core mocks and JSON-RPC
+ * node mocks, each set up to succeed or to fail in a particular way. The tests then
+ * assert on what /api/systems/info reports for every device.
+ *
+ * Run with `npm run test:integration` from the src directory.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { MiningCoreMock } = require('../../simulator/miningCoreMock');
+const { CryptoNodeMock } = require('../../simulator/cryptoNodeMock');
+
+/**
+ * Time in milliseconds to wait for the dashboard to start or for a condition to hold.
+ * @constant {number}
+ */
+const WAIT_TIMEOUT_MS = 20000;
+
+/**
+ * Credentials accepted by the node mocks.
+ * @constant {string}
+ */
+const RPC_AUTH = 'rpcuser:rpcpassword';
+
+/**
+ * Finds a free TCP port.
+ * @returns {Promise<number>} The port.
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Polls a condition until it returns a truthy value.
+ * @param {Function} condition Async function returning the value to wait for.
+ * @param {string} description What is being waited for, used in the timeout error.
+ * @returns {Promise<*>} The value returned by the condition.
+ * @throws {Error} If the condition does not hold within WAIT_TIMEOUT_MS.
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + WAIT_TIMEOUT_MS;
+    let lastError = null;
+    while (Date.now() < deadline) {
+        try {
+            const value = await condition();
+            if (value) {
+                return value;
+            }
+        } catch (error) {
+            lastError = error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Timed out waiting for ${description}${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+describe('/api/systems/info against mock devices', () => {
+    const simulator = new AxeOsSimulator({ count: 2, basePort: 0, tickMs: 0 });
+    const miningCores = {
+        ok: new MiningCoreMock(),
+        unauthorized: new MiningCoreMock({ mode: 'unauthorized' }),
+        empty: new MiningCoreMock({ mode: 'empty' }),
+        error: new MiningCoreMock({ mode: 'error' })
+    };
+    const nodes = {
+        ok: new CryptoNodeMock({ rpcAuth: RPC_AUTH }),
+        badAuth: new CryptoNodeMock({ rpcAuth: RPC_AUTH }),
+        empty: new CryptoNodeMock({ rpcAuth: RPC_AUTH, mode: 'empty' }),
+        rpcError: new CryptoNodeMock({ rpcAuth: RPC_AUTH })
+    };
+    let configDir;
+    let dashboard;
+    let dashboardOutput = '';
+    let baseUrl;
+
+    /**
+     * Fetches /api/systems/info from the dashboard.
+     * @returns {Promise<object>} The parsed response.
+     */
+    async function getSystemsInfo() {
+        const response = await fetch(`${baseUrl}/api/systems/info`);
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    /**
+     * Finds an entry by id (miners and nodes) or instanceName (Mining Core).
+     * @param {Array<object>} entries The entries.
+     * @param {string} name The id or instance name.
+     * @returns {object} The entry.
+     */
+    function byName(entries, name) {
+        const entry = entries.find(candidate => candidate.id === name || candidate.instanceName === name);
+        assert.ok(entry, `${name} is missing from the response`);
+        return entry;
+    }
+
+    before(async () => {
+        const minerUrls = await simulator.start();
+        simulator.tick(60);
+        simulator.getMiner(2).setFault('offline');
+
+        const miningCoreUrls = {};
+        for (const [name, mock] of Object.entries(miningCores)) {
+            miningCoreUrls[name] = await mock.start();
+        }
+        const nodeAddresses = {};
+        for (const [name, mock] of Object.entries(nodes)) {
+            nodeAddresses[name] = await mock.start();
+        }
+        nodes.rpcError.setRpcError('getbalance', { code: -18, message: 'No wallet is loaded.' });
+
+        configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bitaxe-dashboard-it-'));
+        const config = {
+            disable_authentication: true,
+            disable_settings: true,
+            disable_configurations: true,
+            title: 'Integration Test',
+            poll_interval_seconds: 1,
+            metrics: { enabled: false },
+            history: { enabled: false },
+            alert_rules: [],
+            notification_channels: [],
+            bitaxe_instances: [
+                { 'Sim Online': minerUrls[0] },
+                { 'Sim Offline': minerUrls[1] }
+            ],
+            display_fields: [],
+            mining_core_enabled: true,
+            mining_core_url: [
+                { 'MC OK': miningCoreUrls.ok },
+                { 'MC Unauthorized': miningCoreUrls.unauthorized },
+                { 'MC Empty': miningCoreUrls.empty },
+                { 'MC Error': miningCoreUrls.error }
+            ],
+            mining_core_display_fields: [],
+            cryptNodesEnabled: true,
+            cryptoNodes: [
+                {
+                    Nodes: Object.keys(nodes).map(name => ({ NodeType: 'dgb', NodeName: `Node ${name}`, NodeId: name, NodeAlgo: 'sha256d' }))
+                },
+                { NodeDisplayFields: [] }
+            ]
+        };
+        const rpcConfig = {
+            cryptoNodes: Object.entries(nodeAddresses).map(([name, address]) => ({
+                NodeId: name,
+                NodeRPCAddress: address.host,
+                NodeRPCPort: address.port,
+                NodeRPAuth: name === 'badAuth' ? 'rpcuser:wrongpassword' : RPC_AUTH
+            }))
+        };
+        await fs.writeFile(path.join(configDir, 'config.json'), JSON.stringify(config, null, 4));
+        await fs.writeFile(path.join(configDir, 'rpcConfig.json'), JSON.stringify(rpcConfig, null, 4));
+        await fs.writeFile(path.join(configDir, 'access.json'), JSON.stringify({}));
+        await fs.writeFile(path.join(configDir, 'jsonWebTokenKey.json'), JSON.stringify({ jsonWebTokenKey: 'integration-test-key', expiresIn: '1h' }));
+
+        const port = await getFreePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+        dashboard = spawn(process.execPath, [path.join(__dirname, '..', '..', 'index.js')], {
+            env: { ...process.env, PORT: String(port), BITAXE_DASHBOARD_CONFIG_DIR: configDir },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        dashboard.stdout.on('data', chunk => { dashboardOutput += chunk; });
+        dashboard.stderr.on('data', chunk => { dashboardOutput += chunk; });
+
+        try {
+            await waitFor(async () => {
+                if (dashboard.exitCode !== null) {
+                    throw new Error(`dashboard exited with code ${dashboard.exitCode}`);
+                }
+                return (await fetch(`${baseUrl}/api/systems/info`)).ok;
+            }, 'the dashboard to start');
+        } catch (error) {
+            error.message += `\nDashboard output:\n${dashboardOutput}`;
+            throw error;
+        }
+    });
+
+    after(async () => {
+        if (dashboard && dashboard.exitCode === null) {
+            const exited = new Promise(resolve => dashboard.once('exit', resolve));
+            dashboard.kill();
+            await exited;
+        }
+        await simulator.stop();
+        await Promise.all([...Object.values(miningCores), ...Object.values(nodes)].map(mock => mock.stop()));
+        if (configDir) {
+            await fs.rm(configDir, { recursive: true, force: true });
+        }
+    });
+
+    it('reports the dashboard flags from the config', async () => {
+        const data = await getSystemsInfo();
+        assert.equal(data.disable_authentication, true);
+        assert.equal(data.disable_settings, true);
+        assert.equal(data.mining_core_enabled, true);
+    });
+
+    it('reports a reachable miner with its live system info', async () => {
+        const miner = byName((await getSystemsInfo()).minerData, 'Sim Online');
+        assert.equal(miner.hostname, 'simaxe1');
+        assert.equal(miner.ASICModel, 'BM1370');
+        assert.ok(miner.hashRate > 0);
+        assert.equal(miner.lastError, null);
+        assert.equal(miner.stale, false);
+    });
+
+    it('reports an unreachable miner as an error', async () => {
+        const miner = byName((await getSystemsInfo()).minerData, 'Sim Offline');
+        assert.equal(miner.status, 'Error');
+        assert.ok(miner.lastError);
+        assert.equal(miner.stale, true);
+    });
+
+    it('reports the Mining Core pools', async () => {
+        const instance = byName((await getSystemsInfo()).miningCoreData, 'MC OK');
+        assert.equal(instance.status, 'OK');
+        assert.deepEqual(instance.pools.map(pool => pool.id), miningCores.ok.pools.map(pool => pool.id));
+        assert.equal(instance.pools[0].coin.symbol, 'DGB');
+    });
+
+    it('reports Mining Core authentication failures, empty responses and server errors', async () => {
+        const data = await getSystemsInfo();
+
+        const unauthorized = byName(data.miningCoreData, 'MC Unauthorized');
+        assert.equal(unauthorized.status, 'Error');
+        assert.match(unauthorized.message, /^401/);
+        assert.deepEqual(unauthorized.pools, []);
+
+        const empty = byName(data.miningCoreData, 'MC Empty');
+        assert.equal(empty.status, 'Error');
+        assert.deepEqual(empty.pools, []);
+
+        const error = byName(data.miningCoreData, 'MC Error');
+        assert.equal(error.status, 'Error');
+        assert.match(error.message, /^500/);
+    });
+
+    it('reports the crypto node RPC data', async () => {
+        const node = byName((await getSystemsInfo()).cryptoNodeData, 'Node ok');
+        assert.equal(node.status, 'online');
+        assert.equal(node.blockchainInfo.chain, 'main');
+        assert.equal(node.blockchainInfo.blocks, 22204300);
+        assert.equal(node.networkInfo.subversion, '/DigiByte:8.22.2/');
+        assert.equal(node.networkTotals.totalbytessent, 469040698);
+        assert.equal(node.balance, 1.06163487);
+    });
+
+    it('reports crypto node authentication failures and empty responses', async () => {
+        const data = await getSystemsInfo();
+
+        const badAuth = byName(data.cryptoNodeData, 'Node badAuth');
+        assert.equal(badAuth.status, 'Error');
+        assert.match(badAuth.message, /Empty response from RPC server.*Status: 401/);
+
+        const empty = byName(data.cryptoNodeData, 'Node empty');
+        assert.equal(empty.status, 'Error');
+        assert.match(empty.message, /Empty response from RPC server.*Status: 200/);
+    });
+
+    it('reports a crypto node RPC error object', async () => {
+        const node = byName((await getSystemsInfo()).cryptoNodeData, 'Node rpcError');
+        assert.equal(node.status, 'Error');
+        assert.equal(node.message, 'No wallet is loaded.');
+    });
+
+    it('picks up recovered devices on the next poll', async () => {
+        miningCores.error.setMode('ok');
+        nodes.rpcError.setRpcError('getbalance', null);
+        simulator.getMiner(2).clearFaults();
+
+        const data = await waitFor(async () => {
+            const info = await getSystemsInfo();
+            const recovered = byName(info.miningCoreData, 'MC Error').status === 'OK'
+                && byName(info.cryptoNodeData, 'Node rpcError').status === 'online'
+                && byName(info.minerData, 'Sim Offline').stale === false;
+            return recovered && info;
+        }, 'the devices to recover');
+
+        assert.equal(byName(data.miningCoreData, 'MC Error').pools.length, miningCores.error.pools.length);
+        assert.equal(byName(data.cryptoNodeData, 'Node rpcError').balance, 1.06163487);
+        const miner = byName(data.minerData, 'Sim Offline');
+        assert.equal(miner.hostname, 'simaxe2');
+        assert.ok(miner.lastError, 'the last error is kept after recovering');
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * @file Unit tests for the /api/alerts endpoints.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const alertService = require('../../backend/services/alertService');
+const alertController = require('../../backend/controllers/alertController');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const CONFIG = {
+    alert_rules: [{ name: 'Hot', metric: 'temp', operator: '>', value: 70 }]
+};
+
+/**
+ * Sends a request to the alert controller.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object|string} [body] The request body.
+ * @returns {Promise<object>} The response.
+ */
+async function request(method, url, body) {
+    const res = createResponse();
+    await alertController.route(createRequest(method, url, { body }), res, CONFIG);
+    return res;
+}
+
+describe('/api/alerts', () => {
+    before(() => {
+        alertService.evaluate({
+            timestamp: Date.now(),
+            config: CONFIG,
+            minerData: [{ id: 'Bitaxe1', status: 'OK', temp: 75 }, { id: 'Bitaxe2', status: 'OK', temp: 50 }]
+        });
+    });
+
+    after(async () => {
+        await alertService.writeQueue;
+        configDir.cleanup();
+    });
+
+    it('lists active alerts, history and silences', async () => {
+        const res = await request('GET', '/api/alerts');
+        assert.equal(res.statusCode, 200);
+        const { active, history, silences } = res.json().data;
+        assert.deepEqual(active.map(alert => alert.id), ['Hot|miner|Bitaxe1']);
+        assert.deepEqual([history, silences], [[], []]);
+    });
+
+    it('acknowledges firing alerts', async () => {
+        assert.equal((await request('POST', '/api/alerts/acknowledge', {})).statusCode, 400);
+        assert.equal((await request('POST', '/api/alerts/acknowledge', { id: 'Hot|miner|Bitaxe2' })).statusCode, 404);
+
+        const res = await request('POST', '/api/alerts/acknowledge', { id: 'Hot|miner|Bitaxe1' });
+        assert.equal(res.statusCode, 200);
+        const [alert] = (await request('GET', '/api/alerts')).json().data.active;
+        assert.ok(alert.acknowledgedAt);
+        assert.equal(configDir.readJson('alerts.json').acknowledgements[0].id, 'Hot|miner|Bitaxe1');
+    });
+
+    it('creates and removes silences', async () => {
+        assert.match((await request('POST', '/api/alerts/silences', { duration_minutes: 60 })).json().message, /instanceId and\/or rule/);
+        assert.equal((await request('POST', '/api/alerts/silences', { instanceId: 'Bitaxe1', duration_minutes: 0 })).statusCode, 400);
+        assert.equal((await request('POST', '/api/alerts/silences', { instanceId: 'Bitaxe1', until: '2000-01-01T00:00:00Z' })).statusCode, 400);
+
+        const created = await request('POST', '/api/alerts/silences', { instanceId: 'Bitaxe1', duration_minutes: 120, reason: 'Repaste' });
+        assert.equal(created.statusCode, 201);
+        const silence = created.json().data;
+        assert.deepEqual([silence.instanceId, silence.rule, silence.reason], ['Bitaxe1', null, 'Repaste']);
+        assert.ok(Date.parse(silence.until) - Date.now() > 119 * 60 * 1000);
+
+        const { active, silences } = (await request('GET', '/api/alerts')).json().data;
+        assert.deepEqual(silences.map(entry => entry.id), [silence.id]);
+        assert.equal(active[0].silenced, true);
+        assert.equal(active[0].silencedUntil, silence.until);
+
+        assert.equal((await request('DELETE', '/api/alerts/silences')).statusCode, 400);
+        assert.equal((await request('DELETE', '/api/alerts/silences?id=nope')).statusCode, 404);
+        assert.equal((await request('DELETE', `/api/alerts/silences?id=${silence.id}`)).statusCode, 200);
+        assert.deepEqual(configDir.readJson('alerts.json').silences, []);
+    });
+
+    it('answers 404, 405 and 400 for unknown endpoints, methods and bad JSON', async () => {
+        assert.equal((await request('GET', '/api/alerts/nope')).statusCode, 404);
+        assert.equal((await request('PUT', '/api/alerts')).statusCode, 405);
+        const bad = await request('POST', '/api/alerts/acknowledge', '{oops');
+        assert.equal(bad.statusCode, 400);
+        assert.match(bad.json().message, /Invalid JSON/);
+    });
+});
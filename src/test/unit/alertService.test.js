@@ -0,0 +1,217 @@
+/**
+ * @file Unit tests for alertService, fed with synthetic poll events.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const alertService = require('../../backend/services/alertService');
+
+const { validateRule } = alertService;
+
+const SECOND = 1000;
+const START = Date.parse('2026-01-05T12:00:00Z');
+
+describe('alertService', () => {
+    let events;
+    const onAlert = event => events.push(event);
+
+    before(() => alertService.on('alert', onAlert));
+
+    beforeEach(() => {
+        events = [];
+        alertService.states.clear();
+        alertService.recentAlerts = [];
+        alertService.silences = [];
+        alertService.acknowledgements.clear();
+    });
+
+    after(async () => {
+        alertService.off('alert', onAlert);
+        await alertService.writeQueue;
+        configDir.cleanup();
+    });
+
+    /**
+     * Feeds one poll to the service and returns the alert events it caused.
+     * @param {Array<object>} rules The alert rules.
+     * @param {number} seconds Seconds since START.
+     * @param {object} data The poll data, e.g. `{ minerData: [...] }`.
+     * @returns {Array<string>} The events as `type:instanceId`.
+     */
+    function poll(rules, seconds, data) {
+        events.length = 0;
+        alertService.evaluate({ timestamp: START + seconds * SECOND, config: { alert_rules: rules }, minerData: [], ...data });
+        return events.map(event => `${event.type}:${event.alert.instanceId}`);
+    }
+
+    const miner = (id, fields) => ({ minerData: [{ id, status: 'OK', ...fields }] });
+
+    it('validates rules', () => {
+        assert.equal(validateRule({ name: 'Hot', metric: 'temp', operator: '>', value: 70 }), null);
+        assert.equal(validateRule({ name: 'Down', type: 'offline', polls: 3 }), null);
+        assert.match(validateRule({ name: 'Hot', metric: 'temp', operator: '=>', value: 70 }), /operator/);
+        assert.match(validateRule({ name: 'Hot', metric: 'temp', operator: '>' }), /value is required/);
+        assert.match(validateRule({ name: 'Hot', target: 'pool', metric: 'temp', operator: '>', value: 1 }), /unknown target/);
+        assert.match(validateRule({ name: 'Down', type: 'offline', polls: -1 }), /polls/);
+        assert.match(validateRule({ type: 'offline' }), /name/);
+    });
+
+    it('fires a threshold rule once the condition held for for_seconds', () => {
+        const rules = [{ name: 'Hot', metric: 'temp', operator: '>', value: 70, for_seconds: 300 }];
+
+        assert.deepEqual(poll(rules, 0, miner('Bitaxe1', { temp: 72 })), []);
+        assert.equal(alertService.states.get('Hot|miner|Bitaxe1').state, 'pending');
+        // Dropping below the value starts the wait over.
+        assert.deepEqual(poll(rules, 200, miner('Bitaxe1', { temp: 69 })), []);
+        assert.deepEqual(poll(rules, 300, miner('Bitaxe1', { temp: 72 })), []);
+        assert.deepEqual(poll(rules, 550, miner('Bitaxe1', { temp: 73 })), []);
+        assert.deepEqual(poll(rules, 600, miner('Bitaxe1', { temp: 74 })), ['firing:Bitaxe1']);
+
+        const [alert] = alertService.getActiveAlerts({ alert_rules: rules });
+        assert.equal(alert.id, 'Hot|miner|Bitaxe1');
+        assert.equal(alert.severity, 'warning');
+        assert.equal(alert.value, 74);
+        assert.match(alert.message, /temp > 70, current 74/);
+
+        // No second event while it keeps firing.
+        assert.deepEqual(poll(rules, 615, miner('Bitaxe1', { temp: 75 })), []);
+    });
+
+    it('resolves a threshold rule only past clear_value for clear_for_seconds', async () => {
+        const rules = [{ name: 'Hot', metric: 'temp', operator: '>', value: 70, clear_value: 65, clear_for_seconds: 60 }];
+
+        assert.deepEqual(poll(rules, 0, miner('Bitaxe1', { temp: 71 })), ['firing:Bitaxe1']);
+        // Under the value but not under clear_value: still firing.
+        assert.deepEqual(poll(rules, 15, miner('Bitaxe1', { temp: 68 })), []);
+        assert.deepEqual(poll(rules, 30, miner('Bitaxe1', { temp: 64 })), []);
+        // Back over clear_value restarts the clear timer.
+        assert.deepEqual(poll(rules, 45, miner('Bitaxe1', { temp: 66 })), []);
+        assert.deepEqual(poll(rules, 60, miner('Bitaxe1', { temp: 60 })), []);
+        assert.deepEqual(poll(rules, 105, miner('Bitaxe1', { temp: 60 })), []);
+        // An offline miner leaves a firing alert firing and restarts the clear timer.
+        assert.deepEqual(poll(rules, 110, { minerData: [{ id: 'Bitaxe1', status: 'Error' }] }), []);
+        assert.deepEqual(poll(rules, 120, miner('Bitaxe1', { temp: 60 })), []);
+        assert.deepEqual(poll(rules, 175, miner('Bitaxe1', { temp: 60 })), []);
+        assert.deepEqual(poll(rules, 180, miner('Bitaxe1', { temp: 60 })), ['resolved:Bitaxe1']);
+
+        const [resolved] = alertService.getRecentAlerts();
+        assert.equal(resolved.state, 'resolved');
+        assert.equal(resolved.firedAt, new Date(START).toISOString());
+        assert.equal(resolved.resolvedAt, new Date(START + 180 * SECOND).toISOString());
+        assert.deepEqual(alertService.getActiveAlerts({ alert_rules: rules }), []);
+
+        await alertService.writeQueue;
+        assert.equal(configDir.readJson('alerts.json').history[0].id, 'Hot|miner|Bitaxe1');
+    });
+
+    it('fires "becomes" rules as soon as the value changes, per device and target', () => {
+        const rules = [
+            { name: 'Fallback', metric: 'isUsingFallbackStratum', operator: '==', value: 1 },
+            { name: 'Syncing', target: 'crypto_node', metric: 'blockchainInfo.initialblockdownload', operator: '==', value: true, severity: 'info' },
+            { name: 'Slow', metric: 'hashRatePercentOfExpected', operator: '<', value: 80, instances: ['Bitaxe2'] }
+        ];
+        const data = (fallback, syncing, hashRate) => ({
+            minerData: [
+                { id: 'Bitaxe1', status: 'OK', isUsingFallbackStratum: fallback, hashRate: hashRate, expectedHashrate: 1000 },
+                { id: 'Bitaxe2', status: 'OK', isUsingFallbackStratum: 0, hashRate: hashRate, expectedHashrate: 1000 }
+            ],
+            cryptoNodeData: [{ id: 'DGB Node', status: 'online', blockchainInfo: { initialblockdownload: syncing } }]
+        });
+
+        assert.deepEqual(poll(rules, 0, data(0, false, 900)), []);
+        assert.deepEqual(poll(rules, 15, data(1, true, 700)), ['firing:Bitaxe1', 'firing:DGB Node', 'firing:Bitaxe2']);
+        assert.deepEqual(poll(rules, 30, data(1, true, 700)), []);
+        assert.deepEqual(poll(rules, 45, data(0, false, 850)), ['resolved:Bitaxe1', 'resolved:DGB Node', 'resolved:Bitaxe2']);
+    });
+
+    it('fires an offline rule once more than `polls` polls failed in a row', () => {
+        const rules = [{ name: 'Down', type: 'offline', polls: 3, clear_polls: 2, severity: 'critical' }];
+        const up = miner('Bitaxe1', {});
+        const down = { minerData: [{ id: 'Bitaxe1', status: 'Error', message: 'ECONNREFUSED' }] };
+
+        assert.deepEqual(poll(rules, 0, down), []);
+        assert.deepEqual(poll(rules, 15, down), []);
+        assert.deepEqual(poll(rules, 30, down), []);
+        // One answered poll starts the count over.
+        assert.deepEqual(poll(rules, 45, up), []);
+        assert.deepEqual(poll(rules, 60, down), []);
+        assert.deepEqual(poll(rules, 75, down), []);
+        assert.deepEqual(poll(rules, 90, down), []);
+        assert.deepEqual(poll(rules, 105, down), ['firing:Bitaxe1']);
+        assert.match(alertService.getActiveAlerts({ alert_rules: rules })[0].message, /offline for 4 polls \(ECONNREFUSED\)/);
+
+        assert.deepEqual(poll(rules, 120, up), []);
+        assert.deepEqual(poll(rules, 135, down), []);
+        assert.deepEqual(poll(rules, 150, up), []);
+        assert.deepEqual(poll(rules, 165, up), ['resolved:Bitaxe1']);
+        assert.equal(alertService.getRecentAlerts()[0].resolvedMessage, 'Bitaxe1 is back online');
+    });
+
+    it('flags silenced alerts and forgets devices and rules that are gone', async () => {
+        const rules = [{ name: 'Hot', metric: 'temp', operator: '>', value: 70 }];
+        await alertService.addSilence({ instanceId: 'Bitaxe1', durationMinutes: 60 });
+
+        poll(rules, 0, { minerData: [{ id: 'Bitaxe1', status: 'OK', temp: 75 }, { id: 'Bitaxe2', status: 'OK', temp: 75 }] });
+        assert.deepEqual(events.map(event => [event.alert.instanceId, event.alert.silenced]), [['Bitaxe1', true], ['Bitaxe2', false]]);
+
+        poll(rules, 15, miner('Bitaxe2', { temp: 75 }));
+        assert.deepEqual(Array.from(alertService.states.keys()), ['Hot|miner|Bitaxe2']);
+        poll([], 30, miner('Bitaxe2', { temp: 75 }));
+        assert.equal(alertService.states.size, 0);
+    });
+
+    it('expires silences', async () => {
+        const now = Date.now();
+        const silence = await alertService.addSilence({ rule: 'Hot', durationMinutes: 30, reason: 'Repaste' }, now);
+        await assert.rejects(alertService.addSilence({ rule: 'Hot', until: new Date(now - 1000).toISOString() }, now), /in the future/);
+
+        assert.equal(alertService.findSilence('Hot', 'Bitaxe1', now).id, silence.id);
+        assert.equal(alertService.findSilence('Fan', 'Bitaxe1', now), null);
+        assert.equal(alertService.findSilence('Hot', 'Bitaxe1', now + 30 * 60 * SECOND), null);
+
+        assert.equal(alertService.getSilences(now).length, 1);
+        assert.deepEqual(alertService.getSilences(now + 31 * 60 * SECOND), []);
+        await alertService.writeQueue;
+        assert.deepEqual(configDir.readJson('alerts.json').silences, []);
+    });
+
+    it('keeps acknowledgements across a restart until the alert resolves', async () => {
+        const rules = [{ name: 'Hot', metric: 'temp', operator: '>', value: 70, for_seconds: 60 }];
+        poll(rules, 0, miner('Bitaxe1', { temp: 75 }));
+        poll(rules, 60, miner('Bitaxe1', { temp: 75 }));
+
+        assert.equal(await alertService.acknowledge('Hot|miner|Nope'), false);
+        assert.equal(await alertService.acknowledge('Hot|miner|Bitaxe1', START + 90 * SECOND), true);
+        assert.equal(alertService.getActiveAlerts({ alert_rules: rules })[0].acknowledgedAt, new Date(START + 90 * SECOND).toISOString());
+        assert.deepEqual(configDir.readJson('alerts.json').acknowledgements, [
+            { id: 'Hot|miner|Bitaxe1', acknowledgedAt: new Date(START + 90 * SECOND).toISOString() }
+        ]);
+
+        // Restart: the alert has to fire again, and comes back acknowledged.
+        alertService.states.clear();
+        alertService.acknowledgements.clear();
+        await alertService.load();
+        poll(rules, 120, miner('Bitaxe1', { temp: 75 }));
+        assert.deepEqual(poll(rules, 180, miner('Bitaxe1', { temp: 75 })), ['firing:Bitaxe1']);
+        assert.equal(events[0].alert.acknowledgedAt, new Date(START + 90 * SECOND).toISOString());
+
+        assert.deepEqual(poll(rules, 195, miner('Bitaxe1', { temp: 60 })), ['resolved:Bitaxe1']);
+        await alertService.writeQueue;
+        assert.deepEqual(configDir.readJson('alerts.json').acknowledgements, []);
+    });
+
+    it('drops restored acknowledgements of alerts that are no longer firing', async () => {
+        alertService.acknowledgements.set('Hot|miner|Bitaxe1', START);
+        poll([{ name: 'Hot', metric: 'temp', operator: '>', value: 70 }], 0, miner('Bitaxe1', { temp: 60 }));
+        assert.equal(alertService.acknowledgements.size, 0);
+        await alertService.writeQueue;
+        assert.deepEqual(configDir.readJson('alerts.json').acknowledgements, []);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * @file Unit tests for authController.handleLogin.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const configDir = useTempConfigDir();
+const authController = require('../../backend/authController');
+const jwTokenServices = require('../../backend/services/jwTokenServices');
+
+/**
+ * SHA-256 of "password", as sent by the login page.
+ * @constant {string}
+ */
+const HASHED_PASSWORD = crypto.createHash('sha256').update('password').digest('hex');
+
+/**
+ * Calls handleLogin and waits for the response to end.
+ * @param {string} method The HTTP method.
+ * @param {string|object} [body] The request body.
+ * @returns {Promise<object>} The recorded response.
+ */
+async function login(method, body) {
+    const res = createResponse();
+    await authController.handleLogin(createRequest(method, '/api/login', { body: body }), res, { cookie_max_age: 7200 });
+    await res.finished;
+    return res;
+}
+
+describe('authController.handleLogin', () => {
+    beforeEach(() => {
+        configDir.reset();
+        configDir.writeJson('access.json', { admin: HASHED_PASSWORD });
+    });
+
+    after(() => configDir.cleanup());
+
+    it('sets a session cookie with a valid JWT for correct credentials', async () => {
+        const res = await login('POST', { username: 'admin', hashedPassword: HASHED_PASSWORD });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.json(), { message: 'Login successful' });
+        const cookie = res.headers['set-cookie'];
+        assert.match(cookie, /HttpOnly; Max-Age=7200; SameSite=Strict; Path=\//);
+
+        const token = cookie.match(/^sessionToken=([^;]+);/)[1];
+        const decoded = await jwTokenServices.verifyJsonWebToken(token);
+        assert.equal(decoded.username, 'admin');
+    });
+
+    it('answers 401 for a wrong password', async () => {
+        const res = await login('POST', { username: 'admin', hashedPassword: 'wrong' });
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.headers['set-cookie'], undefined);
+    });
+
+    it('answers 401 for an unknown user', async () => {
+        const res = await login('POST', { username: 'nobody', hashedPassword: HASHED_PASSWORD });
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('answers 400 for a body that is not JSON', async () => {
+        const res = await login('POST', 'username=admin');
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('answers 500 when access.json is missing', async () => {
+        configDir.reset();
+        const res = await login('POST', { username: 'admin', hashedPassword: HASHED_PASSWORD });
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.json(), { message: 'Server configuration error.' });
+    });
+
+    it('answers 405 for methods other than POST', async () => {
+        const res = await login('GET');
+        assert.equal(res.statusCode, 405);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * @file Unit tests for autoTuneService and the /api/autotune endpoints.
+ *
+ * Jobs tune a simulated BM1370, which loses hashrate when the core voltage is too low for
+ * the frequency. The polling service is driven by the test.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const autoTuneService = require('../../backend/services/autoTuneService');
+const autoTuneController = require('../../backend/controllers/autoTuneController');
+const pollingService = require('../../backend/services/pollingService');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { resolveOptions, summariseStep, findBest } = autoTuneService;
+
+/**
+ * Sends a request through the auto-tune router.
+ * @param {object} config The configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object} [body] The JSON body.
+ * @returns {Promise<object>} The response.
+ */
+async function request(config, method, url, body) {
+    const req = createRequest(method, url, { body });
+    const res = createResponse();
+    await autoTuneController.route(req, res, config);
+    return res;
+}
+
+/**
+ * Waits for the running job of a miner to finish.
+ * @param {string} instanceId The instance name.
+ * @returns {Promise<object>} The finished job.
+ */
+async function waitForJob(instanceId) {
+    const runner = autoTuneService.runners.get(instanceId);
+    if (runner) {
+        await runner.running;
+    }
+    return autoTuneService.getJob(instanceId);
+}
+
+describe('autoTuneService', () => {
+    const asicInfo = { ASICModel: 'BM1370', frequencyOptions: [400, 490, 525, 600], voltageOptions: [1000, 1100, 1150, 1200] };
+
+    it('fills in the options and checks them against the ASIC', () => {
+        const options = resolveOptions({ frequencies: [600, 490], settleSeconds: 30 }, asicInfo);
+        assert.deepEqual(options.frequencies, [490, 600]);
+        assert.deepEqual(options.voltages, [1000, 1100, 1150, 1200]);
+        assert.equal(options.settleSeconds, 30);
+        assert.equal(options.maxTemp, 65);
+
+        assert.throws(() => resolveOptions({ frequencies: [700] }, asicInfo), /BM1370.*700/);
+        assert.throws(() => resolveOptions({ voltages: [] }, asicInfo), /non-empty/);
+        assert.throws(() => resolveOptions({ maxTemp: 90 }, asicInfo), /maxTemp/);
+    });
+
+    it('summarises a step and picks the most efficient and the fastest stable steps', () => {
+        const sample = (hashRate, sharesAccepted) => ({ hashRate, expectedHashrate: 1000, power: 15, temp: 55, vrTemp: 60, sharesAccepted, sharesRejected: 1 });
+        const step = summariseStep(525, 1150, [sample(990, 10), sample(1010, 14)], 0.94);
+        assert.deepEqual(step, {
+            frequency: 525, coreVoltage: 1150, samples: 2, hashRate: 1000, expectedHashrate: 1000, hashrateRatio: 1,
+            power: 15, temp: 55, vrTemp: 60, sharesAccepted: 4, sharesRejected: 0, efficiency: 15, stable: true
+        });
+        assert.equal(summariseStep(525, 1100, [sample(850, 0)], 0.94).stable, false);
+
+        const steps = [
+            { frequency: 490, coreVoltage: 1100, hashRate: 700, efficiency: 14, stable: false },
+            { frequency: 525, coreVoltage: 1150, hashRate: 1000, efficiency: 15, stable: true },
+            { frequency: 600, coreVoltage: 1200, hashRate: 1150, efficiency: 16, stable: true }
+        ];
+        const best = findBest(steps);
+        assert.deepEqual([best.efficiency.frequency, best.hashrate.frequency], [525, 600]);
+        assert.deepEqual(findBest([]), { efficiency: null, hashrate: null });
+    });
+
+    describe('tuning a simulated miner', () => {
+        const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 5 });
+        const fast = { settleSeconds: 0.2, samplesPerStep: 3 };
+        let config;
+        let poller;
+
+        before(async () => {
+            const [url] = await simulator.start();
+            config = { disable_settings: false, bitaxe_instances: [{ Miner1: url }] };
+        });
+
+        beforeEach(() => {
+            configDir.reset();
+            autoTuneService.jobs.clear();
+            autoTuneService.loading = null;
+            const miner = simulator.getMiner(1);
+            miner.clearFaults();
+            miner.applySettings({ frequency: 525, coreVoltage: 1150, overheat_mode: 0 });
+            poller = setInterval(() => pollingService.pollOnce(config).catch(() => {}), 20);
+        });
+
+        afterEach(async () => {
+            clearInterval(poller);
+            await pollingService.currentPoll;
+        });
+
+        after(async () => {
+            await simulator.stop();
+            configDir.cleanup();
+        });
+
+        it('raises the voltage until each frequency is stable and restores the original settings', async () => {
+            const started = await request(config, 'POST', '/api/autotune/start', {
+                instanceId: 'Miner1',
+                options: { ...fast, frequencies: [490, 525, 600] }
+            });
+            assert.equal(started.statusCode, 200);
+            assert.equal(started.json().data.status, 'running');
+
+            const job = await waitForJob('Miner1');
+            assert.equal(job.status, 'success');
+            assert.deepEqual(job.steps.map(step => [step.frequency, step.coreVoltage, step.stable]), [
+                [490, 1000, false], [490, 1060, false], [490, 1100, false], [490, 1150, true],
+                [525, 1150, true],
+                [600, 1150, false], [600, 1200, true]
+            ]);
+            assert.deepEqual([job.best.hashrate.frequency, job.best.hashrate.coreVoltage], [600, 1200]);
+            const stable = job.steps.filter(step => step.stable);
+            assert.equal(job.best.efficiency.efficiency, Math.min(...stable.map(step => step.efficiency)));
+
+            const info = simulator.getMiner(1).getSystemInfo();
+            assert.deepEqual([info.frequency, info.coreVoltage], [525, 1150]);
+            assert.equal(configDir.readJson('autotune.json').results[0].instanceId, 'Miner1');
+        });
+
+        it('applies a point of the report', async () => {
+            await autoTuneService.start(config, 'Miner1', { ...fast, frequencies: [600], voltages: [1200] });
+            await waitForJob('Miner1');
+
+            const applied = await request(config, 'POST', '/api/autotune/apply', { instanceId: 'Miner1', point: 'hashrate' });
+            assert.equal(applied.statusCode, 200);
+            assert.deepEqual(applied.json().data, { frequency: 600, coreVoltage: 1200 });
+            assert.equal(simulator.getMiner(1).getSystemInfo().frequency, 600);
+
+            assert.equal((await request(config, 'POST', '/api/autotune/apply', { instanceId: 'Miner1', point: 'best' })).statusCode, 400);
+        });
+
+        it('aborts when a temperature limit is exceeded', async () => {
+            simulator.getMiner(1).temp = 60;
+            await autoTuneService.start(config, 'Miner1', { ...fast, settleSeconds: 5, maxTemp: 50 });
+
+            const job = await waitForJob('Miner1');
+            assert.equal(job.status, 'aborted');
+            assert.match(job.message, /ASIC temperature .* above the limit of 50 °C/);
+            assert.deepEqual(job.steps, []);
+            assert.equal(simulator.getMiner(1).getSystemInfo().frequency, 525);
+        });
+
+        it('stops on request, and answers 409, 404 and 403 where it should', async () => {
+            await autoTuneService.start(config, 'Miner1', { ...fast, settleSeconds: 60 });
+            assert.equal((await request(config, 'POST', '/api/autotune/start', { instanceId: 'Miner1' })).statusCode, 409);
+            assert.equal((await request(config, 'POST', '/api/autotune/apply', { instanceId: 'Miner1', point: 'efficiency' })).statusCode, 409);
+
+            const stopped = await request(config, 'POST', '/api/autotune/stop', { instanceId: 'Miner1' });
+            assert.equal(stopped.statusCode, 200);
+            assert.deepEqual([stopped.json().data.status, stopped.json().data.message], ['stopped', 'Stopped by the user']);
+            assert.equal(simulator.getMiner(1).getSystemInfo().coreVoltage, 1150);
+
+            assert.equal((await request(config, 'POST', '/api/autotune/stop', { instanceId: 'Miner1' })).statusCode, 404);
+            assert.equal((await request(config, 'POST', '/api/autotune/start', { instanceId: 'Nope' })).statusCode, 404);
+            assert.equal((await request(config, 'GET', '/api/autotune/status?instanceId=Miner1')).json().data.status, 'stopped');
+
+            const readOnly = { ...config, disable_settings: true };
+            assert.equal((await request(readOnly, 'POST', '/api/autotune/start', { instanceId: 'Miner1' })).statusCode, 403);
+            assert.equal((await request(readOnly, 'GET', '/api/autotune')).statusCode, 200);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @file Unit tests for bootStrapService.createConfigFiles.
+ *
+ * Device validation talks HTTP, so the tests run it against the AxeOS simulator and the
+ * Mining Core and crypto node mocks from src/simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+// The bootstrap wizard runs before the config directory exists.
+const configDir = useTempConfigDir({ create: false });
+const bootStrapService = require('../../backend/services/bootStrapService');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { MiningCoreMock } = require('../../simulator/miningCoreMock');
+const { CryptoNodeMock } = require('../../simulator/cryptoNodeMock');
+
+describe('bootStrapService.createConfigFiles', () => {
+    const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+    const miningCore = new MiningCoreMock();
+    const cryptoNode = new CryptoNodeMock({ rpcAuth: 'rpcuser:rpcpassword' });
+    let minerUrl;
+    let miningCoreUrl;
+    let nodeAddress;
+    let bootstrapCompleted;
+
+    /**
+     * Counts 'bootstrapComplete' signals to the main process.
+     */
+    function onBootstrapComplete() {
+        bootstrapCompleted++;
+    }
+
+    /**
+     * Returns minimal valid wizard form data, with overrides.
+     * @param {object} [overrides] Fields to change.
+     * @returns {object} The form data.
+     */
+    function formData(overrides = {}) {
+        return {
+            title: 'My Miners',
+            port: '3100',
+            enableAuth: 'true',
+            username: 'miner',
+            password: 'secret',
+            bitaxeInstances: [{ name: 'Gamma', url: minerUrl }],
+            ...overrides
+        };
+    }
+
+    before(async () => {
+        [minerUrl] = await simulator.start();
+        miningCoreUrl = await miningCore.start();
+        nodeAddress = await cryptoNode.start();
+        process.on('bootstrapComplete', onBootstrapComplete);
+    });
+
+    beforeEach(() => {
+        configDir.reset();
+        bootstrapCompleted = 0;
+    });
+
+    after(async () => {
+        process.removeListener('bootstrapComplete', onBootstrapComplete);
+        await simulator.stop();
+        await miningCore.stop();
+        await cryptoNode.stop();
+        configDir.cleanup();
+    });
+
+    it('creates the config directory and files from the wizard form', async () => {
+        const result = await bootStrapService.createConfigFiles(formData());
+
+        assert.deepEqual(result, { success: true });
+        const config = configDir.readJson('config.json');
+        assert.equal(config.title, 'My Miners');
+        assert.equal(config.web_server_port, 3100);
+        assert.equal(config.disable_authentication, false);
+        assert.deepEqual(config.bitaxe_instances, [{ Gamma: minerUrl }]);
+        assert.equal(config.mining_core_enabled, false);
+        assert.deepEqual(config.mining_core_url, []);
+        assert.equal(config.cryptNodesEnabled, false);
+        assert.equal(configDir.exists('rpcConfig.json'), false);
+        assert.equal(bootstrapCompleted, 1);
+    });
+
+    it('stores the password as a SHA-256 hash', async () => {
+        await bootStrapService.createConfigFiles(formData());
+        assert.deepEqual(configDir.readJson('access.json'), {
+            miner: crypto.createHash('sha256').update('secret').digest('hex')
+        });
+    });
+
+    it('generates a JWT key unless one is given', async () => {
+        await bootStrapService.createConfigFiles(formData());
+        const generated = configDir.readJson('jsonWebTokenKey.json');
+        assert.match(generated.jsonWebTokenKey, /^[A-Za-z0-9]{32}$/);
+        assert.equal(generated.expiresIn, '1h');
+
+        configDir.reset();
+        await bootStrapService.createConfigFiles(formData({ jwtKey: 'my-key', jwtExpiry: '12h' }));
+        assert.deepEqual(configDir.readJson('jsonWebTokenKey.json'), { jsonWebTokenKey: 'my-key', expiresIn: '12h' });
+    });
+
+    it('adds Mining Core instances and the crypto node after validating them', async () => {
+        const result = await bootStrapService.createConfigFiles(formData({
+            enableMiningCore: 'true',
+            miningCoreInstances: [{ name: 'Pool', url: miningCoreUrl }],
+            enableCryptoNode: 'true',
+            cryptoNodeName: 'DigiByte',
+            cryptoNodeId: 'dgb1',
+            cryptoNodeRpcIp: nodeAddress.host,
+            cryptoNodeRpcPort: String(nodeAddress.port),
+            cryptoNodeRpcAuth: 'rpcuser:rpcpassword'
+        }));
+
+        assert.deepEqual(result, { success: true });
+        const config = configDir.readJson('config.json');
+        assert.equal(config.mining_core_enabled, true);
+        assert.deepEqual(config.mining_core_url, [{ Pool: miningCoreUrl }]);
+        assert.equal(config.cryptNodesEnabled, true);
+        assert.deepEqual(config.cryptoNodes[0].Nodes, [{ NodeType: 'dgb', NodeName: 'DigiByte', NodeId: 'dgb1', NodeAlgo: 'sha256d' }]);
+        assert.ok(Array.isArray(config.cryptoNodes[1].NodeDisplayFields));
+        assert.deepEqual(configDir.readJson('rpcConfig.json').cryptoNodes, [{
+            NodeId: 'dgb1',
+            NodeRPCAddress: nodeAddress.host,
+            NodeRPCPort: nodeAddress.port,
+            NodeRPAuth: 'rpcuser:rpcpassword'
+        }]);
+    });
+
+    it('writes nothing when a Bitaxe does not answer', async () => {
+        // Nothing listens on port 1, so the connection is refused.
+        const result = await bootStrapService.createConfigFiles(formData({ bitaxeInstances: [{ name: 'Missing', url: 'http://127.0.0.1:1' }] }));
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /Bitaxe device "Missing" .* failed validation/);
+        assert.equal(configDir.exists('config.json'), false);
+        assert.equal(bootstrapCompleted, 0);
+    });
+
+    it('writes nothing when the crypto node rejects the RPC credentials', async () => {
+        const result = await bootStrapService.createConfigFiles(formData({
+            enableCryptoNode: 'true',
+            cryptoNodeId: 'dgb1',
+            cryptoNodeRpcIp: nodeAddress.host,
+            cryptoNodeRpcPort: String(nodeAddress.port),
+            cryptoNodeRpcAuth: 'rpcuser:wrong'
+        }));
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /Empty response from RPC server.*Status: 401/);
+        assert.equal(configDir.exists('config.json'), false);
+    });
+
+    it('requires a password when authentication is enabled', async () => {
+        const result = await bootStrapService.createConfigFiles(formData({ password: '' }));
+        assert.deepEqual(result, { success: false, error: 'Password is required' });
+        assert.equal(bootstrapCompleted, 0);
+    });
+
+    it('generates a random password when authentication is disabled', async () => {
+        await bootStrapService.createConfigFiles(formData({ enableAuth: 'false', password: '' }));
+        assert.equal(configDir.readJson('config.json').disable_authentication, true);
+        assert.match(configDir.readJson('access.json').miner, /^[0-9a-f]{64}$/);
+    });
+});
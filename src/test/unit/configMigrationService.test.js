@@ -0,0 +1,100 @@
+/**
+ * @file Unit tests for configMigrationService.migrateConfig.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const configMigrationService = require('../../backend/services/configMigrationService');
+
+/**
+ * Display fields shared by the legacy crypto node entries.
+ * @constant {Array<object>}
+ */
+const NODE_DISPLAY_FIELDS = [{ 'Block Chain Info': [{ chain: 'Chain' }, { blocks: 'Blocks' }] }];
+
+describe('configMigrationService.migrateConfig', () => {
+    beforeEach(() => configDir.reset());
+
+    after(() => configDir.cleanup());
+
+    it('turns a single mining_core_url string into a list of named instances', async () => {
+        configDir.writeJson('config.json', { title: 'Legacy', mining_core_url: 'http://192.168.1.50:4000' });
+
+        assert.equal(await configMigrationService.migrateConfig(), true);
+
+        const config = configDir.readJson('config.json');
+        assert.deepEqual(config.mining_core_url, [{ 'Mining Core': 'http://192.168.1.50:4000' }]);
+        assert.equal(config.title, 'Legacy');
+    });
+
+    it('moves flat cryptoNodes entries into a Nodes list with shared display fields', async () => {
+        configDir.writeJson('config.json', {
+            cryptoNodes: [
+                { NodeType: 'dgb', NodeName: 'Node A', NodeId: 'dgb1', NodeAlgo: 'sha256d', NodeDisplayFields: NODE_DISPLAY_FIELDS },
+                { NodeType: 'dgb', NodeName: 'Node B', NodeId: 'dgb2', NodeAlgo: 'sha256d', NodeDisplayFields: NODE_DISPLAY_FIELDS }
+            ]
+        });
+
+        assert.equal(await configMigrationService.migrateConfig(), true);
+
+        assert.deepEqual(configDir.readJson('config.json').cryptoNodes, [
+            {
+                Nodes: [
+                    { NodeType: 'dgb', NodeName: 'Node A', NodeId: 'dgb1', NodeAlgo: 'sha256d' },
+                    { NodeType: 'dgb', NodeName: 'Node B', NodeId: 'dgb2', NodeAlgo: 'sha256d' }
+                ]
+            },
+            { NodeDisplayFields: NODE_DISPLAY_FIELDS }
+        ]);
+    });
+
+    it('records the applied migrations for the dashboard notice', async () => {
+        configDir.writeJson('config.json', {
+            mining_core_url: 'http://192.168.1.50:4000',
+            cryptoNodes: [{ NodeType: 'dgb', NodeName: 'Node A', NodeId: 'dgb1', NodeAlgo: 'sha256d' }]
+        });
+
+        await configMigrationService.migrateConfig();
+
+        const status = await configMigrationService.getMigrationStatus();
+        assert.equal(status.migrated, true);
+        assert.equal(status.migrations.length, 2);
+
+        await configMigrationService.clearMigrationStatus();
+        assert.equal(await configMigrationService.getMigrationStatus(), null);
+    });
+
+    it('leaves an up-to-date config untouched', async () => {
+        const config = {
+            mining_core_url: [{ 'Mining Core': 'http://192.168.1.50:4000' }],
+            cryptoNodes: [
+                { Nodes: [{ NodeType: 'dgb', NodeName: 'Node A', NodeId: 'dgb1', NodeAlgo: 'sha256d' }] },
+                { NodeDisplayFields: NODE_DISPLAY_FIELDS }
+            ]
+        };
+        configDir.writeJson('config.json', config);
+
+        assert.equal(await configMigrationService.migrateConfig(), false);
+        assert.deepEqual(configDir.readJson('config.json'), config);
+        assert.equal(configDir.exists('.migration_status.json'), false);
+    });
+
+    it('skips the migration when there is no config.json yet', async () => {
+        assert.equal(await configMigrationService.migrateConfig(), false);
+        assert.equal(configDir.exists('config.json'), false);
+    });
+
+    it('rejects a config.json that is not valid JSON', async () => {
+        fs.writeFileSync(configDir.file('config.json'), '{ "title": ');
+
+        await assert.rejects(configMigrationService.migrateConfig(), SyntaxError);
+    });
+});
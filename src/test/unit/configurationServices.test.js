@@ -0,0 +1,115 @@
+/**
+ * @file Unit tests for the /api/configuration handler in configurationServices.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const configDir = useTempConfigDir();
+const configurationServices = require('../../backend/services/configurationServices');
+const configurationManager = require('../../backend/services/configurationManager');
+
+/**
+ * The config.json every test starts from.
+ * @constant {object}
+ */
+const BASE_CONFIG = {
+    bitaxe_dashboard_version: 2.0,
+    title: 'Test Dashboard',
+    disable_authentication: false,
+    disable_settings: false,
+    disable_configurations: false,
+    poll_interval_seconds: 15,
+    bitaxe_instances: [{ Bitaxe1: 'http://192.168.1.100' }],
+    display_fields: [{ 'Mining Metrics': [{ hashRate: 'Hashrate' }] }]
+};
+
+/**
+ * Sends a request to the configuration route.
+ * @param {string} method The HTTP method.
+ * @param {string|object} [body] The request body.
+ * @param {object} [config] The application configuration, defaults to the loaded one.
+ * @returns {Promise<object>} The recorded response.
+ */
+async function request(method, body, config = configurationManager.getConfig()) {
+    const res = createResponse();
+    await configurationServices.route(createRequest(method, '/api/configuration', { body: body }), res, config);
+    await res.finished;
+    return res;
+}
+
+describe('configurationServices', () => {
+    beforeEach(async () => {
+        configDir.reset();
+        configDir.writeJson('config.json', BASE_CONFIG);
+        await configurationManager.loadConfig();
+    });
+
+    after(() => configDir.cleanup());
+
+    it('returns the loaded configuration for GET', async () => {
+        const res = await request('GET');
+        assert.equal(res.statusCode, 200);
+        const { status, data } = res.json();
+        assert.equal(status, 'success');
+        assert.equal(data.title, 'Test Dashboard');
+    });
+
+    it('merges PATCHed keys into config.json and keeps the others', async () => {
+        const res = await request('PATCH', { title: 'Renamed', poll_interval_seconds: 30 });
+
+        assert.equal(res.statusCode, 200);
+        const saved = configDir.readJson('config.json');
+        assert.equal(saved.title, 'Renamed');
+        assert.equal(saved.poll_interval_seconds, 30);
+        assert.deepEqual(saved.bitaxe_instances, BASE_CONFIG.bitaxe_instances);
+        assert.deepEqual(saved.display_fields, BASE_CONFIG.display_fields);
+        assert.deepEqual(res.json().data, saved);
+    });
+
+    it('replaces top-level values as a whole rather than merging them deeply', async () => {
+        await request('PATCH', { bitaxe_instances: [{ Bitaxe2: 'http://192.168.1.101' }] });
+        assert.deepEqual(configDir.readJson('config.json').bitaxe_instances, [{ Bitaxe2: 'http://192.168.1.101' }]);
+    });
+
+    it('reloads the in-memory configuration without a restart', async () => {
+        await request('PATCH', { title: 'Live Reload' });
+        assert.equal(configurationManager.getConfig().title, 'Live Reload');
+    });
+
+    it('keeps bitaxe_dashboard_version when a PATCH clears it', async () => {
+        await request('PATCH', { bitaxe_dashboard_version: null });
+        assert.equal(configDir.readJson('config.json').bitaxe_dashboard_version, 2.0);
+    });
+
+    it('rejects an empty body without changing config.json', async () => {
+        const res = await request('PATCH', '');
+        assert.equal(res.statusCode, 500);
+        assert.match(res.json().message, /Request body is empty/);
+        assert.deepEqual(configDir.readJson('config.json'), BASE_CONFIG);
+    });
+
+    it('rejects a body that is not JSON without changing config.json', async () => {
+        const res = await request('PATCH', '{ "title": ');
+        assert.equal(res.statusCode, 500);
+        assert.match(res.json().message, /Invalid JSON in request body/);
+        assert.deepEqual(configDir.readJson('config.json'), BASE_CONFIG);
+    });
+
+    it('answers 403 when configurations are disabled', async () => {
+        const res = await request('PATCH', { title: 'Blocked' }, { ...BASE_CONFIG, disable_configurations: true });
+        assert.equal(res.statusCode, 403);
+        assert.equal(configDir.readJson('config.json').title, 'Test Dashboard');
+    });
+
+    it('answers 405 for other methods', async () => {
+        const res = await request('DELETE');
+        assert.equal(res.statusCode, 405);
+    });
+});
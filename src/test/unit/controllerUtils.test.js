@@ -0,0 +1,81 @@
+/**
+ * @file Unit tests for the request body reading and routing shared by the API controllers.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readJsonBody, sendServiceError, createRouter, MAX_JSON_BODY_SIZE } = require('../../backend/controllers/controllerUtils');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+describe('controllerUtils', () => {
+    const calls = [];
+    const route = createRouter([
+        { path: '/api/things', method: 'GET', handler: (req, res, config, body) => { calls.push(body); res.writeHead(200); res.end(); } },
+        { path: '/api/things/save', method: 'POST', handler: (req, res, config, body) => { calls.push(body); res.writeHead(200); res.end(); }, readsBody: true, changesConfig: true },
+        { path: '/api/things/run', method: 'POST', handler: () => { throw new Error('boom'); }, changesSettings: true }
+    ], 'thing');
+
+    /**
+     * Sends a request through the router.
+     * @param {string} method The HTTP method.
+     * @param {string} url The request URL.
+     * @param {object|string} [body] The request body.
+     * @param {object} [config] The configuration.
+     * @returns {Promise<object>} The response.
+     */
+    async function request(method, url, body, config = {}) {
+        const res = createResponse();
+        await route(createRequest(method, url, { body }), res, config);
+        return res;
+    }
+
+    it('dispatches by path and method, ignoring a trailing slash', async () => {
+        calls.length = 0;
+        assert.equal((await request('GET', '/api/things/?x=1')).statusCode, 200);
+        assert.equal((await request('POST', '/api/things/save', { name: 'a' })).statusCode, 200);
+        assert.equal((await request('POST', '/api/things/save')).statusCode, 200);
+        assert.deepEqual(calls, [{}, { name: 'a' }, {}]);
+
+        const unknown = await request('GET', '/api/things/nope');
+        assert.deepEqual([unknown.statusCode, unknown.json().message], [404, 'Unknown thing endpoint: /api/things/nope']);
+        const wrongMethod = await request('DELETE', '/api/things');
+        assert.deepEqual([wrongMethod.statusCode, wrongMethod.json().message], [405, 'Method DELETE not allowed for /api/things']);
+    });
+
+    it('refuses configuration and settings changes when they are disabled', async () => {
+        assert.equal((await request('POST', '/api/things/save', {}, { disable_configurations: true })).statusCode, 403);
+        assert.equal((await request('POST', '/api/things/save', {}, { disable_settings: true })).statusCode, 200);
+        assert.equal((await request('POST', '/api/things/run', {}, { disable_settings: true })).statusCode, 403);
+    });
+
+    it('answers 400 for bad JSON or a body that is not an object, and 413 for a large body', async () => {
+        const bad = await request('POST', '/api/things/save', '{oops');
+        assert.equal(bad.statusCode, 400);
+        assert.match(bad.json().message, /^Invalid JSON in request body/);
+
+        for (const body of ['null', '[1]', '42']) {
+            const notObject = await request('POST', '/api/things/save', body);
+            assert.deepEqual([notObject.statusCode, notObject.json().message], [400, 'The request body must be a JSON object']);
+        }
+
+        const large = await request('POST', '/api/things/save', ' '.repeat(MAX_JSON_BODY_SIZE + 1));
+        assert.equal(large.statusCode, 413);
+        await assert.rejects(readJsonBody(createRequest('POST', '/', { body: { name: 'abc' } }), 10), error => error.statusCode === 413);
+        assert.deepEqual(await readJsonBody(createRequest('POST', '/', { body: { name: 'é' } }), 20), { name: 'é' });
+    });
+
+    it('answers 500 when a handler fails and maps service errors', async () => {
+        const failed = await request('POST', '/api/things/run');
+        assert.deepEqual([failed.statusCode, failed.json().message], [500, 'Failed to process thing request']);
+
+        const res = createResponse();
+        sendServiceError(res, Object.assign(new Error('Busy'), { statusCode: 409 }));
+        assert.deepEqual([res.statusCode, res.json()], [409, { success: false, message: 'Busy' }]);
+        assert.throws(() => sendServiceError(createResponse(), new Error('boom')), /boom/);
+        assert.throws(() => sendServiceError(createResponse(), Object.assign(new Error('Gone'), { statusCode: 404 }), [400]), /Gone/);
+    });
+});
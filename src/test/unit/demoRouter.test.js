@@ -0,0 +1,58 @@
+/**
+ * @file Unit tests for the settings PATCH of the demo API.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const demoRouter = require('../../backend/routers/demoRouter');
+const { MAX_JSON_BODY_SIZE } = require('../../backend/controllers/controllerUtils');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const CONFIG = { demo_mode: true };
+
+/**
+ * Sends a request to the demo router.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {string|object} [body] The request body.
+ * @param {object} [config] The application configuration.
+ * @returns {Promise<object>} The recorded response.
+ */
+async function request(method, url, body, config = CONFIG) {
+    const res = createResponse();
+    await demoRouter.route(createRequest(method, url, { body: body }), res, config);
+    return res;
+}
+
+describe('demoRouter', () => {
+    it('merges known settings into the demo device', async () => {
+        const res = await request('PATCH', '/demo/api/system', { fanspeed: 42, wifiPass: 'secret' });
+        assert.equal(res.statusCode, 200);
+
+        const info = (await request('GET', '/demo/api/system/info')).json();
+        assert.equal(info.fanspeed, 42);
+        assert.equal(info.wifiPass, undefined);
+    });
+
+    it('answers 400 for a body that is not a JSON object and 413 for one that is too large', async () => {
+        const cases = [
+            ['{ "fanspeed": ', 400, /Invalid JSON in request body/],
+            ['[1]', 400, /must be a JSON object/],
+            ['x'.repeat(MAX_JSON_BODY_SIZE + 1), 413, /larger than/]
+        ];
+        for (const [body, statusCode, message] of cases) {
+            const res = await request('PATCH', '/demo/api/system', body);
+            assert.equal(res.statusCode, statusCode);
+            assert.match(res.json().message, message);
+        }
+    });
+
+    it('answers 404 unless demo_mode is true', async () => {
+        const res = await request('PATCH', '/demo/api/system', { fanspeed: 42 }, {});
+        assert.equal(res.statusCode, 404);
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * @file Unit tests for deviceIdentityService.
+ *
+ * Poll events are built by hand; the network scan for offline devices runs against the
+ * AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const deviceIdentityService = require('../../backend/services/deviceIdentityService');
+const configurationManager = require('../../backend/services/configurationManager');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+
+/**
+ * MAC addresses of the devices in the tests.
+ * @constant {object}
+ */
+const MAC = {
+    gamma: 'AA:BB:CC:00:00:01',
+    supra: 'AA:BB:CC:00:00:02',
+    other: 'AA:BB:CC:00:00:03'
+};
+
+/**
+ * Returns a config with the given Bitaxe instances.
+ * @param {object} instances The URLs by name.
+ * @param {object} [extra] Other top-level keys.
+ * @returns {object} The configuration.
+ */
+function makeConfig(instances, extra = {}) {
+    return {
+        bitaxe_dashboard_version: 2.0,
+        bitaxe_instances: Object.entries(instances).map(([name, url]) => ({ [name]: url })),
+        ...extra
+    };
+}
+
+/**
+ * Builds a poll event from the MAC address each name answered with (null = offline).
+ * @param {object} config The configuration.
+ * @param {object} answers The MAC address by name.
+ * @returns {object} The poll event.
+ */
+function pollEvent(config, answers) {
+    return {
+        timestamp: Date.now(),
+        config: config,
+        minerData: Object.entries(answers).map(([name, macAddr]) => macAddr
+            ? { id: name, hostname: name.toLowerCase(), macAddr: macAddr }
+            : { id: name, hostname: name, status: 'Error', message: 'connect ECONNREFUSED' })
+    };
+}
+
+describe('deviceIdentityService', () => {
+    const config = makeConfig({ Gamma: 'http://192.168.1.20', Supra: 'http://192.168.1.21' });
+
+    beforeEach(async () => {
+        configDir.reset();
+        configDir.writeJson('config.json', config);
+        await configurationManager.loadConfig();
+        deviceIdentityService.devices = {};
+        deviceIdentityService.changes = [];
+        deviceIdentityService.failedPolls.clear();
+        deviceIdentityService.lastRediscoveryAt = 0;
+    });
+
+    after(() => configDir.cleanup());
+
+    it('binds every name to the MAC address it first answers with', async () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma.toLowerCase(), Supra: MAC.supra }));
+        await deviceIdentityService.writeQueue;
+
+        const { devices, changes } = deviceIdentityService.getIdentities(config);
+        assert.deepEqual(devices.map(device => [device.name, device.macAddr, device.url]), [
+            ['Gamma', MAC.gamma, 'http://192.168.1.20'],
+            ['Supra', MAC.supra, 'http://192.168.1.21']
+        ]);
+        assert.deepEqual(changes, []);
+        assert.equal(configDir.readJson('devices.json').devices.Gamma.macAddr, MAC.gamma);
+    });
+
+    it('ignores placeholder MAC addresses', () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: 'XX:XX:XX:XX:XX:XX' }));
+        assert.equal(deviceIdentityService.getIdentities(config).devices[0].macAddr, null);
+    });
+
+    it('flags a URL answered by another device, and that device as moved when it is bound', () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma, Supra: MAC.supra }));
+        // The DHCP server swapped the addresses of the two miners.
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.supra, Supra: MAC.gamma }));
+
+        const changes = deviceIdentityService.getIdentities(config).changes;
+        const moved = changes.filter(change => change.type === 'moved').map(change => [change.name, change.newUrl]);
+        const different = changes.filter(change => change.type === 'different_device').map(change => [change.name, change.foundMacAddr]);
+        assert.deepEqual(moved.sort(), [['Gamma', 'http://192.168.1.21'], ['Supra', 'http://192.168.1.20']]);
+        assert.deepEqual(different.sort(), [['Gamma', MAC.supra], ['Supra', MAC.gamma]]);
+    });
+
+    it('records a notice once and clears it when the name answers with its own device again', () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma }));
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.other }));
+        const detectedAt = deviceIdentityService.changes[0].detectedAt;
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.other }));
+
+        assert.equal(deviceIdentityService.changes.length, 1);
+        assert.equal(deviceIdentityService.changes[0].detectedAt, detectedAt);
+
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma }));
+        assert.deepEqual(deviceIdentityService.changes, []);
+    });
+
+    it('marks scanned devices by MAC address and flags the ones at a new address', () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma, Supra: MAC.supra }));
+
+        const devices = deviceIdentityService.checkDiscovered(config, [
+            { ip: '192.168.1.21', url: 'http://192.168.1.21', macAddr: MAC.supra, alreadyConfigured: true, configuredName: 'Supra' },
+            { ip: '192.168.1.45', url: 'http://192.168.1.45', macAddr: MAC.gamma, alreadyConfigured: false, configuredName: null },
+            { ip: '192.168.1.46', url: 'http://192.168.1.46', macAddr: MAC.other, alreadyConfigured: false, configuredName: null }
+        ]);
+
+        assert.deepEqual(devices.map(device => [device.configuredName, device.alreadyConfigured, device.urlChanged]), [
+            ['Supra', true, false],
+            ['Gamma', true, true],
+            [null, false, false]
+        ]);
+        assert.deepEqual(deviceIdentityService.changes.map(change => [change.type, change.name, change.oldUrl, change.newUrl, change.source]), [
+            ['moved', 'Gamma', 'http://192.168.1.20', 'http://192.168.1.45', 'discovery']
+        ]);
+    });
+
+    it('updates the URL of a moved device and keeps its name', async () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma, Supra: MAC.supra }));
+        deviceIdentityService.checkDiscovered(config, [{ url: 'http://192.168.1.45', macAddr: MAC.gamma }]);
+
+        const change = await deviceIdentityService.applyChange('Gamma');
+
+        assert.equal(change.newUrl, 'http://192.168.1.45');
+        assert.deepEqual(configDir.readJson('config.json').bitaxe_instances, [
+            { Gamma: 'http://192.168.1.45' },
+            { Supra: 'http://192.168.1.21' }
+        ]);
+        assert.deepEqual(configurationManager.getConfig().bitaxe_instances[0], { Gamma: 'http://192.168.1.45' });
+        assert.deepEqual(deviceIdentityService.changes, []);
+        assert.equal(await deviceIdentityService.applyChange('Gamma'), null);
+    });
+
+    it('binds a name to the new device when a different_device notice is dismissed', async () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma }));
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.other }));
+
+        assert.equal(await deviceIdentityService.dismissChange('Gamma'), true);
+        assert.equal(deviceIdentityService.devices.Gamma.macAddr, MAC.other);
+
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.other }));
+        assert.deepEqual(deviceIdentityService.changes, []);
+        assert.equal(await deviceIdentityService.dismissChange('Gamma'), false);
+    });
+
+    it('forgets the binding of a renamed instance', () => {
+        deviceIdentityService.check(pollEvent(config, { Gamma: MAC.gamma }));
+        const renamed = makeConfig({ 'Gamma 601': 'http://192.168.1.20' });
+        deviceIdentityService.check(pollEvent(renamed, { 'Gamma 601': MAC.gamma }));
+
+        assert.deepEqual(Object.keys(deviceIdentityService.devices), ['Gamma 601']);
+    });
+
+    describe('when a device stays offline', () => {
+        const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+        let minerUrl;
+        let minerMac;
+
+        before(async () => {
+            [minerUrl] = await simulator.start();
+            minerMac = simulator.getMiner(1).getSystemInfo().macAddr;
+        });
+
+        after(() => simulator.stop());
+
+        it('scans the network for it and flags it at its new address', async () => {
+            const port = Number(new URL(minerUrl).port);
+            const scanConfig = makeConfig({ Gamma: 'http://192.168.1.20' }, {
+                discovery: { cidr: '127.0.0.1/32', port: port },
+                device_identity: { rediscover_after_failed_polls: 2 }
+            });
+            deviceIdentityService.devices.Gamma = { macAddr: minerMac, hostname: 'simaxe1', url: 'http://192.168.1.20' };
+
+            deviceIdentityService.check(pollEvent(scanConfig, { Gamma: null }));
+            assert.equal(deviceIdentityService.rediscovery, null);
+            deviceIdentityService.check(pollEvent(scanConfig, { Gamma: null }));
+            assert.ok(deviceIdentityService.rediscovery);
+            await deviceIdentityService.rediscovery;
+
+            assert.deepEqual(deviceIdentityService.changes.map(change => [change.type, change.name, change.newUrl]), [
+                ['moved', 'Gamma', minerUrl]
+            ]);
+
+            // The next scan waits for rediscover_interval_minutes.
+            deviceIdentityService.check(pollEvent(scanConfig, { Gamma: null }));
+            assert.equal(deviceIdentityService.rediscovery, null);
+        });
+
+        it('does not scan unless enabled and given a network range', () => {
+            const port = Number(new URL(minerUrl).port);
+            deviceIdentityService.devices.Gamma = { macAddr: minerMac, hostname: 'simaxe1', url: 'http://192.168.1.20' };
+
+            const byDefault = makeConfig({ Gamma: 'http://192.168.1.20' }, { discovery: { cidr: '127.0.0.1/32', port: port } });
+            const withoutCidr = makeConfig({ Gamma: 'http://192.168.1.20' }, { device_identity: { rediscover_after_failed_polls: 1 } });
+            for (let poll = 0; poll < 5; poll++) {
+                deviceIdentityService.check(pollEvent(byDefault, { Gamma: null }));
+                deviceIdentityService.check(pollEvent(withoutCidr, { Gamma: null }));
+            }
+
+            assert.equal(deviceIdentityService.rediscovery, null);
+            assert.equal(deviceIdentityService.lastRediscoveryAt, 0);
+        });
+
+        it('updates the URL by itself with auto_update_urls', async () => {
+            const port = Number(new URL(minerUrl).port);
+            const autoConfig = makeConfig({ Gamma: 'http://192.168.1.20' }, {
+                discovery: { cidr: '127.0.0.1/32', port: port },
+                device_identity: { auto_update_urls: true, rediscover_after_failed_polls: 1 }
+            });
+            configDir.writeJson('config.json', autoConfig);
+            await configurationManager.loadConfig();
+            deviceIdentityService.devices.Gamma = { macAddr: minerMac, hostname: 'simaxe1', url: 'http://192.168.1.20' };
+
+            deviceIdentityService.check(pollEvent(autoConfig, { Gamma: null }));
+            await deviceIdentityService.rediscovery;
+            // The update is written in the background.
+            for (let attempt = 0; attempt < 50 && deviceIdentityService.changes.length > 0; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+
+            assert.deepEqual(configDir.readJson('config.json').bitaxe_instances, [{ Gamma: minerUrl }]);
+            assert.deepEqual(deviceIdentityService.changes, []);
+        });
+    });
+});
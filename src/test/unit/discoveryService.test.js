@@ -0,0 +1,189 @@
+/**
+ * @file Unit tests for discoveryService and the /api/discovery/scan handler.
+ *
+ * Scans run against loopback addresses, with the AxeOS simulator as the device to find
+ * and the Mining Core mock as an HTTP server that is not a miner.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+const { MAX_JSON_BODY_SIZE } = require('../../backend/controllers/controllerUtils');
+const discoveryService = require('../../backend/services/discoveryService');
+const discoveryController = require('../../backend/controllers/discoveryController');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { MiningCoreMock } = require('../../simulator/miningCoreMock');
+
+describe('discoveryService.expandCidr', () => {
+    it('lists the hosts of a range without the network and broadcast addresses', () => {
+        assert.deepEqual(discoveryService.expandCidr('192.168.1.8/29'), [
+            '192.168.1.9', '192.168.1.10', '192.168.1.11', '192.168.1.12', '192.168.1.13', '192.168.1.14'
+        ]);
+        assert.equal(discoveryService.expandCidr('10.0.0.77/24').length, 254);
+        assert.equal(discoveryService.expandCidr('10.0.0.77/24')[0], '10.0.0.1');
+    });
+
+    it('keeps both addresses of a /31 and treats a bare address as a /32', () => {
+        assert.deepEqual(discoveryService.expandCidr('10.0.0.4/31'), ['10.0.0.4', '10.0.0.5']);
+        assert.deepEqual(discoveryService.expandCidr('10.0.0.4'), ['10.0.0.4']);
+    });
+
+    it('rejects ranges that are not IPv4 CIDR notation', () => {
+        for (const cidr of ['', 'bitaxe.local/24', '192.168.1.0/33', '192.168.1.0/x', '192.168.1/24', '::1/128']) {
+            assert.throws(() => discoveryService.expandCidr(cidr), /Invalid CIDR range/, cidr);
+        }
+    });
+
+    it('rejects ranges larger than a /22', () => {
+        assert.equal(discoveryService.expandCidr('10.0.0.0/22').length, 1022);
+        assert.throws(() => discoveryService.expandCidr('10.0.0.0/21'), /too large/);
+    });
+});
+
+describe('discoveryService.findConfiguredName', () => {
+    const config = {
+        bitaxe_instances: [
+            { Gamma: 'http://192.168.1.20' },
+            { Supra: 'http://supra.local/' },
+            { Broken: 'not a url' }
+        ]
+    };
+
+    it('matches configured instances by address or by mDNS host name', () => {
+        assert.equal(discoveryService.findConfiguredName(config, 'http://192.168.1.20', 'gamma'), 'Gamma');
+        assert.equal(discoveryService.findConfiguredName(config, 'http://192.168.1.21', 'Supra'), 'Supra');
+        assert.equal(discoveryService.findConfiguredName(config, 'http://192.168.1.22', 'other'), null);
+        assert.equal(discoveryService.findConfiguredName(config, 'http://192.168.1.20:8080', null), null);
+    });
+});
+
+describe('discoveryService.scan', () => {
+    const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+    const miningCore = new MiningCoreMock();
+    let minerPort;
+    let miningCorePort;
+
+    before(async () => {
+        const [minerUrl] = await simulator.start();
+        minerPort = Number(new URL(minerUrl).port);
+        miningCorePort = Number(new URL(await miningCore.start()).port);
+    });
+
+    after(async () => {
+        await simulator.stop();
+        await miningCore.stop();
+    });
+
+    it('reports AxeOS devices with their hostname, model, version and MAC address', async () => {
+        // 127.0.0.2 is also loopback, but nothing listens on it.
+        const result = await discoveryService.scan({}, { cidr: '127.0.0.0/30', port: minerPort, timeoutMs: 500 });
+
+        assert.equal(result.cidr, '127.0.0.0/30');
+        assert.equal(result.scanned, 2);
+        assert.deepEqual(result.devices, [{
+            ip: '127.0.0.1',
+            url: `http://127.0.0.1:${minerPort}`,
+            hostname: 'simaxe1',
+            ASICModel: 'BM1370',
+            version: simulator.getMiner(1).getSystemInfo().version,
+            macAddr: '02:00:00:00:00:01',
+            alreadyConfigured: false,
+            configuredName: null
+        }]);
+    });
+
+    it('marks devices that are already configured', async () => {
+        const config = { bitaxe_instances: [{ 'My Gamma': `http://127.0.0.1:${minerPort}` }] };
+        const { devices } = await discoveryService.scan(config, { cidr: '127.0.0.1/32', port: minerPort });
+
+        assert.equal(devices[0].alreadyConfigured, true);
+        assert.equal(devices[0].configuredName, 'My Gamma');
+    });
+
+    it('ignores HTTP servers that are not AxeOS devices', async () => {
+        const result = await discoveryService.scan({}, { cidr: '127.0.0.1', port: miningCorePort });
+        assert.deepEqual(result.devices, []);
+    });
+
+    it('ignores devices that do not answer in time', async () => {
+        simulator.getMiner(1).setFault('slow', true, { delayMs: 1000 });
+        try {
+            const result = await discoveryService.scan({}, { cidr: '127.0.0.1', port: minerPort, timeoutMs: 200 });
+            assert.deepEqual(result.devices, []);
+        } finally {
+            simulator.getMiner(1).clearFaults();
+        }
+    });
+
+    it('takes the range from the discovery settings', async () => {
+        const result = await discoveryService.scan({ discovery: { cidr: '127.0.0.1/32' } }, { port: minerPort });
+        assert.equal(result.cidr, '127.0.0.1/32');
+        assert.equal(result.devices.length, 1);
+    });
+
+    it('runs one scan at a time', async () => {
+        const first = discoveryService.scan({}, { cidr: '127.0.0.1', port: minerPort });
+        assert.equal(discoveryService.isScanning(), true);
+        await assert.rejects(discoveryService.scan({}, { cidr: '127.0.0.1', port: minerPort }), /already running/);
+        await first;
+        assert.equal(discoveryService.isScanning(), false);
+    });
+});
+
+describe('discoveryController', () => {
+    const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+    let minerPort;
+
+    /**
+     * Sends a scan request to the controller.
+     * @param {string|object} [body] The request body.
+     * @param {object} [config] The application configuration.
+     * @returns {Promise<object>} The recorded response.
+     */
+    async function request(body, config = {}) {
+        const res = createResponse();
+        await discoveryController.route(createRequest('POST', '/api/discovery/scan', { body: body }), res, config);
+        await res.finished;
+        return res;
+    }
+
+    before(async () => {
+        minerPort = Number(new URL((await simulator.start())[0]).port);
+    });
+
+    after(() => simulator.stop());
+
+    it('answers with the devices found', async () => {
+        const res = await request({ cidr: '127.0.0.1/32', port: minerPort });
+
+        assert.equal(res.statusCode, 200);
+        const { success, data } = res.json();
+        assert.equal(success, true);
+        assert.equal(data.devices[0].hostname, 'simaxe1');
+    });
+
+    it('answers 400 for an invalid range or a body that is not JSON', async () => {
+        let res = await request({ cidr: '10.0.0.0/8' });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.json().message, /too large/);
+
+        res = await request('{ "cidr": ');
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().success, false);
+    });
+
+    it('answers 413 for a body that is too large', async () => {
+        const res = await request('x'.repeat(MAX_JSON_BODY_SIZE + 1));
+        assert.equal(res.statusCode, 413);
+        assert.equal(res.json().success, false);
+    });
+
+    it('answers 403 when configurations are disabled', async () => {
+        const res = await request({ cidr: '127.0.0.1/32', port: minerPort }, { disable_configurations: true });
+        assert.equal(res.statusCode, 403);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * @file Unit tests for energyService and the /api/energy endpoint.
+ *
+ * Times are built in local time, as the tariff bands are read in server local time.
+ * 2026-01-05 is a Monday.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const energyService = require('../../backend/services/energyService');
+const energyController = require('../../backend/controllers/energyController');
+const historyService = require('../../backend/services/historyService');
+const pollingService = require('../../backend/services/pollingService');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { validateSettings, getSettings, getPrice, getEfficiency, getCoinsPerDay, getEarningsSources } = energyService;
+
+const HOUR = 60 * 60 * 1000;
+
+const TARIFF = {
+    currency: 'EUR',
+    price_per_kwh: 0.2,
+    tariff_bands: [
+        { name: 'Night', start: '23:00', end: '07:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'], price_per_kwh: 0.1 },
+        { name: 'Peak', start: '10:00', end: '11:00', price_per_kwh: 0.5 }
+    ]
+};
+
+describe('energyService', () => {
+    it('checks the energy section', () => {
+        assert.equal(validateSettings(undefined), null);
+        assert.equal(validateSettings(TARIFF), null);
+        assert.match(validateSettings({ price_per_kwh: -1 }), /price_per_kwh/);
+        assert.match(validateSettings({ tariff_bands: [{ start: '7:00', end: '09:00', price_per_kwh: 0.1 }] }), /tariff_bands\[0\].*HH:MM/);
+        assert.match(validateSettings({ tariff_bands: [{ start: '07:00', end: '09:00', price_per_kwh: 0.1, days: ['monday'] }] }), /days/);
+        assert.match(validateSettings([]), /object/);
+        assert.equal(getSettings({ energy: { price_per_kwh: 'cheap' } }).price_per_kwh, 0);
+    });
+
+    it('prices each moment with the band covering it, counting the hours after midnight to the day the band started', () => {
+        const settings = getSettings({ energy: TARIFF });
+        const at = (day, hour, minute = 0) => getPrice(settings, new Date(2026, 0, day, hour, minute));
+
+        assert.deepEqual(at(5, 23, 30), { price: 0.1, band: 'Night' });
+        assert.deepEqual(at(6, 6, 59), { price: 0.1, band: 'Night' });
+        assert.deepEqual(at(6, 7, 0), { price: 0.2, band: null });
+        assert.deepEqual(at(6, 10, 15), { price: 0.5, band: 'Peak' });
+        // Friday night runs into Saturday; no night band starts on Saturday or Sunday.
+        assert.equal(at(10, 2).band, 'Night');
+        assert.equal(at(11, 2).band, null);
+        assert.equal(at(5, 2).band, null);
+    });
+
+    it('works out efficiency and expected coins', () => {
+        assert.equal(getEfficiency(15, 1000), 15);
+        assert.equal(getEfficiency(15, 0), null);
+
+        const coins = getCoinsPerDay(1000, { networkDifficulty: 1e9, blockReward: 300 });
+        assert.equal(coins.toFixed(6), (1e12 * 86400 / (1e9 * 2 ** 32) * 300).toFixed(6));
+    });
+
+    it('lists Mining Core pools and crypto nodes the earnings can be estimated from', () => {
+        const snapshot = {
+            miningCoreData: [
+                {
+                    instanceName: 'Pool1',
+                    status: 'OK',
+                    pools: [
+                        { id: 'dgb-solo', coin: { symbol: 'DGB' }, networkStats: { networkDifficulty: 746669960 }, blockReward: 293.4 },
+                        { id: 'dgb-pplns', coin: { symbol: 'DGB' }, networkStats: { networkDifficulty: 746669960 }, blockReward: 0 }
+                    ]
+                },
+                { instanceName: 'Pool2', status: 'Error', pools: [] }
+            ],
+            cryptoNodeData: [
+                { id: 'DGB Node', nodeType: 'dgb', status: 'online', blockchainInfo: { difficulties: { sha256d: 704086834, scrypt: 210256 } } },
+                { id: 'Down', status: 'Error' }
+            ]
+        };
+
+        assert.deepEqual(getEarningsSources(snapshot, getSettings({})).map(source => source.id), ['Pool1/dgb-solo']);
+        const sources = getEarningsSources(snapshot, getSettings({ energy: { block_reward: 280 } }));
+        assert.deepEqual(sources.map(source => [source.id, source.type, source.networkDifficulty, source.blockReward]), [
+            ['Pool1/dgb-solo', 'mining_core', 746669960, 293.4],
+            ['Pool1/dgb-pplns', 'mining_core', 746669960, 280],
+            ['DGB Node', 'crypto_node', 704086834, 280]
+        ]);
+    });
+
+    describe('reporting on simulated miners', () => {
+        const simulator = new AxeOsSimulator({ count: 2, basePort: 0, tickMs: 0 });
+        const now = new Date(2026, 0, 5, 12, 0).getTime();
+        let config;
+
+        before(async () => {
+            const urls = await simulator.start();
+            config = {
+                bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url })),
+                energy: TARIFF
+            };
+            const miner = simulator.getMiner(1);
+            miner.hashRate = 1000;
+            miner.power = 15;
+            simulator.getMiner(2).setFault('offline');
+            await pollingService.pollOnce(config);
+
+            // Miner1 drew 20 W from 09:00 to 12:00; the 10:00 hour is in the peak band.
+            historyService.tiers.set('1h', [
+                { t: now - 25 * HOUR, id: 'Miner1', n: 1, power: 40 },
+                { t: now - 3 * HOUR, id: 'Miner1', n: 1, power: 20 },
+                { t: now - 2 * HOUR, id: 'Miner1', n: 1, power: 20 },
+                { t: now - 2 * HOUR, id: 'Removed', n: 1, power: 100 },
+                { t: now - HOUR, id: 'Miner1', n: 1, power: 20 }
+            ]);
+        });
+
+        after(async () => {
+            simulator.getMiner(2).clearFaults();
+            await simulator.stop();
+            configDir.cleanup();
+        });
+
+        it('reports efficiency, cost per day and the energy used from history', async () => {
+            const report = await energyService.getReport(config, '24h', now);
+
+            assert.equal(report.currency, 'EUR');
+            assert.deepEqual(report.tariff, { pricePerKwh: 0.2, band: null });
+            assert.equal(report.earnings.source, null);
+
+            const [miner1, miner2] = report.devices;
+            assert.equal(miner1.efficiency, 15);
+            // 0.36 kWh over the next 24 hours: 15 hours at 0.2, 8 night hours at 0.1 and one peak hour at 0.5.
+            assert.equal(miner1.costPerDay, 0.0645);
+            assert.deepEqual([miner1.kwh, miner1.cost], [0.06, 0.018]);
+            assert.deepEqual([miner1.coinsPerDay, miner1.revenuePerDay, miner1.profitPerDay], [null, null, null]);
+            assert.deepEqual([miner2.id, miner2.online, miner2.kwh], ['Miner2', false, 0]);
+
+            assert.deepEqual(report.fleet, {
+                online: 1, total: 2, hashRate: 1000, power: 15, efficiency: 15,
+                costPerDay: 0.0645, coinsPerDay: null, revenuePerDay: null, profitPerDay: null,
+                kwh: 0.06, cost: 0.018
+            });
+            assert.deepEqual(report.daily, [{ date: '2026-01-05', kwh: 0.06, cost: 0.018 }]);
+        });
+
+        it('leaves out the energy used when history is disabled', async () => {
+            const report = await energyService.getReport({ ...config, history: { enabled: false } }, '7d', now);
+            assert.deepEqual([report.devices[0].kwh, report.fleet.cost, report.daily], [null, null, null]);
+        });
+
+        it('answers GET /api/energy, and 400 for an unknown period', async () => {
+            const res = createResponse();
+            await energyController.route(createRequest('GET', '/api/energy?period=30d'), res, config);
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json().data.period, '30d');
+
+            const bad = createResponse();
+            await energyController.route(createRequest('GET', '/api/energy?period=1y'), bad, config);
+            assert.equal(bad.statusCode, 400);
+            assert.match(bad.json().message, /24h, 7d, 30d/);
+
+            const other = createResponse();
+            await energyController.route(createRequest('POST', '/api/energy'), other, config);
+            assert.equal(other.statusCode, 405);
+        });
+    });
+});
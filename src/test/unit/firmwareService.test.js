@@ -0,0 +1,167 @@
+/**
+ * @file Unit tests for firmwareService and the /api/firmware endpoints.
+ *
+ * Firmware images are pushed to the AxeOS simulator, which takes the version from the app
+ * description of the image and restarts.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const firmwareService = require('../../backend/services/firmwareService');
+const firmwareController = require('../../backend/controllers/firmwareController');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { readAppDescription, validateFirmware } = firmwareService;
+
+/**
+ * Builds an ESP32 application image with an app description.
+ * @param {string} version The version in the app description.
+ * @param {number} [size] The image size in bytes.
+ * @returns {Buffer} The image.
+ */
+function buildImage(version, size = 150 * 1024) {
+    const image = Buffer.alloc(size);
+    image[0] = 0xE9;
+    image.writeUInt32LE(0xABCD5432, 32);
+    image.write(version, 48, 'latin1');
+    image.write('esp-miner', 80, 'latin1');
+    return image;
+}
+
+/**
+ * Sends a request through the firmware router.
+ * @param {object} config The configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object|Buffer} [body] The JSON body, or the file for uploads.
+ * @returns {Promise<object>} The response.
+ */
+async function request(config, method, url, body) {
+    const req = createRequest(method, url, { body });
+    const res = createResponse();
+    await firmwareController.route(req, res, config);
+    return res;
+}
+
+describe('firmwareService', () => {
+    const simulator = new AxeOsSimulator({ count: 3, basePort: 0, tickMs: 10 });
+    let config;
+
+    before(async () => {
+        const urls = await simulator.start();
+        config = { disable_settings: false, bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url })) };
+        firmwareService.pollIntervalMs = 20;
+        firmwareService.rebootTimeoutMs = 2000;
+        firmwareService.requestTimeoutMs = 1000;
+    });
+
+    beforeEach(() => {
+        configDir.reset();
+        firmwareService.job = null;
+        simulator.miners.forEach(miner => {
+            miner.clearFaults();
+            miner.downUntil = null;
+            miner.info.version = 'v2.9.0';
+            miner.info.axeOSVersion = 'v2.9.0';
+        });
+    });
+
+    after(async () => {
+        await simulator.stop();
+        configDir.cleanup();
+    });
+
+    it('reads the version of an application image and tells the two files apart', () => {
+        assert.deepEqual(readAppDescription(buildImage('v2.10.0')), { version: 'v2.10.0', projectName: 'esp-miner' });
+        assert.equal(readAppDescription(Buffer.from('not an image')), null);
+
+        assert.equal(validateFirmware('esp-miner', buildImage('v2.10.0')), null);
+        assert.equal(validateFirmware('www', Buffer.alloc(1024, 1)), null);
+        assert.match(validateFirmware('esp-miner', Buffer.alloc(1024, 1)), /application image/);
+        assert.match(validateFirmware('www', buildImage('v2.10.0')), /esp-miner\.bin/);
+        assert.match(validateFirmware('www', Buffer.alloc(0)), /empty/);
+        assert.match(validateFirmware('bootloader', Buffer.alloc(1024, 1)), /type/);
+    });
+
+    it('stores uploads in config/firmware and lists them with their version', async () => {
+        const uploaded = await request(config, 'POST', '/api/firmware/upload?type=esp-miner', buildImage('v2.10.0'));
+        assert.equal(uploaded.statusCode, 200);
+        assert.equal(configDir.exists('firmware/esp-miner.bin'), true);
+
+        const refused = await request(config, 'POST', '/api/firmware/upload?type=esp-miner', Buffer.alloc(1024, 1));
+        assert.equal(refused.statusCode, 400);
+
+        const overview = await request(config, 'GET', '/api/firmware');
+        assert.deepEqual(overview.json().data.files.map(file => [file.fileName, file.version, file.size]), [['esp-miner.bin', 'v2.10.0', 150 * 1024]]);
+    });
+
+    it('pushes the firmware to each miner in turn and verifies the new version', async () => {
+        await firmwareService.saveFile('esp-miner', buildImage('v2.10.0'));
+
+        const started = await request(config, 'POST', '/api/firmware/update', { type: 'esp-miner', instanceIds: ['Miner1', 'Miner3'] });
+        assert.equal(started.statusCode, 200);
+        assert.equal(started.json().data.status, 'running');
+        await firmwareService.running;
+
+        const job = (await request(config, 'GET', '/api/firmware/status')).json().data;
+        assert.equal(job.status, 'success');
+        assert.deepEqual(job.devices.map(device => [device.instanceId, device.status, device.progress, device.previousVersion, device.version]), [
+            ['Miner1', 'success', 100, 'v2.9.0', 'v2.10.0'],
+            ['Miner3', 'success', 100, 'v2.9.0', 'v2.10.0']
+        ]);
+        assert.deepEqual(simulator.miners.map(miner => miner.getSystemInfo().axeOSVersion), ['v2.10.0', 'v2.9.0', 'v2.10.0']);
+    });
+
+    it('leaves miners that already run the version alone and installs www.bin without a version check', async () => {
+        simulator.getMiner(2).info.axeOSVersion = 'v2.10.0';
+        await firmwareService.saveFile('esp-miner', buildImage('v2.10.0'));
+        await firmwareService.saveFile('www', Buffer.alloc(64 * 1024, 1));
+
+        await firmwareService.startUpdate(config, { type: 'esp-miner', instanceIds: ['Miner2'] });
+        await firmwareService.running;
+        assert.deepEqual([firmwareService.getJob().status, firmwareService.getJob().devices[0].status], ['success', 'current']);
+
+        await firmwareService.startUpdate(config, { type: 'www', instanceIds: 'all' });
+        await firmwareService.running;
+        assert.equal(firmwareService.getJob().status, 'success');
+        assert.deepEqual(simulator.miners.map(miner => miner.getState().restarting), [false, false, false]);
+    });
+
+    it('skips the remaining miners after the first failure when asked to', async () => {
+        await firmwareService.saveFile('esp-miner', buildImage('v2.10.0'));
+        simulator.getMiner(1).setFault('offline');
+
+        await firmwareService.startUpdate(config, { type: 'esp-miner', instanceIds: 'all', stopOnFailure: true });
+        await firmwareService.running;
+        const stopped = firmwareService.getJob();
+        assert.equal(stopped.status, 'error');
+        assert.deepEqual(stopped.devices.map(device => device.status), ['failed', 'skipped', 'skipped']);
+        assert.match(stopped.message, /0 of 3 devices, 2 skipped/);
+
+        await firmwareService.startUpdate(config, { type: 'esp-miner', instanceIds: 'all' });
+        await firmwareService.running;
+        assert.deepEqual(firmwareService.getJob().devices.map(device => device.status), ['failed', 'success', 'success']);
+    });
+
+    it('answers 404 before an upload, 409 while a job runs and 403 when settings are disabled', async () => {
+        assert.equal((await request(config, 'POST', '/api/firmware/update', { type: 'esp-miner', instanceIds: 'all' })).statusCode, 404);
+        assert.equal((await request(config, 'POST', '/api/firmware/update', { type: 'esp-miner', instanceIds: ['Nope'] })).statusCode, 400);
+
+        await firmwareService.saveFile('esp-miner', buildImage('v2.10.0'));
+        await firmwareService.startUpdate(config, { type: 'esp-miner', instanceIds: ['Miner1'] });
+        assert.equal((await request(config, 'POST', '/api/firmware/update', { type: 'esp-miner', instanceIds: ['Miner2'] })).statusCode, 409);
+        await firmwareService.running;
+
+        const readOnly = { ...config, disable_settings: true };
+        assert.equal((await request(readOnly, 'POST', '/api/firmware/upload?type=www', Buffer.alloc(16, 1))).statusCode, 403);
+        assert.equal((await request(readOnly, 'GET', '/api/firmware/status')).statusCode, 200);
+    });
+});
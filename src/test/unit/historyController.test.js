@@ -0,0 +1,99 @@
+/**
+ * @file Unit tests for the parameter handling of the /api/history endpoint.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const historyController = require('../../backend/controllers/historyController');
+const historyService = require('../../backend/services/historyService');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const CONFIG = { bitaxe_instances: [{ Gamma: 'http://gamma' }, { Max: 'http://max' }] };
+
+/**
+ * Sends a GET /api/history request.
+ * @param {string} query The query string.
+ * @returns {Promise<object>} The response.
+ */
+async function getHistory(query) {
+    const res = createResponse();
+    await historyController.getHistory(createRequest('GET', `/api/history?${query}`), res, CONFIG);
+    return res;
+}
+
+describe('historyController', () => {
+    // An hour boundary inside the default 24-hour range.
+    const start = Math.floor(Date.now() / HOUR) * HOUR - HOUR;
+
+    before(async () => {
+        await historyService.load();
+        for (let i = 0; i < 10; i++) {
+            await historyService.recordPoll(start + i * MINUTE, [
+                { id: 'Gamma', hashRate: 1000, temp: 60 + i },
+                { id: 'Max', hashRate: 500, temp: 50 }
+            ], CONFIG);
+        }
+    });
+
+    after(() => configDir.cleanup());
+
+    it('returns the series of an instance or the fleet', async () => {
+        const res = await getHistory(`instanceId=Gamma&metric=temp&metric=hashRate&from=${start}&to=${start + 10 * MINUTE}&step=5m&agg=max`);
+
+        assert.equal(res.statusCode, 200);
+        const body = res.json();
+        assert.deepEqual([body.step, body.agg, body.metrics, body.tier], [300, 'max', ['temp', 'hashRate'], '5m']);
+        assert.deepEqual(body.data, [
+            { t: start, temp: 64, hashRate: 1000 },
+            { t: start + 5 * MINUTE, temp: 69, hashRate: 1000 }
+        ]);
+
+        const fleet = (await getHistory(`instanceId=all&metric=hashRate,temp&from=${new Date(start).toISOString()}&to=${start + 4 * MINUTE}&step=600`)).json();
+        assert.deepEqual(fleet.data, [{ t: start, hashRate: 1500, temp: 56 }]);
+    });
+
+    it('picks a step for about 300 points when none is given', async () => {
+        assert.equal((await getHistory('instanceId=Gamma')).json().step, 300);
+        assert.equal((await getHistory(`instanceId=Gamma&from=${start}&to=${start + HOUR}`)).json().step, 15);
+        assert.equal((await getHistory(`instanceId=Gamma&from=${start - 30 * 24 * HOUR}&to=${start}`)).json().step, 21600);
+    });
+
+    it('answers 400 or 404 for bad parameters', async () => {
+        const cases = [
+            ['', 400, /instanceId parameter is required/],
+            ['instanceId=Nope', 404, /Instance 'Nope' not found/],
+            ['instanceId=Gamma&metric=temp,volume', 400, /Unknown metric\(s\): volume/],
+            ['instanceId=Gamma&agg=median', 400, /Invalid agg 'median'/],
+            ['instanceId=Gamma&from=yesterday', 400, /epoch milliseconds or ISO 8601/],
+            [`instanceId=Gamma&from=${start}&to=${start}`, 400, /from must be earlier than to/],
+            ['instanceId=Gamma&step=5x', 400, /step must be a number of seconds/],
+            ['instanceId=Gamma&step=0', 400, /step must be a number of seconds/],
+            ['instanceId=Gamma&step=-60', 400, /step must be a number of seconds/]
+        ];
+        for (const [query, statusCode, message] of cases) {
+            const res = await getHistory(query);
+            assert.equal(res.statusCode, statusCode, query);
+            assert.match(res.json().message, message);
+            assert.equal(res.json().success, false);
+        }
+    });
+
+    it('refuses a step that would return more than MAX_POINTS points', async () => {
+        const to = start + 5000 * MINUTE;
+        assert.equal((await getHistory(`instanceId=Gamma&from=${start}&to=${to}&step=1m`)).statusCode, 200);
+
+        const res = await getHistory(`instanceId=Gamma&from=${start}&to=${to + MINUTE}&step=1m`);
+        assert.equal(res.statusCode, 400);
+        assert.match(res.json().message, /step is too small for the requested range \(at most 5000 points\)/);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * @file Unit tests for the recording, downsampling, pruning and querying of historyService.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const historyService = require('../../backend/services/historyService');
+const configurationManager = require('../../backend/services/configurationManager');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// An hour boundary, so the 5m and 1h buckets start on it.
+const T0 = Date.UTC(2026, 0, 5);
+
+const CONFIG = { bitaxe_instances: [{ Gamma: 'http://gamma' }, { Max: 'http://max' }] };
+
+/**
+ * Reads the records of a tier file.
+ * @param {string} file The file name under history/.
+ * @returns {Array<object>} The records.
+ */
+function readTier(file) {
+    const content = fs.readFileSync(configDir.file(`history/${file}`), 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Records one poll per minute for both miners, from `start` for `minutes` minutes.
+ * @param {number} start The first poll timestamp.
+ * @param {number} minutes The number of polls.
+ * @returns {Promise<void>}
+ */
+async function recordMinutes(start, minutes) {
+    for (let i = 0; i < minutes; i++) {
+        await historyService.recordPoll(start + i * MINUTE, [
+            { id: 'Gamma', hashRate: 1000 + i, temp: 60, power: 15 },
+            { id: 'Max', hashRate: 500, temp: 50, power: 10 }
+        ], CONFIG);
+    }
+}
+
+describe('historyService', () => {
+    beforeEach(async () => {
+        configDir.reset();
+        configurationManager.config = CONFIG;
+        await historyService.load();
+    });
+
+    after(() => configDir.cleanup());
+
+    it('records a sample for each reachable miner', async () => {
+        await historyService.recordPoll(T0, [
+            { id: 'Gamma', hashRate: 1000, temp: 60, bestDiff: '142.80M', fanrpm: 'n/a' },
+            { id: 'Max', status: 'Error' }
+        ], CONFIG);
+        await historyService.recordPoll(T0 + MINUTE, [{ id: 'Gamma', hashRate: 1000 }], { ...CONFIG, history: { enabled: false } });
+
+        const records = readTier('raw.jsonl');
+        assert.equal(records.length, 1);
+        assert.deepEqual([records[0].t, records[0].id, records[0].hashRate, records[0].bestDiff], [T0, 'Gamma', 1000, 142.8e6]);
+        assert.deepEqual([records[0].fanrpm, records[0].power], [null, null]);
+        assert.deepEqual(historyService.getRecords('raw'), records);
+    });
+
+    it('rolls up complete buckets once, weighting averages by sample count', async () => {
+        await recordMinutes(T0, 62);
+
+        // The bucket starting at T0 + 60 minutes is still filling.
+        await historyService.runMaintenance(T0 + 62 * MINUTE);
+        const fiveMinutes = historyService.getRecords('5m', { instanceId: 'Gamma' });
+        assert.equal(fiveMinutes.length, 12);
+        assert.deepEqual([fiveMinutes[0].t, fiveMinutes[0].n, fiveMinutes[0].hashRate], [T0, 5, 1002]);
+        assert.deepEqual(historyService.getRecords('1h', { instanceId: 'Gamma' }).map(record => [record.t, record.n, record.hashRate]), [[T0, 60, 1029.5]]);
+        assert.equal(historyService.getRecords('1h', { instanceId: 'Max' })[0].hashRate, 500);
+
+        await historyService.runMaintenance(T0 + 62 * MINUTE);
+        assert.equal(readTier('5m.jsonl').length, 24);
+        assert.equal(readTier('1h.jsonl').length, 2);
+
+        await recordMinutes(T0 + 62 * MINUTE, 3);
+        await historyService.runMaintenance(T0 + 65 * MINUTE);
+        assert.deepEqual(historyService.getRecords('5m', { instanceId: 'Gamma', from: T0 + HOUR }).map(record => record.n), [5]);
+    });
+
+    it('prunes each tier to its retention and keeps the files in step', async () => {
+        configurationManager.config = { ...CONFIG, history: { raw_retention_hours: 1, five_minute_retention_days: 1, hourly_retention_days: 0 } };
+        await recordMinutes(T0, 120);
+
+        await historyService.runMaintenance(T0 + DAY + 30 * MINUTE);
+
+        assert.deepEqual(readTier('raw.jsonl'), []);
+        const fiveMinutes = readTier('5m.jsonl');
+        assert.deepEqual([fiveMinutes.length, fiveMinutes[0].t], [36, T0 + 30 * MINUTE]);
+        assert.deepEqual(historyService.getRecords('5m'), fiveMinutes);
+        assert.equal(readTier('1h.jsonl').length, 4);
+        assert.equal(fs.existsSync(configDir.file('history/5m.jsonl.tmp')), false);
+    });
+
+    it('skips corrupt lines when loading', async () => {
+        fs.writeFileSync(configDir.file('history/raw.jsonl'), [
+            JSON.stringify({ t: T0 + MINUTE, id: 'Gamma', hashRate: 2 }),
+            '{"t":',
+            JSON.stringify({ t: T0, id: 'Gamma', hashRate: 1 })
+        ].join('\n') + '\n');
+
+        await historyService.load();
+        assert.deepEqual(historyService.getRecords('raw').map(record => record.hashRate), [1, 2]);
+    });
+
+    it('aggregates queries per step, and across configured miners for the fleet', async () => {
+        await recordMinutes(T0, 10);
+        await historyService.recordPoll(T0, [{ id: 'Removed', hashRate: 9999, temp: 90 }], CONFIG);
+        const now = T0 + 10 * MINUTE;
+        const query = (instanceId, aggregation) => historyService.query({
+            instanceId, metrics: ['hashRate', 'temp'], from: T0, to: now, stepMs: 5 * MINUTE, aggregation
+        }, CONFIG, now);
+
+        // Nothing is rolled up yet, so the 5m tier is filled in from the raw samples.
+        assert.deepEqual(query('Gamma'), { tier: '5m', series: [
+            { t: T0, hashRate: 1002, temp: 60 },
+            { t: T0 + 5 * MINUTE, hashRate: 1007, temp: 60 }
+        ] });
+        assert.deepEqual(query('Gamma', 'max').series.map(step => step.hashRate), [1004, 1009]);
+        assert.deepEqual(query('Gamma', 'last').series.map(step => step.hashRate), [1004, 1009]);
+        assert.deepEqual(query('Gamma', 'min').series.map(step => step.hashRate), [1000, 1005]);
+        assert.deepEqual(query('all').series[0], { t: T0, hashRate: 1502, temp: 55 });
+    });
+
+    it('reads coarser tiers for larger steps or older ranges, filling in what is not rolled up yet', async () => {
+        await recordMinutes(T0, 70);
+        await historyService.runMaintenance(T0 + 70 * MINUTE);
+        const settings = historyService.getHistorySettings({});
+
+        assert.equal(historyService.selectTier(T0, MINUTE, settings, T0 + HOUR), 0);
+        assert.equal(historyService.selectTier(T0, 5 * MINUTE, settings, T0 + HOUR), 1);
+        assert.equal(historyService.selectTier(T0, HOUR, settings, T0 + HOUR), 2);
+        assert.equal(historyService.selectTier(T0, MINUTE, settings, T0 + 2 * DAY), 1);
+        assert.equal(historyService.selectTier(T0, MINUTE, settings, T0 + 40 * DAY), 2);
+
+        const result = historyService.query({
+            instanceId: 'Max', metrics: ['hashRate'], from: T0, to: T0 + 70 * MINUTE, stepMs: HOUR
+        }, CONFIG, T0 + 70 * MINUTE);
+        assert.deepEqual(result, { tier: '1h', series: [{ t: T0, hashRate: 500 }, { t: T0 + HOUR, hashRate: 500 }] });
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * @file Unit tests for the bulk actions, the settings validation and the WiFi scan of instanceServices.
+ *
+ * The actions run against the AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const instanceServices = require('../../backend/services/instanceServices');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { MAX_JSON_BODY_SIZE } = require('../../backend/controllers/controllerUtils');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+/**
+ * Sends a bulk request through the instance services router.
+ * @param {object} config The configuration.
+ * @param {string|object} body The request body.
+ * @returns {Promise<object>} The response.
+ */
+async function postBulk(config, body) {
+    const req = createRequest('POST', '/api/instance/service/bulk', { body });
+    const res = createResponse();
+    await instanceServices.route(req, res, config);
+    return res;
+}
+
+/**
+ * Sends a request for one instance through the instance services router.
+ * @param {object} config The configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} endpoint The endpoint under /api/instance/service/.
+ * @param {string} instanceId The instance name.
+ * @param {object} [body] The JSON body.
+ * @returns {Promise<object>} The response.
+ */
+async function requestInstance(config, method, endpoint, instanceId, body) {
+    const req = createRequest(method, `/api/instance/service/${endpoint}?instanceId=${instanceId}`, { body });
+    const res = createResponse();
+    await instanceServices.route(req, res, config);
+    return res;
+}
+
+describe('instanceServices bulk actions', () => {
+    const simulator = new AxeOsSimulator({ count: 3, basePort: 0, tickMs: 0 });
+    let config;
+
+    before(async () => {
+        const urls = await simulator.start();
+        config = {
+            bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url }))
+        };
+    });
+
+    beforeEach(() => {
+        // Bring every miner back up after the previous test's restarts and faults.
+        simulator.miners.forEach(miner => {
+            miner.clearFaults();
+            miner.downUntil = null;
+        });
+    });
+
+    after(() => simulator.stop());
+
+    it('applies settings to the selected miners only', async () => {
+        const res = await postBulk(config, {
+            instanceIds: ['Miner1', 'Miner3'],
+            action: 'settings',
+            payload: { frequency: 600 }
+        });
+
+        assert.equal(res.statusCode, 200);
+        const report = res.json();
+        assert.equal(report.status, 'success');
+        assert.deepEqual(report.results.map(result => [result.instanceId, result.success]), [
+            ['Miner1', true],
+            ['Miner3', true]
+        ]);
+        assert.deepEqual(simulator.miners.map(miner => miner.getSystemInfo().frequency === 600), [true, false, true]);
+    });
+
+    it('changes the pool of every miner, with a worker name per miner, and restarts them', async () => {
+        const report = await instanceServices.runBulkAction(config, 'all', 'pool', {
+            stratumURL: 'pool.example.com',
+            stratumPort: 3333,
+            stratumUser: 'bc1qwallet.{name}'
+        });
+
+        assert.equal(report.status, 'success');
+        assert.deepEqual(simulator.miners.map(miner => miner.getState().restarting), [true, true, true]);
+        simulator.miners.forEach(miner => { miner.downUntil = null; });
+        assert.deepEqual(simulator.miners.map(miner => miner.getSystemInfo().stratumUser), [
+            'bc1qwallet.Miner1',
+            'bc1qwallet.Miner2',
+            'bc1qwallet.Miner3'
+        ]);
+    });
+
+    it('leaves the miners running when the pool change asks not to restart', async () => {
+        await instanceServices.runBulkAction(config, ['Miner2'], 'pool', { stratumPort: 4444, restart: false });
+
+        assert.equal(simulator.getMiner(2).getState().restarting, false);
+        assert.equal(simulator.getMiner(2).getSystemInfo().stratumPort, 4444);
+    });
+
+    it('reports the devices that failed without stopping the others', async () => {
+        simulator.getMiner(2).setFault('offline');
+
+        const report = await instanceServices.runBulkAction(config, ['Miner1', 'Miner2', 'Unknown'], 'restart');
+
+        assert.equal(report.status, 'error');
+        assert.equal(report.message, 'restart succeeded on 1 of 3 devices');
+        assert.deepEqual(report.results.map(result => [result.instanceId, result.success]), [
+            ['Miner1', true],
+            ['Miner2', false],
+            ['Unknown', false]
+        ]);
+        assert.match(report.results[2].error, /not found in configuration/);
+    });
+
+    it('rejects invalid requests with 400', async () => {
+        const invalid = [
+            'not json',
+            'null',
+            '[]',
+            { instanceIds: 'all', action: 'shutdown' },
+            { instanceIds: [], action: 'restart' },
+            { instanceIds: 'all', action: 'settings', payload: {} },
+            { instanceIds: 'all', action: 'pool', payload: { frequency: 600 } }
+        ];
+        for (const body of invalid) {
+            const res = await postBulk(config, body);
+            assert.equal(res.statusCode, 400, JSON.stringify(body));
+        }
+        const large = await postBulk(config, { instanceIds: 'all', action: 'restart', padding: 'x'.repeat(MAX_JSON_BODY_SIZE) });
+        assert.equal(large.statusCode, 413);
+        assert.equal(simulator.getMiner(1).getState().restarting, false);
+    });
+
+    it('gives up on a restart the miner does not answer', async () => {
+        simulator.getMiner(1).setFault('slow', true, { delayMs: 1000 });
+
+        await assert.rejects(instanceServices.restartInstance(config, 'Miner1', 100), /Miner1 did not answer within 100 ms/);
+    });
+
+    it('is refused when settings are disabled', async () => {
+        const res = await postBulk({ ...config, disable_settings: true }, { instanceIds: 'all', action: 'restart' });
+        assert.equal(res.statusCode, 403);
+    });
+});
+
+describe('instanceServices settings validation', () => {
+    const simulator = new AxeOsSimulator({ count: 2, model: ['BM1370', 'BM1397'], basePort: 0, tickMs: 0 });
+    let config;
+
+    before(async () => {
+        const urls = await simulator.start();
+        config = {
+            bitaxe_instances: [{ Gamma: urls[0] }, { Max: urls[1] }]
+        };
+    });
+
+    beforeEach(() => {
+        simulator.miners.forEach(miner => {
+            miner.info.overclockEnabled = 0;
+        });
+    });
+
+    after(() => simulator.stop());
+
+    it('serves the ASIC options of a miner', async () => {
+        const res = await requestInstance(config, 'GET', 'asic', 'Gamma');
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.json().data.frequencyOptions, [400, 490, 525, 550, 600, 625]);
+    });
+
+    it('refuses a frequency or voltage outside the range of the ASIC with 400', async () => {
+        const res = await requestInstance(config, 'PATCH', 'settings', 'Gamma', { frequency: 700 });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.json().message, /frequency 700 MHz is outside the range of the BM1370 \(400-625 MHz\)/);
+        assert.equal(simulator.getMiner(1).getSystemInfo().frequency, 525);
+
+        const max = await requestInstance(config, 'PATCH', 'settings', 'Max', { coreVoltage: 1450, frequency: 500 });
+        assert.equal(max.statusCode, 200);
+        assert.equal(simulator.getMiner(2).getSystemInfo().coreVoltage, 1450);
+    });
+
+    it('allows custom values when overclocking is enabled in the PATCH or on the miner', async () => {
+        const enabled = await requestInstance(config, 'PATCH', 'settings', 'Gamma', { frequency: 700, overclockEnabled: 1 });
+        assert.equal(enabled.statusCode, 200);
+
+        const custom = await requestInstance(config, 'PATCH', 'settings', 'Gamma', { coreVoltage: 1280 });
+        assert.equal(custom.statusCode, 200);
+        assert.equal(simulator.getMiner(1).getSystemInfo().coreVoltage, 1280);
+
+        const tooHigh = await requestInstance(config, 'PATCH', 'settings', 'Gamma', { frequency: 1200 });
+        assert.equal(tooHigh.statusCode, 400);
+    });
+
+    it('checks every miner of a bulk action against its own ASIC', async () => {
+        const report = await instanceServices.runBulkAction(config, 'all', 'settings', { coreVoltage: 1400 });
+
+        assert.deepEqual(report.results.map(result => [result.instanceId, result.success]), [['Gamma', false], ['Max', true]]);
+        assert.match(report.results[0].error, /outside the range of the BM1370/);
+    });
+
+    it('answers 400 for a settings body that is empty or not a JSON object, and 413 for a large one', async () => {
+        for (const body of ['null', '[1]', '42']) {
+            const res = await requestInstance(config, 'PATCH', 'settings', 'Gamma', body);
+            assert.equal(res.statusCode, 400, body);
+            assert.equal(res.json().message, 'The request body must be a JSON object');
+        }
+        assert.equal((await requestInstance(config, 'PATCH', 'settings', 'Gamma', '{oops')).statusCode, 400);
+        assert.equal((await requestInstance(config, 'PATCH', 'settings', 'Gamma', '')).json().message, 'Request body cannot be empty.');
+
+        const large = await requestInstance(config, 'PATCH', 'settings', 'Gamma', { hostname: 'x'.repeat(MAX_JSON_BODY_SIZE) });
+        assert.equal(large.statusCode, 413);
+    });
+
+    it('gives up on a miner that does not answer in time', async () => {
+        const miner = simulator.getMiner(2);
+        miner.setFault('slow', true, { delayMs: 1000 });
+        try {
+            await assert.rejects(instanceServices.fetchInstanceJson(config, 'Max', 'instanceInfo', 100), /Max did not answer within 100 ms/);
+            await assert.rejects(instanceServices.updateInstanceSettings(config, 'Max', { fanspeed: 50 }, 100), /Max did not answer within 100 ms/);
+        } finally {
+            miner.setFault('slow', false);
+        }
+    });
+
+    it('falls back to fixed limits without ASIC options', () => {
+        assert.equal(instanceServices.validateTuningSettings({ frequency: 900, coreVoltage: 1250 }, null), null);
+        assert.match(instanceServices.validateTuningSettings({ coreVoltage: 1400 }, null), /between 1 and 1300 mV/);
+        assert.match(instanceServices.validateTuningSettings({ frequency: '525' }, null), /must be a number/);
+    });
+});
+
+describe('instanceServices WiFi scan', () => {
+    const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+    let config;
+
+    before(async () => {
+        const urls = await simulator.start();
+        config = { bitaxe_instances: [{ Miner1: urls[0] }] };
+    });
+
+    after(() => simulator.stop());
+
+    it('lists the networks the miner hears once each, strongest first, without hidden ones', async () => {
+        simulator.getMiner(1).wifiRSSI = -50;
+
+        const res = await requestInstance(config, 'GET', 'wifi/scan', 'Miner1');
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.json().data, [
+            { ssid: 'simulator', rssi: -50, authmode: 3 },
+            { ssid: 'neighbour', rssi: -67, authmode: 7 },
+            { ssid: 'guest', rssi: -82, authmode: 0 }
+        ]);
+    });
+
+    it('fails when the scan takes too long', async () => {
+        const miner = simulator.getMiner(1);
+        miner.setFault('slow', true, { delayMs: 1000 });
+        try {
+            await assert.rejects(instanceServices.scanWifiNetworks(config, 'Miner1', 100), /Miner1 did not answer within 100 ms/);
+        } finally {
+            miner.setFault('slow', false);
+        }
+    });
+
+    it('fails when the miner cannot be reached', async () => {
+        simulator.getMiner(1).setFault('offline');
+
+        await assert.rejects(instanceServices.scanWifiNetworks(config, 'Miner1'));
+        assert.equal((await requestInstance(config, 'GET', 'wifi/scan', 'Miner1')).statusCode, 500);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * @file Unit tests for the access rules of the /metrics endpoint.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const metrics = require('../../backend/metrics');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+/**
+ * Requests /metrics.
+ * @param {object} config The configuration.
+ * @param {object} [headers] The request headers.
+ * @param {string} [url='/metrics'] The request URL.
+ * @returns {Promise<object>} The response.
+ */
+async function scrape(config, headers = {}, url = '/metrics') {
+    const res = createResponse();
+    await metrics.display(createRequest('GET', url, { headers }), res, { bitaxe_instances: [], ...config });
+    return res;
+}
+
+describe('/metrics', () => {
+    after(() => configDir.cleanup());
+
+    it('is off unless enabled', async () => {
+        assert.equal((await scrape({ disable_authentication: true })).statusCode, 404);
+        assert.equal((await scrape({ disable_authentication: true, metrics: { token: 'secret' } })).statusCode, 404);
+    });
+
+    it('needs a token while the dashboard login is on', async () => {
+        const refused = await scrape({ disable_authentication: false, metrics: { enabled: true } });
+        assert.equal(refused.statusCode, 403);
+        assert.match(refused.body, /metrics\.token/);
+
+        const open = await scrape({ disable_authentication: true, metrics: { enabled: true } });
+        assert.equal(open.statusCode, 200);
+        assert.match(open.headers['content-type'], /text\/plain/);
+    });
+
+    it('checks the token as a bearer token or query parameter', async () => {
+        const config = { disable_authentication: false, metrics: { enabled: true, token: 'secret' } };
+        assert.equal((await scrape(config)).statusCode, 401);
+        assert.equal((await scrape(config, { authorization: 'Bearer wrong' })).statusCode, 401);
+        assert.equal((await scrape(config, { authorization: 'Bearer secret' })).statusCode, 200);
+        assert.equal((await scrape(config, {}, '/metrics?token=secret')).statusCode, 200);
+    });
+});
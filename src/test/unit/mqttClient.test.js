@@ -0,0 +1,176 @@
+/**
+ * @file Unit tests for the MQTT 3.1.1 client against a local stub broker.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MqttClient } = require('../../backend/services/mqttClient');
+const { MqttStub } = require('../helpers/mqttStub');
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition Returns true once done.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 300 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'condition not met in time');
+}
+
+describe('MqttClient', () => {
+    const broker = new MqttStub();
+    let url;
+    let client;
+
+    before(async () => {
+        url = await broker.start();
+    });
+
+    beforeEach(() => {
+        broker.connects = [];
+        broker.published = [];
+        broker.subscriptions = [];
+        broker.pubacks = [];
+        broker.returnCode = 0;
+        broker.answerPings = true;
+    });
+
+    afterEach(() => {
+        if (client) {
+            client.end();
+            client = null;
+        }
+    });
+
+    after(() => broker.stop());
+
+    it('encodes the CONNECT packet', () => {
+        const packet = new MqttClient({ url: 'mqtt://localhost', clientId: 'id', keepalive: 30 }).buildConnectPacket();
+        assert.deepEqual([...packet], [
+            0x10, 14,
+            0, 4, 0x4d, 0x51, 0x54, 0x54, // "MQTT"
+            4, 0x02, // Protocol level 4, clean session
+            0, 30,
+            0, 2, 0x69, 0x64 // "id"
+        ]);
+    });
+
+    it('connects with credentials and a last will', async () => {
+        client = new MqttClient({
+            url, clientId: 'dashboard', username: 'user', password: 'pässword', keepalive: 45,
+            will: { topic: 'bitaxe/status', payload: 'offline', retain: true }
+        });
+        await client.connect();
+
+        assert.equal(client.connected, true);
+        assert.deepEqual(broker.connects, [{
+            clientId: 'dashboard', username: 'user', password: 'pässword', keepalive: 45, cleanSession: true,
+            will: { topic: 'bitaxe/status', payload: 'offline', retain: true }
+        }]);
+    });
+
+    it('publishes with the retain flag and multi-byte remaining lengths', async () => {
+        client = new MqttClient({ url, clientId: 'dashboard' });
+        await client.connect();
+
+        const medium = 'm'.repeat(200);
+        const large = 'l'.repeat(20000);
+        assert.equal(client.publish('bitaxe/a/state', '{"temp":60}', { retain: true }), true);
+        client.publish('bitaxe/b/state', medium);
+        client.publish('bitaxe/c/state', Buffer.from(large));
+        await waitFor(() => broker.published.length === 3);
+
+        assert.deepEqual(broker.published[0], { topic: 'bitaxe/a/state', payload: '{"temp":60}', retain: true, qos: 0 });
+        assert.deepEqual([broker.published[1].payload, broker.published[1].retain], [medium, false]);
+        assert.equal(broker.published[2].payload, large);
+    });
+
+    it('subscribes and receives QoS 0 and QoS 1 messages', async () => {
+        client = new MqttClient({ url, clientId: 'dashboard' });
+        await client.connect();
+        const messages = [];
+        client.on('message', (topic, payload) => messages.push([topic, payload.toString()]));
+
+        assert.equal(client.subscribe(['bitaxe/+/+/set', 'other/#']), true);
+        await waitFor(() => broker.subscriptions.length === 2);
+        assert.deepEqual(broker.subscriptions, ['bitaxe/+/+/set', 'other/#']);
+
+        broker.send('bitaxe/miner/restart/set', 'PRESS');
+        broker.send('bitaxe/miner/frequency/set', '525', 1);
+        await waitFor(() => messages.length === 2);
+        assert.deepEqual(messages, [['bitaxe/miner/restart/set', 'PRESS'], ['bitaxe/miner/frequency/set', '525']]);
+        await waitFor(() => broker.pubacks.length === 1);
+        assert.deepEqual(broker.pubacks, [1]);
+    });
+
+    it('reassembles packets split across reads', () => {
+        const splitClient = new MqttClient({ url, clientId: 'dashboard' });
+        const messages = [];
+        splitClient.on('message', (topic, payload) => messages.push([topic, payload.toString()]));
+
+        const payload = 'p'.repeat(130);
+        const body = Buffer.concat([Buffer.from([0, 3]), Buffer.from('a/b'), Buffer.from(payload)]);
+        // Remaining length 135 takes two bytes: 0x87 0x01.
+        const packet = Buffer.concat([Buffer.from([0x30, 0x87, 0x01]), body]);
+        for (const byte of packet) {
+            splitClient.onData(Buffer.from([byte]));
+        }
+        splitClient.onData(Buffer.concat([packet, packet]));
+        assert.deepEqual(messages, [['a/b', payload], ['a/b', payload], ['a/b', payload]]);
+    });
+
+    it('sends keep-alive pings', async () => {
+        const pings = broker.pings;
+        client = new MqttClient({ url, clientId: 'dashboard', keepalive: 1 });
+        await client.connect();
+        await waitFor(() => broker.pings > pings);
+        assert.equal(client.awaitingPong, false);
+    });
+
+    it('drops the connection when the broker does not answer a ping', async () => {
+        broker.answerPings = false;
+        const pings = broker.pings;
+        client = new MqttClient({ url, clientId: 'dashboard', keepalive: 1 });
+        const errors = [];
+        client.on('error', error => errors.push(error.message));
+        await client.connect();
+        let closed = false;
+        client.once('close', () => {
+            closed = true;
+        });
+
+        // The first ping goes out after a second and is given up on at the next one.
+        await waitFor(() => closed);
+        assert.equal(broker.pings, pings + 1);
+        assert.deepEqual(errors, ['MQTT broker did not answer the keep-alive ping']);
+        assert.equal(client.connected, false);
+        assert.equal(client.pingTimer, null);
+    });
+
+    it('reports a refused connection and an unreachable broker', async () => {
+        broker.returnCode = 4;
+        await assert.rejects(new MqttClient({ url, clientId: 'dashboard' }).connect(), /bad user name or password/);
+        await assert.rejects(new MqttClient({ url: 'ws://127.0.0.1', clientId: 'dashboard' }).connect(), /mqtt:\/\/ or mqtts:\/\//);
+
+        const stopped = new MqttStub();
+        const stoppedUrl = await stopped.start();
+        await stopped.stop();
+        await assert.rejects(new MqttClient({ url: stoppedUrl, clientId: 'dashboard' }).connect(), /ECONNREFUSED/);
+    });
+
+    it('emits close when the broker drops the connection', async () => {
+        client = new MqttClient({ url, clientId: 'dashboard' });
+        await client.connect();
+        const closed = new Promise(resolve => client.once('close', resolve));
+        broker.dropConnections();
+        await closed;
+        assert.equal(client.connected, false);
+        assert.equal(client.publish('bitaxe/status', 'online'), false);
+    });
+});
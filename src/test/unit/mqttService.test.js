@@ -0,0 +1,177 @@
+/**
+ * @file Unit tests for mqttService against a local stub broker and the AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const mqttService = require('../../backend/services/mqttService');
+const configurationManager = require('../../backend/services/configurationManager');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { MqttStub } = require('../helpers/mqttStub');
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition Returns true once done.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 300 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'condition not met in time');
+}
+
+describe('mqttService', () => {
+    const broker = new MqttStub();
+    const simulator = new AxeOsSimulator({ count: 1, basePort: 0, tickMs: 0 });
+    let config;
+
+    const payloadOf = topic => {
+        const message = broker.published.filter(entry => entry.topic === topic).pop();
+        return message ? message.payload : undefined;
+    };
+
+    before(async () => {
+        const url = await broker.start();
+        const [minerUrl] = await simulator.start();
+        config = {
+            disable_settings: false,
+            bitaxe_instances: [{ 'Bitaxe 1': minerUrl }],
+            mqtt: { enabled: true, url: url, username: 'user', password: 'secret' }
+        };
+        configurationManager.config = config;
+    });
+
+    beforeEach(() => {
+        broker.published = [];
+    });
+
+    after(async () => {
+        mqttService.stop();
+        await broker.stop();
+        await simulator.stop();
+        configDir.cleanup();
+    });
+
+    it('connects with a last will and subscribes to the command topics', async () => {
+        mqttService.applySettings(config);
+        await waitFor(() => mqttService.client && mqttService.client.connected && broker.subscriptions.length === 1);
+
+        assert.deepEqual(broker.connects[0].will, { topic: 'bitaxe/status', payload: 'offline', retain: true });
+        assert.deepEqual([broker.connects[0].clientId, broker.connects[0].username], ['bitaxe-dashboard', 'user']);
+        assert.deepEqual(broker.subscriptions, ['bitaxe/+/+/set']);
+        assert.equal(payloadOf('bitaxe/status'), 'online');
+    });
+
+    it('publishes state, availability and Home Assistant discovery', async () => {
+        const miner = { id: 'Bitaxe 1', status: 'OK', hashRate: 1000, power: 15, temp: 60, voltage: 5100, ASICModel: 'BM1370', axeOSVersion: 'v2.6.0' };
+        mqttService.onPoll({ config, minerData: [miner] });
+        await waitFor(() => payloadOf('bitaxe/bitaxe_1/availability') === 'online');
+
+        const state = JSON.parse(payloadOf('bitaxe/bitaxe_1/state'));
+        assert.deepEqual([state.hashRate, state.efficiency, state.voltage, state.fanrpm, state.version], [1000, 15, 5.1, null, 'v2.6.0']);
+        const sensor = JSON.parse(payloadOf('homeassistant/sensor/bitaxe_bitaxe_1/temp/config'));
+        assert.deepEqual([sensor.unique_id, sensor.device_class, sensor.state_topic], ['bitaxe_bitaxe_1_temp', 'temperature', 'bitaxe/bitaxe_1/state']);
+        assert.equal(JSON.parse(payloadOf('homeassistant/button/bitaxe_bitaxe_1/restart/config')).command_topic, 'bitaxe/bitaxe_1/restart/set');
+
+        // With commands disabled the controls are removed from Home Assistant.
+        broker.published = [];
+        mqttService.onPoll({ config: { ...config, disable_settings: true }, minerData: [miner] });
+        await waitFor(() => payloadOf('homeassistant/button/bitaxe_bitaxe_1/restart/config') === '');
+        assert.equal(payloadOf('homeassistant/number/bitaxe_bitaxe_1/frequency/config'), '');
+
+        broker.published = [];
+        mqttService.onPoll({ config, minerData: [{ id: 'Bitaxe 1', status: 'Error' }] });
+        await waitFor(() => payloadOf('bitaxe/bitaxe_1/availability') === 'offline');
+        assert.equal(payloadOf('bitaxe/bitaxe_1/state'), undefined);
+    });
+
+    it('refuses commands when settings or MQTT commands are disabled', async () => {
+        const miner = simulator.getMiner(1);
+        const frequency = miner.info.frequency;
+
+        configurationManager.config = { ...config, disable_settings: true };
+        await mqttService.onMessage('bitaxe/bitaxe_1/restart/set', Buffer.from('PRESS'));
+        await mqttService.onMessage('bitaxe/bitaxe_1/frequency/set', Buffer.from('600'));
+
+        configurationManager.config = { ...config, mqtt: { ...config.mqtt, commands_enabled: false } };
+        await mqttService.onMessage('bitaxe/bitaxe_1/restart/set', Buffer.from('PRESS'));
+        await mqttService.onMessage('bitaxe/bitaxe_1/fanspeed/set', Buffer.from('40'));
+
+        configurationManager.config = config;
+        await mqttService.onMessage('bitaxe/bitaxe_1/fanspeed/set', Buffer.from('140'));
+        await mqttService.onMessage('bitaxe/unknown/restart/set', Buffer.from('PRESS'));
+
+        assert.equal(miner.getState().restarting, false);
+        assert.equal(miner.info.frequency, frequency);
+        assert.notEqual(miner.info.fanspeed, 40);
+    });
+
+    it('runs frequency, fan speed and restart commands from the broker', async () => {
+        const miner = simulator.getMiner(1);
+
+        broker.send('bitaxe/bitaxe_1/frequency/set', '600');
+        await waitFor(() => miner.info.frequency === 600);
+
+        broker.send('bitaxe/bitaxe_1/fanspeed/set', '40');
+        await waitFor(() => miner.info.fanspeed === 40);
+        assert.equal(Number(miner.info.autofanspeed), 0);
+
+        broker.send('bitaxe/bitaxe_1/restart/set', 'PRESS');
+        await waitFor(() => miner.getState().restarting);
+    });
+
+    it('reconnects after the broker drops the connection', async () => {
+        // The first retry normally waits RECONNECT_MIN_MS.
+        mqttService.reconnectDelay = 20;
+        broker.dropConnections();
+
+        await waitFor(() => broker.connects.length === 2 && mqttService.client && mqttService.client.connected);
+        await waitFor(() => payloadOf('bitaxe/status') === 'online' && broker.subscriptions.length === 2);
+        assert.equal(mqttService.reconnectDelay, 5000);
+        // The last poll is republished on the new connection.
+        assert.equal(payloadOf('bitaxe/bitaxe_1/availability'), 'offline');
+    });
+
+    it('doubles the delay between refused reconnections and resets it once connected', async () => {
+        const delays = [];
+        const { scheduleReconnect } = Object.getPrototypeOf(mqttService);
+        mqttService.scheduleReconnect = function (settings) {
+            delays.push(this.reconnectDelay);
+            scheduleReconnect.call(this, settings);
+        };
+        try {
+            const connects = broker.connects.length;
+            broker.returnCode = 3;
+            mqttService.reconnectDelay = 20;
+            broker.dropConnections();
+
+            await waitFor(() => delays.length === 4);
+            broker.returnCode = 0;
+            await waitFor(() => broker.connects.length === connects + 4 && mqttService.client && mqttService.client.connected);
+            // The drop and three refused attempts, each waiting twice as long as the one before.
+            assert.deepEqual(delays, [20, 40, 80, 160]);
+            assert.equal(mqttService.reconnectDelay, 5000);
+        } finally {
+            delete mqttService.scheduleReconnect;
+            broker.returnCode = 0;
+        }
+    });
+
+    it('waits at most RECONNECT_MAX_MS between attempts', () => {
+        mqttService.reconnectDelay = 40000;
+        mqttService.scheduleReconnect(mqttService.settings);
+        assert.equal(mqttService.reconnectDelay, 60000);
+        mqttService.scheduleReconnect(mqttService.settings);
+        assert.equal(mqttService.reconnectDelay, 60000);
+        clearTimeout(mqttService.reconnectTimer);
+        mqttService.reconnectTimer = null;
+    });
+});
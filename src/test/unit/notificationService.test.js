@@ -0,0 +1,243 @@
+/**
+ * @file Unit tests for notificationService, the notification channels and
+ * POST /api/notifications/test.
+ *
+ * Notifications are delivered to a local HTTP stub (webhook, ntfy) and a local SMTP stub.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const notificationService = require('../../backend/services/notificationService');
+const notificationController = require('../../backend/controllers/notificationController');
+const configurationManager = require('../../backend/services/configurationManager');
+const { SmtpStub } = require('../helpers/smtpStub');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { validateChannel } = notificationService;
+
+/**
+ * Local HTTP server that records requests and answers with queued status codes.
+ */
+class HttpStub {
+    constructor() {
+        // Received requests: { at, method, url, headers, body }.
+        this.requests = [];
+        // Status codes for the next requests; 200 once the queue is empty.
+        this.statuses = [];
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk.toString();
+            });
+            req.on('end', () => {
+                this.requests.push({ at: Date.now(), method: req.method, url: req.url, headers: req.headers, body });
+                res.writeHead(this.statuses.length > 0 ? this.statuses.shift() : 200, { 'Content-Type': 'text/plain' });
+                res.end('stub');
+            });
+        });
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    stop() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition Returns true once done.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'condition not met in time');
+}
+
+const ALERT = {
+    id: 'temp-Bitaxe1',
+    rule: 'ASIC temperature high',
+    severity: 'warning',
+    target: 'bitaxe',
+    instanceId: 'Bitaxe1',
+    state: 'firing',
+    message: 'Bitaxe1 temp is 72 (> 70)',
+    value: 72,
+    firedAt: '2026-01-05T12:00:00.000Z',
+    resolvedAt: null
+};
+
+describe('notificationService', () => {
+    const httpStub = new HttpStub();
+    const smtpStub = new SmtpStub();
+    let baseUrl;
+    let smtpPort;
+
+    before(async () => {
+        baseUrl = await httpStub.start();
+        smtpPort = await smtpStub.start();
+    });
+
+    beforeEach(() => {
+        httpStub.requests = [];
+        httpStub.statuses = [];
+        smtpStub.messages = [];
+        smtpStub.dataReplies = [];
+        notificationService.sentTimestamps.clear();
+    });
+
+    after(async () => {
+        await httpStub.stop();
+        await smtpStub.stop();
+        configDir.cleanup();
+    });
+
+    it('validates channels', () => {
+        assert.equal(validateChannel({ name: 'Hook', type: 'webhook', url: 'http://localhost/hook' }), null);
+        assert.match(validateChannel({ name: 'Hook', type: 'webhook', url: 'ftp://localhost' }), /http/);
+        assert.match(validateChannel({ name: 'Phone', type: 'ntfy' }), /topic/);
+        assert.match(validateChannel({ name: 'Mail', type: 'smtp', host: 'localhost', from: 'a@example.com' }), /to/);
+        assert.match(validateChannel({ name: 'Pager', type: 'pager' }), /type must be one of/);
+    });
+
+    it('delivers firing and resolved alerts to webhook, ntfy and SMTP channels', async () => {
+        configurationManager.config = {
+            title: 'Test Dashboard',
+            notification_channels: [
+                { name: 'Hook', type: 'webhook', url: `${baseUrl}/hook`, body_template: '{"text":"{{title}}: {{message}}"}' },
+                { name: 'Phone', type: 'ntfy', url: baseUrl, topic: 'miners', token: 'tk', events: ['firing'] },
+                { name: 'Mail', type: 'smtp', host: '127.0.0.1', port: smtpPort, from: 'dashboard@example.com', to: 'me@example.com' },
+                { name: 'Critical only', type: 'webhook', url: `${baseUrl}/critical`, min_severity: 'critical' },
+                { name: 'Off', type: 'webhook', url: `${baseUrl}/off`, enabled: false }
+            ]
+        };
+
+        notificationService.onAlert({ type: 'firing', alert: ALERT });
+        await waitFor(() => httpStub.requests.length === 2 && smtpStub.messages.length === 1);
+
+        const hook = httpStub.requests.find(request => request.url === '/hook');
+        assert.deepEqual(JSON.parse(hook.body), { text: '[WARNING] ASIC temperature high - Bitaxe1: Bitaxe1 temp is 72 (> 70)' });
+        const ntfy = httpStub.requests.find(request => request.url === '/');
+        assert.equal(ntfy.headers.authorization, 'Bearer tk');
+        assert.deepEqual(JSON.parse(ntfy.body), {
+            topic: 'miners', title: '[WARNING] ASIC temperature high - Bitaxe1', message: 'Bitaxe1 temp is 72 (> 70)', priority: 4, tags: ['warning']
+        });
+        assert.deepEqual(smtpStub.messages[0].to, ['me@example.com']);
+        assert.match(smtpStub.messages[0].data, /^Subject: \[WARNING\] ASIC temperature high - Bitaxe1$/m);
+
+        // ntfy only takes firing events; silenced alerts are not sent at all.
+        httpStub.requests = [];
+        notificationService.onAlert({ type: 'resolved', alert: { ...ALERT, state: 'resolved', resolvedMessage: 'Bitaxe1 temp is back to 65' } });
+        await waitFor(() => httpStub.requests.length === 1 && smtpStub.messages.length === 2);
+        assert.match(JSON.parse(httpStub.requests[0].body).text, /^\[RESOLVED\].*back to 65$/);
+
+        notificationService.onAlert({ type: 'firing', alert: { ...ALERT, silenced: true } });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(httpStub.requests.length, 1);
+    });
+
+    it('retries with exponential backoff and stops on permanent errors', async () => {
+        const channel = { name: 'Hook', type: 'webhook', url: `${baseUrl}/hook`, max_retries: 3, retry_backoff_seconds: 0.05 };
+
+        httpStub.statuses = [500, 503, 200];
+        const delivered = await notificationService.deliver(channel, { title: 'Test' });
+        assert.deepEqual(delivered, { channel: 'Hook', success: true, attempts: 3, error: null });
+        const [first, second, third] = httpStub.requests.map(request => request.at);
+        assert.ok(second - first >= 45, `first retry after ${second - first} ms`);
+        assert.ok(third - second >= 95, `second retry after ${third - second} ms`);
+
+        httpStub.requests = [];
+        httpStub.statuses = [400];
+        const rejected = await notificationService.deliver(channel, { title: 'Test' });
+        assert.deepEqual([rejected.success, rejected.attempts], [false, 1]);
+        assert.match(rejected.error, /HTTP 400/);
+
+        httpStub.statuses = [500, 500];
+        const failed = await notificationService.deliver({ ...channel, max_retries: 1 }, { title: 'Test' });
+        assert.deepEqual([failed.success, failed.attempts], [false, 2]);
+
+        smtpStub.dataReplies = [451];
+        const mail = { name: 'Mail', type: 'smtp', host: '127.0.0.1', port: smtpPort, from: 'a@example.com', to: 'b@example.com', max_retries: 2, retry_backoff_seconds: 0.01 };
+        const resent = await notificationService.deliver(mail, { title: 'Test', message: 'Test' });
+        assert.deepEqual([resent.success, resent.attempts, smtpStub.messages.length], [true, 2, 1]);
+    });
+
+    it('rate limits each channel per minute', async () => {
+        const channel = { name: 'Hook', max_per_minute: 2 };
+        const now = Date.parse('2026-01-05T12:00:00Z');
+        assert.equal(notificationService.takeRateLimitSlot(channel, now), true);
+        assert.equal(notificationService.takeRateLimitSlot(channel, now + 1000), true);
+        assert.equal(notificationService.takeRateLimitSlot(channel, now + 2000), false);
+        assert.equal(notificationService.takeRateLimitSlot({ name: 'Other', max_per_minute: 2 }, now + 2000), true);
+        assert.equal(notificationService.takeRateLimitSlot(channel, now + 60001), true);
+
+        configurationManager.config = { notification_channels: [{ name: 'Limited', type: 'webhook', url: `${baseUrl}/hook`, max_per_minute: 2 }] };
+        for (let i = 0; i < 4; i++) {
+            notificationService.onAlert({ type: 'firing', alert: ALERT });
+        }
+        await waitFor(() => httpStub.requests.length === 2);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(httpStub.requests.length, 2);
+    });
+
+    describe('POST /api/notifications/test', () => {
+        /**
+         * Sends a test request.
+         * @param {object} config The configuration.
+         * @param {object|string} [body] The request body.
+         * @returns {Promise<object>} The response.
+         */
+        async function sendTest(config, body) {
+            const res = createResponse();
+            await notificationController.sendTestNotification(createRequest('POST', '/api/notifications/test', { body }), res, config);
+            return res;
+        }
+
+        it('tests one channel or every enabled channel, once and without retries', async () => {
+            const config = {
+                title: 'Test Dashboard',
+                notification_channels: [
+                    { name: 'Hook', type: 'webhook', url: `${baseUrl}/hook`, max_retries: 3 },
+                    { name: 'Mail', type: 'smtp', host: '127.0.0.1', port: smtpPort, from: 'a@example.com', to: 'b@example.com' },
+                    { name: 'Off', type: 'webhook', url: `${baseUrl}/off`, enabled: false }
+                ]
+            };
+
+            const one = await sendTest(config, { channel: 'Off' });
+            assert.equal(one.statusCode, 200);
+            assert.deepEqual(one.json().data.map(result => [result.channel, result.success]), [['Off', true]]);
+
+            httpStub.requests = [];
+            httpStub.statuses = [500];
+            const all = await sendTest(config);
+            assert.equal(all.statusCode, 200);
+            assert.equal(all.json().success, false);
+            assert.deepEqual(all.json().data.map(result => [result.channel, result.success, result.attempts]), [['Hook', false, 1], ['Mail', true, 1]]);
+            assert.equal(httpStub.requests.length, 1);
+            assert.match(JSON.parse(httpStub.requests[0].body).title, /^\[TEST\] Test notification/);
+        });
+
+        it('answers 404 for an unknown channel, 400 without channels or with bad JSON', async () => {
+            const config = { notification_channels: [{ name: 'Broken', type: 'webhook', url: 'nope' }] };
+            assert.equal((await sendTest(config, { channel: 'Missing' })).statusCode, 404);
+            assert.match((await sendTest(config, { channel: 'Broken' })).json().message, /invalid/);
+            assert.equal((await sendTest(config)).statusCode, 400);
+            assert.equal((await sendTest(config, '{oops')).statusCode, 400);
+        });
+    });
+});
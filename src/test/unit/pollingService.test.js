@@ -0,0 +1,67 @@
+/**
+ * @file Unit tests for how pollingService and rpcService handle crypto nodes.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const pollingService = require('../../backend/services/pollingService');
+const rpcService = require('../../backend/services/rpcService');
+const cryptoNodeService = require('../../backend/services/cryptoNodeService');
+const { CryptoNodeMock } = require('../../simulator/cryptoNodeMock');
+
+const RPC_AUTH = 'rpcuser:rpcpassword';
+
+describe('crypto node polling', () => {
+    const node = new CryptoNodeMock({ rpcAuth: RPC_AUTH });
+    // Accepts connections but never answers, like a hung node.
+    const hung = net.createServer(() => {});
+    const config = {
+        cryptNodesEnabled: true,
+        cryptoNodes: [
+            { Nodes: [{ NodeType: 'dgb', NodeName: 'Old Node', NodeId: 'old', NodeAlgo: 'sha256d' }] },
+            { Nodes: [{ NodeType: 'dgb', NodeName: 'DGB Node', NodeId: 'dgb1', NodeAlgo: 'sha256d' }] },
+            { NodeDisplayFields: [] }
+        ]
+    };
+
+    before(async () => {
+        const address = await node.start();
+        await new Promise(resolve => hung.listen(0, '127.0.0.1', resolve));
+        configDir.writeJson('rpcConfig.json', {
+            cryptoNodes: [
+                { NodeId: 'dgb1', NodeRPCAddress: address.host, NodeRPCPort: address.port, NodeRPAuth: RPC_AUTH },
+                { NodeId: 'hung', NodeRPCAddress: '127.0.0.1', NodeRPCPort: hung.address().port, NodeRPAuth: RPC_AUTH }
+            ]
+        });
+    });
+
+    after(async () => {
+        await node.stop();
+        hung.close();
+        configDir.cleanup();
+    });
+
+    it('uses the last Nodes entry, like cryptoNodeService', async () => {
+        assert.deepEqual(cryptoNodeService.getConfiguredNodes(config).map(entry => entry.NodeId), ['dgb1']);
+        assert.deepEqual(cryptoNodeService.getConfiguredNodes({ ...config, cryptNodesEnabled: false }), []);
+
+        await pollingService.pollOnce(config);
+        assert.equal(pollingService.isComplete(config), true);
+        const { cryptoNodeData } = pollingService.buildSnapshot(config);
+        assert.deepEqual(cryptoNodeData.map(entry => [entry.id, entry.status]), [['DGB Node', 'online']]);
+    });
+
+    it('gives up on a node that does not answer', async () => {
+        const started = Date.now();
+        await assert.rejects(rpcService.callRPCService('hung', 'getblockchaininfo', [], 100), /RPC request error: no answer from .* within 100 ms/);
+        assert.ok(Date.now() - started < 2000);
+    });
+});
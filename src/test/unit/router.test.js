@@ -0,0 +1,104 @@
+/**
+ * @file Unit tests for router.route: exact and prefix matching and JWT redirects.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const configDir = useTempConfigDir();
+const router = require('../../backend/routers/router');
+const jwTokenServices = require('../../backend/services/jwTokenServices');
+
+/**
+ * Routes a request and waits for the response to end.
+ * @param {object} config The application configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object} [options] Request options for createRequest.
+ * @returns {Promise<object>} The recorded response.
+ */
+async function route(config, method, url, options) {
+    const res = createResponse();
+    await router.route(createRequest(method, url, options), res, config);
+    await res.finished;
+    return res;
+}
+
+describe('router.route', () => {
+    const authConfig = { disable_authentication: false, disable_configurations: true, cookie_max_age: 3600 };
+    const openConfig = { disable_authentication: true, disable_configurations: true, cookie_max_age: 3600 };
+
+    after(() => configDir.cleanup());
+
+    describe('matching', () => {
+        it('matches exact routes on the pathname, ignoring the query string', async () => {
+            const res = await route(authConfig, 'GET', '/login?next=%2F');
+            assert.equal(res.statusCode, 200);
+            assert.match(res.headers['content-type'], /text\/html/);
+        });
+
+        it('does not treat exact routes as prefixes', async () => {
+            const res = await route(authConfig, 'GET', '/login/extra');
+            assert.equal(res.statusCode, 404);
+        });
+
+        it('matches prefix routes for everything below them', async () => {
+            const res = await route(authConfig, 'GET', '/public/css/bitaxeDashboard.css');
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers['content-type'], 'text/css');
+        });
+
+        it('refuses static paths that escape the public directory', async () => {
+            const res = await route(authConfig, 'GET', '/public/../config/jsonWebTokenKey.json');
+            assert.equal(res.statusCode, 403);
+        });
+
+        it('answers 404 when the method does not match', async () => {
+            const res = await route(authConfig, 'DELETE', '/login');
+            assert.equal(res.statusCode, 404);
+        });
+
+        it('answers 404 for unknown paths', async () => {
+            const res = await route(authConfig, 'GET', '/no-such-page');
+            assert.equal(res.statusCode, 404);
+        });
+    });
+
+    describe('authentication', () => {
+        it('redirects to /login when a protected route has no session cookie', async () => {
+            const res = await route(authConfig, 'GET', '/api/configuration');
+            assert.equal(res.statusCode, 302);
+            assert.equal(res.headers.location, '/login');
+        });
+
+        it('redirects to /login and clears the cookie when the token is invalid', async () => {
+            const res = await route(authConfig, 'GET', '/api/configuration', { headers: { cookie: 'sessionToken=not-a-jwt' } });
+            assert.equal(res.statusCode, 302);
+            assert.equal(res.headers.location, '/login');
+            assert.match(res.headers['set-cookie'], /^sessionToken=;.*Max-Age=0/);
+        });
+
+        it('passes requests with a valid token to the handler', async () => {
+            const token = await jwTokenServices.createJsonWebToken({ username: 'admin' });
+            const res = await route(authConfig, 'GET', '/api/configuration', { headers: { cookie: `theme=dark; sessionToken=${token}` } });
+            // The configuration handler answers 403 because configurations are disabled.
+            assert.equal(res.statusCode, 403);
+        });
+
+        it('lets the more specific /api/login route through without a token', async () => {
+            const res = await route(authConfig, 'POST', '/api/login', { body: 'not json' });
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('does not check tokens when authentication is disabled', async () => {
+            const res = await route(openConfig, 'GET', '/api/configuration');
+            assert.equal(res.statusCode, 403);
+        });
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * @file Unit tests for scheduleService and the /api/schedules endpoints.
+ *
+ * Cron expressions are checked against fixed local times; scheduled actions run against
+ * the AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const scheduleService = require('../../backend/services/scheduleService');
+const scheduleController = require('../../backend/controllers/scheduleController');
+const settingsProfileService = require('../../backend/services/settingsProfileService');
+const configurationManager = require('../../backend/services/configurationManager');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { parseCron, cronMatches, getNextRun, validateSchedule } = scheduleService;
+
+/**
+ * Sends a request through the schedule router.
+ * @param {object} config The configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object} [body] The JSON body.
+ * @returns {Promise<object>} The response.
+ */
+async function request(config, method, url, body) {
+    const req = createRequest(method, url, { body });
+    const res = createResponse();
+    await scheduleController.route(req, res, config);
+    return res;
+}
+
+describe('scheduleService', () => {
+    describe('cron expressions', () => {
+        it('matches minutes, hours, ranges, steps and day names', () => {
+            const nightly = parseCron('0 22 * * *');
+            assert.equal(cronMatches(nightly, new Date(2026, 0, 5, 22, 0)), true);
+            assert.equal(cronMatches(nightly, new Date(2026, 0, 5, 22, 1)), false);
+
+            const sunday = parseCron('0 3 * * SUN');
+            // 2026-01-04 is a Sunday.
+            assert.equal(cronMatches(sunday, new Date(2026, 0, 4, 3, 0)), true);
+            assert.equal(cronMatches(sunday, new Date(2026, 0, 5, 3, 0)), false);
+            assert.equal(cronMatches(parseCron('0 3 * * 7'), new Date(2026, 0, 4, 3, 0)), true);
+
+            const workHours = parseCron('*/15 8-18/2 * * MON-FRI');
+            assert.equal(cronMatches(workHours, new Date(2026, 0, 5, 10, 45)), true);
+            assert.equal(cronMatches(workHours, new Date(2026, 0, 5, 11, 45)), false);
+            assert.equal(cronMatches(workHours, new Date(2026, 0, 4, 10, 45)), false);
+        });
+
+        it('matches either a restricted day of month or day of week, like cron', () => {
+            const cron = parseCron('0 12 1 * MON');
+            assert.equal(cronMatches(cron, new Date(2026, 0, 1, 12, 0)), true);
+            assert.equal(cronMatches(cron, new Date(2026, 0, 5, 12, 0)), true);
+            assert.equal(cronMatches(cron, new Date(2026, 0, 6, 12, 0)), false);
+        });
+
+        it('finds the next run', () => {
+            const next = getNextRun(parseCron('0 3 * * SUN'), new Date(2026, 0, 5, 12, 30));
+            assert.deepEqual(next, new Date(2026, 0, 11, 3, 0));
+            assert.deepEqual(getNextRun(parseCron('30 7 * * *'), new Date(2026, 0, 5, 7, 30)), new Date(2026, 0, 6, 7, 30));
+            assert.equal(getNextRun(parseCron('0 0 31 2 *'), new Date(2026, 0, 1)), null);
+        });
+
+        it('rejects invalid expressions', () => {
+            for (const expression of ['', '0 22 * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '0 0 * 13 *', '*/0 * * * *', '5-1 * * * *', '0 0 * * FUNDAY']) {
+                assert.throws(() => parseCron(expression), Error, expression);
+            }
+        });
+    });
+
+    describe('schedule definitions', () => {
+        it('accepts the documented schedules', () => {
+            assert.equal(validateSchedule({ name: 'Quiet', cron: '0 22 * * *', action: 'profile', profile: 'Quiet', instances: ['Bitaxe1', 'Bitaxe2'] }), null);
+            assert.equal(validateSchedule({ name: 'Weekly restart', cron: '0 3 * * SUN', action: 'restart' }), null);
+            assert.equal(validateSchedule({ name: 'Fans', cron: '0 12 * 6-8 *', action: 'settings', payload: { fanspeed: 100 } }), null);
+        });
+
+        it('reports what is wrong with a schedule', () => {
+            assert.match(validateSchedule({ cron: '0 22 * * *', action: 'restart' }), /name/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * *', action: 'restart' }), /5 fields/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * * *', action: 'reboot' }), /action/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * * *', action: 'profile' }), /profile/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * * *', action: 'settings' }), /payload/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * * *', action: 'pool', payload: { frequency: 490 } }), /stratum/);
+            assert.match(validateSchedule({ name: 'x', cron: '0 22 * * *', action: 'restart', instances: [] }), /instances/);
+        });
+    });
+
+    describe('running schedules', () => {
+        const simulator = new AxeOsSimulator({ count: 2, basePort: 0, tickMs: 0 });
+        let config;
+
+        before(async () => {
+            const urls = await simulator.start();
+            config = {
+                bitaxe_dashboard_version: 2.0,
+                disable_settings: false,
+                bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url })),
+                schedules: [
+                    { name: 'Quiet night', cron: '0 22 * * *', action: 'profile', profile: 'Quiet', instances: ['Miner1'] },
+                    { name: 'Weekly restart', cron: '0 3 * * SUN', action: 'restart' },
+                    { name: 'Paused', cron: '0 22 * * *', action: 'restart', enabled: false }
+                ]
+            };
+        });
+
+        beforeEach(async () => {
+            configDir.reset();
+            configDir.writeJson('config.json', config);
+            await configurationManager.loadConfig();
+            scheduleService.runs = [];
+            scheduleService.lastTickMinute = null;
+            settingsProfileService.profiles = [];
+            settingsProfileService.loading = null;
+            simulator.miners.forEach(miner => {
+                miner.clearFaults();
+                miner.downUntil = null;
+            });
+        });
+
+        after(async () => {
+            await simulator.stop();
+            configDir.cleanup();
+        });
+
+        it('runs the enabled schedules due at a minute, once, and logs the outcome', async () => {
+            await settingsProfileService.saveProfile('Quiet', { frequency: 490, coreVoltage: 1150 });
+
+            const runs = await scheduleService.tick(new Date(2026, 0, 5, 22, 0, 0));
+            assert.deepEqual(runs.map(run => [run.schedule, run.action, run.status]), [['Quiet night', 'profile Quiet', 'success']]);
+            assert.equal(simulator.getMiner(1).getSystemInfo().frequency, 490);
+            assert.notEqual(simulator.getMiner(2).getSystemInfo().frequency, 490);
+
+            assert.deepEqual(await scheduleService.tick(new Date(2026, 0, 5, 22, 0, 30)), []);
+            assert.deepEqual(configDir.readJson('schedule_runs.json').runs.map(run => run.schedule), ['Quiet night']);
+        });
+
+        it('records a failed run per device without stopping the others', async () => {
+            simulator.getMiner(2).setFault('offline');
+
+            const [run] = await scheduleService.tick(new Date(2026, 0, 4, 3, 0, 0));
+
+            assert.equal(run.status, 'error');
+            assert.deepEqual(run.results.map(result => [result.instanceId, result.success]), [['Miner1', true], ['Miner2', false]]);
+        });
+
+        it('logs an error when the profile no longer exists, and skips schedules while settings are disabled', async () => {
+            const schedule = config.schedules[0];
+
+            const missing = await scheduleService.runSchedule(config, schedule, 'manual');
+            assert.deepEqual([missing.status, missing.message], ['error', "No profile named 'Quiet'"]);
+
+            const skipped = await scheduleService.runSchedule({ ...config, disable_settings: true }, schedule, 'schedule');
+            assert.equal(skipped.status, 'skipped');
+            assert.deepEqual(scheduleService.getRuns({ name: 'Quiet night' }).map(run => run.status), ['skipped', 'error']);
+        });
+
+        it('lists the schedules with their next and last run', async () => {
+            await scheduleService.runSchedule(config, config.schedules[1], 'manual');
+
+            const listed = scheduleService.listSchedules(configurationManager.getConfig());
+            assert.deepEqual(listed.map(schedule => [schedule.name, schedule.problem, schedule.nextRun !== null]), [
+                ['Quiet night', null, true],
+                ['Weekly restart', null, true],
+                ['Paused', null, false]
+            ]);
+            assert.equal(listed[1].lastRun.trigger, 'manual');
+        });
+
+        it('adds, renames and deletes schedules in config.json through /api/schedules', async () => {
+            const added = await request(config, 'POST', '/api/schedules/save', {
+                schedule: { name: 'Morning', cron: '0 7 * * *', action: 'pool', payload: { stratumURL: 'pool.example.com' } }
+            });
+            assert.equal(added.statusCode, 200);
+
+            const renamed = await request(config, 'POST', '/api/schedules/save', {
+                schedule: { name: 'Max in the morning', cron: '0 7 * * *', action: 'profile', profile: 'Max' },
+                originalName: 'Morning'
+            });
+            assert.equal(renamed.statusCode, 200);
+            assert.deepEqual(configDir.readJson('config.json').schedules.map(schedule => schedule.name),
+                ['Quiet night', 'Weekly restart', 'Paused', 'Max in the morning']);
+
+            const duplicate = await request(config, 'POST', '/api/schedules/save', {
+                schedule: { name: 'Paused', cron: '0 7 * * *', action: 'restart' }
+            });
+            assert.equal(duplicate.statusCode, 400);
+
+            assert.equal((await request(config, 'POST', '/api/schedules/delete', { name: 'Max in the morning' })).statusCode, 200);
+            assert.equal((await request(config, 'POST', '/api/schedules/delete', { name: 'Max in the morning' })).statusCode, 404);
+            assert.equal(configurationManager.getConfig().schedules.length, 3);
+        });
+
+        it('runs a schedule now and answers with its run', async () => {
+            const res = await request(config, 'POST', '/api/schedules/run', { name: 'Weekly restart' });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json().data.trigger, 'manual');
+            assert.deepEqual(simulator.miners.map(miner => miner.getState().restarting), [true, true]);
+
+            const runs = await request(config, 'GET', '/api/schedules/runs?name=Weekly%20restart&limit=1');
+            assert.equal(runs.json().data.length, 1);
+        });
+
+        it('refuses changes when configurations or settings are disabled', async () => {
+            const locked = { ...config, disable_configurations: true, disable_settings: true };
+
+            assert.equal((await request(locked, 'POST', '/api/schedules/save', { schedule: config.schedules[1] })).statusCode, 403);
+            assert.equal((await request(locked, 'POST', '/api/schedules/run', { name: 'Weekly restart' })).statusCode, 403);
+            assert.equal((await request(locked, 'GET', '/api/schedules')).statusCode, 200);
+        });
+    });
+});
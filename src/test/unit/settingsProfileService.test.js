@@ -0,0 +1,138 @@
+/**
+ * @file Unit tests for settingsProfileService and the /api/profiles endpoints.
+ *
+ * Profiles are applied to the AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const settingsProfileService = require('../../backend/services/settingsProfileService');
+const settingsProfileController = require('../../backend/controllers/settingsProfileController');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+/**
+ * Sends a request through the profile router.
+ * @param {object} config The configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} url The request URL.
+ * @param {object} [body] The JSON body.
+ * @returns {Promise<object>} The response.
+ */
+async function request(config, method, url, body) {
+    const req = createRequest(method, url, { body });
+    const res = createResponse();
+    await settingsProfileController.route(req, res, config);
+    return res;
+}
+
+describe('settingsProfileService', () => {
+    beforeEach(() => {
+        configDir.reset();
+        settingsProfileService.profiles = [];
+        settingsProfileService.loading = null;
+    });
+
+    after(() => configDir.cleanup());
+
+    it('saves profiles with any subset of settings and keeps them in config/profiles.json', async () => {
+        await settingsProfileService.saveProfile('Quiet night', { frequency: 490, coreVoltage: 1150 });
+        await settingsProfileService.saveProfile(' DGB solo pool ', { stratumURL: 'dgb.example.com', stratumPort: 3333 });
+
+        const saved = configDir.readJson('profiles.json').profiles;
+        assert.deepEqual(saved.map(profile => [profile.name, profile.settings]), [
+            ['Quiet night', { frequency: 490, coreVoltage: 1150 }],
+            ['DGB solo pool', { stratumURL: 'dgb.example.com', stratumPort: 3333 }]
+        ]);
+
+        settingsProfileService.profiles = [];
+        settingsProfileService.loading = null;
+        assert.deepEqual((await settingsProfileService.getProfile('DGB solo pool')).settings.stratumPort, 3333);
+    });
+
+    it('replaces the settings of a profile saved under the same name', async () => {
+        const first = await settingsProfileService.saveProfile('Max', { frequency: 600 });
+        const second = await settingsProfileService.saveProfile('Max', { frequency: 625, coreVoltage: 1250 });
+
+        assert.equal((await settingsProfileService.getProfiles()).length, 1);
+        assert.deepEqual(second.settings, { frequency: 625, coreVoltage: 1250 });
+        assert.equal(second.createdAt, first.createdAt);
+    });
+
+    it('rejects profiles without a name or settings', async () => {
+        const invalid = [
+            ['', { frequency: 490 }],
+            ['x'.repeat(65), { frequency: 490 }],
+            ['Empty', {}],
+            ['List', [490]],
+            ['Nested', { frequency: { value: 490 } }]
+        ];
+        for (const [name, settings] of invalid) {
+            await assert.rejects(settingsProfileService.saveProfile(name, settings), { statusCode: 400 });
+        }
+        assert.equal(configDir.exists('profiles.json'), false);
+    });
+
+    it('deletes profiles', async () => {
+        await settingsProfileService.saveProfile('Quiet night', { frequency: 490 });
+
+        assert.equal(await settingsProfileService.deleteProfile('Quiet night'), true);
+        assert.equal(await settingsProfileService.deleteProfile('Quiet night'), false);
+        assert.deepEqual(configDir.readJson('profiles.json').profiles, []);
+    });
+
+    describe('/api/profiles', () => {
+        const simulator = new AxeOsSimulator({ count: 2, basePort: 0, tickMs: 0 });
+        let config;
+
+        before(async () => {
+            const urls = await simulator.start();
+            config = { bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url })) };
+        });
+
+        after(() => simulator.stop());
+
+        it('saves, lists and applies a profile to the selected miners', async () => {
+            const saved = await request(config, 'POST', '/api/profiles/save', {
+                name: 'Quiet night',
+                settings: { frequency: 490, coreVoltage: 1150, stratumUser: 'wallet.{name}' }
+            });
+            assert.equal(saved.statusCode, 200);
+
+            const list = await request(config, 'GET', '/api/profiles');
+            assert.deepEqual(list.json().data.map(profile => profile.name), ['Quiet night']);
+
+            const applied = await request(config, 'POST', '/api/profiles/apply', { name: 'Quiet night', instanceIds: ['Miner2'] });
+            assert.equal(applied.statusCode, 200);
+            assert.equal(applied.json().data.profile, 'Quiet night');
+            assert.equal(applied.json().data.status, 'success');
+
+            const info = simulator.getMiner(2).getSystemInfo();
+            assert.deepEqual([info.frequency, info.coreVoltage, info.stratumUser], [490, 1150, 'wallet.Miner2']);
+            assert.notEqual(simulator.getMiner(1).getSystemInfo().frequency, 490);
+        });
+
+        it('answers 404 for unknown profiles and 400 for invalid requests', async () => {
+            assert.equal((await request(config, 'POST', '/api/profiles/apply', { name: 'Missing', instanceIds: 'all' })).statusCode, 404);
+            assert.equal((await request(config, 'POST', '/api/profiles/delete', { name: 'Missing' })).statusCode, 404);
+            assert.equal((await request(config, 'POST', '/api/profiles/save', { name: 'Empty', settings: {} })).statusCode, 400);
+
+            await settingsProfileService.saveProfile('Quiet night', { frequency: 490 });
+            assert.equal((await request(config, 'POST', '/api/profiles/apply', { name: 'Quiet night', instanceIds: [] })).statusCode, 400);
+        });
+
+        it('refuses changes when settings are disabled', async () => {
+            const readOnly = { ...config, disable_settings: true };
+
+            assert.equal((await request(readOnly, 'POST', '/api/profiles/save', { name: 'Max', settings: { frequency: 625 } })).statusCode, 403);
+            assert.equal((await request(readOnly, 'GET', '/api/profiles')).statusCode, 200);
+        });
+    });
+});
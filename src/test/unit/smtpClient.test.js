@@ -0,0 +1,133 @@
+/**
+ * @file Unit tests for smtpClient against a local SMTP stub.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sendMail, SmtpError } = require('../../backend/services/smtpClient');
+const { SmtpStub } = require('../helpers/smtpStub');
+
+describe('smtpClient', () => {
+    const stub = new SmtpStub();
+    let port;
+
+    before(async () => {
+        port = await stub.start();
+    });
+
+    after(() => stub.stop());
+
+    const message = overrides => ({
+        host: '127.0.0.1',
+        port: port,
+        from: 'Bitaxe Dashboard <dashboard@example.com>',
+        to: ['one@example.com', 'two@example.com'],
+        subject: 'Température élevée',
+        text: 'Line one\n.starts with a dot',
+        ...overrides
+    });
+
+    it('sends a message without authentication', async () => {
+        stub.messages = [];
+        await sendMail(message());
+
+        assert.equal(stub.messages.length, 1);
+        const [sent] = stub.messages;
+        assert.equal(sent.from, 'dashboard@example.com');
+        assert.deepEqual(sent.to, ['one@example.com', 'two@example.com']);
+        assert.equal(sent.auth, null);
+        assert.match(sent.data, /^Subject: =\?UTF-8\?B\?/m);
+        const body = Buffer.from(sent.data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+        assert.equal(body, 'Line one\n.starts with a dot');
+    });
+
+    it('does not send the password over a connection without TLS', async () => {
+        stub.commands = [];
+        await assert.rejects(sendMail(message({ username: 'user', password: 'secret' })), error => {
+            assert.ok(error instanceof SmtpError);
+            assert.equal(error.permanent, true);
+            assert.match(error.message, /did not offer STARTTLS.*allow_insecure_auth/);
+            return true;
+        });
+        assert.ok(!stub.commands.some(line => /^AUTH/.test(line)));
+        assert.ok(!stub.commands.some(line => /^MAIL/.test(line)));
+    });
+
+    it('authenticates in clear text only when allowed', async () => {
+        stub.messages = [];
+        await sendMail(message({ username: 'user', password: 'secret', allowInsecureAuth: true }));
+        assert.deepEqual(stub.messages[0].auth, { mechanism: 'PLAIN', username: 'user', password: 'secret' });
+    });
+
+    it('reports a rejected message with its reply code', async () => {
+        stub.dataReplies = [451];
+        await assert.rejects(sendMail(message()), error => error instanceof SmtpError && error.responseCode === 451 && !error.permanent);
+    });
+});
+
+describe('smtpClient closing', () => {
+    it('survives the server resetting the connection after QUIT', async () => {
+        const stub = new SmtpStub({ resetAfterQuit: true });
+        const port = await stub.start();
+        try {
+            await sendMail({ host: '127.0.0.1', port, from: 'a@example.com', to: 'b@example.com', subject: 'Test', text: 'Test' });
+            // Give the reset time to arrive; an unhandled 'error' event would fail the test run.
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.equal(stub.messages.length, 1);
+        } finally {
+            await stub.stop();
+        }
+    });
+});
+
+describe('smtpClient failures', () => {
+    const stubs = [];
+
+    /**
+     * Starts an SMTP stub that is stopped after the tests.
+     * @param {object} [options] The stub options.
+     * @returns {Promise<{stub: SmtpStub, message: Function}>} The stub and a message builder for it.
+     */
+    async function startStub(options) {
+        const stub = new SmtpStub(options);
+        stubs.push(stub);
+        const port = await stub.start();
+        const message = overrides => ({
+            host: '127.0.0.1', port, from: 'a@example.com', to: 'b@example.com', subject: 'Test', text: 'Test', timeoutMs: 2000, ...overrides
+        });
+        return { stub, message };
+    }
+
+    after(() => Promise.all(stubs.map(stub => stub.stop())));
+
+    it('gives up when the STARTTLS handshake fails, before sending the password', async () => {
+        const { stub, message } = await startStub({ offerStartTls: true });
+        await assert.rejects(sendMail(message({ username: 'user', password: 'secret' })), error => !(error instanceof SmtpError));
+        assert.deepEqual(stub.commands.map(line => line.split(' ')[0]), ['EHLO', 'STARTTLS']);
+        assert.equal(stub.messages.length, 0);
+    });
+
+    it('gives up when the server does not speak implicit TLS', async () => {
+        const { stub, message } = await startStub();
+        await assert.rejects(sendMail(message({ secure: true })));
+        assert.deepEqual(stub.commands, []);
+    });
+
+    for (const mechanism of ['PLAIN', 'LOGIN']) {
+        it(`reports refused ${mechanism} credentials as a permanent error without sending the message`, async () => {
+            const { stub, message } = await startStub({ authMechanisms: mechanism, authReply: 535 });
+            await assert.rejects(sendMail(message({ username: 'user', password: 'wrong', allowInsecureAuth: true })), error => {
+                assert.ok(error instanceof SmtpError);
+                assert.deepEqual([error.responseCode, error.permanent], [535, true]);
+                assert.match(error.message, /^SMTP AUTH failed: 535/);
+                return true;
+            });
+            assert.ok(stub.commands.some(line => line.startsWith(`AUTH ${mechanism}`)));
+            assert.ok(!stub.commands.some(line => /^MAIL/.test(line)));
+        });
+    }
+});
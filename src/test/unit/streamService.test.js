@@ -0,0 +1,139 @@
+/**
+ * @file Unit tests for the Server-Sent Events of streamService: the snapshot sent on
+ * connect and the changes sent after each poll.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const streamService = require('../../backend/services/streamService');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const CONFIG = {
+    bitaxe_instances: [],
+    display_fields: [],
+    mining_core_enabled: true,
+    mining_core_url: [],
+    cryptNodesEnabled: true
+};
+
+/**
+ * Parses the events written to a stream.
+ * @param {string} body The stream text.
+ * @returns {Array<{event: string, data: object}>} The events, without comments and retry fields.
+ */
+function parseEvents(body) {
+    return body.split('\n\n')
+        .map(block => block.split('\n'))
+        .filter(lines => lines[0].startsWith('event: '))
+        .map(lines => ({ event: lines[0].slice(7), data: JSON.parse(lines[1].slice(6)) }));
+}
+
+/**
+ * Builds a poll event.
+ * @param {number} timestamp The poll time.
+ * @param {object} [data] The minerData, miningCoreData and cryptoNodeData of the poll.
+ * @param {object} [config] The configuration.
+ * @returns {object} The poll event.
+ */
+function pollEvent(timestamp, data = {}, config = CONFIG) {
+    return { timestamp, config, minerData: [], miningCoreData: [], cryptoNodeData: [], ...data };
+}
+
+describe('streamService', () => {
+    const gamma = { id: 'Gamma', hashRate: 1000, temp: 60, lastPolledAt: 1, lastSuccessAt: 1 };
+    const max = { id: 'Max', hashRate: 500, temp: 50, lastPolledAt: 1, lastSuccessAt: 1 };
+    const pool = { instanceName: 'Pool', status: 'online', pools: [{ id: 'dgb', hashrate: 10 }, { id: 'btc', hashrate: 20 }] };
+    let req;
+    let res;
+
+    before(async () => {
+        req = createRequest('GET', '/api/stream');
+        res = createResponse();
+        await streamService.handleStream(req, res, CONFIG);
+    });
+
+    beforeEach(() => {
+        res.body = '';
+    });
+
+    after(() => {
+        streamService.stop();
+        configDir.cleanup();
+    });
+
+    it('opens an event stream with the current snapshot', async () => {
+        const other = createResponse();
+        await streamService.handleStream(createRequest('GET', '/api/stream'), other, CONFIG);
+
+        assert.equal(other.statusCode, 200);
+        assert.equal(other.headers['content-type'], 'text/event-stream; charset=utf-8');
+        assert.match(other.body, /^retry: 5000\n\n/);
+        const [snapshot] = parseEvents(other.body);
+        assert.equal(snapshot.event, 'snapshot');
+        assert.deepEqual([snapshot.data.minerData, snapshot.data.miningCoreData, snapshot.data.cryptoNodeData], [[], [], []]);
+        assert.equal(streamService.clients.size, 2);
+    });
+
+    it('sends only the miners that changed, ignoring the poll times', () => {
+        streamService.onPoll(pollEvent(1000, { minerData: [gamma, max] }));
+        streamService.onPoll(pollEvent(2000, { minerData: [{ ...gamma, lastPolledAt: 2, lastSuccessAt: 2 }, { ...max, temp: 51 }] }));
+        streamService.onPoll(pollEvent(3000, { minerData: [{ ...max, temp: 51 }] }));
+
+        const updates = parseEvents(res.body);
+        assert.deepEqual(updates.map(update => update.event), ['update', 'update', 'update']);
+        assert.deepEqual(updates[0].data.miners.map(miner => miner.id), ['Gamma', 'Max']);
+        assert.deepEqual([updates[1].data.timestamp, updates[1].data.minerIds], [2000, ['Gamma', 'Max']]);
+        assert.deepEqual(updates[1].data.miners, [{ ...max, temp: 51 }]);
+        // A removed miner is only missing from minerIds.
+        assert.deepEqual([updates[2].data.minerIds, updates[2].data.miners], [['Max'], []]);
+    });
+
+    it('sends Mining Core instances with all their pool ids and only the changed pools', () => {
+        const node = { id: 'DGB Node', status: 'online', lastPolledAt: 1 };
+        streamService.onPoll(pollEvent(4000, { miningCoreData: [pool], cryptoNodeData: [node] }));
+        streamService.onPoll(pollEvent(5000, {
+            miningCoreData: [{ ...pool, pools: [pool.pools[0], { id: 'btc', hashrate: 25 }] }],
+            cryptoNodeData: [{ ...node, lastPolledAt: 2 }]
+        }));
+        streamService.onPoll(pollEvent(6000, { miningCoreData: [{ ...pool, status: 'offline', pools: [pool.pools[0]] }] }));
+
+        const updates = parseEvents(res.body).map(update => update.data);
+        assert.deepEqual(updates[0].miningCores, [{ instanceName: 'Pool', status: 'online', poolIds: ['dgb', 'btc'], pools: pool.pools }]);
+        assert.deepEqual(updates[0].cryptoNodes, [node]);
+        assert.deepEqual(updates[1].miningCores, [{ instanceName: 'Pool', status: 'online', poolIds: ['dgb', 'btc'], pools: [{ id: 'btc', hashrate: 25 }] }]);
+        assert.deepEqual([updates[1].cryptoNodeIds, updates[1].cryptoNodes], [['DGB Node'], []]);
+        assert.deepEqual(updates[2].miningCores, [{ instanceName: 'Pool', status: 'offline', poolIds: ['dgb'], pools: [] }]);
+    });
+
+    it('sends a new snapshot when the display settings change', () => {
+        streamService.onPoll(pollEvent(7000, { minerData: [max] }, { ...CONFIG, display_fields: [{ Hashrate: 'hashRate' }] }));
+        streamService.onPoll(pollEvent(8000, { minerData: [max] }, { ...CONFIG, display_fields: [{ Hashrate: 'hashRate' }] }));
+
+        const events = parseEvents(res.body);
+        assert.deepEqual(events.map(event => event.event), ['snapshot', 'update']);
+        assert.deepEqual([events[0].data.timestamp, events[0].data.displayFields], [7000, [{ Hashrate: 'hashRate' }]]);
+        assert.deepEqual(events[1].data.miners, []);
+    });
+
+    it('holds updates back until the snapshot is sent, and stops writing to closed streams', () => {
+        const waiting = createResponse();
+        streamService.clients.add({ res: waiting, ready: false });
+        streamService.writeAll(': keep-alive\n\n');
+        assert.equal(waiting.body, '');
+        assert.equal(res.body, ': keep-alive\n\n');
+
+        const size = streamService.clients.size;
+        req.emit('close');
+        assert.equal(streamService.clients.size, size - 1);
+        streamService.stop();
+        assert.equal(waiting.writableEnded, true);
+        assert.equal(streamService.clients.size, 0);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * @file Unit tests for watchdogService and the /api/watchdog endpoint.
+ *
+ * Polls are fed to the watchdog with chosen timestamps; restarts go to the AxeOS simulator.
+ *
+ * @author Scott Walter
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempConfigDir } = require('../helpers/tempConfigDir');
+
+const configDir = useTempConfigDir();
+const watchdogService = require('../../backend/services/watchdogService');
+const watchdogController = require('../../backend/controllers/watchdogController');
+const { AxeOsSimulator } = require('../../simulator/axeOsSimulator');
+const { createRequest, createResponse } = require('../helpers/httpMocks');
+
+const { validateSettings } = watchdogService;
+
+const MINUTE = 60000;
+const START = Date.parse('2026-01-05T12:00:00Z');
+
+describe('watchdogService', () => {
+    const simulator = new AxeOsSimulator({ count: 2, basePort: 0, tickMs: 0 });
+    let config;
+
+    /**
+     * Feeds one poll to the watchdog.
+     * @param {number} minutes Minutes after START.
+     * @param {object} [miner1] Fields of Miner1 that differ from a healthy miner.
+     * @param {object} [overrides] Configuration overrides.
+     * @returns {Promise<void>} Resolves when the actions are taken.
+     */
+    function poll(minutes, miner1 = {}, overrides = {}) {
+        const healthy = { hashRate: 1200, sharesAccepted: 100 + minutes, isUsingFallbackStratum: 0, overheat_mode: 0 };
+        return watchdogService.evaluate({
+            timestamp: START + minutes * MINUTE,
+            config: { ...config, ...overrides },
+            minerData: [{ id: 'Miner1', ...healthy, ...miner1 }, { id: 'Miner2', ...healthy }]
+        });
+    }
+
+    const actions = () => watchdogService.getHistory().reverse().map(entry => [entry.instanceId, entry.condition, entry.action, entry.attempt]);
+    const restarting = () => simulator.miners.map(miner => miner.getState().restarting);
+
+    before(async () => {
+        const urls = await simulator.start();
+        config = {
+            disable_settings: false,
+            bitaxe_instances: urls.map((url, i) => ({ [`Miner${i + 1}`]: url })),
+            watchdog: { enabled: true, zero_hashrate_minutes: 10, stalled_shares_minutes: 30, fallback_minutes: 60, cooldown_minutes: 30, max_restarts_per_day: 3 }
+        };
+    });
+
+    beforeEach(() => {
+        configDir.reset();
+        watchdogService.devices.clear();
+        watchdogService.history = [];
+        simulator.miners.forEach(miner => {
+            miner.downUntil = null;
+        });
+    });
+
+    after(async () => {
+        await simulator.stop();
+        configDir.cleanup();
+    });
+
+    it('checks the watchdog section', () => {
+        assert.equal(validateSettings(undefined), null);
+        assert.equal(validateSettings({ enabled: true, fallback_minutes: 0, instances: ['Bitaxe1'] }), null);
+        assert.match(validateSettings({ cooldown_minutes: -1 }), /cooldown_minutes/);
+        assert.match(validateSettings({ instances: 'Bitaxe1' }), /instances/);
+        assert.match(validateSettings([]), /object/);
+    });
+
+    it('restarts a miner that hashes at 0 for long enough and logs its recovery', async () => {
+        await poll(0, { hashRate: 0 });
+        await poll(9, { hashRate: 0 });
+        assert.deepEqual(restarting(), [false, false]);
+
+        await poll(10, { hashRate: 0 });
+        assert.deepEqual(restarting(), [true, false]);
+        assert.deepEqual(watchdogService.getIncidents(START + 10 * MINUTE).map(incident => [incident.instanceId, incident.attempts, incident.restartsToday]),
+            [['Miner1', 1, 1]]);
+
+        await poll(12, { hashRate: 1100 });
+        assert.deepEqual(actions(), [['Miner1', 'zero_hashrate', 'restart', 1], ['Miner1', 'zero_hashrate', 'recovered', 1]]);
+        assert.deepEqual(watchdogService.getIncidents(), []);
+        assert.match(configDir.readJson('watchdog.json').history[0].message, /Miner1 is mining normally again after 1 restart/);
+    });
+
+    it('doubles the wait between restarts and gives up after the daily limit', async () => {
+        // The miner stays at 0 the whole time: restarts at 10, 40 (30 min), 100 (60 min), then the limit.
+        for (let minute = 0; minute <= 300; minute += 5) {
+            await poll(minute, { hashRate: 0 });
+            simulator.getMiner(1).downUntil = null;
+        }
+        const entries = watchdogService.getHistory().reverse();
+        assert.deepEqual(entries.map(entry => [entry.action, entry.attempt, (Date.parse(entry.at) - START) / MINUTE]), [
+            ['restart', 1, 10],
+            ['restart', 2, 40],
+            ['restart', 3, 100],
+            ['limit_reached', 3, 220]
+        ]);
+        assert.match(entries[3].message, /3 restarts were attempted in the last 24 hours/);
+
+        // A day after the first restart a restart is available again.
+        await poll(24 * 60 + 10, { hashRate: 0 });
+        assert.deepEqual(actions().slice(-1), [['Miner1', 'zero_hashrate', 'restart', 4]]);
+    });
+
+    it('restarts miners without accepted shares or on the fallback pool', async () => {
+        for (let minute = 0; minute <= 30; minute += 5) {
+            await poll(minute, { sharesAccepted: 100 });
+        }
+        for (let minute = 0; minute <= 60; minute += 10) {
+            await watchdogService.evaluate({
+                timestamp: START + minute * MINUTE,
+                config: config,
+                minerData: [{ id: 'Miner2', hashRate: 1200, sharesAccepted: 100 + minute, isUsingFallbackStratum: 1 }]
+            });
+        }
+        assert.deepEqual(actions(), [['Miner1', 'shares_stalled', 'restart', 1], ['Miner2', 'fallback_pool', 'restart', 1]]);
+        assert.deepEqual(restarting(), [true, true]);
+    });
+
+    it('leaves offline, overheated and unwatched miners alone, and only logs while settings are disabled', async () => {
+        for (let minute = 0; minute <= 20; minute += 5) {
+            await poll(minute, minute % 10 === 0 ? { hashRate: 0, overheat_mode: 1 } : { status: 'Error', message: 'timeout' });
+        }
+        await poll(30, { hashRate: 0 }, { watchdog: { ...config.watchdog, instances: ['Miner2'] } });
+        await poll(45, { hashRate: 0 }, { watchdog: { ...config.watchdog, enabled: false } });
+        assert.deepEqual(actions(), []);
+
+        await poll(50, { hashRate: 0 }, { disable_settings: true });
+        await poll(60, { hashRate: 0 }, { disable_settings: true });
+        await poll(70, { hashRate: 0 }, { disable_settings: true });
+        assert.deepEqual(actions(), [['Miner1', 'zero_hashrate', 'skipped', 0]]);
+        assert.deepEqual(restarting(), [false, false]);
+    });
+
+    it('logs failed restarts and counts them toward the daily limit', async () => {
+        simulator.getMiner(1).setFault('offline');
+        try {
+            for (let minute = 0; minute <= 300; minute += 5) {
+                await poll(minute, { hashRate: 0 });
+            }
+        } finally {
+            simulator.getMiner(1).clearFaults();
+        }
+        assert.deepEqual(actions(), [
+            ['Miner1', 'zero_hashrate', 'restart_failed', 1],
+            ['Miner1', 'zero_hashrate', 'restart_failed', 2],
+            ['Miner1', 'zero_hashrate', 'restart_failed', 3],
+            ['Miner1', 'zero_hashrate', 'limit_reached', 3]
+        ]);
+        assert.match(watchdogService.getHistory()[3].message, /restart failed/);
+        assert.equal(watchdogService.getIncidents(START + 300 * MINUTE)[0].restartsToday, 3);
+    });
+
+    it('answers GET /api/watchdog with the settings, incidents and history', async () => {
+        await poll(0, { hashRate: 0 });
+        await poll(10, { hashRate: 0 });
+
+        const res = createResponse();
+        await watchdogController.route(createRequest('GET', '/api/watchdog?instanceId=Miner1&limit=5'), res, config);
+        assert.equal(res.statusCode, 200);
+        const { data } = res.json();
+        assert.equal(data.settings.max_restarts_per_day, 3);
+        assert.equal(data.settings.min_hashrate, 1);
+        assert.deepEqual(data.incidents.map(incident => incident.condition), ['zero_hashrate']);
+        assert.deepEqual(data.history.map(entry => entry.action), ['restart']);
+
+        const other = createResponse();
+        await watchdogController.route(createRequest('POST', '/api/watchdog'), other, config);
+        assert.equal(other.statusCode, 405);
+    });
+});